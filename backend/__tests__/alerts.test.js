@@ -0,0 +1,125 @@
+/**
+ * @file Validation of alert rules: convertible metrics need a known unit,
+ * fixed-unit metrics take none. Concurrent changes of one user's rules must
+ * not lose each other.
+ */
+import express from "express";
+import request from "supertest";
+import { createAlertsRouter } from "../routes/alerts.js";
+import { createMemoryStore } from "../cache/memoryStore.js";
+
+const USER = "user-0001";
+
+const createApp = (store = createMemoryStore()) => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/alerts", createAlertsRouter({ store }));
+  return app;
+};
+
+/**
+ * A memory store whose reads take a while, like a remote store, so that
+ * concurrent requests overlap between reading and writing.
+ */
+const createSlowStore = () => {
+  const store = createMemoryStore();
+  return {
+    ...store,
+    get: async (key) => {
+      const value = await store.get(key);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return value;
+    },
+  };
+};
+
+const rule = (fields) => ({
+  metric: "windGusts",
+  operator: "above",
+  threshold: 60,
+  unit: "kmh",
+  locationId: null,
+  ...fields,
+});
+
+describe("POST /api/alerts/:userId", () => {
+  test("stores a rule with a known unit", async () => {
+    const app = createApp();
+    const response = await request(app)
+      .post(`/api/alerts/${USER}`)
+      .send(rule({ unit: "kn" }));
+    expect(response.status).toBe(201);
+    expect(response.body.rule).toMatchObject({
+      metric: "windGusts",
+      unit: "kn",
+    });
+  });
+
+  test.each([
+    ["an unknown unit", { unit: "furlong" }],
+    ["a unit of another quantity", { metric: "temperature", unit: "kmh" }],
+    ["no unit", { unit: null }],
+    ["a missing unit", { unit: undefined }],
+  ])("rejects a convertible metric with %s", async (_, fields) => {
+    const app = createApp();
+    const response = await request(app)
+      .post(`/api/alerts/${USER}`)
+      .send(rule(fields));
+    expect(response.status).toBe(400);
+    expect(response.body.errors[0].path).toBe("unit");
+    const stored = await request(app).get(`/api/alerts/${USER}`);
+    expect(stored.body.rules).toEqual([]);
+  });
+
+  test("rejects a unit on a fixed-unit metric", async () => {
+    const response = await request(createApp())
+      .post(`/api/alerts/${USER}`)
+      .send(rule({ metric: "uvIndex", threshold: 6, unit: "kmh" }));
+    expect(response.status).toBe(400);
+  });
+
+  test("stores a fixed-unit metric without a unit", async () => {
+    const response = await request(createApp())
+      .post(`/api/alerts/${USER}`)
+      .send(rule({ metric: "uvIndex", threshold: 6, unit: null }));
+    expect(response.status).toBe(201);
+    expect(response.body.rule.unit).toBeNull();
+  });
+});
+
+describe("concurrent changes", () => {
+  // One listening server, so the requests reach the route together
+  let server;
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  test("keeps every rule posted at the same time", async () => {
+    server = createApp(createSlowStore()).listen(0);
+    const responses = await Promise.all(
+      [10, 20, 30, 40, 50].map((threshold) =>
+        request(server).post(`/api/alerts/${USER}`).send(rule({ threshold }))
+      )
+    );
+    expect(responses.map((response) => response.status)).toEqual([
+      201, 201, 201, 201, 201,
+    ]);
+    const stored = await request(server).get(`/api/alerts/${USER}`);
+    expect(stored.body.rules.map((r) => r.threshold).sort()).toEqual([
+      10, 20, 30, 40, 50,
+    ]);
+  });
+
+  test("does not bring back a rule deleted while another is posted", async () => {
+    server = createApp(createSlowStore()).listen(0);
+    const created = await request(server)
+      .post(`/api/alerts/${USER}`)
+      .send(rule());
+    await Promise.all([
+      request(server).delete(`/api/alerts/${USER}/${created.body.rule.id}`),
+      request(server)
+        .post(`/api/alerts/${USER}`)
+        .send(rule({ threshold: 80 })),
+    ]);
+    const stored = await request(server).get(`/api/alerts/${USER}`);
+    expect(stored.body.rules.map((r) => r.threshold)).toEqual([80]);
+  });
+});
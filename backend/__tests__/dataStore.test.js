@@ -0,0 +1,57 @@
+/**
+ * @file User data stores keep every entry: no expiry, no eviction and no loss
+ * on restart, even when the response cache uses the memory driver.
+ */
+import { jest } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createDataStore } from "../cache/index.js";
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "data-store-"));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe("createDataStore with the memory cache driver", () => {
+  const options = () => ({ driver: "memory", maxKeys: 2, dir });
+
+  test("stores entries on disk instead of in memory", () => {
+    expect(createDataStore(options(), "favorites").driver).toBe("file");
+  });
+
+  test("keeps entries beyond the memory store's size limit", async () => {
+    const store = createDataStore(options(), "favorites");
+    for (const userId of ["a", "b", "c", "d"]) {
+      await store.set(userId, [userId]);
+    }
+    expect((await store.keys()).sort()).toEqual(["a", "b", "c", "d"]);
+  });
+
+  test("keeps entries across restarts", async () => {
+    await createDataStore(options(), "alerts").set("user", [{ id: 1 }]);
+    const restarted = createDataStore(options(), "alerts");
+    await expect(restarted.get("user")).resolves.toEqual([{ id: 1 }]);
+  });
+
+  test("ignores a TTL", async () => {
+    const store = createDataStore(options(), "favorites");
+    await store.set("user", ["home"], 60);
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now + 24 * 60 * 60 * 1000);
+    await expect(store.get("user")).resolves.toEqual(["home"]);
+  });
+
+  test("keeps namespaces apart", async () => {
+    await createDataStore(options(), "favorites").set("user", ["home"]);
+    await expect(
+      createDataStore(options(), "alerts").get("user")
+    ).resolves.toBeUndefined();
+  });
+});
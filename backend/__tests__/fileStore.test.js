@@ -0,0 +1,50 @@
+/**
+ * @file The file store must survive concurrent writes and must not keep
+ * expired entries that are never read again.
+ */
+import { jest } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createFileStore } from "../cache/fileStore.js";
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "file-store-"));
+});
+
+afterEach(async () => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("concurrent writes of one key leave a complete entry", async () => {
+  const store = createFileStore({ dir, checkPeriod: 0 });
+  await Promise.all(
+    Array.from({ length: 20 }, (_, index) => store.set("key", { index }))
+  );
+  const { index } = await store.get("key");
+  expect(index).toBeGreaterThanOrEqual(0);
+  // No temp file is left behind
+  expect(await fs.readdir(dir)).toHaveLength(1);
+});
+
+test("the sweep deletes expired entries nobody reads", async () => {
+  jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+  const store = createFileStore({ dir, checkPeriod: 60 });
+  await store.set("old", 1, 30);
+  await store.set("kept", 2);
+
+  await jest.advanceTimersByTimeAsync(60 * 1000);
+  // The sweep does real file I/O, so give it a few turns to finish
+  for (let turn = 0; turn < 20; turn++) {
+    if ((await fs.readdir(dir)).length === 1) break;
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  expect(await fs.readdir(dir)).toHaveLength(1);
+  await expect(store.get("kept")).resolves.toBe(2);
+  await store.close();
+});
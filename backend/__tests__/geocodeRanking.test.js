@@ -0,0 +1,65 @@
+/**
+ * @file Ranking and duplicate merging of geocoding results.
+ */
+import { rankLocations } from "../utils/geocodeRanking.js";
+
+/**
+ * Builds a result shaped like the geocode route's locations.
+ * @param {string} formatted - Full name.
+ * @param {number} lat - Latitude.
+ * @param {number} lng - Longitude.
+ * @param {object} [extra] - Other fields, e.g. `type` or `country`.
+ * @returns {object} The location.
+ */
+const place = (formatted, lat, lng, extra = {}) => ({
+  formatted,
+  geometry: { lat, lng },
+  type: "village",
+  country: "Germany",
+  ...extra,
+});
+
+describe("rankLocations", () => {
+  test("prefers bigger places over OpenCage's text order", () => {
+    const ranked = rankLocations([
+      place("Paris, Rue de Paris, France", 48.8, 2.3, { type: "road" }),
+      place("Paris, Île-de-France, France", 48.86, 2.35, { type: "city" }),
+    ]);
+    expect(ranked[0].type).toBe("city");
+  });
+
+  test("merges results with the same full name close together", () => {
+    const ranked = rankLocations([
+      place("Neustadt, Hesse, Germany", 50.85, 9.11),
+      place("Neustadt, Hesse, Germany", 50.86, 9.12, { type: "town" }),
+    ]);
+    expect(ranked).toHaveLength(1);
+    expect(ranked[0].type).toBe("town");
+  });
+
+  test("keeps places with the same full name that are far apart", () => {
+    // Two villages of one name in the same state, about 120 km apart
+    const ranked = rankLocations([
+      place("Neustadt, Hesse, Germany", 50.85, 9.11),
+      place("Neustadt, Hesse, Germany", 49.8, 8.6),
+    ]);
+    expect(ranked).toHaveLength(2);
+  });
+
+  test("merges the same leading name in one country close together", () => {
+    const ranked = rankLocations([
+      place("Potsdam, Brandenburg, Germany", 52.39, 13.06, { type: "city" }),
+      place("Potsdam, Germany", 52.4, 13.07, { type: "county" }),
+    ]);
+    expect(ranked).toHaveLength(1);
+    expect(ranked[0].type).toBe("city");
+  });
+
+  test("keeps the same leading name across a border", () => {
+    const ranked = rankLocations([
+      place("Baarle, Belgium", 51.44, 4.93, { country: "Belgium" }),
+      place("Baarle, Netherlands", 51.44, 4.94, { country: "Netherlands" }),
+    ]);
+    expect(ranked).toHaveLength(2);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @file Cache keys must separate requests that differ in any parameter and
+ * share entries for requests that only differ trivially.
+ */
+import {
+  buildCacheKey,
+  normalizeQuery,
+  roundCoordinate,
+} from "../cache/keys.js";
+
+const PARAMS = {
+  latitude: "45.5017",
+  longitude: "-73.5673",
+  timezone: "America/Toronto",
+  units: "metric",
+  language: "en",
+  provider: "open-meteo",
+  start_date: "2024-01-01",
+  end_date: "2024-01-07",
+};
+
+const keyWith = (changes, options) =>
+  buildCacheKey("/api/weather", { ...PARAMS, ...changes }, options);
+
+describe("roundCoordinate", () => {
+  test("snaps to the grid with as many decimals as the grid", () => {
+    expect(roundCoordinate("45.5017", 0.01)).toBe("45.50");
+    expect(roundCoordinate(45.5017, 0.001)).toBe("45.502");
+    expect(roundCoordinate(45.5017, 1)).toBe("46");
+  });
+
+  test("gives both sides of zero the same value", () => {
+    expect(roundCoordinate(-0.001, 0.01)).toBe("0.00");
+    expect(roundCoordinate(0.001, 0.01)).toBe("0.00");
+  });
+});
+
+describe("normalizeQuery", () => {
+  test("trims, collapses whitespace and lower-cases", () => {
+    expect(normalizeQuery("  New   York ")).toBe("new york");
+  });
+});
+
+describe("buildCacheKey", () => {
+  test("encodes every parameter, sorted by name", () => {
+    expect(
+      buildCacheKey("/api/weather", { timezone: "Europe/Paris", a: 1 })
+    ).toBe("/api/weather?a=1&timezone=Europe%2FParis");
+  });
+
+  test("gives the same key for the same parameters in another order", () => {
+    const reversed = Object.fromEntries(Object.entries(PARAMS).reverse());
+    expect(buildCacheKey("/api/weather", reversed)).toBe(keyWith({}));
+  });
+
+  test("gives the same key for coordinates in the same grid cell", () => {
+    expect(keyWith({ latitude: "45.5049", longitude: "-73.5651" })).toBe(
+      keyWith({})
+    );
+  });
+
+  test("gives different keys for coordinates in different grid cells", () => {
+    expect(keyWith({ latitude: "45.5117" })).not.toBe(keyWith({}));
+    expect(keyWith({ longitude: "-73.5773" })).not.toBe(keyWith({}));
+  });
+
+  test("gives different keys for different coordinate precision", () => {
+    const coarse = keyWith({}, { coordinateGrid: 0.1 });
+    const fine = keyWith({}, { coordinateGrid: 0.001 });
+    expect(coarse).toContain("latitude=45.5&");
+    expect(fine).toContain("latitude=45.502&");
+    expect(new Set([coarse, fine, keyWith({})]).size).toBe(3);
+  });
+
+  test.each([
+    ["units", { units: "imperial" }],
+    ["language", { language: "de" }],
+    ["provider", { provider: "met-norway" }],
+    ["start date", { start_date: "2024-01-02" }],
+    ["end date", { end_date: "2024-01-08" }],
+    ["timezone", { timezone: "America/New_York" }],
+  ])("gives a different key for a different %s", (name, changes) => {
+    expect(keyWith(changes)).not.toBe(keyWith({}));
+  });
+
+  test("gives a different key when a parameter is added", () => {
+    expect(keyWith({ past_days: 1 })).not.toBe(keyWith({}));
+  });
+
+  test("leaves out undefined parameters", () => {
+    expect(keyWith({ past_days: undefined })).toBe(keyWith({}));
+  });
+
+  test("does not let one value spill into another parameter", () => {
+    const spilled = buildCacheKey("/api/geocode", {
+      query: "paris&language=de",
+    });
+    const separate = buildCacheKey("/api/geocode", {
+      query: "paris",
+      language: "de",
+    });
+    expect(spilled).not.toBe(separate);
+  });
+
+  test("normalizes free-text queries", () => {
+    expect(buildCacheKey("/api/geocode", { query: " PARIS  France" })).toBe(
+      buildCacheKey("/api/geocode", { query: "paris france" })
+    );
+  });
+
+  test("gives different keys for different paths", () => {
+    expect(buildCacheKey("/api/history", PARAMS)).not.toBe(keyWith({}));
+  });
+});
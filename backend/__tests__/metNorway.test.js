@@ -0,0 +1,200 @@
+/**
+ * @file Mapping of a MET Norway Locationforecast "compact" response into the
+ * normalized schema, and failover from the primary provider to MET Norway.
+ */
+import fs from "fs";
+import { jest } from "@jest/globals";
+
+const get = jest.fn();
+jest.unstable_mockModule("axios", () => ({ default: { get } }));
+
+const { toForecast } = await import("../providers/metNorway.js");
+const { createFailoverProvider } = await import("../providers/index.js");
+
+// Oslo, 2024-06-01 20:00Z onwards: four hourly steps, then six-hour steps
+const fixture = JSON.parse(
+  fs.readFileSync(
+    new URL("./fixtures/metNorwayCompact.json", import.meta.url),
+    "utf8"
+  )
+);
+
+const PARAMS = {
+  latitude: 59.91,
+  longitude: 10.75,
+  timezone: "Europe/Oslo",
+};
+
+const CONFIG = {
+  openMeteo: { url: "https://open-meteo.test/v1/forecast", timeoutMs: 100 },
+  metNorway: {
+    url: "https://met-norway.test/locationforecast/2.0/compact",
+    userAgent: "open-weather-app tests",
+    timeoutMs: 100,
+  },
+};
+
+describe("toForecast", () => {
+  const forecast = toForecast(fixture, PARAMS);
+
+  test("takes the coordinates MET Norway answered for", () => {
+    expect(forecast).toMatchObject({
+      provider: "met-norway",
+      latitude: 59.9139,
+      longitude: 10.7522,
+      timezone: "Europe/Oslo",
+    });
+  });
+
+  test("maps the first step to current conditions in local time", () => {
+    expect(forecast.current).toMatchObject({
+      time: "2024-06-01T22:00",
+      temperature: 17.3,
+      humidity: 58.1,
+      isDay: 1,
+      precipitation: 0,
+      weatherCode: 2,
+      cloudCover: 12.5,
+      pressureMsl: 1012.4,
+      windDirection: 205.3,
+      windGusts: null,
+      apparentTemperature: null,
+    });
+    expect(forecast.current.windSpeed).toBeCloseTo(9, 5);
+  });
+
+  test("keeps only the hourly steps in the hourly series", () => {
+    const { hourly } = forecast;
+    expect(hourly.time).toEqual([
+      "2024-06-01T22:00",
+      "2024-06-01T23:00",
+      "2024-06-02T00:00",
+      "2024-06-02T01:00",
+    ]);
+    expect(hourly.temperature).toEqual([17.3, 16.1, 15, 14.4]);
+    expect(hourly.precipitation).toEqual([0, 0, 0, 0.3]);
+    expect(hourly.weatherCode).toEqual([2, 2, 3, 61]);
+    expect(hourly.isDay).toEqual([1, 0, 1, 1]);
+    hourly.windSpeed.forEach((speed, index) =>
+      expect(speed).toBeCloseTo([9, 7.56, 6.48, 5.76][index], 5)
+    );
+  });
+
+  test("leaves fields the compact format lacks null", () => {
+    const { hourly } = forecast;
+    for (const field of [
+      "dewPoint",
+      "precipitationProbability",
+      "windGusts",
+      "uvIndex",
+      "apparentTemperature",
+      "visibility",
+    ]) {
+      expect(hourly[field]).toEqual([null, null, null, null]);
+    }
+  });
+
+  test("builds daily aggregates from every step, six-hourly ones included", () => {
+    const { daily } = forecast;
+    expect(daily.time).toEqual(["2024-06-01", "2024-06-02"]);
+    expect(daily.temperatureMax).toEqual([17.3, 18.9]);
+    expect(daily.temperatureMin).toEqual([16.1, 13.6]);
+    // Thunder in the 06Z six-hour period outranks the rain codes
+    expect(daily.weatherCode).toEqual([2, 95]);
+    expect(daily.precipitationSum[0]).toBe(0);
+    expect(daily.precipitationSum[1]).toBeCloseTo(6.3, 5);
+    // One wet hour plus two wet six-hour periods
+    expect(daily.precipitationHours).toEqual([0, 13]);
+    expect(daily.windSpeedMax[1]).toBeCloseTo(18.72, 5);
+    expect(daily.sunrise).toEqual([null, null]);
+  });
+
+  test("returns empty series for a response without a timeseries", () => {
+    const empty = toForecast({ properties: {} }, PARAMS);
+    expect(empty.latitude).toBe(PARAMS.latitude);
+    expect(empty.current.time).toBeNull();
+    expect(empty.hourly.time).toEqual([]);
+    expect(empty.daily.time).toEqual([]);
+  });
+});
+
+describe("createFailoverProvider", () => {
+  beforeEach(() => {
+    get.mockReset();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("serves the forecast from MET Norway when the primary fails", async () => {
+    const networkError = Object.assign(new Error("connect ETIMEDOUT"), {
+      isAxiosError: true,
+      code: "ETIMEDOUT",
+    });
+    get.mockImplementation(async (url) => {
+      if (url === CONFIG.openMeteo.url) throw networkError;
+      return { data: fixture };
+    });
+
+    const provider = createFailoverProvider(
+      ["open-meteo", "met-norway"],
+      CONFIG,
+      {
+        retries: 0,
+      }
+    );
+    const forecast = await provider.getForecast(PARAMS);
+
+    expect(forecast.provider).toBe("met-norway");
+    expect(forecast.current.temperature).toBe(17.3);
+    expect(get.mock.calls.map(([url]) => url)).toEqual([
+      CONFIG.openMeteo.url,
+      CONFIG.metNorway.url,
+    ]);
+    expect(get.mock.calls[1][1]).toMatchObject({
+      params: { lat: "59.9100", lon: "10.7500" },
+      headers: { "User-Agent": CONFIG.metNorway.userAgent },
+    });
+    expect(provider.guards[0].counts).toEqual({ calls: 1, failures: 1 });
+  });
+
+  test("does not fail over on a non-transient error", async () => {
+    const badRequest = Object.assign(new Error("Request failed"), {
+      isAxiosError: true,
+      response: { status: 400 },
+    });
+    get.mockRejectedValue(badRequest);
+
+    const provider = createFailoverProvider(
+      ["open-meteo", "met-norway"],
+      CONFIG,
+      {
+        retries: 0,
+      }
+    );
+
+    await expect(provider.getForecast(PARAMS)).rejects.toBe(badRequest);
+    expect(get).toHaveBeenCalledTimes(1);
+  });
+
+  test("rejects with the last error when every provider fails", async () => {
+    const unavailable = Object.assign(new Error("Service Unavailable"), {
+      isAxiosError: true,
+      response: { status: 503 },
+    });
+    get.mockRejectedValue(unavailable);
+
+    const provider = createFailoverProvider(
+      ["open-meteo", "met-norway"],
+      CONFIG,
+      {
+        retries: 0,
+      }
+    );
+
+    await expect(provider.getForecast(PARAMS)).rejects.toBe(unavailable);
+    expect(get).toHaveBeenCalledTimes(2);
+  });
+});
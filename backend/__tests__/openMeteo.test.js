@@ -0,0 +1,56 @@
+/**
+ * @file Mapping of an Open-Meteo forecast response requested with
+ * `past_days=1` into the normalized schema.
+ */
+import fs from "fs";
+import { toForecast } from "../providers/openMeteo.js";
+
+// Berlin, 2024-03-09 (yesterday) to 2024-03-11, current time 2024-03-10T09:15
+const fixture = JSON.parse(
+  fs.readFileSync(
+    new URL("./fixtures/openMeteoForecast.json", import.meta.url),
+    "utf8"
+  )
+);
+
+describe("toForecast", () => {
+  test("takes the past day out of the series so they start today", () => {
+    const { hourly, daily } = toForecast(fixture, { pastDays: 1 });
+    expect(daily.time).toEqual(["2024-03-10", "2024-03-11"]);
+    expect(daily.temperatureMax).toEqual([10.2, 9]);
+    expect(hourly.time).toHaveLength(48);
+    expect(hourly.time[0]).toBe("2024-03-10T00:00");
+    expect(hourly.temperature[15]).toBe(10.2);
+    // Fields missing from the response stay aligned with `time`
+    expect(hourly.dewPoint).toHaveLength(48);
+    expect(daily.sunrise).toEqual([null, null]);
+  });
+
+  test("returns the past day as yesterday", () => {
+    const { yesterday } = toForecast(fixture, { pastDays: 1 });
+    expect(yesterday).toMatchObject({
+      time: "2024-03-09",
+      weatherCode: 3,
+      temperatureMax: 8,
+      temperatureMin: -1.5,
+      precipitationSum: 0,
+      sunrise: null,
+    });
+  });
+
+  test("keeps every day without past days", () => {
+    const forecast = toForecast(fixture);
+    expect(forecast.daily.time[0]).toBe("2024-03-09");
+    expect(forecast.hourly.time).toHaveLength(72);
+    expect(forecast.yesterday).toBeNull();
+  });
+
+  test("maps current conditions", () => {
+    expect(toForecast(fixture, { pastDays: 1 }).current).toMatchObject({
+      time: "2024-03-10T09:15",
+      temperature: 4.3,
+      weatherCode: 3,
+      humidity: null,
+    });
+  });
+});
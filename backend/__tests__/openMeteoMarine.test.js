@@ -0,0 +1,123 @@
+/**
+ * @file Coastal detection of the Open-Meteo marine client: a point on the
+ * shore that falls in a land cell still counts as coastal when a
+ * neighbourhood sample reaches the sea.
+ */
+import { jest } from "@jest/globals";
+
+const get = jest.fn();
+jest.unstable_mockModule("axios", () => ({ default: { get } }));
+
+const { createOpenMeteoMarine, getSamplePoints, COASTAL_SAMPLE_DISTANCE_KM } =
+  await import("../providers/openMeteoMarine.js");
+const { distanceKm } = await import("../utils/geocodeRanking.js");
+
+const TIME = ["2024-06-01T00:00", "2024-06-01T01:00"];
+
+/**
+ * Builds one location of a raw marine response.
+ * @param {number} latitude - Grid cell latitude.
+ * @param {number} longitude - Grid cell longitude.
+ * @param {number|null} waveHeight - Wave height at every time, null on land.
+ * @returns {object} The location's response.
+ */
+const sample = (latitude, longitude, waveHeight) => ({
+  latitude,
+  longitude,
+  timezone: "Europe/Lisbon",
+  current: { time: TIME[0], wave_height: waveHeight },
+  hourly: { time: TIME, wave_height: [waveHeight, waveHeight] },
+});
+
+const marine = createOpenMeteoMarine({ url: "https://marine.test/v1/marine" });
+const params = { latitude: 38.7, longitude: -9.14, timezone: "Europe/Lisbon" };
+
+beforeEach(() => {
+  get.mockReset();
+});
+
+describe("getSamplePoints", () => {
+  test("puts the point first and its neighbours at the sample distance", () => {
+    const [point, ...neighbours] = getSamplePoints(38.7, -9.14);
+    expect(point).toEqual({ latitude: 38.7, longitude: -9.14 });
+    expect(neighbours).toHaveLength(4);
+    for (const neighbour of neighbours) {
+      const km = distanceKm(
+        { lat: 38.7, lng: -9.14 },
+        { lat: neighbour.latitude, lng: neighbour.longitude }
+      );
+      expect(km).toBeCloseTo(COASTAL_SAMPLE_DISTANCE_KM, 0);
+    }
+  });
+
+  test("stays on the globe near the poles and the antimeridian", () => {
+    for (const { latitude, longitude } of [
+      ...getSamplePoints(89.99, 179.99),
+      ...getSamplePoints(-89.99, -179.99),
+    ]) {
+      expect(Math.abs(latitude)).toBeLessThanOrEqual(90);
+      expect(Math.abs(longitude)).toBeLessThanOrEqual(180);
+    }
+  });
+});
+
+describe("getMarineForecast", () => {
+  test("requests every sample in one call", async () => {
+    get.mockResolvedValue({
+      data: getSamplePoints(38.7, -9.14).map(() => sample(38.7, -9.1, null)),
+    });
+    await marine.getMarineForecast(params);
+    expect(get).toHaveBeenCalledTimes(1);
+    const { latitude, longitude } = get.mock.calls[0][1].params;
+    expect(latitude.split(",")).toHaveLength(5);
+    expect(longitude.split(",")).toHaveLength(5);
+    expect(latitude.split(",")[0]).toBe("38.7000");
+  });
+
+  test("uses the point's own data when it has some", async () => {
+    get.mockResolvedValue({
+      data: [
+        sample(38.7, -9.14, 1.2),
+        sample(38.79, -9.14, null),
+        sample(38.7, -9.03, null),
+        sample(38.61, -9.14, 2),
+        sample(38.7, -9.26, 1.8),
+      ],
+    });
+    const forecast = await marine.getMarineForecast(params);
+    expect(forecast.coastal).toBe(true);
+    expect(forecast.current.waveHeight).toBe(1.2);
+  });
+
+  test("is coastal when only a neighbour reaches the sea", async () => {
+    get.mockResolvedValue({
+      data: [
+        sample(38.7, -9.14, null),
+        sample(38.79, -9.14, null),
+        sample(38.7, -9.03, null),
+        sample(38.61, -9.14, null),
+        sample(38.7, -9.26, 0.9),
+      ],
+    });
+    const forecast = await marine.getMarineForecast(params);
+    expect(forecast.coastal).toBe(true);
+    expect(forecast.current.waveHeight).toBe(0.9);
+    expect(forecast.hourly.waveHeight).toEqual([0.9, 0.9]);
+    expect(forecast.longitude).toBe(-9.26);
+  });
+
+  test("is inland when no sample has data", async () => {
+    get.mockResolvedValue({
+      data: getSamplePoints(48.1, 11.6).map(({ latitude, longitude }) =>
+        sample(latitude, longitude, null)
+      ),
+    });
+    const forecast = await marine.getMarineForecast({
+      latitude: 48.1,
+      longitude: 11.6,
+      timezone: "Europe/Berlin",
+    });
+    expect(forecast.coastal).toBe(false);
+    expect(forecast.latitude).toBe(48.1);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @file The Redis cache store must never hold up a request while Redis is
+ * unreachable: reads are misses and writes are dropped. Durable stores report
+ * the failure instead.
+ */
+import { jest } from "@jest/globals";
+import request from "supertest";
+
+// Nothing listens on port 1, so every connection attempt is refused
+const DEAD_REDIS_URL = "redis://127.0.0.1:1";
+
+process.env.CACHE_DRIVER = "redis";
+process.env.REDIS_URL = DEAD_REDIS_URL;
+process.env.REDIS_TIMEOUT_MS = "200";
+
+const get = jest.fn();
+jest.unstable_mockModule("axios", () => ({ default: { get } }));
+
+const { createRedisStore } = await import("../cache/redisStore.js");
+const { default: app, closeStores } = await import("../server.js");
+
+/**
+ * Resolves once `check` returns true, polling every 50 ms.
+ * @param {() => boolean} check - The condition.
+ * @param {number} [timeoutMs=2000] - How long to wait before failing.
+ * @returns {Promise<void>}
+ * @throws {Error} If `check` is still false after `timeoutMs`.
+ */
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs} ms`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  get.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(closeStores);
+
+describe("createRedisStore with Redis down", () => {
+  const store = createRedisStore({
+    url: DEAD_REDIS_URL,
+    prefix: "test:",
+    timeoutMs: 200,
+  });
+
+  afterAll(() => store.close());
+
+  test("get resolves undefined", async () => {
+    await expect(store.get("key")).resolves.toBeUndefined();
+  });
+
+  test("set resolves without storing", async () => {
+    await expect(store.set("key", { a: 1 }, 60)).resolves.toBeUndefined();
+  });
+
+  test("keys rejects so the admin API can report it", async () => {
+    await expect(store.keys()).rejects.toThrow();
+  });
+});
+
+describe("durable createRedisStore with Redis down", () => {
+  const store = createRedisStore({
+    url: DEAD_REDIS_URL,
+    prefix: "test:",
+    timeoutMs: 200,
+    durable: true,
+  });
+
+  afterAll(() => store.close());
+
+  test("get rejects instead of reporting a miss", async () => {
+    await expect(store.get("user")).rejects.toThrow();
+  });
+
+  test("set rejects instead of dropping the data", async () => {
+    await expect(store.set("user", ["home"])).rejects.toThrow();
+  });
+});
+
+describe("server with Redis down", () => {
+  test("serves requests as cache misses", async () => {
+    get.mockResolvedValue({
+      data: {
+        results: [
+          {
+            formatted: "Paris, France",
+            geometry: { lat: 48.8566, lng: 2.3522 },
+            components: { city: "Paris", country: "France" },
+            annotations: { timezone: { name: "Europe/Paris" } },
+          },
+        ],
+      },
+    });
+
+    const response = await request(app)
+      .get("/api/geocode")
+      .query({ query: "Paris" })
+      .timeout(5000);
+
+    expect(response.status).toBe(200);
+    expect(response.headers["x-cache"]).toBe("MISS");
+    expect(response.body.results[0].formatted).toBe("Paris, France");
+    // The response is stored after it is sent; both writes give up quietly
+    await waitFor(
+      () =>
+        console.error.mock.calls.filter(([message]) =>
+          message.startsWith("Redis write failed")
+        ).length === 2
+    );
+  });
+});
@@ -0,0 +1,290 @@
+/**
+ * @file Rules of the plain-language forecast summary, driven by a recorded
+ * Open-Meteo forecast with yesterday included.
+ */
+import fs from "fs";
+import { toForecast } from "../providers/openMeteo.js";
+import { summarizeForecast } from "../utils/summary.js";
+
+// Berlin, 2024-03-10 at 09:15. Yesterday's high was 8 °C, today's is 10.2 °C
+// at 15:00; rain from 14:00 to 18:00 (2.8 mm) and gusts up to 42 km/h.
+const fixture = JSON.parse(
+  fs.readFileSync(
+    new URL("./fixtures/openMeteoForecast.json", import.meta.url),
+    "utf8"
+  )
+);
+
+/**
+ * Returns a fresh normalized copy of the fixture to modify.
+ * @returns {import('../providers/schema.js').Forecast}
+ */
+const loadForecast = () =>
+  toForecast(JSON.parse(JSON.stringify(fixture)), { pastDays: 1 });
+
+/**
+ * Summarizes a forecast and returns the sentence with the given id.
+ * @param {object} forecast - Normalized forecast.
+ * @param {string} id - Sentence id, or a list of ids to pick the first of.
+ * @param {object} [options] - Options of summarizeForecast.
+ * @returns {object|undefined} The sentence.
+ */
+const findSentence = (forecast, ids, options) =>
+  summarizeForecast(forecast, options).sentences.find((sentence) =>
+    [].concat(ids).includes(sentence.id)
+  );
+
+// The hourly series starts at midnight today, so today's hour H is index H
+describe("summarizeForecast", () => {
+  test("summarizes the recorded forecast", () => {
+    const summary = summarizeForecast(loadForecast());
+    expect(summary.sentences.map(({ id }) => id)).toEqual([
+      "today",
+      "warmerThanYesterday",
+      "temperatureRise",
+      "rainWindow",
+    ]);
+    expect(summary.text).toBe(
+      "Today (Rain: Moderate intensity): high 10 °C, low -2 °C. " +
+        "2 °C warmer than yesterday. " +
+        "Temperatures rise from 4 °C to 10 °C by 15:00. " +
+        "Rain likely from 14:00 to 18:00, with 2.8 mm expected."
+    );
+  });
+
+  describe("today", () => {
+    test("converts the high and low to the chosen unit", () => {
+      const today = findSentence(loadForecast(), "today", {
+        units: { temperature: "F", wind: "kmh", precipitation: "mm" },
+      });
+      expect(today.values).toEqual({
+        condition: 63,
+        high: 50,
+        low: 29,
+        temperatureUnit: "°F",
+      });
+    });
+
+    test("is left out without today's temperatures", () => {
+      const forecast = loadForecast();
+      forecast.daily.temperatureMax[0] = null;
+      expect(findSentence(forecast, "today")).toBeUndefined();
+    });
+  });
+
+  describe("comparison with yesterday", () => {
+    test("reports a warmer day", () => {
+      expect(
+        findSentence(loadForecast(), "warmerThanYesterday").values
+      ).toEqual({ difference: 2, temperatureUnit: "°C" });
+    });
+
+    test("reports a colder day", () => {
+      const forecast = loadForecast();
+      forecast.yesterday.temperatureMax = 14.6;
+      const sentence = findSentence(forecast, "coolerThanYesterday");
+      expect(sentence.text).toBe("5 °C cooler than yesterday.");
+    });
+
+    test("reports about the same temperature within 2 °C", () => {
+      const forecast = loadForecast();
+      forecast.yesterday.temperatureMax = 8.3;
+      expect(findSentence(forecast, "sameAsYesterday").text).toBe(
+        "About as warm as yesterday."
+      );
+    });
+
+    test("converts the difference to °F", () => {
+      const sentence = findSentence(loadForecast(), "warmerThanYesterday", {
+        units: { temperature: "F", wind: "kmh", precipitation: "mm" },
+      });
+      // 50 °F today against 46 °F yesterday
+      expect(sentence.values.difference).toBe(4);
+    });
+
+    test.each([
+      [
+        "the provider has no past data",
+        (forecast) => (forecast.yesterday = null),
+      ],
+      [
+        "yesterday's high is missing",
+        (forecast) => (forecast.yesterday.temperatureMax = null),
+      ],
+      [
+        "today's high is missing",
+        (forecast) => (forecast.daily.temperatureMax[0] = null),
+      ],
+    ])("is left out when %s", (name, change) => {
+      const forecast = loadForecast();
+      change(forecast);
+      expect(
+        findSentence(forecast, [
+          "warmerThanYesterday",
+          "coolerThanYesterday",
+          "sameAsYesterday",
+        ])
+      ).toBeUndefined();
+    });
+  });
+
+  describe("temperature trend", () => {
+    test("reports the rise to the afternoon high", () => {
+      expect(findSentence(loadForecast(), "temperatureRise").values).toEqual({
+        from: 4,
+        to: 10,
+        time: "2024-03-10T15:00",
+        temperatureUnit: "°C",
+      });
+    });
+
+    test("reports a fall when it is larger than the rise", () => {
+      const forecast = loadForecast();
+      forecast.current.time = "2024-03-10T15:00";
+      expect(findSentence(forecast, "temperatureFall").values).toEqual({
+        from: 10,
+        to: 1,
+        time: "2024-03-11T03:00",
+        temperatureUnit: "°C",
+      });
+    });
+
+    test("reports steady temperatures", () => {
+      const forecast = loadForecast();
+      forecast.hourly.temperature = forecast.hourly.temperature.map(
+        (value, index) => 5 + (index % 2) * 0.4
+      );
+      expect(findSentence(forecast, "temperatureSteady").text).toBe(
+        "Temperatures stay near 5 °C for the next 24 hours."
+      );
+    });
+
+    test("is left out with fewer than two readings", () => {
+      const forecast = loadForecast();
+      forecast.hourly.temperature = forecast.hourly.temperature.map(() => null);
+      expect(
+        findSentence(forecast, [
+          "temperatureRise",
+          "temperatureFall",
+          "temperatureSteady",
+        ])
+      ).toBeUndefined();
+    });
+  });
+
+  describe("rain and snow", () => {
+    test("reports when the rain starts and ends, and how much falls", () => {
+      expect(findSentence(loadForecast(), "rainWindow").values).toEqual({
+        start: "2024-03-10T14:00",
+        end: "2024-03-10T18:00",
+        amount: 2.8,
+        precipitationUnit: "mm",
+      });
+    });
+
+    test("starts from the current hour", () => {
+      const forecast = loadForecast();
+      forecast.current.time = "2024-03-10T15:40";
+      expect(findSentence(forecast, "rainWindow").values.start).toBe(
+        "2024-03-10T15:00"
+      );
+    });
+
+    test("reports snow when most wet hours are snow", () => {
+      const forecast = loadForecast();
+      [14, 15, 16].forEach((hour) => {
+        forecast.hourly.weatherCode[hour] = 73;
+      });
+      expect(findSentence(forecast, "snowWindow").text).toBe(
+        "Snow likely from 14:00 to 18:00, with 2.8 mm expected."
+      );
+    });
+
+    test("uses the amount when the probability is unknown", () => {
+      const forecast = loadForecast();
+      forecast.hourly.precipitationProbability =
+        forecast.hourly.precipitationProbability.map(() => null);
+      // 0.3 mm at 17:00 still counts, 0.1 mm at 18:00 does not
+      forecast.hourly.precipitation[18] = 0.1;
+      expect(findSentence(forecast, "rainWindow").values).toMatchObject({
+        start: "2024-03-10T14:00",
+        end: "2024-03-10T18:00",
+      });
+    });
+
+    test("reports a dry day", () => {
+      const forecast = loadForecast();
+      forecast.hourly.precipitationProbability =
+        forecast.hourly.precipitationProbability.map(() => 10);
+      expect(findSentence(forecast, "dry").text).toBe(
+        "No rain or snow expected in the next 24 hours."
+      );
+    });
+
+    test("converts the amount to inches", () => {
+      const sentence = findSentence(loadForecast(), "rainWindow", {
+        units: { temperature: "C", wind: "kmh", precipitation: "in" },
+      });
+      expect(sentence.values).toMatchObject({
+        amount: 0.11,
+        precipitationUnit: "in",
+      });
+    });
+  });
+
+  describe("wind", () => {
+    test("is left out while gusts stay below 50 km/h", () => {
+      expect(
+        findSentence(loadForecast(), ["strongWind", "severeWind"])
+      ).toBeUndefined();
+    });
+
+    test("mentions strong gusts", () => {
+      const forecast = loadForecast();
+      forecast.hourly.windGusts[20] = 62;
+      expect(findSentence(forecast, "strongWind").text).toBe(
+        "Windy, with gusts up to 62 km/h around 20:00."
+      );
+    });
+
+    test("warns about severe gusts in the chosen unit", () => {
+      const forecast = loadForecast();
+      forecast.hourly.windGusts[20] = 90;
+      const sentence = findSentence(forecast, "severeWind", {
+        units: { temperature: "C", wind: "ms", precipitation: "mm" },
+      });
+      expect(sentence.values).toEqual({
+        gusts: 25,
+        time: "2024-03-10T20:00",
+        windUnit: "m/s",
+      });
+    });
+
+    test("is left out without gust data", () => {
+      const forecast = loadForecast();
+      forecast.hourly.windGusts = forecast.hourly.windGusts.map(() => null);
+      expect(
+        findSentence(forecast, ["strongWind", "severeWind"])
+      ).toBeUndefined();
+    });
+  });
+
+  test("only describes today when no hours are left", () => {
+    const forecast = loadForecast();
+    forecast.hourly.time = forecast.hourly.time.slice(0, 9);
+    expect(summarizeForecast(forecast).sentences.map(({ id }) => id)).toEqual([
+      "today",
+      "warmerThanYesterday",
+    ]);
+  });
+
+  test("skips the hourly sentences without a current time", () => {
+    // MET Norway reports no current time when its timeseries is empty
+    const forecast = loadForecast();
+    forecast.current.time = null;
+    expect(summarizeForecast(forecast).sentences.map(({ id }) => id)).toEqual([
+      "today",
+      "warmerThanYesterday",
+    ]);
+  });
+});
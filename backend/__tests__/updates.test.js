@@ -0,0 +1,98 @@
+/**
+ * @file Limits of the forecast update channel: distinct subscribed locations
+ * and open streams are capped, and streams beyond them get a 503.
+ */
+import { jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import { createForecastUpdates } from "../utils/updates.js";
+
+/**
+ * Builds a request and response pair standing in for Express's.
+ * @returns {{req: EventEmitter, res: object}} The pair; `req.emit("close")`
+ *   disconnects the client.
+ */
+const connect = () => {
+  const res = {
+    set: jest.fn(),
+    flushHeaders: jest.fn(),
+    write: jest.fn(),
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+  };
+  return { req: new EventEmitter(), res };
+};
+
+const createUpdates = () =>
+  createForecastUpdates({
+    intervalSeconds: 900,
+    offsetSeconds: 120,
+    heartbeatSeconds: 30,
+    maxLocations: 2,
+    maxStreams: 3,
+    refresh: jest.fn(async () => {}),
+  });
+
+/**
+ * Subscribes a new client to a key.
+ * @returns {{req: EventEmitter, res: object}} The client.
+ */
+const subscribe = (updates, key) => {
+  const client = connect();
+  updates.subscribe(client.req, client.res, key, {});
+  return client;
+};
+
+const refused = ({ res }) =>
+  res.status.mock.calls.length === 1 && res.status.mock.calls[0][0] === 503;
+
+describe("createForecastUpdates limits", () => {
+  let clients;
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(() => {
+    // Clears the heartbeats of the streams left open
+    clients.forEach(({ req }) => req.emit("close"));
+  });
+
+  test("refuses a location beyond maxLocations", () => {
+    const updates = createUpdates();
+    clients.push(subscribe(updates, "a"), subscribe(updates, "b"));
+    const third = subscribe(updates, "c");
+    expect(refused(third)).toBe(true);
+    expect(third.res.flushHeaders).not.toHaveBeenCalled();
+    expect(updates.snapshot()).toEqual({ locations: 2, streams: 2 });
+  });
+
+  test("still accepts more streams for a subscribed location", () => {
+    const updates = createUpdates();
+    clients.push(subscribe(updates, "a"), subscribe(updates, "b"));
+    const another = subscribe(updates, "a");
+    clients.push(another);
+    expect(refused(another)).toBe(false);
+    expect(updates.snapshot()).toEqual({ locations: 2, streams: 3 });
+  });
+
+  test("refuses a stream beyond maxStreams", () => {
+    const updates = createUpdates();
+    clients.push(
+      subscribe(updates, "a"),
+      subscribe(updates, "a"),
+      subscribe(updates, "a")
+    );
+    expect(refused(subscribe(updates, "a"))).toBe(true);
+  });
+
+  test("frees the slots when clients disconnect", () => {
+    const updates = createUpdates();
+    const first = subscribe(updates, "a");
+    clients.push(subscribe(updates, "b"));
+    first.req.emit("close");
+    const next = subscribe(updates, "c");
+    clients.push(next);
+    expect(refused(next)).toBe(false);
+    expect(updates.snapshot()).toEqual({ locations: 2, streams: 2 });
+  });
+});
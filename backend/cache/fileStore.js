@@ -0,0 +1,123 @@
+/**
+ * @file File-backed cache store.
+ * Each entry is a JSON file named after a hash of its key, so the cache
+ * survives restarts and can be shared through a mounted volume.
+ * @module cache/fileStore
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Creates a file-backed cache store.
+ * Expired entries are deleted when read, and every `checkPeriod` seconds a
+ * sweep deletes those nobody reads again, so the directory does not grow
+ * without bound.
+ * @param {object} options
+ * @param {string} options.dir - Directory holding the cache files.
+ * @param {number} [options.checkPeriod=600] - Seconds between sweeps; 0 disables them.
+ * @returns {import('./index.js').CacheStore} The store.
+ */
+export const createFileStore = ({ dir, checkPeriod = 600 }) => {
+  const fileFor = (key) =>
+    path.join(
+      dir,
+      `${crypto.createHash("sha1").update(key).digest("hex")}.json`
+    );
+
+  /**
+   * Reads an entry file, deleting it if it has expired.
+   * @param {string} file - Path of the entry file.
+   * @returns {Promise<{key: string, value: *, expiresAt: number|null}|undefined>}
+   */
+  const readEntry = async (file) => {
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (error) {
+      // Missing or half-written files are treated as a miss
+      if (error.code !== "ENOENT" && !(error instanceof SyntaxError)) {
+        throw error;
+      }
+      return undefined;
+    }
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      await fs.rm(file, { force: true });
+      return undefined;
+    }
+    return entry;
+  };
+
+  /**
+   * Lists the entry files in the cache directory.
+   * @returns {Promise<string[]>} Absolute file paths.
+   */
+  const listFiles = async () => {
+    try {
+      const names = await fs.readdir(dir);
+      return names
+        .filter((name) => name.endsWith(".json"))
+        .map((name) => path.join(dir, name));
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  };
+
+  /**
+   * Deletes every expired entry file.
+   * @returns {Promise<void>}
+   */
+  const prune = async () => {
+    await Promise.all((await listFiles()).map(readEntry));
+  };
+
+  let sweep = null;
+  if (checkPeriod > 0) {
+    sweep = setInterval(() => {
+      prune().catch((error) => {
+        console.error(`Cache sweep failed in ${dir}:`, error.message);
+      });
+    }, checkPeriod * 1000);
+    // Never keep the process alive just to sweep
+    sweep.unref();
+  }
+
+  return {
+    driver: "file",
+    get: async (key) => {
+      const entry = await readEntry(fileFor(key));
+      return entry ? entry.value : undefined;
+    },
+    set: async (key, value, ttl) => {
+      await fs.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const entry = {
+        key,
+        value,
+        expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+      };
+      // Write to a temp file first so readers never see a partial entry;
+      // the random part keeps concurrent writes of one key apart
+      const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, file);
+    },
+    del: async (key) => {
+      await fs.rm(fileFor(key), { force: true });
+    },
+    keys: async () => {
+      const entries = await Promise.all((await listFiles()).map(readEntry));
+      return entries.filter(Boolean).map((entry) => entry.key);
+    },
+    clear: async () => {
+      await Promise.all(
+        (await listFiles()).map((file) => fs.rm(file, { force: true }))
+      );
+    },
+    close: async () => {
+      clearInterval(sweep);
+    },
+  };
+};
@@ -0,0 +1,88 @@
+/**
+ * @file Cache store factory.
+ * Every store implements the same async {@link CacheStore} interface, so the
+ * cache middleware does not care where entries live.
+ * @module cache
+ */
+
+import path from "path";
+import { createMemoryStore } from "./memoryStore.js";
+import { createFileStore } from "./fileStore.js";
+import { createRedisStore } from "./redisStore.js";
+
+/**
+ * @typedef {object} CacheStore
+ * @property {string} driver - "memory", "file" or "redis".
+ * @property {(key: string) => Promise<*>} get - Resolves the value, or undefined on a miss.
+ * @property {(key: string, value: *, ttl?: number) => Promise<void>} set
+ *   Stores a JSON-serializable value; `ttl` is in seconds, 0 or omitted for no expiry.
+ * @property {(key: string) => Promise<void>} del - Removes one entry.
+ * @property {() => Promise<string[]>} keys - Lists the keys of live entries.
+ * @property {() => Promise<void>} clear - Removes every entry in the store.
+ * @property {() => Promise<void>} close - Releases connections and timers;
+ *   the store must not be used afterwards.
+ */
+
+/**
+ * Creates a cache store for the configured driver.
+ * The namespace keeps independent stores (e.g. fresh and stale responses)
+ * apart when they share a directory or Redis database.
+ * @param {object} options - The `cache` section of the server config.
+ * @param {string} options.driver - "memory", "file" or "redis".
+ * @param {number} [options.maxKeys] - Memory store size limit.
+ * @param {string} [options.dir] - File store base directory.
+ * @param {string} [options.redisUrl] - Redis connection URL.
+ * @param {number} [options.redisTimeoutMs] - Deadline of each Redis operation.
+ * @param {string} namespace - Name of this store, e.g. "responses".
+ * @returns {CacheStore} The store.
+ * @throws {Error} If the driver is unknown.
+ */
+export const createCacheStore = (options, namespace) => {
+  switch (options.driver) {
+    case "memory":
+      return createMemoryStore({ maxKeys: options.maxKeys });
+    case "file":
+      return createFileStore({ dir: path.join(options.dir, namespace) });
+    case "redis":
+      return createRedisStore({
+        url: options.redisUrl,
+        timeoutMs: options.redisTimeoutMs,
+        prefix: `weather:${namespace}:`,
+      });
+    default:
+      throw new Error(
+        `Unknown cache driver "${options.driver}". Expected memory, file or redis`
+      );
+  }
+};
+
+/**
+ * Creates a store for user data, such as favourites and alert rules.
+ * Unlike a cache, entries never expire and are never evicted: Redis is used
+ * when it is the configured driver, otherwise the file store, because the
+ * memory store drops its oldest entries when full and loses all of them on
+ * restart. Failed reads and writes reject rather than passing as a miss.
+ * @param {object} options - The `cache` section of the server config.
+ * @param {string} options.driver - "memory", "file" or "redis".
+ * @param {string} [options.dir] - File store base directory.
+ * @param {string} [options.redisUrl] - Redis connection URL.
+ * @param {number} [options.redisTimeoutMs] - Deadline of each Redis operation.
+ * @param {string} namespace - Name of this store, e.g. "favorites".
+ * @returns {CacheStore} The store; `set` ignores any `ttl`.
+ */
+export const createDataStore = (options, namespace) => {
+  const store =
+    options.driver === "redis"
+      ? createRedisStore({
+          url: options.redisUrl,
+          timeoutMs: options.redisTimeoutMs,
+          prefix: `weather:${namespace}:`,
+          durable: true,
+        })
+      : createFileStore({
+          dir: path.join(options.dir, namespace),
+          // Entries never expire, so there is nothing to sweep
+          checkPeriod: 0,
+        });
+  return { ...store, set: (key, value) => store.set(key, value) };
+};
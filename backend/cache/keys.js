@@ -0,0 +1,65 @@
+/**
+ * @file Cache key construction.
+ * Keys are built from the route path and every validated parameter so that
+ * requests differing in any parameter never share an entry, while trivially
+ * different inputs (nearby coordinates, query casing/whitespace) do.
+ * @module cache/keys
+ */
+
+/**
+ * Parameter names holding coordinates, which are snapped to a grid.
+ */
+const COORDINATE_PARAMS = new Set(["latitude", "longitude", "lat", "lng"]);
+
+/**
+ * Parameter names holding free-text location queries.
+ */
+const TEXT_PARAMS = new Set(["query"]);
+
+/**
+ * Snaps a coordinate to the nearest multiple of `grid` degrees.
+ * @param {number|string} value - Coordinate in decimal degrees.
+ * @param {number} grid - Grid size in degrees, e.g. 0.01 (about 1 km).
+ * @returns {string} The rounded coordinate, with as many decimals as `grid`.
+ */
+export const roundCoordinate = (value, grid) => {
+  const decimals = (String(grid).split(".")[1] || "").length;
+  const rounded = Math.round(Number(value) / grid) * grid;
+  // toFixed also turns -0 into "0.00", so both sides of zero share a key
+  return (rounded === 0 ? 0 : rounded).toFixed(decimals);
+};
+
+/**
+ * Normalizes a free-text query: trims, collapses whitespace and lower-cases.
+ * @param {string} value - The raw query.
+ * @returns {string} The normalized query.
+ */
+export const normalizeQuery = (value) =>
+  String(value).trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Builds a cache key from a route path and its validated parameters.
+ * Parameters are sorted by name and URI-encoded, so no combination of values
+ * can produce the same key as a different combination.
+ * @param {string} path - Route path, e.g. "/api/weather".
+ * @param {object} params - Validated parameters (from `matchedData`).
+ * @param {object} [options]
+ * @param {number} [options.coordinateGrid=0.01] - Grid size for coordinates, in degrees.
+ * @returns {string} The cache key, e.g.
+ *   "/api/weather?latitude=45.50&longitude=-73.57&timezone=America%2FToronto".
+ */
+export const buildCacheKey = (path, params, { coordinateGrid = 0.01 } = {}) => {
+  const parts = Object.keys(params)
+    .filter((name) => params[name] !== undefined)
+    .sort()
+    .map((name) => {
+      let value = params[name];
+      if (COORDINATE_PARAMS.has(name)) {
+        value = roundCoordinate(value, coordinateGrid);
+      } else if (TEXT_PARAMS.has(name)) {
+        value = normalizeQuery(value);
+      }
+      return `${encodeURIComponent(name)}=${encodeURIComponent(value)}`;
+    });
+  return `${path}?${parts.join("&")}`;
+};
@@ -0,0 +1,42 @@
+/**
+ * @file In-process cache store backed by NodeCache.
+ * Fast, but not shared between replicas and lost on restart.
+ * @module cache/memoryStore
+ */
+
+import NodeCache from "node-cache";
+
+/**
+ * Creates an in-memory cache store.
+ * When `maxKeys` is reached the oldest entry is evicted to make room instead
+ * of rejecting the write.
+ * @param {object} [options]
+ * @param {number} [options.maxKeys=1000] - Maximum number of entries.
+ * @returns {import('./index.js').CacheStore} The store.
+ */
+export const createMemoryStore = ({ maxKeys = 1000 } = {}) => {
+  const cache = new NodeCache({ checkperiod: 120, useClones: false });
+
+  return {
+    driver: "memory",
+    get: async (key) => cache.get(key),
+    set: async (key, value, ttl) => {
+      if (!cache.has(key) && cache.keys().length >= maxKeys) {
+        // NodeCache keeps insertion order, so the first key is the oldest
+        cache.del(cache.keys()[0]);
+      }
+      cache.set(key, value, ttl);
+    },
+    del: async (key) => {
+      cache.del(key);
+    },
+    keys: async () => cache.keys(),
+    clear: async () => {
+      cache.flushAll();
+    },
+    close: async () => {
+      // Stops the expiry check timer
+      cache.close();
+    },
+  };
+};
@@ -0,0 +1,167 @@
+/**
+ * @file Redis cache store.
+ * Works with any server speaking the Redis protocol (Redis, Valkey, KeyDB...),
+ * which lets several backend replicas share one cache.
+ * @module cache/redisStore
+ */
+
+import { createClient } from "redis";
+
+/**
+ * Reconnection attempts after a lost connection before the client gives up.
+ * The next operation then starts a new connection.
+ */
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+/**
+ * Longest delay between reconnection attempts, in milliseconds.
+ */
+const MAX_RECONNECT_DELAY_MS = 2000;
+
+/**
+ * Runs a promise against a deadline.
+ * @template T
+ * @param {Promise<T>} promise - The operation.
+ * @param {number} ms - Deadline in milliseconds.
+ * @returns {Promise<T>} The operation's result; rejects if the deadline passes first.
+ */
+const withTimeout = (promise, ms) => {
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Redis did not answer within ${ms} ms`)),
+      ms
+    );
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Creates a Redis cache store.
+ * Keys are prefixed with `prefix` so the store can share a database with
+ * other data; `keys` and `clear` only touch prefixed keys.
+ * An unavailable Redis never holds up a request: every operation is bounded by
+ * `timeoutMs`, commands are not queued while disconnected, `get` then resolves
+ * undefined (a miss) and `set` does nothing. `del`, `keys` and `clear` reject,
+ * so the admin API reports the failure. Durable stores hold user data rather
+ * than a cache, so their `get` and `set` reject too instead of losing data.
+ * @param {object} options
+ * @param {string} options.url - Redis connection URL, e.g. redis://redis:6379.
+ * @param {string} options.prefix - Prefix added to every key.
+ * @param {number} [options.timeoutMs=1000] - Deadline of each operation, including connecting.
+ * @param {boolean} [options.durable=false] - Reject failed reads and writes.
+ * @returns {import('./index.js').CacheStore} The store.
+ */
+export const createRedisStore = ({
+  url,
+  prefix,
+  timeoutMs = 1000,
+  durable = false,
+}) => {
+  const client = createClient({
+    url,
+    // Fail commands at once while disconnected instead of queueing them
+    disableOfflineQueue: true,
+    socket: {
+      connectTimeout: timeoutMs,
+      reconnectStrategy: (retries) =>
+        retries >= MAX_RECONNECT_ATTEMPTS
+          ? false
+          : Math.min(100 * 2 ** retries, MAX_RECONNECT_DELAY_MS),
+    },
+  });
+  // Log once per outage rather than on every reconnection attempt
+  let failing = false;
+  client.on("error", (error) => {
+    if (failing) return;
+    failing = true;
+    console.error("Redis error:", error.message);
+  });
+  client.on("ready", () => {
+    failing = false;
+  });
+  // Connect lazily so the server can start while Redis is still coming up,
+  // and again on the next operation once the client has given up reconnecting
+  let connecting = null;
+  let closed = false;
+  const connected = () => {
+    if (closed) return Promise.reject(new Error("Redis store is closed"));
+    if (!connecting || !client.isOpen) {
+      connecting = client.connect().catch((error) => {
+        connecting = null;
+        throw error;
+      });
+    }
+    return connecting;
+  };
+
+  /**
+   * Connects if needed and runs one operation, bounded by `timeoutMs`.
+   * @template T
+   * @param {() => Promise<T>} operation - The Redis commands to run.
+   * @returns {Promise<T>} The operation's result.
+   */
+  const run = (operation) =>
+    withTimeout(
+      connected().then(() => operation()),
+      timeoutMs
+    );
+
+  /**
+   * Collects all prefixed keys with SCAN (never KEYS, which blocks Redis).
+   * @returns {Promise<string[]>} Full Redis keys, including the prefix.
+   */
+  const scanKeys = () =>
+    run(async () => {
+      const found = [];
+      for await (const batch of client.scanIterator({
+        MATCH: `${prefix}*`,
+        COUNT: 100,
+      })) {
+        found.push(...batch);
+      }
+      return found;
+    });
+
+  return {
+    driver: "redis",
+    get: async (key) => {
+      let raw;
+      try {
+        raw = await run(() => client.get(prefix + key));
+      } catch (error) {
+        if (durable) throw error;
+        console.error(`Redis read failed for ${key}:`, error.message);
+        return undefined;
+      }
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    set: async (key, value, ttl) => {
+      try {
+        await run(() =>
+          client.set(
+            prefix + key,
+            JSON.stringify(value),
+            ttl ? { EX: ttl } : undefined
+          )
+        );
+      } catch (error) {
+        if (durable) throw error;
+        console.error(`Redis write failed for ${key}:`, error.message);
+      }
+    },
+    del: async (key) => {
+      await run(() => client.del(prefix + key));
+    },
+    keys: async () => (await scanKeys()).map((key) => key.slice(prefix.length)),
+    clear: async () => {
+      const keys = await scanKeys();
+      if (keys.length) await run(() => client.del(keys));
+    },
+    close: async () => {
+      closed = true;
+      // Also stops any reconnection attempt in progress
+      if (client.isOpen) client.destroy();
+    },
+  };
+};
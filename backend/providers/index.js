@@ -0,0 +1,88 @@
+/**
+ * @file Registry of weather providers.
+ * Each provider fetches a forecast from its upstream API and maps it into the
+ * schema documented in {@link module:providers/schema}. To add a provider,
+ * implement `getForecast` and `getCurrentBatch` and register its factory in `factories` below.
+ * @module providers
+ */
+
+import { createOpenMeteoProvider } from "./openMeteo.js";
+import { createMetNorwayProvider } from "./metNorway.js";
+import { createUpstreamGuard, isTransientError } from "../utils/resilience.js";
+
+/**
+ * Provider factories keyed by provider name.
+ * Each factory receives the full server config and picks its own options.
+ */
+const factories = {
+  "open-meteo": (config) => createOpenMeteoProvider(config.openMeteo),
+  "met-norway": (config) => createMetNorwayProvider(config.metNorway),
+};
+
+/**
+ * Names of all registered providers.
+ * @type {string[]}
+ */
+export const providerNames = Object.keys(factories);
+
+/**
+ * Creates the weather provider with the given name.
+ * @param {string} name - Provider name, e.g. "open-meteo".
+ * @param {object} config - Server configuration object.
+ * @returns {import('./schema.js').WeatherProvider} The provider.
+ * @throws {Error} If no provider with that name is registered.
+ */
+export const createProvider = (name, config) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown weather provider "${name}". Expected one of: ${providerNames.join(
+        ", "
+      )}`
+    );
+  }
+  return factory(config);
+};
+
+/**
+ * Creates a provider that tries each named provider in order.
+ * Every provider gets its own retry/circuit-breaker guard; when one fails with
+ * a transient error (timeout, network, 5xx or open circuit) the next one is
+ * tried. Non-transient errors such as a 400 are returned immediately.
+ * @param {string[]} names - Provider names, primary first.
+ * @param {object} config - Server configuration object.
+ * @param {object} [guardOptions] - Options for {@link createUpstreamGuard}.
+ * @returns {import('./schema.js').WeatherProvider & {guards: object[]}} The
+ *   failover provider. `guards` exposes each provider's guard.
+ */
+export const createFailoverProvider = (names, config, guardOptions = {}) => {
+  const chain = names.map((name) => ({
+    provider: createProvider(name, config),
+    guard: createUpstreamGuard(name, guardOptions),
+  }));
+  /**
+   * Calls a provider method on each provider in turn until one succeeds.
+   * @param {string} method - Provider method name, e.g. "getForecast".
+   * @param {*} arg - Argument passed to the method.
+   * @returns {Promise<*>} The first successful result.
+   */
+  const callInOrder = async (method, arg) => {
+    let lastError;
+    for (const { provider, guard } of chain) {
+      try {
+        return await guard.call(() => provider[method](arg));
+      } catch (err) {
+        if (!isTransientError(err)) throw err;
+        console.warn(`Weather provider ${provider.name} failed:`, err.message);
+        lastError = err;
+      }
+    }
+    throw lastError;
+  };
+  return {
+    name: names.join(","),
+    guards: chain.map(({ guard }) => guard),
+    getForecast: (params) => callInOrder("getForecast", params),
+    getCurrentBatch: (points) => callInOrder("getCurrentBatch", points),
+  };
+};
@@ -0,0 +1,345 @@
+/**
+ * @file MET Norway (api.met.no) Locationforecast 2.0 provider.
+ * MET Norway only returns instant values in UTC, so local times and the daily
+ * series are derived here. Fields it does not provide are left `null`.
+ * @module providers/metNorway
+ */
+
+import axios from "axios";
+import { UNITS } from "./schema.js";
+
+// MET Norway reports wind in m/s; the schema uses km/h
+const MS_TO_KMH = 3.6;
+
+/**
+ * Maps MET Norway symbol codes (without the _day/_night suffix) to WMO codes.
+ */
+const symbolToWmo = {
+  clearsky: 0,
+  fair: 1,
+  partlycloudy: 2,
+  cloudy: 3,
+  fog: 45,
+  lightrain: 61,
+  rain: 63,
+  heavyrain: 65,
+  lightrainshowers: 80,
+  rainshowers: 81,
+  heavyrainshowers: 82,
+  lightsleet: 66,
+  sleet: 67,
+  heavysleet: 67,
+  lightsleetshowers: 66,
+  sleetshowers: 67,
+  heavysleetshowers: 67,
+  lightsnow: 71,
+  snow: 73,
+  heavysnow: 75,
+  lightsnowshowers: 85,
+  snowshowers: 85,
+  heavysnowshowers: 86,
+};
+
+/**
+ * Converts a MET Norway symbol code to a WMO code and day flag.
+ * Any thunder variant maps to WMO 95.
+ * @param {string|undefined} symbolCode - e.g. "lightrainshowers_day".
+ * @returns {{weatherCode: number|null, isDay: number|null}}
+ */
+const parseSymbol = (symbolCode) => {
+  if (!symbolCode) return { weatherCode: null, isDay: null };
+  const [symbol, variant] = symbolCode.split("_");
+  const isDay = variant === "night" ? 0 : 1;
+  if (symbol.includes("thunder")) return { weatherCode: 95, isDay };
+  return {
+    weatherCode: symbolToWmo[symbol] !== undefined ? symbolToWmo[symbol] : null,
+    isDay,
+  };
+};
+
+/**
+ * Formats a UTC timestamp as a local `YYYY-MM-DDTHH:mm` string.
+ * @param {string} isoTime - UTC ISO timestamp.
+ * @param {string} timeZone - IANA timezone name.
+ * @returns {string} Local time string.
+ */
+const toLocalTime = (isoTime, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(new Date(isoTime))
+      .map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+/**
+ * Returns a value or `null` when undefined.
+ * @param {*} value
+ * @returns {*}
+ */
+const orNull = (value) => (value === undefined ? null : value);
+
+/**
+ * Multiplies a value if it is a number.
+ * @param {number|undefined} value
+ * @param {number} factor
+ * @returns {number|null}
+ */
+const scale = (value, factor) =>
+  typeof value === "number" ? value * factor : null;
+
+/**
+ * Returns the max of the non-null values, or `null` if there are none.
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+const maxOf = (values) => {
+  const present = values.filter((v) => v !== null);
+  return present.length ? Math.max(...present) : null;
+};
+
+/**
+ * Returns the min of the non-null values, or `null` if there are none.
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+const minOf = (values) => {
+  const present = values.filter((v) => v !== null);
+  return present.length ? Math.min(...present) : null;
+};
+
+/**
+ * Returns the vector-mean direction of the non-null values, in degrees.
+ * @param {Array<number|null>} directions
+ * @returns {number|null}
+ */
+const dominantDirection = (directions) => {
+  const present = directions.filter((d) => d !== null);
+  if (!present.length) return null;
+  let x = 0;
+  let y = 0;
+  for (const d of present) {
+    x += Math.cos((d * Math.PI) / 180);
+    y += Math.sin((d * Math.PI) / 180);
+  }
+  return Math.round(((Math.atan2(y, x) * 180) / Math.PI + 360) % 360);
+};
+
+/**
+ * Converts one timeseries entry into a flat row in schema units.
+ * @param {object} entry - A `properties.timeseries` item.
+ * @param {string} timezone - IANA timezone name.
+ * @returns {object} Flat row.
+ */
+const toRow = (entry, timezone) => {
+  const instant = (entry.data.instant && entry.data.instant.details) || {};
+  const period = entry.data.next_1_hours || entry.data.next_6_hours || {};
+  const periodDetails = period.details || {};
+  const { weatherCode, isDay } = parseSymbol(
+    period.summary && period.summary.symbol_code
+  );
+  return {
+    time: toLocalTime(entry.time, timezone),
+    hasHourlyPeriod: Boolean(entry.data.next_1_hours),
+    periodHours: entry.data.next_1_hours ? 1 : 6,
+    temperature: orNull(instant.air_temperature),
+    humidity: orNull(instant.relative_humidity),
+    dewPoint: orNull(instant.dew_point_temperature),
+    precipitationProbability: orNull(
+      periodDetails.probability_of_precipitation
+    ),
+    precipitation: orNull(periodDetails.precipitation_amount),
+    weatherCode,
+    pressureMsl: orNull(instant.air_pressure_at_sea_level),
+    cloudCover: orNull(instant.cloud_area_fraction),
+    windSpeed: scale(instant.wind_speed, MS_TO_KMH),
+    windDirection: orNull(instant.wind_from_direction),
+    windGusts: scale(instant.wind_speed_of_gust, MS_TO_KMH),
+    uvIndex: orNull(instant.ultraviolet_index_clear_sky),
+    isDay,
+  };
+};
+
+/**
+ * Builds daily aggregates from rows grouped by local date.
+ * @param {object[]} rows - Rows produced by {@link toRow}.
+ * @returns {import('./schema.js').DailySeries} Daily series.
+ */
+const toDaily = (rows) => {
+  const days = new Map();
+  for (const row of rows) {
+    const date = row.time.slice(0, 10);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(row);
+  }
+  const daily = {
+    time: [],
+    weatherCode: [],
+    temperatureMax: [],
+    temperatureMin: [],
+    apparentTemperatureMax: [],
+    apparentTemperatureMin: [],
+    sunrise: [],
+    sunset: [],
+    daylightDuration: [],
+    sunshineDuration: [],
+    uvIndexMax: [],
+    rainSum: [],
+    showersSum: [],
+    snowfallSum: [],
+    precipitationSum: [],
+    precipitationHours: [],
+    precipitationProbabilityMax: [],
+    windSpeedMax: [],
+    windGustsMax: [],
+    windDirectionDominant: [],
+  };
+  for (const [date, dayRows] of days) {
+    const wet = dayRows.filter((r) => r.precipitation > 0);
+    daily.time.push(date);
+    daily.weatherCode.push(maxOf(dayRows.map((r) => r.weatherCode)));
+    daily.temperatureMax.push(maxOf(dayRows.map((r) => r.temperature)));
+    daily.temperatureMin.push(minOf(dayRows.map((r) => r.temperature)));
+    daily.apparentTemperatureMax.push(null);
+    daily.apparentTemperatureMin.push(null);
+    daily.sunrise.push(null);
+    daily.sunset.push(null);
+    daily.daylightDuration.push(null);
+    daily.sunshineDuration.push(null);
+    daily.uvIndexMax.push(maxOf(dayRows.map((r) => r.uvIndex)));
+    daily.rainSum.push(null);
+    daily.showersSum.push(null);
+    daily.snowfallSum.push(null);
+    daily.precipitationSum.push(
+      dayRows.reduce((sum, r) => sum + (r.precipitation || 0), 0)
+    );
+    daily.precipitationHours.push(
+      wet.reduce((sum, r) => sum + r.periodHours, 0)
+    );
+    daily.precipitationProbabilityMax.push(
+      maxOf(dayRows.map((r) => r.precipitationProbability))
+    );
+    daily.windSpeedMax.push(maxOf(dayRows.map((r) => r.windSpeed)));
+    daily.windGustsMax.push(maxOf(dayRows.map((r) => r.windGusts)));
+    daily.windDirectionDominant.push(
+      dominantDirection(dayRows.map((r) => r.windDirection))
+    );
+  }
+  return daily;
+};
+
+/**
+ * Converts a raw MET Norway Locationforecast response into the normalized schema.
+ * Only the hourly-resolution part of the timeseries is used for the hourly
+ * series; the coarser six-hour tail still contributes to the daily series.
+ * @param {object} data - Response body from the Locationforecast API.
+ * @param {import('./schema.js').ForecastParams} params - Request parameters.
+ * @returns {import('./schema.js').Forecast} Normalized forecast.
+ */
+export const toForecast = (data, { latitude, longitude, timezone }) => {
+  const timeseries = (data.properties && data.properties.timeseries) || [];
+  const rows = timeseries.map((entry) => toRow(entry, timezone));
+  const hourlyRows = rows.filter((r) => r.hasHourlyPeriod);
+  const column = (name) => hourlyRows.map((r) => r[name]);
+  const nulls = () => hourlyRows.map(() => null);
+  const first = rows[0] || {};
+  const [lon, lat] = (data.geometry && data.geometry.coordinates) || [
+    longitude,
+    latitude,
+  ];
+
+  return {
+    provider: "met-norway",
+    latitude: lat,
+    longitude: lon,
+    timezone,
+    units: UNITS,
+    current: {
+      time: orNull(first.time),
+      temperature: orNull(first.temperature),
+      apparentTemperature: null,
+      humidity: orNull(first.humidity),
+      isDay: orNull(first.isDay),
+      precipitation: orNull(first.precipitation),
+      rain: null,
+      snowfall: null,
+      showers: null,
+      weatherCode: orNull(first.weatherCode),
+      cloudCover: orNull(first.cloudCover),
+      pressureMsl: orNull(first.pressureMsl),
+      surfacePressure: null,
+      windGusts: orNull(first.windGusts),
+      windDirection: orNull(first.windDirection),
+      windSpeed: orNull(first.windSpeed),
+    },
+    hourly: {
+      time: column("time"),
+      temperature: column("temperature"),
+      humidity: column("humidity"),
+      dewPoint: column("dewPoint"),
+      apparentTemperature: nulls(),
+      precipitationProbability: column("precipitationProbability"),
+      precipitation: column("precipitation"),
+      rain: nulls(),
+      showers: nulls(),
+      snowfall: nulls(),
+      weatherCode: column("weatherCode"),
+      pressureMsl: column("pressureMsl"),
+      surfacePressure: nulls(),
+      cloudCover: column("cloudCover"),
+      visibility: nulls(),
+      windSpeed: column("windSpeed"),
+      windDirection: column("windDirection"),
+      windGusts: column("windGusts"),
+      uvIndex: column("uvIndex"),
+      isDay: column("isDay"),
+    },
+    daily: toDaily(rows),
+    // The Locationforecast API has no past data
+    yesterday: null,
+  };
+};
+
+/**
+ * Creates a MET Norway provider.
+ * MET Norway's terms require an identifying User-Agent on every request.
+ * @param {object} options
+ * @param {string} options.url - Locationforecast endpoint URL.
+ * @param {string} options.userAgent - User-Agent header to send.
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds.
+ * @returns {import('./schema.js').WeatherProvider} The provider.
+ */
+export const createMetNorwayProvider = ({ url, userAgent, timeoutMs }) => {
+  const getForecast = async (params) => {
+    const response = await axios.get(url, {
+      params: {
+        // The API rejects coordinates with more than four decimals
+        lat: Number(params.latitude).toFixed(4),
+        lon: Number(params.longitude).toFixed(4),
+      },
+      headers: { "User-Agent": userAgent },
+      timeout: timeoutMs,
+    });
+    return toForecast(response.data, params);
+  };
+  return {
+    name: "met-norway",
+    getForecast,
+    // The API has no batch request, so each point is fetched on its own
+    getCurrentBatch: (points) =>
+      Promise.all(
+        points.map(async (point) => ({
+          ...point,
+          ...(await getForecast({ ...point, timezone: "UTC" })).current,
+        }))
+      ),
+  };
+};
@@ -0,0 +1,214 @@
+/**
+ * @file Open-Meteo forecast provider.
+ * @module providers/openMeteo
+ */
+
+import axios from "axios";
+import { UNITS } from "./schema.js";
+
+/**
+ * Normalized current-condition fields mapped to Open-Meteo variable names.
+ */
+const CURRENT_FIELDS = {
+  temperature: "temperature_2m",
+  apparentTemperature: "apparent_temperature",
+  humidity: "relative_humidity_2m",
+  isDay: "is_day",
+  precipitation: "precipitation",
+  rain: "rain",
+  snowfall: "snowfall",
+  showers: "showers",
+  weatherCode: "weather_code",
+  cloudCover: "cloud_cover",
+  pressureMsl: "pressure_msl",
+  surfacePressure: "surface_pressure",
+  windGusts: "wind_gusts_10m",
+  windDirection: "wind_direction_10m",
+  windSpeed: "wind_speed_10m",
+};
+
+/**
+ * Normalized hourly fields mapped to Open-Meteo variable names.
+ */
+export const HOURLY_FIELDS = {
+  temperature: "temperature_2m",
+  humidity: "relative_humidity_2m",
+  dewPoint: "dew_point_2m",
+  apparentTemperature: "apparent_temperature",
+  precipitationProbability: "precipitation_probability",
+  precipitation: "precipitation",
+  rain: "rain",
+  showers: "showers",
+  snowfall: "snowfall",
+  weatherCode: "weather_code",
+  pressureMsl: "pressure_msl",
+  surfacePressure: "surface_pressure",
+  cloudCover: "cloud_cover",
+  visibility: "visibility",
+  windSpeed: "wind_speed_10m",
+  windDirection: "wind_direction_10m",
+  windGusts: "wind_gusts_10m",
+  uvIndex: "uv_index",
+  isDay: "is_day",
+};
+
+/**
+ * Normalized daily fields mapped to Open-Meteo variable names.
+ */
+export const DAILY_FIELDS = {
+  weatherCode: "weather_code",
+  temperatureMax: "temperature_2m_max",
+  temperatureMin: "temperature_2m_min",
+  sunset: "sunset",
+  sunrise: "sunrise",
+  daylightDuration: "daylight_duration",
+  uvIndexMax: "uv_index_max",
+  apparentTemperatureMax: "apparent_temperature_max",
+  apparentTemperatureMin: "apparent_temperature_min",
+  rainSum: "rain_sum",
+  showersSum: "showers_sum",
+  snowfallSum: "snowfall_sum",
+  precipitationSum: "precipitation_sum",
+  precipitationHours: "precipitation_hours",
+  precipitationProbabilityMax: "precipitation_probability_max",
+  windSpeedMax: "wind_speed_10m_max",
+  windGustsMax: "wind_gusts_10m_max",
+  windDirectionDominant: "wind_direction_10m_dominant",
+  sunshineDuration: "sunshine_duration",
+};
+
+/**
+ * Picks and renames fields from an Open-Meteo section.
+ * Missing values become `null` (or an array of `null` for series).
+ * @param {object} [section={}] - Open-Meteo `current`, `hourly` or `daily` object.
+ * @param {object} fields - Map of normalized name to Open-Meteo name.
+ * @param {number} [length] - Series length; omit for scalar sections.
+ * @returns {object} The renamed section.
+ */
+export const mapSection = (section = {}, fields, length) => {
+  const mapped = {};
+  for (const [name, source] of Object.entries(fields)) {
+    if (section[source] !== undefined) {
+      mapped[name] = section[source];
+    } else {
+      mapped[name] = length === undefined ? null : Array(length).fill(null);
+    }
+  }
+  return mapped;
+};
+
+/**
+ * Past days requested with every forecast, so that yesterday can be compared
+ * with today without a separate archive request.
+ */
+export const PAST_DAYS = 1;
+
+/**
+ * Removes the first `count` entries from every series of a section.
+ * @param {object} section - Normalized hourly or daily section.
+ * @param {number} count - Number of entries to remove.
+ * @returns {object} The section without them.
+ */
+const dropLeading = (section, count) =>
+  Object.fromEntries(
+    Object.entries(section).map(([name, values]) => [name, values.slice(count)])
+  );
+
+/**
+ * Converts a raw Open-Meteo forecast response into the normalized schema.
+ * Past days requested with `past_days` are taken out of the hourly and daily
+ * series, so that both still start today; the last of them is returned as
+ * `yesterday`.
+ * @param {object} data - Response body from the Open-Meteo forecast API.
+ * @param {object} [options]
+ * @param {number} [options.pastDays=0] - The `past_days` of the request.
+ * @returns {import('./schema.js').Forecast} Normalized forecast.
+ */
+export const toForecast = (data, { pastDays = 0 } = {}) => {
+  const hourlyData = data.hourly || { time: [] };
+  const dailyData = data.daily || { time: [] };
+  const hourly = {
+    time: hourlyData.time,
+    ...mapSection(hourlyData, HOURLY_FIELDS, hourlyData.time.length),
+  };
+  const daily = {
+    time: dailyData.time,
+    ...mapSection(dailyData, DAILY_FIELDS, dailyData.time.length),
+  };
+  const pastDates = daily.time.slice(0, pastDays);
+  const pastHours = hourly.time.filter((time) =>
+    pastDates.includes(time.slice(0, 10))
+  ).length;
+  const yesterday = pastDates.length
+    ? Object.fromEntries(
+        Object.entries(daily).map(([name, values]) => [
+          name,
+          values[pastDates.length - 1],
+        ])
+      )
+    : null;
+  return {
+    provider: "open-meteo",
+    latitude: data.latitude,
+    longitude: data.longitude,
+    timezone: data.timezone,
+    units: UNITS,
+    current: {
+      time: data.current ? data.current.time : null,
+      ...mapSection(data.current, CURRENT_FIELDS),
+    },
+    hourly: dropLeading(hourly, pastHours),
+    daily: dropLeading(daily, pastDates.length),
+    yesterday,
+  };
+};
+
+/**
+ * Creates an Open-Meteo provider.
+ * @param {object} options
+ * @param {string} options.url - Forecast endpoint URL.
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds.
+ * @returns {import('./schema.js').WeatherProvider} The provider.
+ */
+export const createOpenMeteoProvider = ({ url, timeoutMs }) => ({
+  name: "open-meteo",
+  // Open-Meteo accepts lists of coordinates and answers with one result each
+  getCurrentBatch: async (points) => {
+    const response = await axios.get(url, {
+      params: {
+        latitude: points.map((point) => point.latitude).join(","),
+        longitude: points.map((point) => point.longitude).join(","),
+        current: Object.values(CURRENT_FIELDS).join(","),
+        wind_speed_unit: "kmh",
+        temperature_unit: "celsius",
+        precipitation_unit: "mm",
+        timezone: "UTC",
+      },
+      timeout: timeoutMs,
+    });
+    // A single point comes back as an object rather than a list
+    return [].concat(response.data).map((data, index) => ({
+      ...points[index],
+      time: data.current ? data.current.time : null,
+      ...mapSection(data.current, CURRENT_FIELDS),
+    }));
+  },
+  getForecast: async ({ latitude, longitude, timezone }) => {
+    const response = await axios.get(url, {
+      params: {
+        latitude,
+        longitude,
+        daily: Object.values(DAILY_FIELDS).join(","),
+        hourly: Object.values(HOURLY_FIELDS).join(","),
+        current: Object.values(CURRENT_FIELDS).join(","),
+        wind_speed_unit: "kmh",
+        temperature_unit: "celsius",
+        precipitation_unit: "mm",
+        timezone,
+        past_days: PAST_DAYS,
+      },
+      timeout: timeoutMs,
+    });
+    return toForecast(response.data, { pastDays: PAST_DAYS });
+  },
+});
@@ -0,0 +1,78 @@
+/**
+ * @file Open-Meteo air quality API client.
+ * @module providers/openMeteoAirQuality
+ */
+
+import axios from "axios";
+import { AIR_QUALITY_UNITS } from "./schema.js";
+import { mapSection } from "./openMeteo.js";
+
+/**
+ * Normalized air quality fields mapped to Open-Meteo variable names.
+ * The same variables are requested for `current` and `hourly`.
+ */
+const AIR_QUALITY_FIELDS = {
+  usAqi: "us_aqi",
+  europeanAqi: "european_aqi",
+  pm25: "pm2_5",
+  pm10: "pm10",
+  ozone: "ozone",
+  nitrogenDioxide: "nitrogen_dioxide",
+  alderPollen: "alder_pollen",
+  birchPollen: "birch_pollen",
+  grassPollen: "grass_pollen",
+  mugwortPollen: "mugwort_pollen",
+  olivePollen: "olive_pollen",
+  ragweedPollen: "ragweed_pollen",
+};
+
+/**
+ * Converts a raw Open-Meteo air quality response into the normalized schema.
+ * @param {object} data - Response body from the Open-Meteo air quality API.
+ * @returns {import('./schema.js').AirQuality} Normalized air quality.
+ */
+export const toAirQuality = (data) => {
+  const hourly = data.hourly || { time: [] };
+  return {
+    provider: "open-meteo-air-quality",
+    latitude: data.latitude,
+    longitude: data.longitude,
+    timezone: data.timezone,
+    units: AIR_QUALITY_UNITS,
+    current: {
+      time: data.current ? data.current.time : null,
+      ...mapSection(data.current, AIR_QUALITY_FIELDS),
+    },
+    hourly: {
+      time: hourly.time,
+      ...mapSection(hourly, AIR_QUALITY_FIELDS, hourly.time.length),
+    },
+  };
+};
+
+/**
+ * Creates an Open-Meteo air quality client.
+ * @param {object} options
+ * @param {string} options.url - Air quality endpoint URL.
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds.
+ * @returns {{name: string, getAirQuality: (params: import('./schema.js').ForecastParams) => Promise<import('./schema.js').AirQuality>}}
+ *   The client.
+ */
+export const createOpenMeteoAirQuality = ({ url, timeoutMs }) => ({
+  name: "open-meteo-air-quality",
+  getAirQuality: async ({ latitude, longitude, timezone }) => {
+    const variables = Object.values(AIR_QUALITY_FIELDS).join(",");
+    const response = await axios.get(url, {
+      params: {
+        latitude,
+        longitude,
+        current: variables,
+        hourly: variables,
+        forecast_days: 3,
+        timezone,
+      },
+      timeout: timeoutMs,
+    });
+    return toAirQuality(response.data);
+  },
+});
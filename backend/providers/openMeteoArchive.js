@@ -0,0 +1,118 @@
+/**
+ * @file Open-Meteo historical weather (archive) API client.
+ * The archive serves the same response shape as the forecast API for past
+ * date ranges, so responses are normalized with the forecast field maps.
+ * @module providers/openMeteoArchive
+ */
+
+import axios from "axios";
+import { UNITS } from "./schema.js";
+import { DAILY_FIELDS, HOURLY_FIELDS, mapSection } from "./openMeteo.js";
+
+/**
+ * Normalized hourly fields the archive records. Forecast-only fields such as
+ * precipitation probability, visibility and UV index are left out, because
+ * the archive rejects requests for them.
+ */
+const ARCHIVE_HOURLY = [
+  "temperature",
+  "humidity",
+  "dewPoint",
+  "apparentTemperature",
+  "precipitation",
+  "rain",
+  "snowfall",
+  "weatherCode",
+  "pressureMsl",
+  "surfacePressure",
+  "cloudCover",
+  "windSpeed",
+  "windDirection",
+  "windGusts",
+  "isDay",
+];
+
+/**
+ * Normalized daily fields the archive records.
+ */
+const ARCHIVE_DAILY = [
+  "weatherCode",
+  "temperatureMax",
+  "temperatureMin",
+  "apparentTemperatureMax",
+  "apparentTemperatureMin",
+  "sunrise",
+  "sunset",
+  "daylightDuration",
+  "sunshineDuration",
+  "rainSum",
+  "snowfallSum",
+  "precipitationSum",
+  "precipitationHours",
+  "windSpeedMax",
+  "windGustsMax",
+  "windDirectionDominant",
+];
+
+/**
+ * Converts a raw Open-Meteo archive response into the normalized schema.
+ * @param {object} data - Response body from the Open-Meteo archive API.
+ * @param {import('./schema.js').HistoryParams} params - The requested range.
+ * @returns {import('./schema.js').History} Normalized history.
+ */
+export const toHistory = (data, { startDate, endDate }) => {
+  const daily = data.daily || { time: [] };
+  return {
+    provider: "open-meteo-archive",
+    latitude: data.latitude,
+    longitude: data.longitude,
+    timezone: data.timezone,
+    units: UNITS,
+    startDate,
+    endDate,
+    hourly: data.hourly
+      ? {
+          time: data.hourly.time,
+          ...mapSection(data.hourly, HOURLY_FIELDS, data.hourly.time.length),
+        }
+      : null,
+    daily: {
+      time: daily.time,
+      ...mapSection(daily, DAILY_FIELDS, daily.time.length),
+    },
+  };
+};
+
+/**
+ * Creates an Open-Meteo archive client.
+ * @param {object} options
+ * @param {string} options.url - Archive endpoint URL.
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds.
+ * @returns {{name: string, getHistory: (params: import('./schema.js').HistoryParams) => Promise<import('./schema.js').History>}}
+ *   The client.
+ */
+export const createOpenMeteoArchive = ({ url, timeoutMs }) => ({
+  name: "open-meteo-archive",
+  getHistory: async (params) => {
+    const { latitude, longitude, timezone, startDate, endDate, hourly } =
+      params;
+    const response = await axios.get(url, {
+      params: {
+        latitude,
+        longitude,
+        start_date: startDate,
+        end_date: endDate,
+        daily: ARCHIVE_DAILY.map((name) => DAILY_FIELDS[name]).join(","),
+        hourly: hourly
+          ? ARCHIVE_HOURLY.map((name) => HOURLY_FIELDS[name]).join(",")
+          : undefined,
+        wind_speed_unit: "kmh",
+        temperature_unit: "celsius",
+        precipitation_unit: "mm",
+        timezone,
+      },
+      timeout: timeoutMs,
+    });
+    return toHistory(response.data, params);
+  },
+});
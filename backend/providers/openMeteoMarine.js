@@ -0,0 +1,148 @@
+/**
+ * @file Open-Meteo marine forecast API client.
+ * The marine model only covers the sea, so for inland points every value is
+ * null; that doubles as the probe for whether a location is coastal.
+ * A town on the shore often falls in a land cell of the model's grid, so the
+ * point is sampled together with its neighbourhood (see
+ * {@link getSamplePoints}) rather than on its own.
+ * @module providers/openMeteoMarine
+ */
+
+import axios from "axios";
+import { MARINE_UNITS } from "./schema.js";
+import { mapSection } from "./openMeteo.js";
+
+/**
+ * Normalized marine fields mapped to Open-Meteo variable names.
+ * The same variables are requested for `current` and `hourly`.
+ */
+const MARINE_FIELDS = {
+  waveHeight: "wave_height",
+  waveDirection: "wave_direction",
+  wavePeriod: "wave_period",
+  swellWaveHeight: "swell_wave_height",
+  swellWaveDirection: "swell_wave_direction",
+  swellWavePeriod: "swell_wave_period",
+  seaSurfaceTemperature: "sea_surface_temperature",
+  seaLevelHeight: "sea_level_height_msl",
+};
+
+/**
+ * Distance from the requested point to each neighbourhood sample, in
+ * kilometres. Roughly one cell of the coarsest marine grid, so a point on the
+ * shore reaches the first sea cell.
+ */
+export const COASTAL_SAMPLE_DISTANCE_KM = 10;
+
+// Kilometres per degree of latitude
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Returns the points sampled for a location: the point itself first, then
+ * one {@link COASTAL_SAMPLE_DISTANCE_KM} to the north, east, south and west.
+ * @param {number} latitude - Latitude in decimal degrees.
+ * @param {number} longitude - Longitude in decimal degrees.
+ * @returns {{latitude: number, longitude: number}[]} The sample points.
+ */
+export const getSamplePoints = (latitude, longitude) => {
+  const dLat = COASTAL_SAMPLE_DISTANCE_KM / KM_PER_DEGREE;
+  // Degrees of longitude shrink towards the poles; cap the offset there
+  const dLng = Math.min(
+    dLat / Math.max(Math.cos((latitude * Math.PI) / 180), 0.01),
+    1
+  );
+  const clampLatitude = (value) => Math.min(90, Math.max(-90, value));
+  const wrapLongitude = (value) => ((((value + 180) % 360) + 360) % 360) - 180;
+  return [
+    { latitude, longitude },
+    { latitude: clampLatitude(latitude + dLat), longitude },
+    { latitude, longitude: wrapLongitude(longitude + dLng) },
+    { latitude: clampLatitude(latitude - dLat), longitude },
+    { latitude, longitude: wrapLongitude(longitude - dLng) },
+  ];
+};
+
+/**
+ * Checks whether a normalized section holds any value at all.
+ * @param {object} section - Normalized `current` or `hourly` section.
+ * @returns {boolean} True if some field has a non-null value.
+ */
+const hasData = (section) =>
+  Object.keys(MARINE_FIELDS).some((name) =>
+    Array.isArray(section[name])
+      ? section[name].some((value) => value !== null)
+      : section[name] !== null
+  );
+
+/**
+ * Converts a raw Open-Meteo marine response for one point into the
+ * normalized schema.
+ * @param {object} data - One location of the Open-Meteo marine response.
+ * @returns {import('./schema.js').MarineForecast} Normalized marine forecast.
+ */
+export const toMarineForecast = (data) => {
+  const hourly = data.hourly || { time: [] };
+  const current = {
+    time: data.current ? data.current.time : null,
+    ...mapSection(data.current, MARINE_FIELDS),
+  };
+  const hourlySeries = {
+    time: hourly.time,
+    ...mapSection(hourly, MARINE_FIELDS, hourly.time.length),
+  };
+  return {
+    provider: "open-meteo-marine",
+    latitude: data.latitude,
+    longitude: data.longitude,
+    timezone: data.timezone,
+    units: MARINE_UNITS,
+    coastal: hasData(current) || hasData(hourlySeries),
+    current,
+    hourly: hourlySeries,
+  };
+};
+
+/**
+ * Picks the forecast shown for a location from its samples.
+ * The location is coastal when the marine model has data at any sample; the
+ * point's own data is used when it has some, otherwise the first neighbour's
+ * that does. Inland locations get the point's (empty) forecast.
+ * @param {object|object[]} data - Response body, an array when several points
+ *   were requested, in the order of {@link getSamplePoints}.
+ * @returns {import('./schema.js').MarineForecast} Normalized marine forecast.
+ */
+export const selectMarineForecast = (data) => {
+  const forecasts = (Array.isArray(data) ? data : [data]).map(toMarineForecast);
+  return forecasts.find((forecast) => forecast.coastal) || forecasts[0];
+};
+
+/**
+ * Creates an Open-Meteo marine client.
+ * @param {object} options
+ * @param {string} options.url - Marine endpoint URL.
+ * @param {number} [options.timeoutMs] - Request timeout in milliseconds.
+ * @returns {{name: string, getMarineForecast: (params: import('./schema.js').ForecastParams) => Promise<import('./schema.js').MarineForecast>}}
+ *   The client.
+ */
+export const createOpenMeteoMarine = ({ url, timeoutMs }) => ({
+  name: "open-meteo-marine",
+  getMarineForecast: async ({ latitude, longitude, timezone }) => {
+    const variables = Object.values(MARINE_FIELDS).join(",");
+    // All samples go in one request; Open-Meteo answers with one entry each
+    const samples = getSamplePoints(latitude, longitude);
+    const response = await axios.get(url, {
+      params: {
+        latitude: samples.map((sample) => sample.latitude.toFixed(4)).join(","),
+        longitude: samples
+          .map((sample) => sample.longitude.toFixed(4))
+          .join(","),
+        current: variables,
+        hourly: variables,
+        forecast_days: 3,
+        timezone,
+      },
+      timeout: timeoutMs,
+    });
+    return selectMarineForecast(response.data);
+  },
+});
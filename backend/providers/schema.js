@@ -0,0 +1,245 @@
+/**
+ * @file Normalized forecast schema shared by every weather provider.
+ * Providers translate their upstream payload into this shape so the frontend
+ * never depends on a specific API's field names.
+ * @module providers/schema
+ *
+ * All values use the units in {@link UNITS}. Times are local to the requested
+ * timezone and formatted as `YYYY-MM-DDTHH:mm` (hourly/current) or
+ * `YYYY-MM-DD` (daily). Weather codes are WMO codes. Any value a provider
+ * cannot supply is `null`.
+ */
+
+/**
+ * Units used by every numeric field of a normalized forecast.
+ */
+export const UNITS = {
+  temperature: "°C",
+  speed: "km/h",
+  direction: "°",
+  precipitation: "mm",
+  probability: "%",
+  humidity: "%",
+  cloudCover: "%",
+  pressure: "hPa",
+  visibility: "m",
+  duration: "s",
+};
+
+/**
+ * Units of the normalized air quality data. AQI values are unitless.
+ */
+export const AIR_QUALITY_UNITS = {
+  concentration: "μg/m³",
+  pollen: "grains/m³",
+};
+
+/**
+ * Units of the normalized marine data.
+ */
+export const MARINE_UNITS = {
+  height: "m",
+  direction: "°",
+  period: "s",
+  temperature: "°C",
+};
+
+/**
+ * @typedef {object} ForecastParams
+ * @property {number} latitude - Latitude in decimal degrees.
+ * @property {number} longitude - Longitude in decimal degrees.
+ * @property {string} timezone - IANA timezone name used for local times.
+ */
+
+/**
+ * @typedef {object} CurrentConditions
+ * @property {string} time
+ * @property {number|null} temperature
+ * @property {number|null} apparentTemperature
+ * @property {number|null} humidity
+ * @property {number|null} isDay - 1 for day, 0 for night.
+ * @property {number|null} precipitation
+ * @property {number|null} rain
+ * @property {number|null} showers
+ * @property {number|null} snowfall
+ * @property {number|null} weatherCode
+ * @property {number|null} cloudCover
+ * @property {number|null} pressureMsl
+ * @property {number|null} surfacePressure
+ * @property {number|null} windSpeed
+ * @property {number|null} windDirection
+ * @property {number|null} windGusts
+ */
+
+/**
+ * Hourly series. Every property is an array aligned with `time`.
+ * @typedef {object} HourlySeries
+ * @property {string[]} time
+ * @property {Array<number|null>} temperature
+ * @property {Array<number|null>} humidity
+ * @property {Array<number|null>} dewPoint
+ * @property {Array<number|null>} apparentTemperature
+ * @property {Array<number|null>} precipitationProbability
+ * @property {Array<number|null>} precipitation
+ * @property {Array<number|null>} rain
+ * @property {Array<number|null>} showers
+ * @property {Array<number|null>} snowfall
+ * @property {Array<number|null>} weatherCode
+ * @property {Array<number|null>} pressureMsl
+ * @property {Array<number|null>} surfacePressure
+ * @property {Array<number|null>} cloudCover
+ * @property {Array<number|null>} visibility
+ * @property {Array<number|null>} windSpeed
+ * @property {Array<number|null>} windDirection
+ * @property {Array<number|null>} windGusts
+ * @property {Array<number|null>} uvIndex
+ * @property {Array<number|null>} isDay
+ */
+
+/**
+ * Daily series. Every property is an array aligned with `time`.
+ * @typedef {object} DailySeries
+ * @property {string[]} time
+ * @property {Array<number|null>} weatherCode
+ * @property {Array<number|null>} temperatureMax
+ * @property {Array<number|null>} temperatureMin
+ * @property {Array<number|null>} apparentTemperatureMax
+ * @property {Array<number|null>} apparentTemperatureMin
+ * @property {Array<string|null>} sunrise
+ * @property {Array<string|null>} sunset
+ * @property {Array<number|null>} daylightDuration
+ * @property {Array<number|null>} sunshineDuration
+ * @property {Array<number|null>} uvIndexMax
+ * @property {Array<number|null>} rainSum
+ * @property {Array<number|null>} showersSum
+ * @property {Array<number|null>} snowfallSum
+ * @property {Array<number|null>} precipitationSum
+ * @property {Array<number|null>} precipitationHours
+ * @property {Array<number|null>} precipitationProbabilityMax
+ * @property {Array<number|null>} windSpeedMax
+ * @property {Array<number|null>} windGustsMax
+ * @property {Array<number|null>} windDirectionDominant
+ */
+
+/**
+ * @typedef {object} Forecast
+ * @property {string} provider - Name of the provider that produced the data.
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string} timezone
+ * @property {object} units - See {@link UNITS}.
+ * @property {CurrentConditions} current
+ * @property {HourlySeries} hourly
+ * @property {DailySeries} daily - Starts today.
+ * @property {PastDay|null} yesterday - The day before today, or null when the
+ *   provider has no past data.
+ */
+
+/**
+ * One past day: the fields of {@link DailySeries}, with a single value each.
+ * @typedef {object} PastDay
+ * @property {string} time - The date, as YYYY-MM-DD.
+ * @property {number|null} temperatureMax
+ * @property {number|null} temperatureMin
+ */
+
+/**
+ * @typedef {object} HistoryParams
+ * @property {number} latitude - Latitude in decimal degrees.
+ * @property {number} longitude - Longitude in decimal degrees.
+ * @property {string} timezone - IANA timezone name used for local times.
+ * @property {string} startDate - First day, as YYYY-MM-DD.
+ * @property {string} endDate - Last day, as YYYY-MM-DD.
+ * @property {boolean} [hourly=false] - Also return hourly series.
+ */
+
+/**
+ * Archived observations for a date range. Series have the same fields as in a
+ * {@link Forecast}; fields the archive does not record are all `null`.
+ * @typedef {object} History
+ * @property {string} provider - Name of the archive that produced the data.
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string} timezone
+ * @property {object} units - See {@link UNITS}.
+ * @property {string} startDate
+ * @property {string} endDate
+ * @property {HourlySeries|null} hourly - Only present when requested.
+ * @property {DailySeries} daily
+ */
+
+/**
+ * Air quality readings. In `hourly` every property is an array aligned with
+ * `time`; in `current` each is a single value. Pollen is only modelled for
+ * Europe and is `null` elsewhere.
+ * @typedef {object} AirQualityReadings
+ * @property {number|null} usAqi - US EPA Air Quality Index.
+ * @property {number|null} europeanAqi - European Air Quality Index.
+ * @property {number|null} pm25 - Particulate matter below 2.5 µm.
+ * @property {number|null} pm10 - Particulate matter below 10 µm.
+ * @property {number|null} ozone
+ * @property {number|null} nitrogenDioxide
+ * @property {number|null} alderPollen
+ * @property {number|null} birchPollen
+ * @property {number|null} grassPollen
+ * @property {number|null} mugwortPollen
+ * @property {number|null} olivePollen
+ * @property {number|null} ragweedPollen
+ */
+
+/**
+ * @typedef {object} AirQuality
+ * @property {string} provider - Name of the API that produced the data.
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string} timezone
+ * @property {object} units - See {@link AIR_QUALITY_UNITS}.
+ * @property {AirQualityReadings} current - Also has a `time`.
+ * @property {AirQualityReadings} hourly - Also has a `time` array.
+ */
+
+/**
+ * Marine readings. In `hourly` every property is an array aligned with
+ * `time`; in `current` each is a single value.
+ * @typedef {object} MarineReadings
+ * @property {number|null} waveHeight - Significant height of all waves.
+ * @property {number|null} waveDirection
+ * @property {number|null} wavePeriod
+ * @property {number|null} swellWaveHeight
+ * @property {number|null} swellWaveDirection
+ * @property {number|null} swellWavePeriod
+ * @property {number|null} seaSurfaceTemperature
+ * @property {number|null} seaLevelHeight - Sea level including tides,
+ *   relative to mean sea level.
+ */
+
+/**
+ * @typedef {object} MarineForecast
+ * @property {string} provider - Name of the API that produced the data.
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string} timezone
+ * @property {object} units - See {@link MARINE_UNITS}.
+ * @property {boolean} coastal - False when the marine model has no data at
+ *   the point or at its neighbourhood samples, i.e. the location is inland
+ *   (see providers/openMeteoMarine). The readings come from the point if it
+ *   has data, otherwise from a neighbour; `latitude` and `longitude` are the
+ *   grid cell used.
+ * @property {MarineReadings} current - Also has a `time`.
+ * @property {MarineReadings} hourly - Also has a `time` array.
+ */
+
+/**
+ * Current conditions at one point of a batch request.
+ * @typedef {CurrentConditions & {latitude: number, longitude: number}} PointConditions
+ */
+
+/**
+ * @typedef {object} WeatherProvider
+ * @property {string} name - Unique provider name, used in configuration.
+ * @property {(params: ForecastParams) => Promise<Forecast>} getForecast
+ *   Fetches and normalizes a forecast from the upstream API.
+ * @property {(points: Array<{latitude: number, longitude: number}>) => Promise<PointConditions[]>} getCurrentBatch
+ *   Fetches current conditions for many points at once, in the given order.
+ *   Times are in UTC.
+ */
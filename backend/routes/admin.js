@@ -0,0 +1,178 @@
+/**
+ * @file Admin API for cache management and runtime statistics.
+ * Every route requires the admin API key, sent either as
+ * `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * @module routes/admin
+ */
+
+import crypto from "crypto";
+import express from "express";
+import { query } from "express-validator";
+import { handleValidationErrors } from "../utils/validation.js";
+
+/**
+ * Compares two strings in constant time.
+ * Both are hashed first so their lengths do not leak either.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} True if the strings are equal.
+ */
+const safeEqual = (a, b) => {
+  const hash = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+/**
+ * Creates middleware that only lets requests with the admin API key through.
+ * Responds 503 when no key is configured, so the admin surface is disabled
+ * rather than open by default, and 401 when the key is missing or wrong.
+ * @param {string|undefined} apiKey - The configured admin API key.
+ * @returns {import('express').RequestHandler} The middleware.
+ */
+export const requireAdmin = (apiKey) => (req, res, next) => {
+  if (!apiKey) {
+    return res.status(503).json({ error: "Admin API is disabled." });
+  }
+  const authorization = req.get("Authorization") || "";
+  const provided = authorization.startsWith("Bearer ")
+    ? authorization.slice("Bearer ".length)
+    : req.get("X-API-Key");
+  if (!provided || !safeEqual(provided, apiKey)) {
+    res.set("WWW-Authenticate", 'Bearer realm="admin"');
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+};
+
+// Every route accepts ?store= to pick the fresh or the stale response cache
+const storeParam = query("store")
+  .optional()
+  .isIn(["responses", "stale"])
+  .withMessage("store must be 'responses' or 'stale'");
+
+/**
+ * Creates the admin router.
+ * @param {object} options
+ * @param {string|undefined} options.apiKey - Admin API key.
+ * @param {{responses: import('../cache/index.js').CacheStore, stale: import('../cache/index.js').CacheStore}} options.stores
+ *   Cache stores by name.
+ * @param {ReturnType<import('../utils/stats.js').createCacheStats>} options.cacheStats
+ *   Cache hit/miss recorder.
+ * @param {Array<ReturnType<import('../utils/resilience.js').createUpstreamGuard>>} options.upstreams
+ *   Guards of every upstream API.
+ * @param {ReturnType<import('../utils/updates.js').createForecastUpdates>} options.forecastUpdates
+ *   Forecast update channel, for its subscriber counts.
+ * @returns {import('express').Router} The router, to be mounted at /api/admin.
+ */
+export const createAdminRouter = ({
+  apiKey,
+  stores,
+  cacheStats,
+  upstreams,
+  forecastUpdates,
+}) => {
+  const router = express.Router();
+  router.use(requireAdmin(apiKey));
+
+  const storeFor = (req) => stores[req.query.store || "responses"];
+
+  /**
+   * Lists cache keys, optionally only those starting with `prefix`.
+   * @name GET /api/admin/cache/keys
+   */
+  router.get(
+    "/cache/keys",
+    [storeParam, query("prefix").optional().isString()],
+    handleValidationErrors,
+    async (req, res) => {
+      const prefix = req.query.prefix || "";
+      const keys = (await storeFor(req).keys())
+        .filter((key) => key.startsWith(prefix))
+        .sort();
+      res.json({ count: keys.length, keys });
+    }
+  );
+
+  /**
+   * Returns the cached value for one key.
+   * @name GET /api/admin/cache/entry
+   */
+  router.get(
+    "/cache/entry",
+    [storeParam, query("key").isString().notEmpty()],
+    handleValidationErrors,
+    async (req, res) => {
+      const value = await storeFor(req).get(req.query.key);
+      if (value === undefined) {
+        return res.status(404).json({ error: "Cache entry not found." });
+      }
+      res.json({ key: req.query.key, value });
+    }
+  );
+
+  /**
+   * Evicts one cache entry.
+   * @name DELETE /api/admin/cache/entry
+   */
+  router.delete(
+    "/cache/entry",
+    [storeParam, query("key").isString().notEmpty()],
+    handleValidationErrors,
+    async (req, res) => {
+      await storeFor(req).del(req.query.key);
+      res.json({ evicted: 1 });
+    }
+  );
+
+  /**
+   * Evicts every entry whose key starts with `prefix`, or all entries when no
+   * prefix is given.
+   * @name DELETE /api/admin/cache
+   */
+  router.delete(
+    "/cache",
+    [storeParam, query("prefix").optional().isString()],
+    handleValidationErrors,
+    async (req, res) => {
+      const store = storeFor(req);
+      const prefix = req.query.prefix;
+      if (!prefix) {
+        const count = (await store.keys()).length;
+        await store.clear();
+        return res.json({ evicted: count });
+      }
+      const keys = (await store.keys()).filter((key) => key.startsWith(prefix));
+      await Promise.all(keys.map((key) => store.del(key)));
+      res.json({ evicted: keys.length });
+    }
+  );
+
+  /**
+   * Reports per-route cache hit ratios, upstream call counts and open
+   * forecast update streams.
+   * @name GET /api/admin/stats
+   */
+  router.get("/stats", async (req, res) => {
+    const [responseKeys, staleKeys] = await Promise.all([
+      stores.responses.keys(),
+      stores.stale.keys(),
+    ]);
+    res.json({
+      uptime: process.uptime(),
+      cache: {
+        driver: stores.responses.driver,
+        entries: { responses: responseKeys.length, stale: staleKeys.length },
+        routes: cacheStats.snapshot(),
+      },
+      upstreams: Object.fromEntries(
+        upstreams.map((guard) => [
+          guard.name,
+          { ...guard.counts, circuit: guard.breaker.state },
+        ])
+      ),
+      updates: forecastUpdates.snapshot(),
+    });
+  });
+
+  return router;
+};
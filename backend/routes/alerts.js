@@ -0,0 +1,181 @@
+/**
+ * @file Weather alert rules API.
+ * Stores each user's threshold rules (e.g. "wind gusts above 60 km/h"),
+ * keyed by the same opaque client-generated user id as the favourites API.
+ * Rules are evaluated by the client against the `hourly` arrays returned by
+ * /api/weather; the server only keeps them.
+ * @module routes/alerts
+ */
+
+import crypto from "crypto";
+import express from "express";
+import { body, param } from "express-validator";
+import { handleValidationErrors } from "../utils/validation.js";
+import { UNIT_OPTIONS } from "../utils/units.js";
+import { createKeyedQueue } from "../utils/keyedQueue.js";
+
+// Upper bound on the number of rules per user
+const MAX_RULES = 20;
+
+/**
+ * Hourly forecast fields a rule can watch; see HourlySeries in providers/schema.js.
+ * @type {string[]}
+ */
+export const ALERT_METRICS = [
+  "temperature",
+  "apparentTemperature",
+  "precipitationProbability",
+  "precipitation",
+  "snowfall",
+  "windSpeed",
+  "windGusts",
+  "uvIndex",
+  "visibility",
+];
+
+/**
+ * Quantity (key of UNIT_OPTIONS in utils/units.js) of each metric whose
+ * threshold is entered in a user-chosen unit. The other metrics have a fixed
+ * unit, and their rules carry none.
+ * @type {Object<string, string>}
+ */
+export const ALERT_METRIC_QUANTITIES = {
+  temperature: "temperature",
+  apparentTemperature: "temperature",
+  precipitation: "precipitation",
+  windSpeed: "wind",
+  windGusts: "wind",
+  visibility: "visibility",
+};
+
+/**
+ * Comparisons a rule can make against its threshold.
+ * @type {string[]}
+ */
+export const ALERT_OPERATORS = ["above", "below"];
+
+const userIdParam = param("userId")
+  .matches(/^[A-Za-z0-9_-]{8,64}$/)
+  .withMessage("userId must be 8-64 letters, digits, '-' or '_'");
+
+/**
+ * Creates the alert rules router.
+ * @param {object} options
+ * @param {import('../cache/index.js').CacheStore} options.store
+ *   Store holding one list of rules per user; entries never expire.
+ * @returns {import('express').Router} The router, to be mounted at /api/alerts.
+ */
+export const createAlertsRouter = ({ store }) => {
+  const router = express.Router();
+
+  const loadRules = async (userId) => (await store.get(userId)) || [];
+  // Changes read the whole list and write it back, so one user's concurrent
+  // changes must not interleave
+  const writes = createKeyedQueue();
+
+  /**
+   * Returns a user's rules, or an empty list for unknown users.
+   * @name GET /api/alerts/:userId
+   */
+  router.get(
+    "/:userId",
+    [userIdParam],
+    handleValidationErrors,
+    async (req, res) => {
+      res.json({ rules: await loadRules(req.params.userId) });
+    }
+  );
+
+  /**
+   * Registers a new rule. The threshold is compared in `unit`, the unit the
+   * user entered it in; `locationId` limits the rule to one favourite, and
+   * null applies it to every favourite.
+   * @name POST /api/alerts/:userId
+   */
+  router.post(
+    "/:userId",
+    [
+      userIdParam,
+      body("metric")
+        .isIn(ALERT_METRICS)
+        .withMessage(`metric must be one of: ${ALERT_METRICS.join(", ")}`),
+      body("operator")
+        .isIn(ALERT_OPERATORS)
+        .withMessage(`operator must be one of: ${ALERT_OPERATORS.join(", ")}`),
+      body("threshold").isFloat(),
+      body("unit").custom((unit, { req }) => {
+        const quantity = ALERT_METRIC_QUANTITIES[req.body.metric];
+        if (!quantity) {
+          if (unit !== undefined && unit !== null) {
+            throw new Error(`unit must be null for ${req.body.metric}`);
+          }
+          return true;
+        }
+        const units = Object.keys(UNIT_OPTIONS[quantity]);
+        if (!units.includes(unit)) {
+          throw new Error(
+            `unit must be one of: ${units.join(", ")} for ${req.body.metric}`
+          );
+        }
+        return true;
+      }),
+      body("locationId")
+        .optional({ values: "null" })
+        .isString()
+        .isLength({ min: 1, max: 64 }),
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      const { userId } = req.params;
+      // Keep only known fields so clients cannot store arbitrary data
+      const { metric, operator, threshold, unit, locationId } = req.body;
+      const rule = {
+        id: crypto.randomUUID(),
+        metric,
+        operator,
+        threshold: Number(threshold),
+        unit: unit || null,
+        locationId: locationId || null,
+        createdAt: new Date().toISOString(),
+      };
+      const added = await writes.run(userId, async () => {
+        const rules = await loadRules(userId);
+        if (rules.length >= MAX_RULES) return false;
+        await store.set(userId, [...rules, rule]);
+        return true;
+      });
+      if (!added) {
+        return res
+          .status(409)
+          .json({ error: `A user can have at most ${MAX_RULES} alert rules.` });
+      }
+      res.status(201).json({ rule });
+    }
+  );
+
+  /**
+   * Deletes one rule.
+   * @name DELETE /api/alerts/:userId/:ruleId
+   */
+  router.delete(
+    "/:userId/:ruleId",
+    [userIdParam, param("ruleId").isUUID()],
+    handleValidationErrors,
+    async (req, res) => {
+      const { userId, ruleId } = req.params;
+      const deleted = await writes.run(userId, async () => {
+        const rules = await loadRules(userId);
+        const remaining = rules.filter((rule) => rule.id !== ruleId);
+        if (remaining.length === rules.length) return false;
+        await store.set(userId, remaining);
+        return true;
+      });
+      if (!deleted) {
+        return res.status(404).json({ error: "Alert rule not found." });
+      }
+      res.json({ deleted: 1 });
+    }
+  );
+
+  return router;
+};
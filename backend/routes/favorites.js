@@ -0,0 +1,83 @@
+/**
+ * @file Favourite locations API.
+ * Stores each user's ordered list of favourite locations, keyed by an opaque
+ * user id generated by the client. There are no accounts: anyone holding the
+ * id can read and replace that list.
+ * @module routes/favorites
+ */
+
+import express from "express";
+import { body, param } from "express-validator";
+import { handleValidationErrors } from "../utils/validation.js";
+import { createKeyedQueue } from "../utils/keyedQueue.js";
+
+// Upper bound on the number of favourites per user
+const MAX_FAVORITES = 50;
+
+const userIdParam = param("userId")
+  .matches(/^[A-Za-z0-9_-]{8,64}$/)
+  .withMessage("userId must be 8-64 letters, digits, '-' or '_'");
+
+/**
+ * Creates the favourites router.
+ * @param {object} options
+ * @param {import('../cache/index.js').CacheStore} options.store
+ *   Store holding one entry per user; entries never expire.
+ * @returns {import('express').Router} The router, to be mounted at /api/favorites.
+ */
+export const createFavoritesRouter = ({ store }) => {
+  const router = express.Router();
+  // Apply one user's replacements in the order they arrive
+  const writes = createKeyedQueue();
+
+  /**
+   * Returns a user's favourites, or an empty list for unknown users.
+   * @name GET /api/favorites/:userId
+   */
+  router.get(
+    "/:userId",
+    [userIdParam],
+    handleValidationErrors,
+    async (req, res) => {
+      const favorites = (await store.get(req.params.userId)) || [];
+      res.json({ favorites });
+    }
+  );
+
+  /**
+   * Replaces a user's favourites with the given ordered list.
+   * @name PUT /api/favorites/:userId
+   */
+  router.put(
+    "/:userId",
+    [
+      userIdParam,
+      body("favorites").isArray({ max: MAX_FAVORITES }),
+      body("favorites.*.id").isString().isLength({ min: 1, max: 64 }),
+      body("favorites.*.formatted").isString().isLength({ min: 1, max: 256 }),
+      body("favorites.*.timezone").isString().isLength({ max: 64 }),
+      body("favorites.*.geometry.lat").isFloat({ min: -90, max: 90 }),
+      body("favorites.*.geometry.lng").isFloat({ min: -180, max: 180 }),
+      body("favorites.*.flag").optional({ values: "null" }).isString(),
+    ],
+    handleValidationErrors,
+    async (req, res) => {
+      // Keep only known fields so clients cannot store arbitrary data
+      const favorites = req.body.favorites.map(
+        ({ id, formatted, timezone, geometry, flag }) => ({
+          id,
+          formatted,
+          timezone,
+          geometry: { lat: Number(geometry.lat), lng: Number(geometry.lng) },
+          flag: flag || null,
+        })
+      );
+      await writes.run(req.params.userId, () =>
+        store.set(req.params.userId, favorites)
+      );
+      res.json({ favorites });
+    }
+  );
+
+  return router;
+};
@@ -15,8 +15,45 @@ import helmet from "helmet";
 import cors from "cors";
 import { createApi } from "unsplash-js";
 import rateLimit from "express-rate-limit";
-import NodeCache from "node-cache";
-import { query, validationResult } from "express-validator";
+import { body, matchedData, param, query } from "express-validator";
+import { createFailoverProvider } from "./providers/index.js";
+import { UNITS } from "./providers/schema.js";
+import { createOpenMeteoArchive } from "./providers/openMeteoArchive.js";
+import { createOpenMeteoAirQuality } from "./providers/openMeteoAirQuality.js";
+import { createOpenMeteoMarine } from "./providers/openMeteoMarine.js";
+import { createCacheStore, createDataStore } from "./cache/index.js";
+import { buildCacheKey } from "./cache/keys.js";
+import { createAdminRouter, requireAdmin } from "./routes/admin.js";
+import { createFavoritesRouter } from "./routes/favorites.js";
+import { createAlertsRouter } from "./routes/alerts.js";
+import { createCacheStats } from "./utils/stats.js";
+import { buildGrid } from "./utils/grid.js";
+import {
+  EXPORT_FORMATS,
+  EXPORT_PERIODS,
+  buildTable,
+  toCsv,
+  toJson,
+  toIcs,
+} from "./utils/export.js";
+import { UNIT_OPTIONS, DEFAULT_UNITS } from "./utils/units.js";
+import {
+  WIDGET_THEMES,
+  MAX_WIDGET_DAYS,
+  resolveTheme,
+  renderWidgetHtml,
+  renderBadgeSvg,
+  renderBadgePng,
+} from "./utils/widget.js";
+import { createForecastUpdates } from "./utils/updates.js";
+import { rankLocations } from "./utils/geocodeRanking.js";
+import { summarizeForecast } from "./utils/summary.js";
+import { handleValidationErrors } from "./utils/validation.js";
+import {
+  createUpstreamGuard,
+  isTimeoutError,
+  isTransientError,
+} from "./utils/resilience.js";
 
 dotenv.config();
 
@@ -30,17 +67,152 @@ const config = {
   sslKeyPath: process.env.SSL_KEY_PATH,
   sslCertPath: process.env.SSL_CERT_PATH,
   unsplashAccessKey: process.env.UNSPLASH_ACCESS_KEY,
+  adminApiKey: process.env.ADMIN_API_KEY,
   opencage: {
     apiKey: process.env.OPENCAGE_API_KEY,
     url:
       process.env.OPENCAGE_URL ||
       "https://api.opencagedata.com/geocode/v1/json",
+    timeoutMs: Number(process.env.OPENCAGE_TIMEOUT_MS) || 5000,
   },
+  weatherProvider: process.env.WEATHER_PROVIDER || "open-meteo",
+  // Providers tried in order when the primary one is down
+  weatherFallbackProviders: (
+    process.env.WEATHER_FALLBACK_PROVIDERS ?? "met-norway"
+  )
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean),
   openMeteo: {
     url: process.env.OPEN_METEO_URL || "https://api.open-meteo.com/v1/forecast",
+    timeoutMs: Number(process.env.OPEN_METEO_TIMEOUT_MS) || 5000,
+  },
+  openMeteoArchive: {
+    url:
+      process.env.OPEN_METEO_ARCHIVE_URL ||
+      "https://archive-api.open-meteo.com/v1/archive",
+    timeoutMs: Number(process.env.OPEN_METEO_ARCHIVE_TIMEOUT_MS) || 10000,
+  },
+  openMeteoAirQuality: {
+    url:
+      process.env.OPEN_METEO_AIR_QUALITY_URL ||
+      "https://air-quality-api.open-meteo.com/v1/air-quality",
+    timeoutMs: Number(process.env.OPEN_METEO_AIR_QUALITY_TIMEOUT_MS) || 5000,
+  },
+  openMeteoMarine: {
+    url:
+      process.env.OPEN_METEO_MARINE_URL ||
+      "https://marine-api.open-meteo.com/v1/marine",
+    timeoutMs: Number(process.env.OPEN_METEO_MARINE_TIMEOUT_MS) || 5000,
+  },
+  metNorway: {
+    url:
+      process.env.MET_NORWAY_URL ||
+      "https://api.met.no/weatherapi/locationforecast/2.0/complete",
+    userAgent:
+      process.env.MET_NORWAY_USER_AGENT ||
+      "open-weather-app/1.0 github.com/nathaniel1969/weather-server-client2",
+    timeoutMs: Number(process.env.MET_NORWAY_TIMEOUT_MS) || 5000,
+  },
+  widget: {
+    // Sites allowed to frame /widget (CSP frame-ancestors), space-separated
+    frameAncestors: (process.env.WIDGET_FRAME_ANCESTORS || "*")
+      .split(" ")
+      .filter(Boolean),
+    // Browser cache lifetime of widget pages and badges, in seconds
+    maxAge: Number(process.env.WIDGET_MAX_AGE) || 10 * 60,
+  },
+  updates: {
+    // Subscribed forecasts are refreshed every interval, in seconds, shortly
+    // after the upstream publishes new current conditions (every 15 minutes)
+    intervalSeconds: Number(process.env.UPDATE_INTERVAL_SECONDS) || 15 * 60,
+    offsetSeconds: Number(process.env.UPDATE_OFFSET_SECONDS ?? 2 * 60),
+    heartbeatSeconds: Number(process.env.UPDATE_HEARTBEAT_SECONDS) || 30,
+    // Distinct locations refreshed on that schedule, and open streams; more
+    // are refused with 503
+    maxLocations: Number(process.env.UPDATE_MAX_LOCATIONS) || 200,
+    maxStreams: Number(process.env.UPDATE_MAX_STREAMS) || 1000,
+  },
+  upstream: {
+    retries: Number(process.env.UPSTREAM_RETRIES ?? 2),
+    baseDelayMs: Number(process.env.UPSTREAM_RETRY_DELAY_MS) || 200,
+    failureThreshold: Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    resetTimeoutMs: Number(process.env.CIRCUIT_RESET_MS) || 30000,
+  },
+  cache: {
+    driver: process.env.CACHE_DRIVER || "memory",
+    maxKeys: Number(process.env.CACHE_MAX_KEYS) || 1000,
+    dir: process.env.CACHE_DIR || ".cache",
+    redisUrl: process.env.REDIS_URL || "redis://localhost:6379",
+    // Deadline of each Redis operation, in milliseconds; slower is a miss
+    redisTimeoutMs: Number(process.env.REDIS_TIMEOUT_MS) || 1000,
+    // Coordinates in cache keys are rounded to this grid, in degrees
+    coordinateGrid: Number(process.env.CACHE_COORDINATE_GRID) || 0.01,
+    // Per-route time-to-live in seconds
+    ttl: {
+      weather: Number(process.env.CACHE_TTL_WEATHER) || 10 * 60,
+      geocode: Number(process.env.CACHE_TTL_GEOCODE) || 7 * 24 * 60 * 60,
+      unsplash: Number(process.env.CACHE_TTL_UNSPLASH) || 6 * 60 * 60,
+      history: Number(process.env.CACHE_TTL_HISTORY) || 7 * 24 * 60 * 60,
+      airQuality: Number(process.env.CACHE_TTL_AIR_QUALITY) || 30 * 60,
+      marine: Number(process.env.CACHE_TTL_MARINE) || 30 * 60,
+    },
+    // How long the last good response is kept for serving during outages
+    staleTtl: Number(process.env.STALE_TTL_SECONDS) || 24 * 60 * 60,
   },
 };
 
+/**
+ * The weather provider used by /api/weather.
+ * Falls back to the configured secondary providers when the primary one fails.
+ * @type {import('./providers/schema.js').WeatherProvider}
+ */
+const weatherProvider = createFailoverProvider(
+  [
+    config.weatherProvider,
+    ...config.weatherFallbackProviders.filter(
+      (name) => name !== config.weatherProvider
+    ),
+  ],
+  config,
+  config.upstream
+);
+
+/**
+ * The Open-Meteo archive client used by /api/history, and its guard.
+ */
+const historyArchive = createOpenMeteoArchive(config.openMeteoArchive);
+const historyGuard = createUpstreamGuard(historyArchive.name, config.upstream);
+
+/**
+ * The Open-Meteo air quality client used by /api/air-quality, and its guard.
+ */
+const airQualityApi = createOpenMeteoAirQuality(config.openMeteoAirQuality);
+const airQualityGuard = createUpstreamGuard(
+  airQualityApi.name,
+  config.upstream
+);
+
+/**
+ * The Open-Meteo marine client used by /api/marine, and its guard.
+ */
+const marineApi = createOpenMeteoMarine(config.openMeteoMarine);
+const marineGuard = createUpstreamGuard(marineApi.name, config.upstream);
+
+/**
+ * Retry and circuit-breaker guard for OpenCage requests.
+ */
+const opencageGuard = createUpstreamGuard("opencage", config.upstream);
+
+/**
+ * Circuit-breaker guard for Unsplash requests.
+ * Unsplash failures are not retried; the background image is optional.
+ */
+const unsplashGuard = createUpstreamGuard("unsplash", {
+  ...config.upstream,
+  retries: 0,
+});
+
 /**
  * The Unsplash API instance.
  * @type {object}
@@ -56,7 +228,21 @@ const unsplashApi = createApi({
 const app = express();
 
 app.use(express.json());
-app.use(helmet());
+// The widget and badges are embedded by other sites, so they may be framed
+// and loaded cross-origin; everything else keeps helmet's defaults
+const defaultSecurityHeaders = helmet();
+const widgetSecurityHeaders = helmet({
+  contentSecurityPolicy: {
+    directives: { frameAncestors: config.widget.frameAncestors },
+  },
+  crossOriginResourcePolicy: { policy: "cross-origin" },
+  xFrameOptions: false,
+});
+app.use((req, res, next) =>
+  req.path.startsWith("/widget")
+    ? widgetSecurityHeaders(req, res, next)
+    : defaultSecurityHeaders(req, res, next)
+);
 app.use(cors());
 
 // Health check endpoint
@@ -64,23 +250,6 @@ app.get("/api/health", (req, res) => {
   res.json({ status: "ok", uptime: process.uptime() });
 });
 
-/**
- * Middleware to validate request parameters.
- * It checks for validation errors and sends a 400 response if any are found.
- * @param {import('express').Request} req - Express request object.
- * @param {import('express').Response} res - Express response object.
- * @param {import('express').NextFunction} next - Express next middleware function.
- */
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      errors: errors.array(),
-    });
-  }
-  next();
-};
-
 // Basic rate limiting: 100 requests per 15 minutes per IP
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -94,43 +263,143 @@ if (config.isProduction) {
 }
 
 /**
- * In-memory cache for API responses.
- * - stdTTL: 5 minutes (300 seconds)
- * - checkperiod: 2 minutes (120 seconds)
- * - maxKeys: 100
- * @type {NodeCache}
+ * Cache for API responses, using the driver from `config.cache.driver`.
+ * @type {import('./cache/index.js').CacheStore}
  */
-const cache = new NodeCache({ stdTTL: 300, checkperiod: 120, maxKeys: 100 });
+const cache = createCacheStore(config.cache, "responses");
 
 /**
- * Middleware to check for and serve cached responses.
- * @param {import('express').Request} req - Express request object.
- * @param {import('express').Response} res - Express response object.
- * @param {import('express').NextFunction} next - Express next middleware function.
+ * Last known good responses, kept much longer than the main cache so they can
+ * be served while an upstream API is down.
+ * Entries are `{ body, storedAt }` keyed like the main cache.
+ * @type {import('./cache/index.js').CacheStore}
+ */
+const staleCache = createCacheStore(config.cache, "stale");
+
+/**
+ * Per-route cache hit/miss counters, reported by the admin API.
+ */
+const cacheStats = createCacheStats();
+
+// Cache keys of GET /api/weather start with this
+const WEATHER_KEY_PREFIX = "/api/weather?";
+
+/**
+ * Pushes refreshed forecasts to subscribed clients and refreshes their
+ * locations on the upstream update cadence, bypassing the cache.
+ */
+const forecastUpdates = createForecastUpdates({
+  ...config.updates,
+  refresh: async (cacheKey, params) => {
+    const forecast = await weatherProvider.getForecast(params);
+    await storeResponse(cacheKey, forecast, config.cache.ttl.weather);
+  },
+});
+
+/**
+ * Stores a successful response in both the cache and the stale cache.
+ * New forecasts are also pushed to clients subscribed to their location.
+ * Failures are logged, never thrown.
+ * @param {string} cacheKey - Key built by {@link module:cache/keys}.
+ * @param {object} body - The response body.
+ * @param {number} ttl - Time-to-live in the main cache, in seconds.
+ */
+const storeResponse = (cacheKey, body, ttl) => {
+  if (cacheKey.startsWith(WEATHER_KEY_PREFIX)) {
+    forecastUpdates.publish(cacheKey, body);
+  }
+  return Promise.all([
+    cache.set(cacheKey, body, ttl),
+    staleCache.set(
+      cacheKey,
+      { body, storedAt: Date.now() },
+      config.cache.staleTtl
+    ),
+  ]).catch((error) =>
+    console.error(`Cache write failed for ${cacheKey}:`, error.message)
+  );
+};
+
+/**
+ * Creates middleware that serves cached responses and caches new ones.
+ * Must run after validation: the key is built from the validated parameters,
+ * see {@link module:cache/keys}.
+ * Successful responses are stored in both the cache and the stale cache.
+ * Sets `X-Cache: HIT` or `X-Cache: MISS` on every response. Cache failures
+ * are logged and treated as a miss so an unavailable store never breaks a
+ * request.
+ * @param {number} ttl - Time-to-live for new entries, in seconds.
+ * @returns {import('express').RequestHandler} The middleware.
  */
-const cacheMiddleware = (req, res, next) => {
-  const cacheKey = `${req.path}:${
-    req.query.query || `${req.query.latitude}:${req.query.longitude}`
-  }`;
-  const cached = cache.get(cacheKey);
+const cacheMiddleware = (ttl) => async (req, res, next) => {
+  const cacheKey = buildCacheKey(
+    req.path,
+    matchedData(req, { locations: ["query"] }),
+    { coordinateGrid: config.cache.coordinateGrid }
+  );
+  let cached;
+  try {
+    cached = await cache.get(cacheKey);
+  } catch (error) {
+    console.error(`Cache read failed for ${cacheKey}:`, error.message);
+  }
   if (cached) {
+    cacheStats.record(req.path, "hit");
+    res.set("X-Cache", "HIT");
     return res.json(cached);
   }
+  cacheStats.record(req.path, "miss");
+  res.set("X-Cache", "MISS");
+  res.locals.cacheKey = cacheKey;
   // Monkey-patch res.json to cache the response before sending
   const originalJson = res.json;
   res.json = (body) => {
-    cache.set(cacheKey, body);
+    // Never cache errors or stale fallbacks
+    if (res.statusCode < 400 && !res.locals.isStale) {
+      storeResponse(cacheKey, body, ttl);
+    }
     return originalJson.call(res, body);
   };
   next();
 };
 
-// Cache invalidation endpoint (should be protected by authentication/authorization)
-app.post("/api/cache/clear", (req, res) => {
-  // TODO: Add authentication/authorization check here
-  cache.flushAll();
-  res.json({ message: "Cache cleared." });
-});
+// Admin API for inspecting and evicting cache entries and runtime stats
+app.use(
+  "/api/admin",
+  createAdminRouter({
+    apiKey: config.adminApiKey,
+    stores: { responses: cache, stale: staleCache },
+    cacheStats,
+    upstreams: [
+      ...weatherProvider.guards,
+      historyGuard,
+      airQualityGuard,
+      marineGuard,
+      opencageGuard,
+      unsplashGuard,
+    ],
+    forecastUpdates,
+  })
+);
+
+// Saved favourite locations, kept in a durable store so cache clears,
+// eviction and restarts keep them
+const favoritesStore = createDataStore(config.cache, "favorites");
+app.use("/api/favorites", createFavoritesRouter({ store: favoritesStore }));
+
+// Weather alert rules, also kept apart from the response caches
+const alertsStore = createDataStore(config.cache, "alerts");
+app.use("/api/alerts", createAlertsRouter({ store: alertsStore }));
+
+// Cache invalidation endpoint, kept for existing scripts; requires the admin key
+app.post(
+  "/api/cache/clear",
+  requireAdmin(config.adminApiKey),
+  async (req, res) => {
+    await Promise.all([cache.clear(), staleCache.clear()]);
+    res.json({ message: "Cache cleared." });
+  }
+);
 
 /**
  * Unsplash API endpoint for fetching a random image.
@@ -149,14 +418,16 @@ app.get(
   "/api/unsplash",
   [query("query").isString().isLength({ min: 2 })],
   handleValidationErrors,
-  cacheMiddleware,
+  cacheMiddleware(config.cache.ttl.unsplash),
   async (req, res, next) => {
     const { query: searchQuery } = req.query;
     try {
-      const result = await unsplashApi.photos.getRandom({
-        query: searchQuery,
-        orientation: "landscape",
-      });
+      const result = await unsplashGuard.call(() =>
+        unsplashApi.photos.getRandom({
+          query: searchQuery,
+          orientation: "landscape",
+        })
+      );
 
       if (result.errors) {
         // Create an error object to be handled by the central error handler
@@ -174,6 +445,85 @@ app.get(
   }
 );
 
+/**
+ * Maps an OpenCage result to the location shape used by the frontend.
+ * @param {object} item - An item from the OpenCage `results` array.
+ * @returns {object} Location with formatted name, city, state, county,
+ * country, timezone, geometry, flag and place type (e.g. "city").
+ */
+const mapOpenCageResult = (item) => {
+  const components = item.components || {};
+  let timezoneName = null;
+  if (
+    item.annotations &&
+    item.annotations.timezone &&
+    item.annotations.timezone.name
+  ) {
+    timezoneName = item.annotations.timezone.name;
+  } else {
+    console.error("Timezone not found for item:", item);
+  }
+  return {
+    formatted: item.formatted,
+    city:
+      components.city ||
+      components.town ||
+      components.village ||
+      components.hamlet,
+    state: components.state || components.province,
+    county: components.county,
+    country: components.country,
+    timezone: timezoneName || "", // Ensure timezone is a string
+    geometry: item.geometry,
+    flag:
+      item.annotations && item.annotations.flag ? item.annotations.flag : null,
+    type: components._type || null,
+  };
+};
+
+// Language tags accepted for place names, e.g. "fr" or "pt-BR"
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Queries OpenCage and returns mapped locations, ranked with duplicates
+ * merged (see {@link module:utils/geocodeRanking}).
+ * OpenCage treats a "lat,lng" query as a reverse lookup, so this serves both
+ * forward and reverse geocoding.
+ * @param {string} q - Place name, or "lat,lng" for a reverse lookup.
+ * @param {object} [params] - Extra OpenCage request parameters; a
+ *   `proximity` of "lat,lng" also ranks nearby places higher.
+ * @returns {Promise<object[]>} Locations, see {@link mapOpenCageResult}.
+ */
+const geocode = async (q, params = {}) => {
+  const geoResponse = await opencageGuard.call(() =>
+    axios.get(config.opencage.url, {
+      params: {
+        q,
+        key: config.opencage.apiKey,
+        ...params,
+      },
+      timeout: config.opencage.timeoutMs,
+    })
+  );
+  const geoData = geoResponse.data;
+
+  if (!geoData.results || geoData.results.length === 0) {
+    return [];
+  }
+
+  // Map and enrich the geocoding data
+  const results = geoData.results.map(mapOpenCageResult);
+
+  // Rank and merge duplicates, which also prevents key errors in the frontend
+  const near = params.proximity
+    ? {
+        lat: Number(params.proximity.split(",")[0]),
+        lng: Number(params.proximity.split(",")[1]),
+      }
+    : null;
+  return rankLocations(results, near);
+};
+
 /**
  * Geocoding API endpoint for location suggestions.
  * @name GET /api/geocode
@@ -181,73 +531,61 @@ app.get(
  * @memberof module:server
  * @param {object} req - Express request object.
  * @param {string} req.query.query - The location query string.
+ * @param {string} [req.query.language] - Language for place names, e.g. "de".
+ * @param {string} [req.query.near] - The user's position as "lat,lng", to
+ * rank nearby places higher.
  * @param {object} res - Express response object.
- * @returns {object} - JSON response with geocoding suggestions.
+ * @returns {object} - JSON response with geocoding suggestions, best first.
  */
 app.get(
   "/api/geocode",
-  [query("query").isString().isLength({ min: 2 })],
+  [
+    query("query").isString().isLength({ min: 2 }),
+    query("language").optional().matches(LANGUAGE_PATTERN),
+    query("near").optional().isLatLong(),
+  ],
   handleValidationErrors,
-  cacheMiddleware,
+  cacheMiddleware(config.cache.ttl.geocode),
   async (req, res, next) => {
-    const { query: searchQuery } = req.query;
+    const { query: searchQuery, language, near } = req.query;
     try {
-      const geoResponse = await axios.get(config.opencage.url, {
-        params: {
-          q: searchQuery,
-          key: config.opencage.apiKey,
-        },
+      res.json({
+        results: await geocode(searchQuery, { language, proximity: near }),
       });
-      const geoData = geoResponse.data;
-
-      if (!geoData.results || geoData.results.length === 0) {
-        return res.json({ results: [] });
-      }
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      // Map and enrich the geocoding data
-      const results = geoData.results.map((item) => {
-        const components = item.components || {};
-        let timezoneName = null;
-        if (
-          item.annotations &&
-          item.annotations.timezone &&
-          item.annotations.timezone.name
-        ) {
-          timezoneName = item.annotations.timezone.name;
-        } else {
-          console.error("Timezone not found for item:", item);
-        }
-        return {
-          formatted: item.formatted,
-          city:
-            components.city ||
-            components.town ||
-            components.village ||
-            components.hamlet,
-          state: components.state || components.province,
-          county: components.county,
-          country: components.country,
-          timezone: timezoneName || "", // Ensure timezone is a string
-          geometry: item.geometry,
-          flag:
-            item.annotations && item.annotations.flag
-              ? item.annotations.flag
-              : null,
-        };
+/**
+ * Reverse geocoding API endpoint: finds the place at given coordinates.
+ * @name GET /api/reverse-geocode
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.lat - Latitude in decimal degrees.
+ * @param {string} req.query.lng - Longitude in decimal degrees.
+ * @param {string} [req.query.language] - Language for place names, e.g. "de".
+ * @param {object} res - Express response object.
+ * @returns {object} - JSON response with `results`, in the same shape as
+ * /api/geocode; empty when nothing is found (e.g. open sea).
+ */
+app.get(
+  "/api/reverse-geocode",
+  [
+    query("lat").isFloat({ min: -90, max: 90 }),
+    query("lng").isFloat({ min: -180, max: 180 }),
+    query("language").optional().matches(LANGUAGE_PATTERN),
+  ],
+  handleValidationErrors,
+  cacheMiddleware(config.cache.ttl.geocode),
+  async (req, res, next) => {
+    const { lat, lng, language } = req.query;
+    try {
+      res.json({
+        results: await geocode(`${lat},${lng}`, { limit: 1, language }),
       });
-
-      // Deduplicate results to prevent key errors in the frontend
-      const uniqueResults = [];
-      const seen = new Set();
-      for (const item of results) {
-        const identifier = `${item.formatted}|${item.geometry.lat}|${item.geometry.lng}`;
-        if (!seen.has(identifier)) {
-          seen.add(identifier);
-          uniqueResults.push(item);
-        }
-      }
-
-      res.json({ results: uniqueResults });
     } catch (error) {
       next(error);
     }
@@ -264,7 +602,8 @@ app.get(
  * @param {string} req.query.longitude - The longitude for the weather forecast.
  * @param {string} req.query.timezone - The timezone for the weather forecast.
  * @param {object} res - Express response object.
- * @returns {object} - JSON response with the weather forecast.
+ * @returns {object} - JSON response with the forecast in the normalized
+ * schema described in providers/schema.js.
  */
 app.get(
   "/api/weather",
@@ -274,33 +613,673 @@ app.get(
     query("timezone").isString().notEmpty(),
   ],
   handleValidationErrors,
-  cacheMiddleware,
+  cacheMiddleware(config.cache.ttl.weather),
   async (req, res, next) => {
     const { latitude, longitude, timezone } = req.query;
     try {
-      const weatherResponse = await axios.get(config.openMeteo.url, {
-        params: {
-          latitude,
-          longitude,
-          daily:
-            "weather_code,temperature_2m_max,temperature_2m_min,sunset,sunrise,daylight_duration,uv_index_max,apparent_temperature_max,apparent_temperature_min,rain_sum,showers_sum,snowfall_sum,precipitation_sum,precipitation_hours,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant,sunshine_duration",
-          hourly:
-            "temperature_2m,relative_humidity_2m,dew_point_2m,apparent_temperature,precipitation_probability,precipitation,rain,showers,snowfall,weather_code,pressure_msl,surface_pressure,cloud_cover,visibility,wind_speed_10m,wind_direction_10m,wind_gusts_10m,uv_index,is_day",
-          current:
-            "temperature_2m,apparent_temperature,relative_humidity_2m,is_day,precipitation,rain,snowfall,showers,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_gusts_10m,wind_direction_10m,wind_speed_10m",
-          wind_speed_unit: "kmh",
-          temperature_unit: "celsius",
-          precipitation_unit: "mm",
+      const forecast = await weatherProvider.getForecast({
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        timezone,
+      });
+      res.json(forecast);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Forecast update stream: server-sent events for one location.
+ * Sends a `forecast` event, with the forecast in the normalized schema, each
+ * time the GET /api/weather cache entry for the same parameters is refreshed,
+ * whether by another request or by the scheduled refresh of subscribed
+ * locations (see `config.updates`). Opening a stream counts against the API
+ * rate limiter like any other request, and beyond `config.updates.maxLocations`
+ * locations or `maxStreams` streams the response is a 503 instead.
+ * @name GET /api/weather/stream
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.latitude - The latitude, as for /api/weather.
+ * @param {string} req.query.longitude - The longitude, as for /api/weather.
+ * @param {string} req.query.timezone - The timezone, as for /api/weather.
+ * @param {object} res - Express response object.
+ * @returns {string} - A `text/event-stream` kept open until the client
+ * disconnects.
+ */
+app.get(
+  "/api/weather/stream",
+  [
+    query("latitude").isFloat(),
+    query("longitude").isFloat(),
+    query("timezone").isString().notEmpty(),
+  ],
+  handleValidationErrors,
+  (req, res) => {
+    const params = matchedData(req, { locations: ["query"] });
+    const cacheKey = buildCacheKey("/api/weather", params, {
+      coordinateGrid: config.cache.coordinateGrid,
+    });
+    forecastUpdates.subscribe(req, res, cacheKey, {
+      latitude: Number(params.latitude),
+      longitude: Number(params.longitude),
+      timezone: params.timezone,
+    });
+  }
+);
+
+// Most locations accepted by /api/weather/batch in one request
+const MAX_BATCH_LOCATIONS = 6;
+
+/**
+ * Gets the forecast for one location through the same cache entries as
+ * GET /api/weather, so batch and single requests share their results.
+ * Falls back to the stale cache when the upstream is failing.
+ * @param {import('./providers/schema.js').ForecastParams} params - The location.
+ * @param {string} statsPath - Route the cache hits and misses are counted under.
+ * @returns {Promise<import('./providers/schema.js').Forecast>} The forecast,
+ * with `stale` and `age` when served from the stale cache.
+ */
+const getCachedForecast = async (params, statsPath) => {
+  const cacheKey = buildCacheKey("/api/weather", params, {
+    coordinateGrid: config.cache.coordinateGrid,
+  });
+  try {
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      cacheStats.record(statsPath, "hit");
+      return cached;
+    }
+  } catch (error) {
+    console.error(`Cache read failed for ${cacheKey}:`, error.message);
+  }
+  cacheStats.record(statsPath, "miss");
+  try {
+    const forecast = await weatherProvider.getForecast(params);
+    storeResponse(cacheKey, forecast, config.cache.ttl.weather);
+    return forecast;
+  } catch (err) {
+    let entry;
+    if (isTransientError(err)) {
+      try {
+        entry = await staleCache.get(cacheKey);
+      } catch (error) {
+        console.error(
+          `Stale cache read failed for ${cacheKey}:`,
+          error.message
+        );
+      }
+    }
+    if (!entry) throw err;
+    console.warn(`Serving stale response for ${cacheKey}:`, err.message);
+    cacheStats.record(statsPath, "stale");
+    const age = Math.round((Date.now() - entry.storedAt) / 1000);
+    return { ...entry.body, stale: true, age };
+  }
+};
+
+/**
+ * Batch weather API endpoint: forecasts for several locations in one request.
+ * Each location is cached on its own, exactly like GET /api/weather.
+ * @name POST /api/weather/batch
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {object[]} req.body.locations - 1 to MAX_BATCH_LOCATIONS locations,
+ * each with `latitude`, `longitude` and `timezone`.
+ * @param {object} res - Express response object.
+ * @returns {object} - JSON response with `results` in request order; each
+ * holds the location's `latitude`, `longitude` and `timezone` plus either
+ * `forecast` in the normalized schema or an `error` message, so one failing
+ * location does not fail the others.
+ */
+app.post(
+  "/api/weather/batch",
+  [
+    body("locations").isArray({ min: 1, max: MAX_BATCH_LOCATIONS }),
+    body("locations.*.latitude").isFloat({ min: -90, max: 90 }),
+    body("locations.*.longitude").isFloat({ min: -180, max: 180 }),
+    body("locations.*.timezone").isString().notEmpty(),
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const results = await Promise.all(
+      req.body.locations.map(async ({ latitude, longitude, timezone }) => {
+        const location = {
+          latitude: Number(latitude),
+          longitude: Number(longitude),
           timezone,
-        },
+        };
+        try {
+          return {
+            ...location,
+            forecast: await getCachedForecast(location, req.path),
+          };
+        } catch (error) {
+          console.error(
+            `Batch forecast failed for ${latitude},${longitude}:`,
+            error.message
+          );
+          return { ...location, error: "Forecast unavailable" };
+        }
+      })
+    );
+    res.json({ results });
+  }
+);
+
+// Hourly rows exported when the request does not say
+const DEFAULT_EXPORT_HOURS = 24;
+
+/**
+ * Forecast export endpoint: the displayed forecast rows as a CSV or JSON
+ * download, or an iCalendar feed of daily forecasts to subscribe to.
+ * Uses the same per-location cache as GET /api/weather.
+ * @name GET /api/weather/export
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.latitude - The latitude of the location.
+ * @param {string} req.query.longitude - The longitude of the location.
+ * @param {string} req.query.timezone - The timezone for local times.
+ * @param {string} req.query.format - "csv", "json" or "ics".
+ * @param {string} [req.query.period="daily"] - "hourly" or "daily"; ignored for "ics".
+ * @param {string} [req.query.hours] - Hourly rows to export, 1 to 168.
+ * @param {string} [req.query.name] - Location name for the file and calendar.
+ * @param {string} [req.query.temperature] - Unit per quantity, as in
+ * utils/units.js; likewise `wind`, `precipitation`, `pressure` and
+ * `visibility`. Omitted units are metric.
+ * @param {object} res - Express response object.
+ * @returns {string} - The file, sent as an attachment.
+ */
+app.get(
+  "/api/weather/export",
+  [
+    query("latitude").isFloat({ min: -90, max: 90 }),
+    query("longitude").isFloat({ min: -180, max: 180 }),
+    query("timezone").isString().notEmpty(),
+    query("format").isIn(EXPORT_FORMATS),
+    query("period").optional().isIn(EXPORT_PERIODS),
+    query("hours").optional().isInt({ min: 1, max: 168 }),
+    query("name").optional().isString().isLength({ max: 200 }),
+    ...Object.entries(UNIT_OPTIONS).map(([quantity, options]) =>
+      query(quantity).optional().isIn(Object.keys(options))
+    ),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { latitude, longitude, timezone, format } = req.query;
+    const period = req.query.period || "daily";
+    const location = {
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      timezone,
+    };
+    const name =
+      req.query.name ||
+      `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`;
+    const units = Object.fromEntries(
+      Object.keys(DEFAULT_UNITS).map((quantity) => [
+        quantity,
+        req.query[quantity] || DEFAULT_UNITS[quantity],
+      ])
+    );
+    const baseName = `forecast-${location.latitude.toFixed(
+      2
+    )}_${location.longitude.toFixed(2)}`;
+    try {
+      const forecast = await getCachedForecast(location, req.path);
+      if (format === "ics") {
+        res.type("text/calendar; charset=utf-8");
+        res.attachment(`${baseName}.ics`);
+        return res.send(toIcs(forecast, { name, units }));
+      }
+      const table = buildTable(forecast, {
+        period,
+        hours: Number(req.query.hours) || DEFAULT_EXPORT_HOURS,
+        units,
       });
-      res.json(weatherResponse.data);
+      res.attachment(`${baseName}-${period}.${format}`);
+      if (format === "csv") {
+        res.type("text/csv; charset=utf-8");
+        return res.send(toCsv(table));
+      }
+      res.json(toJson(table, { ...location, name, period }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Forecast summary endpoint: a few plain-language sentences about the day
+ * ahead (today's outlook, a comparison with yesterday, the temperature
+ * trend, the next rain or snow and wind warnings), for chat bots and the
+ * current weather card. Uses the same per-location cache as GET /api/weather.
+ * @name GET /api/summary
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.latitude - The latitude of the location.
+ * @param {string} req.query.longitude - The longitude of the location.
+ * @param {string} req.query.timezone - The timezone for local times.
+ * @param {string} [req.query.temperature] - Unit per quantity, as in
+ * utils/units.js; likewise `wind` and `precipitation`. Omitted units are
+ * metric.
+ * @param {object} res - Express response object.
+ * @returns {object} - JSON response with the location, the `units` used,
+ * `text` and `sentences`, each with an `id`, its `values` and its English
+ * `text` (see utils/summary.js).
+ */
+app.get(
+  "/api/summary",
+  [
+    query("latitude").isFloat({ min: -90, max: 90 }),
+    query("longitude").isFloat({ min: -180, max: 180 }),
+    query("timezone").isString().notEmpty(),
+    ...Object.entries(UNIT_OPTIONS).map(([quantity, options]) =>
+      query(quantity).optional().isIn(Object.keys(options))
+    ),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { latitude, longitude, timezone } = req.query;
+    const location = {
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      timezone,
+    };
+    const units = Object.fromEntries(
+      Object.keys(DEFAULT_UNITS).map((quantity) => [
+        quantity,
+        req.query[quantity] || DEFAULT_UNITS[quantity],
+      ])
+    );
+    try {
+      const forecast = await getCachedForecast(location, req.path);
+      res.json({
+        ...location,
+        units,
+        ...summarizeForecast(forecast, { units }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Widget and badge parameters: location, units, theme and colour overrides
+const HEX_COLOR = /^[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/;
+const widgetValidators = [
+  query("latitude").isFloat({ min: -90, max: 90 }),
+  query("longitude").isFloat({ min: -180, max: 180 }),
+  query("timezone").isString().notEmpty(),
+  query("name").optional().isString().isLength({ max: 200 }),
+  query("theme").optional().isIn(Object.keys(WIDGET_THEMES)),
+  ...["background", "text", "muted", "accent"].map((color) =>
+    query(color).optional().matches(HEX_COLOR)
+  ),
+  ...Object.entries(UNIT_OPTIONS).map(([quantity, options]) =>
+    query(quantity).optional().isIn(Object.keys(options))
+  ),
+];
+
+/**
+ * Reads the widget options shared by the widget page and badges.
+ * @param {import('express').Request} req - Validated request.
+ * @returns {{location: object, name: string, units: object, theme: object}}
+ *   The forecast parameters, display name, units and colours.
+ */
+const getWidgetOptions = (req) => {
+  const { latitude, longitude, timezone } = req.query;
+  const location = {
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    timezone,
+  };
+  return {
+    location,
+    name:
+      req.query.name ||
+      `${location.latitude.toFixed(4)}, ${location.longitude.toFixed(4)}`,
+    units: Object.fromEntries(
+      Object.keys(DEFAULT_UNITS).map((quantity) => [
+        quantity,
+        req.query[quantity] || DEFAULT_UNITS[quantity],
+      ])
+    ),
+    theme: resolveTheme(req.query.theme || "light", {
+      background: req.query.background,
+      text: req.query.text,
+      muted: req.query.muted,
+      accent: req.query.accent,
+    }),
+  };
+};
+
+/**
+ * Embeddable widget: current conditions and a short forecast as a small
+ * HTML page, meant for an iframe on other sites.
+ * @name GET /widget
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.latitude - The latitude of the location.
+ * @param {string} req.query.longitude - The longitude of the location.
+ * @param {string} req.query.timezone - The timezone of the location.
+ * @param {string} [req.query.name] - Location name shown as the title.
+ * @param {string} [req.query.days=3] - Forecast days, 1 to MAX_WIDGET_DAYS.
+ * @param {string} [req.query.theme="light"] - "light" or "dark".
+ * @param {string} [req.query.background] - Hex colour without "#"; likewise
+ * `text`, `muted` and `accent`.
+ * @param {string} [req.query.temperature] - Unit per quantity, as in
+ * utils/units.js; likewise `wind`. Omitted units are metric.
+ * @param {object} res - Express response object.
+ * @returns {string} - The widget HTML.
+ */
+app.get(
+  "/widget",
+  [
+    ...widgetValidators,
+    query("days").optional().isInt({ min: 1, max: MAX_WIDGET_DAYS }),
+  ],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { location, ...options } = getWidgetOptions(req);
+    try {
+      const forecast = await getCachedForecast(location, req.path);
+      res.set("Cache-Control", `public, max-age=${config.widget.maxAge}`);
+      res.type("html").send(
+        renderWidgetHtml(forecast, {
+          ...options,
+          days: Number(req.query.days) || 3,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Weather badge: location, icon, temperature and description as an image
+ * for README files, dashboards and `<img>` tags.
+ * Takes the same parameters as GET /widget, except `days`.
+ * @name GET /widget/badge.:format
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.params.format - "svg" or "png".
+ * @param {object} res - Express response object.
+ * @returns {Buffer|string} - The badge image.
+ */
+app.get(
+  "/widget/badge.:format",
+  [param("format").isIn(["svg", "png"]), ...widgetValidators],
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { location, ...options } = getWidgetOptions(req);
+    try {
+      const forecast = await getCachedForecast(location, "/widget/badge");
+      const svg = renderBadgeSvg(forecast, options);
+      res.set("Cache-Control", `public, max-age=${config.widget.maxAge}`);
+      if (req.params.format === "png") {
+        return res.type("png").send(renderBadgePng(svg));
+      }
+      res.type("svg").send(svg);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Points per side of the /api/weather/grid sample; the grid has size × size points
+const GRID_SIZE = { min: 2, max: 8, default: 5 };
+
+/**
+ * Weather grid API endpoint: current conditions at a grid of points covering
+ * a map area, fetched from the provider in one batch.
+ * @name GET /api/weather/grid
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.north - Northern edge latitude.
+ * @param {string} req.query.south - Southern edge latitude; below `north`.
+ * @param {string} req.query.east - Eastern edge longitude.
+ * @param {string} req.query.west - Western edge longitude; a `west` greater
+ * than `east` crosses the antimeridian.
+ * @param {string} [req.query.size] - Points per side, GRID_SIZE.min to GRID_SIZE.max.
+ * @param {object} res - Express response object.
+ * @returns {object} - JSON response with `size` and `points`, each point
+ * holding its `latitude`, `longitude` and current conditions in the
+ * normalized schema, row by row from the north-west corner.
+ */
+app.get(
+  "/api/weather/grid",
+  [
+    query("north").isFloat({ min: -90, max: 90 }),
+    query("south")
+      .isFloat({ min: -90, max: 90 })
+      .bail()
+      .custom((south, { req }) => Number(south) < Number(req.query.north))
+      .withMessage("south must be below north"),
+    query("east").isFloat({ min: -180, max: 180 }),
+    query("west").isFloat({ min: -180, max: 180 }),
+    query("size").optional().isInt({ min: GRID_SIZE.min, max: GRID_SIZE.max }),
+  ],
+  handleValidationErrors,
+  cacheMiddleware(config.cache.ttl.weather),
+  async (req, res, next) => {
+    const { north, south, east, west } = req.query;
+    const size = Number(req.query.size) || GRID_SIZE.default;
+    try {
+      const points = await weatherProvider.getCurrentBatch(
+        buildGrid(
+          {
+            north: Number(north),
+            south: Number(south),
+            east: Number(east),
+            west: Number(west),
+          },
+          size
+        )
+      );
+      res.json({ size, units: UNITS, points });
     } catch (error) {
       next(error);
     }
   }
 );
 
+/**
+ * Air quality API endpoint: current and hourly AQI, pollutants and pollen.
+ * @name GET /api/air-quality
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.latitude - The latitude of the location.
+ * @param {string} req.query.longitude - The longitude of the location.
+ * @param {string} req.query.timezone - The timezone for hourly times.
+ * @param {object} res - Express response object.
+ * @returns {object} - JSON response with the air quality in the normalized
+ * schema described in providers/schema.js.
+ */
+app.get(
+  "/api/air-quality",
+  [
+    query("latitude").isFloat({ min: -90, max: 90 }),
+    query("longitude").isFloat({ min: -180, max: 180 }),
+    query("timezone").isString().notEmpty(),
+  ],
+  handleValidationErrors,
+  cacheMiddleware(config.cache.ttl.airQuality),
+  async (req, res, next) => {
+    const { latitude, longitude, timezone } = req.query;
+    try {
+      const airQuality = await airQualityGuard.call(() =>
+        airQualityApi.getAirQuality({
+          latitude: Number(latitude),
+          longitude: Number(longitude),
+          timezone,
+        })
+      );
+      res.json(airQuality);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Marine forecast API endpoint: waves, swell, sea-surface temperature and
+ * tides. For inland locations the response has `coastal: false` and no data.
+ * @name GET /api/marine
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.latitude - The latitude of the location.
+ * @param {string} req.query.longitude - The longitude of the location.
+ * @param {string} req.query.timezone - The timezone for hourly times.
+ * @param {object} res - Express response object.
+ * @returns {object} - JSON response with the marine forecast in the
+ * normalized schema described in providers/schema.js.
+ */
+app.get(
+  "/api/marine",
+  [
+    query("latitude").isFloat({ min: -90, max: 90 }),
+    query("longitude").isFloat({ min: -180, max: 180 }),
+    query("timezone").isString().notEmpty(),
+  ],
+  handleValidationErrors,
+  cacheMiddleware(config.cache.ttl.marine),
+  async (req, res, next) => {
+    const { latitude, longitude, timezone } = req.query;
+    try {
+      const marine = await marineGuard.call(() =>
+        marineApi.getMarineForecast({
+          latitude: Number(latitude),
+          longitude: Number(longitude),
+          timezone,
+        })
+      );
+      res.json(marine);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Longest date range /api/history serves in one request, in days
+const MAX_HISTORY_DAYS = 366;
+
+// Dates are plain calendar days, as the archive API expects them
+const dateParam = (name) =>
+  query(name)
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage(`${name} must be a date as YYYY-MM-DD`)
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage(`${name} must be a valid date`);
+
+/**
+ * Historical weather API endpoint: archived daily (and optionally hourly)
+ * observations for a date range.
+ * @name GET /api/history
+ * @function
+ * @memberof module:server
+ * @param {object} req - Express request object.
+ * @param {string} req.query.latitude - The latitude of the location.
+ * @param {string} req.query.longitude - The longitude of the location.
+ * @param {string} req.query.timezone - The timezone for daily aggregation and times.
+ * @param {string} req.query.start_date - First day, as YYYY-MM-DD.
+ * @param {string} req.query.end_date - Last day, as YYYY-MM-DD; at most
+ * MAX_HISTORY_DAYS after start_date.
+ * @param {string} [req.query.hourly] - "true" to include hourly series.
+ * @param {object} res - Express response object.
+ * @returns {object} - JSON response with the history in the normalized
+ * schema described in providers/schema.js.
+ */
+app.get(
+  "/api/history",
+  [
+    query("latitude").isFloat({ min: -90, max: 90 }),
+    query("longitude").isFloat({ min: -180, max: 180 }),
+    query("timezone").isString().notEmpty(),
+    dateParam("start_date"),
+    dateParam("end_date")
+      .bail()
+      .custom((endDate, { req }) => {
+        const days =
+          (Date.parse(endDate) - Date.parse(req.query.start_date)) / 86400000;
+        if (!(days >= 0 && days < MAX_HISTORY_DAYS)) {
+          throw new Error(
+            `end_date must be on or after start_date and within ${MAX_HISTORY_DAYS} days of it`
+          );
+        }
+        return true;
+      }),
+    query("hourly").optional().isIn(["true", "false"]),
+  ],
+  handleValidationErrors,
+  cacheMiddleware(config.cache.ttl.history),
+  async (req, res, next) => {
+    const { latitude, longitude, timezone, start_date, end_date, hourly } =
+      req.query;
+    try {
+      const history = await historyGuard.call(() =>
+        historyArchive.getHistory({
+          latitude: Number(latitude),
+          longitude: Number(longitude),
+          timezone,
+          startDate: start_date,
+          endDate: end_date,
+          hourly: hourly === "true",
+        })
+      );
+      res.json(history);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Error middleware that serves the last good response for the request when an
+ * upstream API is failing (timeout, 5xx or open circuit).
+ * The response carries an `Age` header, a `Warning: 110` header and
+ * `stale: true` plus `age` (seconds) in the body.
+ * Any other error is passed on to the central error handler.
+ * @param {Error} err - The error object.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ */
+const serveStaleOnError = async (err, req, res, next) => {
+  const { cacheKey } = res.locals;
+  let entry;
+  if (cacheKey && isTransientError(err)) {
+    try {
+      entry = await staleCache.get(cacheKey);
+    } catch (error) {
+      console.error(`Stale cache read failed for ${cacheKey}:`, error.message);
+    }
+  }
+  if (!entry) {
+    return next(err);
+  }
+  console.warn(`Serving stale response for ${cacheKey}:`, err.message);
+  cacheStats.record(req.path, "stale");
+  const age = Math.round((Date.now() - entry.storedAt) / 1000);
+  res.locals.isStale = true;
+  res.set("X-Cache", "STALE");
+  res.set("Age", String(age));
+  res.set("Warning", '110 - "Response is Stale"');
+  res.json({ ...entry.body, stale: true, age });
+};
+app.use(serveStaleOnError);
+
 /**
  * Centralized error handling middleware.
  * This should be the last middleware added to the app.
@@ -320,8 +1299,14 @@ const errorHandler = (err, req, res, next) => {
   // Handle specific axios errors
   if (err.isAxiosError && err.response) {
     statusCode = err.response.status;
+    // Open-Meteo reports errors as `{error: true, reason: "..."}`
     message =
-      err.response.data.error || `Error from external API: ${statusCode}`;
+      err.response.data.reason ||
+      err.response.data.error ||
+      `Error from external API: ${statusCode}`;
+  } else if (isTimeoutError(err)) {
+    statusCode = 504;
+    message = "External API timed out";
   }
 
   res.status(statusCode).json({
@@ -354,4 +1339,17 @@ if (process.env.NODE_ENV !== "test") {
   }
 }
 
+/**
+ * Closes every store the server opened, e.g. Redis connections, so tests
+ * importing the app can exit cleanly.
+ * @returns {Promise<void>}
+ */
+export const closeStores = async () => {
+  await Promise.all(
+    [cache, staleCache, favoritesStore, alertsStore].map((store) =>
+      store.close()
+    )
+  );
+};
+
 export default app;
@@ -0,0 +1,346 @@
+/**
+ * @file Formats a normalized forecast as CSV, JSON or an iCalendar feed for
+ * GET /api/weather/export.
+ * CSV and JSON hold the rows the forecast cards display, converted to the
+ * requested units: hourly rows start at the next hour at the location and
+ * daily rows start tomorrow. The iCalendar feed has one all-day event per
+ * forecast day, today included.
+ * @module utils/export
+ */
+
+import { UNIT_OPTIONS, convertUnit } from "./units.js";
+import { getWeatherDescription, getWeatherSymbol } from "./weatherCodes.js";
+
+export const EXPORT_FORMATS = ["csv", "json", "ics"];
+export const EXPORT_PERIODS = ["hourly", "daily"];
+
+/**
+ * Exported columns per period. `quantity` columns are converted to the
+ * requested unit; `unit` columns keep their fixed unit. `field` defaults to
+ * `key`.
+ */
+const COLUMNS = {
+  hourly: [
+    { key: "time", header: "Time" },
+    { key: "weather", header: "Weather" },
+    { key: "temperature", header: "Temperature", quantity: "temperature" },
+    {
+      key: "apparentTemperature",
+      header: "Feels Like",
+      quantity: "temperature",
+    },
+    { key: "dewPoint", header: "Dew Point", quantity: "temperature" },
+    { key: "humidity", header: "Humidity", unit: "%" },
+    {
+      key: "precipitationProbability",
+      header: "Precipitation Probability",
+      unit: "%",
+    },
+    {
+      key: "precipitation",
+      header: "Precipitation",
+      quantity: "precipitation",
+    },
+    { key: "pressureMsl", header: "Pressure", quantity: "pressure" },
+    { key: "cloudCover", header: "Cloud Cover", unit: "%" },
+    { key: "visibility", header: "Visibility", quantity: "visibility" },
+    { key: "windSpeed", header: "Wind Speed", quantity: "wind" },
+    { key: "windDirection", header: "Wind Direction", unit: "°" },
+    { key: "windGusts", header: "Wind Gusts", quantity: "wind" },
+    { key: "uvIndex", header: "UV Index" },
+  ],
+  daily: [
+    { key: "date", header: "Date", field: "time" },
+    { key: "weather", header: "Weather" },
+    { key: "temperatureMax", header: "High", quantity: "temperature" },
+    { key: "temperatureMin", header: "Low", quantity: "temperature" },
+    {
+      key: "apparentTemperatureMax",
+      header: "Feels Like High",
+      quantity: "temperature",
+    },
+    {
+      key: "apparentTemperatureMin",
+      header: "Feels Like Low",
+      quantity: "temperature",
+    },
+    {
+      key: "precipitationSum",
+      header: "Precipitation",
+      quantity: "precipitation",
+    },
+    {
+      key: "precipitationProbabilityMax",
+      header: "Precipitation Probability",
+      unit: "%",
+    },
+    { key: "windSpeedMax", header: "Max Wind Speed", quantity: "wind" },
+    { key: "windGustsMax", header: "Max Wind Gusts", quantity: "wind" },
+    {
+      key: "windDirectionDominant",
+      header: "Wind Direction",
+      unit: "°",
+    },
+    { key: "uvIndexMax", header: "Max UV Index" },
+    { key: "sunrise", header: "Sunrise" },
+    { key: "sunset", header: "Sunset" },
+  ],
+};
+
+/**
+ * Returns the label of a column's unit, if it has one.
+ * @param {object} column - Entry of {@link COLUMNS}.
+ * @param {object} units - Chosen unit per quantity.
+ * @returns {string|null} The unit label.
+ */
+const getColumnUnit = (column, units) =>
+  column.quantity
+    ? UNIT_OPTIONS[column.quantity][units[column.quantity]].label
+    : column.unit || null;
+
+/**
+ * Finds the index of the hour after the current hour at a location.
+ * @param {string[]} times - Hourly local times (`YYYY-MM-DDTHH:mm`).
+ * @param {string} timezone - IANA timezone of the times.
+ * @param {Date} now - The current time.
+ * @returns {number} Index of the next hour, or 0 if the current hour is not listed.
+ */
+const getNextHourIndex = (times, timezone, now) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map(({ type, value }) => [type, value])
+  );
+  const currentHour = `${parts.year}-${parts.month}-${parts.day}T${parts.hour}`;
+  return times.findIndex((time) => time.startsWith(currentHour)) + 1;
+};
+
+/**
+ * Builds the exported rows of a forecast.
+ * @param {import('../providers/schema.js').Forecast} forecast - The forecast.
+ * @param {object} options
+ * @param {string} options.period - "hourly" or "daily".
+ * @param {number} options.hours - Number of hourly rows.
+ * @param {object} options.units - Chosen unit per quantity.
+ * @param {Date} [options.now=new Date()] - The current time.
+ * @returns {{columns: object[], rows: object[]}} The columns, each with its
+ *   `key`, `header` and `unit`, and one object per row keyed by column.
+ */
+export const buildTable = (
+  forecast,
+  { period, hours, units, now = new Date() }
+) => {
+  const series = forecast[period];
+  const start =
+    period === "hourly"
+      ? getNextHourIndex(series.time, forecast.timezone, now)
+      : 1;
+  const end = period === "hourly" ? start + hours : series.time.length;
+  const columns = COLUMNS[period].map((column) => ({
+    key: column.key,
+    header: column.header,
+    unit: getColumnUnit(column, units),
+  }));
+  const rows = series.time.slice(start, end).map((time, offset) => {
+    const index = start + offset;
+    return Object.fromEntries(
+      COLUMNS[period].map((column) => {
+        if (column.key === "weather") {
+          return [column.key, getWeatherDescription(series.weatherCode[index])];
+        }
+        const value = series[column.field || column.key][index];
+        return [
+          column.key,
+          column.quantity
+            ? convertUnit(column.quantity, value, units[column.quantity])
+            : value,
+        ];
+      })
+    );
+  });
+  return { columns, rows };
+};
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or line break.
+ * @param {*} value - Field value; null becomes an empty field.
+ * @returns {string} The CSV field.
+ */
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats a table as CSV (RFC 4180), with units in the header row.
+ * @param {{columns: object[], rows: object[]}} table - From {@link buildTable}.
+ * @returns {string} The CSV document.
+ */
+export const toCsv = ({ columns, rows }) =>
+  [
+    columns.map(({ header, unit }) =>
+      toCsvField(unit ? `${header} (${unit})` : header)
+    ),
+    ...rows.map((row) => columns.map(({ key }) => toCsvField(row[key]))),
+  ]
+    .map((fields) => fields.join(","))
+    .join("\r\n") + "\r\n";
+
+/**
+ * Formats a table as a JSON document.
+ * @param {{columns: object[], rows: object[]}} table - From {@link buildTable}.
+ * @param {object} meta - Location and period, copied to the top level.
+ * @returns {object} `meta` plus `units` (unit label per column) and `rows`.
+ */
+export const toJson = ({ columns, rows }, meta) => ({
+  ...meta,
+  units: Object.fromEntries(
+    columns.filter(({ unit }) => unit).map(({ key, unit }) => [key, unit])
+  ),
+  rows,
+});
+
+/**
+ * Escapes text for an iCalendar property value.
+ * @param {string} text - Plain text.
+ * @returns {string} The escaped text.
+ */
+const escapeIcsText = (text) =>
+  text.replace(/[\\;,]/g, (char) => `\\${char}`).replace(/\n/g, "\\n");
+
+/**
+ * Folds an iCalendar content line into chunks of at most 75 octets.
+ * @param {string} line - Unfolded content line.
+ * @returns {string} The folded line.
+ */
+const foldIcsLine = (line) => {
+  const chunks = [];
+  let chunk = "";
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (size + charSize > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(chunk);
+      chunk = "";
+      size = 0;
+    }
+    chunk += char;
+    size += charSize;
+  }
+  chunks.push(chunk);
+  return chunks.join("\r\n ");
+};
+
+/**
+ * Formats a date (`YYYY-MM-DD`) as an iCalendar DATE, optionally shifted.
+ * @param {string} date - The date.
+ * @param {number} [days=0] - Days to add.
+ * @returns {string} The date as `YYYYMMDD`.
+ */
+const toIcsDate = (date, days = 0) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10).replace(/-/g, "");
+};
+
+/**
+ * Formats a forecast as an iCalendar feed with one all-day event per day,
+ * titled like "☀ 24°/15° Clear sky".
+ * Event UIDs depend only on the location and date, so calendar clients
+ * update existing events when they refresh a subscription.
+ * @param {import('../providers/schema.js').Forecast} forecast - The forecast.
+ * @param {object} options
+ * @param {string} options.name - Location name for the calendar title.
+ * @param {object} options.units - Chosen unit per quantity.
+ * @param {Date} [options.now=new Date()] - The current time, for DTSTAMP.
+ * @returns {string} The iCalendar document.
+ */
+export const toIcs = (forecast, { name, units, now = new Date() }) => {
+  const { daily, latitude, longitude } = forecast;
+  const temperatureLabel = UNIT_OPTIONS.temperature[units.temperature].label;
+  // Titles use a bare degree sign, as in "24°/15°"
+  const degree = temperatureLabel.startsWith("°") ? "°" : temperatureLabel;
+  const format = (quantity, value) =>
+    value === null
+      ? "–"
+      : `${convertUnit(quantity, value, units[quantity])} ${
+          UNIT_OPTIONS[quantity][units[quantity]].label
+        }`;
+  const stamp = `${now.toISOString().replace(/[-:]/g, "").slice(0, 15)}Z`;
+  const location = `${latitude.toFixed(4)}_${longitude.toFixed(4)}`;
+
+  const events = daily.time.flatMap((date, index) => {
+    const max = convertUnit(
+      "temperature",
+      daily.temperatureMax[index],
+      units.temperature
+    );
+    const min = convertUnit(
+      "temperature",
+      daily.temperatureMin[index],
+      units.temperature
+    );
+    const code = daily.weatherCode[index];
+    const temperatures =
+      max !== null && min !== null
+        ? `${Math.round(max)}${degree}/${Math.round(min)}${degree}`
+        : "";
+    const summary = [
+      getWeatherSymbol(code),
+      temperatures,
+      getWeatherDescription(code),
+    ]
+      .filter(Boolean)
+      .join(" ");
+    const description = [
+      `High ${format("temperature", daily.temperatureMax[index])}, low ${format(
+        "temperature",
+        daily.temperatureMin[index]
+      )}.`,
+      `Precipitation ${format("precipitation", daily.precipitationSum[index])}${
+        daily.precipitationProbabilityMax[index] !== null
+          ? ` (${daily.precipitationProbabilityMax[index]}% chance)`
+          : ""
+      }.`,
+      `Wind up to ${format("wind", daily.windSpeedMax[index])}.`,
+    ].join("\n");
+    return [
+      "BEGIN:VEVENT",
+      `UID:${date}_${location}@open-weather-app`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(date)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(date, 1)}`,
+      `SUMMARY:${escapeIcsText(summary)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `LOCATION:${escapeIcsText(name)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    ];
+  });
+
+  return (
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Open-Weather App//Forecast//EN",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeIcsText(`Weather: ${name}`)}`,
+      // Ask subscribed calendars to refresh a few times a day
+      "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+      "X-PUBLISHED-TTL:PT6H",
+      ...events,
+      "END:VCALENDAR",
+    ]
+      .map(foldIcsLine)
+      .join("\r\n") + "\r\n"
+  );
+};
@@ -0,0 +1,133 @@
+/**
+ * @file Ranking and grouping of geocoding results for location suggestions.
+ * @module utils/geocodeRanking
+ *
+ * OpenCage orders results by text match only, so a street called "Paris"
+ * can outrank the city, and one place often comes back several times (as a
+ * city, its municipality and its county, say). Results are re-ranked by how
+ * big a place is and how close it is to the user, then near-identical ones
+ * are merged.
+ */
+
+/**
+ * Weight of each OpenCage `_type`, from 0 to 1. OpenCage does not report
+ * populations, so the type stands in for the size of a place; other types
+ * (roads, buildings, points of interest) get {@link DEFAULT_TYPE_WEIGHT}.
+ */
+export const PLACE_TYPE_WEIGHTS = {
+  city: 1,
+  country: 0.9,
+  state: 0.8,
+  town: 0.7,
+  county: 0.6,
+  island: 0.5,
+  municipality: 0.5,
+  village: 0.4,
+  suburb: 0.3,
+  neighbourhood: 0.25,
+  hamlet: 0.2,
+  postcode: 0.15,
+};
+
+export const DEFAULT_TYPE_WEIGHT = 0.1;
+
+// Distance at which the proximity score has halved, in kilometres
+const PROXIMITY_HALF_DISTANCE_KM = 300;
+// Results of the same name closer than this are one place, in kilometres
+const DUPLICATE_DISTANCE_KM = 10;
+
+/**
+ * Returns the great-circle distance between two points.
+ * @param {{lat: number, lng: number}} a - First point in decimal degrees.
+ * @param {{lat: number, lng: number}} b - Second point in decimal degrees.
+ * @returns {number} Distance in kilometres.
+ */
+export const distanceKm = (a, b) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) *
+      Math.cos(toRadians(b.lat)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Scores a result; higher is better.
+ * The place type counts most, then proximity to `near`, and OpenCage's own
+ * order breaks ties between similar places.
+ * @param {object} result - Location with `type` and `geometry`.
+ * @param {number} index - Position in OpenCage's response.
+ * @param {number} total - Number of results in the response.
+ * @param {{lat: number, lng: number}|null} near - The user's position.
+ * @returns {number} The score.
+ */
+const scoreResult = (result, index, total, near) => {
+  const typeWeight = PLACE_TYPE_WEIGHTS[result.type] ?? DEFAULT_TYPE_WEIGHT;
+  const proximity = near
+    ? 1 / (1 + distanceKm(near, result.geometry) / PROXIMITY_HALF_DISTANCE_KM)
+    : 0;
+  const order = total > 1 ? 1 - index / (total - 1) : 1;
+  return typeWeight * 2 + proximity + order * 0.5;
+};
+
+/**
+ * Returns a result's name for comparing, ignoring case, accents and spacing.
+ * @param {string} name - Place name.
+ * @returns {string} The normalized name.
+ */
+const normalizeName = (name) =>
+  name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Checks whether two results are the same place: within
+ * {@link DUPLICATE_DISTANCE_KM} of each other and with the same full name, or
+ * the same leading name (e.g. "Paris" in "Paris, Île-de-France, France") in
+ * the same country. Distinct places that share a full name, such as two
+ * villages of one name in a region, are kept apart by their distance.
+ * @param {object} a - Location.
+ * @param {object} b - Location.
+ * @returns {boolean} True if they should be shown once.
+ */
+const isSamePlace = (a, b) => {
+  if (distanceKm(a.geometry, b.geometry) >= DUPLICATE_DISTANCE_KM) {
+    return false;
+  }
+  if (normalizeName(a.formatted) === normalizeName(b.formatted)) return true;
+  return (
+    normalizeName(a.formatted.split(",")[0]) ===
+      normalizeName(b.formatted.split(",")[0]) && a.country === b.country
+  );
+};
+
+/**
+ * Sorts results from best to worst and merges duplicates, keeping the
+ * best-ranked result of each place.
+ * @param {object[]} results - Locations in OpenCage's order, with `type`.
+ * @param {{lat: number, lng: number}|null} [near=null] - The user's position,
+ *   to prefer nearby places.
+ * @returns {object[]} The ranked, grouped locations.
+ */
+export const rankLocations = (results, near = null) => {
+  const ranked = results
+    .map((result, index) => ({
+      result,
+      score: scoreResult(result, index, results.length, near),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ result }) => result);
+  const grouped = [];
+  for (const result of ranked) {
+    if (!grouped.some((kept) => isSamePlace(kept, result))) {
+      grouped.push(result);
+    }
+  }
+  return grouped;
+};
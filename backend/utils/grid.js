@@ -0,0 +1,39 @@
+/**
+ * @file Helpers for sampling a map area on a regular grid of points.
+ * @module utils/grid
+ */
+
+/**
+ * Wraps a longitude into the range [-180, 180).
+ * @param {number} longitude - Longitude in decimal degrees.
+ * @returns {number} The wrapped longitude.
+ */
+const wrapLongitude = (longitude) =>
+  ((((longitude + 180) % 360) + 360) % 360) - 180;
+
+/**
+ * Places `size` × `size` points at the centres of equal cells covering a
+ * bounding box, row by row from north-west to south-east.
+ * A box whose `west` is greater than its `east` crosses the antimeridian.
+ * @param {{north: number, south: number, east: number, west: number}} bounds
+ *   Bounding box in decimal degrees.
+ * @param {number} size - Points per row and per column.
+ * @returns {Array<{latitude: number, longitude: number}>} The points, with
+ *   coordinates rounded to four decimals.
+ */
+export const buildGrid = ({ north, south, east, west }, size) => {
+  const latStep = (north - south) / size;
+  const lngSpan = east >= west ? east - west : east - west + 360;
+  const lngStep = lngSpan / size;
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const points = [];
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      points.push({
+        latitude: round(north - latStep * (row + 0.5)),
+        longitude: round(wrapLongitude(west + lngStep * (col + 0.5))),
+      });
+    }
+  }
+  return points;
+};
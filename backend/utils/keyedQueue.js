@@ -0,0 +1,32 @@
+/**
+ * @file Per-key serialization of async tasks.
+ * Read-modify-write updates of one store entry (e.g. a user's alert rules)
+ * would otherwise interleave and lose each other's changes. Tasks are only
+ * ordered within this process, not across replicas sharing a store.
+ * @module utils/keyedQueue
+ */
+
+/**
+ * Creates a queue that runs tasks one at a time per key.
+ * Tasks for different keys still run concurrently.
+ * @returns {{run: Function}} The queue. `run(key, task)` resolves or rejects
+ *   with `task()` once every earlier task for `key` has settled.
+ */
+export const createKeyedQueue = () => {
+  const tails = new Map();
+
+  return {
+    run: (key, task) => {
+      const previous = tails.get(key) || Promise.resolve();
+      // A failed task must not block the ones queued after it
+      const result = previous.catch(() => {}).then(task);
+      const tail = result.catch(() => {});
+      tails.set(key, tail);
+      tail.then(() => {
+        // Forget the key once nothing else has been queued behind this task
+        if (tails.get(key) === tail) tails.delete(key);
+      });
+      return result;
+    },
+  };
+};
@@ -0,0 +1,157 @@
+/**
+ * @file Helpers for calling unreliable upstream APIs: retry with exponential
+ * backoff, a per-upstream circuit breaker, and classification of transient
+ * failures.
+ * @module utils/resilience
+ */
+
+/**
+ * Resolves after the given number of milliseconds.
+ * @param {number} ms - Delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Checks whether an error is a timeout, network failure, 429 or 5xx from an
+ * upstream API, i.e. something that may succeed on retry or another provider.
+ * @param {Error} err - The error to inspect.
+ * @returns {boolean} True if the failure is transient.
+ */
+export const isTransientError = (err) => {
+  if (!err) return false;
+  if (err.code === "CIRCUIT_OPEN") return true;
+  if (!err.isAxiosError) return false;
+  if (!err.response) return true; // Timeout or network error
+  return err.response.status === 429 || err.response.status >= 500;
+};
+
+/**
+ * Checks whether an error was caused by an upstream request timing out.
+ * @param {Error} err - The error to inspect.
+ * @returns {boolean} True if the request timed out.
+ */
+export const isTimeoutError = (err) =>
+  Boolean(err) && (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT");
+
+/**
+ * Calls `fn` and retries transient failures with exponential backoff and jitter.
+ * @template T
+ * @param {() => Promise<T>} fn - The operation to run.
+ * @param {object} [options]
+ * @param {number} [options.retries=2] - Retries after the first attempt.
+ * @param {number} [options.baseDelayMs=200] - Delay before the first retry; doubles each time.
+ * @param {(err: Error) => boolean} [options.shouldRetry=isTransientError] - Decides whether to retry.
+ * @returns {Promise<T>} The operation's result.
+ */
+export const withRetry = async (
+  fn,
+  { retries = 2, baseDelayMs = 200, shouldRetry = isTransientError } = {}
+) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !shouldRetry(err)) throw err;
+      const delay = baseDelayMs * 2 ** attempt;
+      await sleep(delay + Math.random() * delay * 0.2);
+    }
+  }
+};
+
+/**
+ * A circuit breaker for one upstream.
+ * After `failureThreshold` consecutive transient failures the circuit opens and
+ * calls fail fast for `resetTimeoutMs`. The next call after that is let through
+ * as a trial: success closes the circuit, failure opens it again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {string} name - Upstream name, used in error messages.
+   * @param {object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures before opening.
+   * @param {number} [options.resetTimeoutMs=30000] - How long the circuit stays open.
+   */
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Current state: "closed", "open" or "half-open".
+   * @type {string}
+   */
+  get state() {
+    if (this.openedAt === null) return "closed";
+    return Date.now() - this.openedAt >= this.resetTimeoutMs
+      ? "half-open"
+      : "open";
+  }
+
+  /**
+   * Runs `fn` through the breaker.
+   * @template T
+   * @param {() => Promise<T>} fn - The upstream call.
+   * @returns {Promise<T>} The call's result.
+   * @throws {Error} With `status` 503 and `code` "CIRCUIT_OPEN" while open.
+   */
+  async exec(fn) {
+    if (this.state === "open") {
+      const error = new Error(
+        `Upstream ${this.name} is unavailable, please try again later`
+      );
+      error.status = 503;
+      error.code = "CIRCUIT_OPEN";
+      throw error;
+    }
+    try {
+      const result = await fn();
+      this.failures = 0;
+      this.openedAt = null;
+      return result;
+    } catch (err) {
+      if (isTransientError(err)) {
+        this.failures++;
+        if (
+          this.state === "half-open" ||
+          this.failures >= this.failureThreshold
+        ) {
+          this.openedAt = Date.now();
+        }
+      }
+      throw err;
+    }
+  }
+}
+
+/**
+ * Creates a guard for one upstream that combines retries and a circuit breaker.
+ * The guard counts every attempt it makes, including retries, in `counts`.
+ * @param {string} name - Upstream name.
+ * @param {object} options - Retry and breaker options, see {@link withRetry}
+ *   and {@link CircuitBreaker}.
+ * @returns {{name: string, breaker: CircuitBreaker, counts: {calls: number, failures: number}, call: Function}}
+ *   The guard. `call(fn)` runs `fn` with retries inside the breaker.
+ */
+export const createUpstreamGuard = (name, options = {}) => {
+  const breaker = new CircuitBreaker(name, options);
+  const counts = { calls: 0, failures: 0 };
+  const attempt = async (fn) => {
+    counts.calls++;
+    try {
+      return await fn();
+    } catch (err) {
+      counts.failures++;
+      throw err;
+    }
+  };
+  return {
+    name,
+    breaker,
+    counts,
+    call: (fn) => breaker.exec(() => withRetry(() => attempt(fn), options)),
+  };
+};
@@ -0,0 +1,39 @@
+/**
+ * @file In-process runtime statistics for the admin API.
+ * Counters reset when the process restarts.
+ * @module utils/stats
+ */
+
+/**
+ * Creates a cache statistics recorder.
+ * @returns {{record: Function, snapshot: Function}} The recorder.
+ *   `record(route, outcome)` counts a "hit", "miss" or "stale" response for a
+ *   route; `snapshot()` returns per-route counts with a hit ratio.
+ */
+export const createCacheStats = () => {
+  const routes = new Map();
+
+  return {
+    record: (route, outcome) => {
+      if (!routes.has(route)) {
+        routes.set(route, { hits: 0, misses: 0, stale: 0 });
+      }
+      const counts = routes.get(route);
+      if (outcome === "hit") counts.hits++;
+      else if (outcome === "miss") counts.misses++;
+      else if (outcome === "stale") counts.stale++;
+    },
+    snapshot: () => {
+      const result = {};
+      for (const [route, counts] of routes) {
+        const lookups = counts.hits + counts.misses;
+        result[route] = {
+          ...counts,
+          // Stale responses follow a miss, so they are not counted twice
+          hitRatio: lookups ? counts.hits / lookups : null,
+        };
+      }
+      return result;
+    },
+  };
+};
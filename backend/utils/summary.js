@@ -0,0 +1,294 @@
+/**
+ * @file Rule-based plain-language summary of a normalized forecast.
+ * @module utils/summary
+ *
+ * A summary is a short list of sentences: today's outlook, a comparison with
+ * yesterday, the temperature trend, the next rain or snow and any wind
+ * warning. Each sentence has an `id`, the `values` it mentions (converted to
+ * the chosen units) and an English `text`; clients showing the summary in
+ * another language translate it by `id`. "Now" is taken from the forecast's
+ * `current.time`, so one forecast always gives the same summary; without it
+ * (e.g. MET Norway with an empty timeseries) only the day sentences remain.
+ */
+
+import { UNIT_OPTIONS, DEFAULT_UNITS, convertUnit } from "./units.js";
+import { getWeatherDescription } from "./weatherCodes.js";
+
+// Hours ahead covered by the trend, precipitation and wind sentences
+export const SUMMARY_HOURS = 24;
+// Smallest temperature change (°C) reported as a rise or fall
+const TREND_TOLERANCE_C = 2;
+// Smallest difference (°C) between today's and yesterday's highs worth reporting
+const COMPARISON_TOLERANCE_C = 2;
+// Precipitation probability (%) from which an hour counts as wet
+const WET_PROBABILITY = 50;
+// Hourly precipitation (mm) that counts as wet when no probability is known
+const WET_AMOUNT_MM = 0.2;
+// Gusts (km/h) from which the wind is mentioned, and from which it is a warning
+const STRONG_GUSTS_KMH = 50;
+const SEVERE_GUSTS_KMH = 75;
+// WMO codes of snow, snow grains and snow showers
+const SNOW_CODES = [71, 73, 75, 77, 85, 86];
+
+/**
+ * English text of each sentence, with `{name}` placeholders for its values.
+ */
+export const SUMMARY_TEMPLATES = {
+  today:
+    "Today ({condition}): high {high} {temperatureUnit}, low {low} {temperatureUnit}.",
+  warmerThanYesterday: "{difference} {temperatureUnit} warmer than yesterday.",
+  coolerThanYesterday: "{difference} {temperatureUnit} cooler than yesterday.",
+  sameAsYesterday: "About as warm as yesterday.",
+  temperatureRise:
+    "Temperatures rise from {from} {temperatureUnit} to {to} {temperatureUnit} by {time}.",
+  temperatureFall:
+    "Temperatures fall from {from} {temperatureUnit} to {to} {temperatureUnit} by {time}.",
+  temperatureSteady:
+    "Temperatures stay near {from} {temperatureUnit} for the next {hours} hours.",
+  rainWindow:
+    "Rain likely from {start} to {end}, with {amount} {precipitationUnit} expected.",
+  snowWindow:
+    "Snow likely from {start} to {end}, with {amount} {precipitationUnit} expected.",
+  dry: "No rain or snow expected in the next {hours} hours.",
+  strongWind: "Windy, with gusts up to {gusts} {windUnit} around {time}.",
+  severeWind: "Wind warning: gusts up to {gusts} {windUnit} around {time}.",
+};
+
+// Values holding local times (YYYY-MM-DDTHH:mm), shown as HH:mm in the text
+const TIME_VALUES = new Set(["time", "start", "end"]);
+
+/**
+ * Converts a temperature and rounds it to whole degrees, as summaries show it.
+ * @param {number|null} value - Temperature in °C.
+ * @param {string} unit - Chosen temperature unit.
+ * @returns {number|null} The rounded temperature, or null without a value.
+ */
+const toTemperature = (value, unit) => {
+  const converted = convertUnit("temperature", value, unit);
+  return converted === null ? null : Math.round(converted);
+};
+
+/**
+ * Renders a sentence's English text.
+ * @param {string} id - Key of {@link SUMMARY_TEMPLATES}.
+ * @param {object} values - Values of the sentence.
+ * @returns {string} The text.
+ */
+const renderText = (id, values) =>
+  SUMMARY_TEMPLATES[id].replace(/\{(\w+)\}/g, (match, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) return match;
+    if (name === "condition") return getWeatherDescription(value);
+    if (TIME_VALUES.has(name)) return value.slice(11, 16);
+    return String(value);
+  });
+
+/**
+ * Builds a sentence.
+ * @param {string} id - Key of {@link SUMMARY_TEMPLATES}.
+ * @param {object} [values={}] - Values of the sentence.
+ * @returns {{id: string, values: object, text: string}} The sentence.
+ */
+const sentence = (id, values = {}) => ({
+  id,
+  values,
+  text: renderText(id, values),
+});
+
+/**
+ * Returns the indexes of the hours from the current hour on.
+ * @param {import('../providers/schema.js').Forecast} forecast - The forecast.
+ * @returns {number[]} Up to {@link SUMMARY_HOURS} indexes into `hourly`;
+ *   none without a current time.
+ */
+const getUpcomingHours = ({ current, hourly }) => {
+  if (!current.time) return [];
+  const hour = current.time.slice(0, 13);
+  const start = hourly.time.findIndex((time) => time.slice(0, 13) >= hour);
+  if (start === -1) return [];
+  return hourly.time
+    .slice(start, start + SUMMARY_HOURS)
+    .map((time, index) => start + index);
+};
+
+/**
+ * Describes today's weather and temperatures.
+ * @param {import('../providers/schema.js').DailySeries} daily - Daily series.
+ * @param {number} day - Index of today.
+ * @param {object} units - Chosen units.
+ * @returns {object|null} The sentence, or null without temperatures.
+ */
+const describeToday = (daily, day, units) => {
+  const high = toTemperature(daily.temperatureMax[day], units.temperature);
+  const low = toTemperature(daily.temperatureMin[day], units.temperature);
+  if (high === null || low === null) return null;
+  return sentence("today", {
+    condition: daily.weatherCode[day],
+    high,
+    low,
+    temperatureUnit: UNIT_OPTIONS.temperature[units.temperature].label,
+  });
+};
+
+/**
+ * Compares today's high with yesterday's.
+ * @param {number|null} todayMax - Today's high in °C.
+ * @param {number|null} yesterdayMax - Yesterday's high in °C, from the
+ *   forecast's past day.
+ * @param {object} units - Chosen units.
+ * @returns {object|null} The sentence, or null without both highs.
+ */
+const describeComparison = (todayMax, yesterdayMax, units) => {
+  if (todayMax === null || yesterdayMax === null) return null;
+  if (Math.abs(todayMax - yesterdayMax) < COMPARISON_TOLERANCE_C) {
+    return sentence("sameAsYesterday");
+  }
+  // Converting both highs keeps the difference right for °F
+  const difference = Math.abs(
+    toTemperature(todayMax, units.temperature) -
+      toTemperature(yesterdayMax, units.temperature)
+  );
+  return sentence(
+    todayMax > yesterdayMax ? "warmerThanYesterday" : "coolerThanYesterday",
+    {
+      difference,
+      temperatureUnit: UNIT_OPTIONS.temperature[units.temperature].label,
+    }
+  );
+};
+
+/**
+ * Describes the largest temperature move over the coming hours.
+ * @param {import('../providers/schema.js').HourlySeries} hourly - Hourly series.
+ * @param {number[]} hours - Indexes of the coming hours.
+ * @param {object} units - Chosen units.
+ * @returns {object|null} The sentence, or null with fewer than two readings.
+ */
+const describeTrend = (hourly, hours, units) => {
+  const readings = hours.filter((index) => hourly.temperature[index] !== null);
+  if (readings.length < 2) return null;
+  const [first] = readings;
+  const warmest = readings.reduce((a, b) =>
+    hourly.temperature[b] > hourly.temperature[a] ? b : a
+  );
+  const coolest = readings.reduce((a, b) =>
+    hourly.temperature[b] < hourly.temperature[a] ? b : a
+  );
+  const rise = hourly.temperature[warmest] - hourly.temperature[first];
+  const fall = hourly.temperature[first] - hourly.temperature[coolest];
+  const temperatureUnit = UNIT_OPTIONS.temperature[units.temperature].label;
+  const from = toTemperature(hourly.temperature[first], units.temperature);
+  if (Math.max(rise, fall) < TREND_TOLERANCE_C) {
+    return sentence("temperatureSteady", {
+      from,
+      hours: readings.length,
+      temperatureUnit,
+    });
+  }
+  const extreme = rise >= fall ? warmest : coolest;
+  return sentence(rise >= fall ? "temperatureRise" : "temperatureFall", {
+    from,
+    to: toTemperature(hourly.temperature[extreme], units.temperature),
+    time: hourly.time[extreme],
+    temperatureUnit,
+  });
+};
+
+/**
+ * Checks whether rain or snow is likely in an hour.
+ * @param {import('../providers/schema.js').HourlySeries} hourly - Hourly series.
+ * @param {number} index - Hour index.
+ * @returns {boolean} True if the hour is wet.
+ */
+const isWetHour = (hourly, index) => {
+  const probability = hourly.precipitationProbability[index];
+  if (probability !== null) return probability >= WET_PROBABILITY;
+  return (hourly.precipitation[index] ?? 0) >= WET_AMOUNT_MM;
+};
+
+/**
+ * Describes the first spell of rain or snow in the coming hours.
+ * @param {import('../providers/schema.js').HourlySeries} hourly - Hourly series.
+ * @param {number[]} hours - Indexes of the coming hours.
+ * @param {object} units - Chosen units.
+ * @returns {object} The sentence.
+ */
+const describePrecipitation = (hourly, hours, units) => {
+  const start = hours.findIndex((index) => isWetHour(hourly, index));
+  if (start === -1) return sentence("dry", { hours: hours.length });
+  let end = start;
+  while (end + 1 < hours.length && isWetHour(hourly, hours[end + 1])) end++;
+  const spell = hours.slice(start, end + 1);
+  const snowHours = spell.filter((index) =>
+    SNOW_CODES.includes(hourly.weatherCode[index])
+  ).length;
+  const amount = spell.reduce(
+    (sum, index) => sum + (hourly.precipitation[index] ?? 0),
+    0
+  );
+  // The spell ends when the next dry hour starts
+  const endIndex = hours[end + 1] ?? hours[end];
+  return sentence(snowHours > spell.length / 2 ? "snowWindow" : "rainWindow", {
+    start: hourly.time[hours[start]],
+    end: hourly.time[endIndex],
+    amount: convertUnit("precipitation", amount, units.precipitation),
+    precipitationUnit: UNIT_OPTIONS.precipitation[units.precipitation].label,
+  });
+};
+
+/**
+ * Warns about strong gusts in the coming hours.
+ * @param {import('../providers/schema.js').HourlySeries} hourly - Hourly series.
+ * @param {number[]} hours - Indexes of the coming hours.
+ * @param {object} units - Chosen units.
+ * @returns {object|null} The sentence, or null when the gusts stay moderate.
+ */
+const describeWind = (hourly, hours, units) => {
+  const gusty = hours.filter((index) => hourly.windGusts[index] !== null);
+  if (gusty.length === 0) return null;
+  const peak = gusty.reduce((a, b) =>
+    hourly.windGusts[b] > hourly.windGusts[a] ? b : a
+  );
+  const gusts = hourly.windGusts[peak];
+  if (gusts < STRONG_GUSTS_KMH) return null;
+  return sentence(gusts >= SEVERE_GUSTS_KMH ? "severeWind" : "strongWind", {
+    gusts: convertUnit("wind", gusts, units.wind),
+    time: hourly.time[peak],
+    windUnit: UNIT_OPTIONS.wind[units.wind].label,
+  });
+};
+
+/**
+ * Summarizes a forecast in a few sentences.
+ * @param {import('../providers/schema.js').Forecast} forecast - The forecast.
+ * The comparison with yesterday uses the forecast's `yesterday` and is left
+ * out when the provider has no past data.
+ * @param {object} [options]
+ * @param {object} [options.units=DEFAULT_UNITS] - Chosen unit per quantity,
+ *   as in {@link module:utils/units}.
+ * @returns {{sentences: object[], text: string}} The sentences, each with
+ *   `id`, `values` and `text`, and all their texts joined.
+ */
+export const summarizeForecast = (forecast, { units = DEFAULT_UNITS } = {}) => {
+  const { current, hourly, daily, yesterday } = forecast;
+  // The daily series starts today, so its first day stands in without a time
+  const day = current.time
+    ? Math.max(daily.time.indexOf(current.time.slice(0, 10)), 0)
+    : 0;
+  const hours = getUpcomingHours(forecast);
+  const sentences = [
+    describeToday(daily, day, units),
+    describeComparison(
+      daily.temperatureMax[day] ?? null,
+      yesterday ? yesterday.temperatureMax ?? null : null,
+      units
+    ),
+    describeTrend(hourly, hours, units),
+    hours.length > 0 ? describePrecipitation(hourly, hours, units) : null,
+    describeWind(hourly, hours, units),
+  ].filter(Boolean);
+  return {
+    sentences,
+    text: sentences.map(({ text }) => text).join(" "),
+  };
+};
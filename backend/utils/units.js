@@ -0,0 +1,82 @@
+/**
+ * @file Conversion of normalized forecast values into user-chosen units.
+ * Unit keys match the frontend's unit preferences (utils/helpers.js
+ * `UNIT_OPTIONS`), so a client can pass its settings straight through.
+ * @module utils/units
+ */
+
+const KMH_TO_MPH = 1.60934;
+const MM_TO_IN = 25.4;
+const HPA_TO_INHG = 0.02953;
+const HPA_TO_MMHG = 0.750062;
+
+/**
+ * Beaufort scale upper bounds in km/h for forces 0 to 11; anything faster is force 12.
+ */
+const BEAUFORT_LIMITS_KMH = [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118];
+
+/**
+ * Selectable units per quantity. Values arrive in the first (metric) unit of
+ * each quantity, as in providers/schema.js `UNITS`. Each option has a label,
+ * a conversion from the base unit and the number of decimals to keep.
+ */
+export const UNIT_OPTIONS = {
+  temperature: {
+    C: { label: "°C", convert: (t) => t, precision: 1 },
+    F: { label: "°F", convert: (t) => (t * 9) / 5 + 32, precision: 1 },
+    K: { label: "K", convert: (t) => t + 273.15, precision: 1 },
+  },
+  wind: {
+    kmh: { label: "km/h", convert: (v) => v, precision: 1 },
+    mph: { label: "mph", convert: (v) => v / KMH_TO_MPH, precision: 1 },
+    ms: { label: "m/s", convert: (v) => v / 3.6, precision: 1 },
+    kn: { label: "kn", convert: (v) => v / 1.852, precision: 1 },
+    bft: {
+      label: "Bft",
+      convert: (v) => {
+        const force = BEAUFORT_LIMITS_KMH.findIndex((limit) => v < limit);
+        return force === -1 ? 12 : force;
+      },
+      precision: 0,
+    },
+  },
+  precipitation: {
+    mm: { label: "mm", convert: (v) => v, precision: 1 },
+    in: { label: "in", convert: (v) => v / MM_TO_IN, precision: 2 },
+  },
+  pressure: {
+    hPa: { label: "hPa", convert: (v) => v, precision: 0 },
+    inHg: { label: "inHg", convert: (v) => v * HPA_TO_INHG, precision: 2 },
+    mmHg: { label: "mmHg", convert: (v) => v * HPA_TO_MMHG, precision: 0 },
+    kPa: { label: "kPa", convert: (v) => v / 10, precision: 1 },
+  },
+  visibility: {
+    km: { label: "km", convert: (v) => v / 1000, precision: 1 },
+    mi: { label: "mi", convert: (v) => v / 1609.344, precision: 1 },
+    m: { label: "m", convert: (v) => v, precision: 0 },
+  },
+};
+
+/**
+ * Units used when a request does not choose one.
+ */
+export const DEFAULT_UNITS = {
+  temperature: "C",
+  wind: "kmh",
+  precipitation: "mm",
+  pressure: "hPa",
+  visibility: "km",
+};
+
+/**
+ * Converts a value from its base unit and rounds it to the unit's precision.
+ * @param {string} quantity - Key of {@link UNIT_OPTIONS}, e.g. "wind".
+ * @param {number|null} value - Value in the base unit.
+ * @param {string} unit - Chosen unit, e.g. "kn".
+ * @returns {number|null} The converted value, or null if there is no value.
+ */
+export const convertUnit = (quantity, value, unit) => {
+  if (value === null || value === undefined) return null;
+  const { convert, precision } = UNIT_OPTIONS[quantity][unit];
+  return Number(convert(value).toFixed(precision));
+};
@@ -0,0 +1,144 @@
+/**
+ * @file Server-sent event channel for forecast updates.
+ * Clients subscribe to the /api/weather cache key of their location and get
+ * a `forecast` event with the new forecast whenever that cache entry is
+ * refreshed. Subscribed locations are refreshed on the upstream model update
+ * cadence, so open tabs stay current without polling.
+ * @module utils/updates
+ */
+
+/**
+ * Returns the first update time after `time`: the next multiple of the
+ * interval, shifted by the offset.
+ * @param {number} time - Time in ms since the epoch.
+ * @param {number} intervalMs - Update interval in ms.
+ * @param {number} offsetMs - Delay after each interval boundary, giving the
+ *   upstream time to publish new data.
+ * @returns {number} The next update time, in ms since the epoch.
+ */
+export const getNextUpdateTime = (time, intervalMs, offsetMs) =>
+  (Math.floor((time - offsetMs) / intervalMs) + 1) * intervalMs + offsetMs;
+
+/**
+ * Writes one event to an event stream.
+ * @param {import('express').Response} res - The open stream.
+ * @param {string} event - Event name.
+ * @param {*} data - Event data, sent as JSON.
+ */
+const sendEvent = (res, event, data) =>
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+/**
+ * Creates the forecast update channel.
+ * @param {object} options
+ * @param {number} options.intervalSeconds - Refresh interval, matching how
+ *   often the upstream models update.
+ * @param {number} options.offsetSeconds - Delay after each interval boundary.
+ * @param {number} options.heartbeatSeconds - Interval of keep-alive comments,
+ *   so proxies do not close idle streams.
+ * @param {number} options.maxLocations - Most distinct locations subscribed
+ *   at once. Each one is refetched upstream every interval, so this bounds
+ *   the scheduled upstream traffic.
+ * @param {number} options.maxStreams - Most streams open at once.
+ * @param {(key: string, params: object) => Promise<void>} options.refresh -
+ *   Refreshes the cache entry of a subscribed location; the new forecast must
+ *   be passed to `publish`.
+ * @returns {{subscribe: Function, publish: Function, snapshot: Function}}
+ *   The channel. `subscribe(req, res, key, params)` turns a response into an
+ *   event stream for a cache key until the client disconnects, or responds
+ *   503 when a limit is reached;
+ *   `publish(key, forecast)` sends a forecast to that key's subscribers;
+ *   `snapshot()` returns the number of streams and locations.
+ */
+export const createForecastUpdates = ({
+  intervalSeconds,
+  offsetSeconds,
+  heartbeatSeconds,
+  maxLocations,
+  maxStreams,
+  refresh,
+}) => {
+  // Subscribed locations: cache key → { params, clients }
+  const subscriptions = new Map();
+  let streams = 0;
+  let timer = null;
+
+  const refreshAll = async () => {
+    timer = null;
+    await Promise.all(
+      [...subscriptions].map(([key, { params }]) =>
+        refresh(key, params).catch((error) =>
+          console.error(`Scheduled refresh failed for ${key}:`, error.message)
+        )
+      )
+    );
+    schedule();
+  };
+
+  // Runs one timer for all locations while anyone is subscribed
+  const schedule = () => {
+    if (timer || subscriptions.size === 0) return;
+    const now = Date.now();
+    timer = setTimeout(
+      refreshAll,
+      getNextUpdateTime(now, intervalSeconds * 1000, offsetSeconds * 1000) - now
+    );
+    timer.unref();
+  };
+
+  return {
+    subscribe: (req, res, key, params) => {
+      if (
+        streams >= maxStreams ||
+        (!subscriptions.has(key) && subscriptions.size >= maxLocations)
+      ) {
+        res.set("Retry-After", String(intervalSeconds));
+        return res
+          .status(503)
+          .json({ error: "Too many forecast update streams are open." });
+      }
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        // Stop nginx from buffering the stream
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      // Browsers reconnect after this delay when the stream drops
+      res.write("retry: 10000\n\n");
+
+      if (!subscriptions.has(key)) {
+        subscriptions.set(key, { params, clients: new Set() });
+      }
+      const { clients } = subscriptions.get(key);
+      clients.add(res);
+      streams++;
+      schedule();
+
+      const heartbeat = setInterval(
+        () => res.write(": ping\n\n"),
+        heartbeatSeconds * 1000
+      );
+      heartbeat.unref();
+      req.on("close", () => {
+        clearInterval(heartbeat);
+        clients.delete(res);
+        streams--;
+        if (clients.size === 0) subscriptions.delete(key);
+        if (subscriptions.size === 0 && timer) {
+          clearTimeout(timer);
+          timer = null;
+        }
+      });
+    },
+    publish: (key, forecast) => {
+      const subscription = subscriptions.get(key);
+      if (!subscription) return;
+      subscription.clients.forEach((res) =>
+        sendEvent(res, "forecast", forecast)
+      );
+    },
+    snapshot: () => ({ locations: subscriptions.size, streams }),
+  };
+};
@@ -0,0 +1,23 @@
+/**
+ * @file Shared request validation middleware.
+ * @module utils/validation
+ */
+
+import { validationResult } from "express-validator";
+
+/**
+ * Middleware to validate request parameters.
+ * It checks for validation errors and sends a 400 response if any are found.
+ * @param {import('express').Request} req - Express request object.
+ * @param {import('express').Response} res - Express response object.
+ * @param {import('express').NextFunction} next - Express next middleware function.
+ */
+export const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      errors: errors.array(),
+    });
+  }
+  next();
+};
@@ -0,0 +1,107 @@
+/**
+ * @file Human-readable descriptions, icons and symbols for WMO weather codes.
+ * Descriptions and icon codes match the ones the frontend shows
+ * (utils/helpers.js).
+ * @module utils/weatherCodes
+ */
+
+const DESCRIPTIONS = {
+  0: "Clear sky",
+  1: "Mainly clear",
+  2: "Partly cloudy",
+  3: "Overcast",
+  45: "Fog",
+  48: "Depositing rime fog",
+  51: "Drizzle: Light intensity",
+  53: "Drizzle: Moderate intensity",
+  55: "Drizzle: Dense intensity",
+  56: "Freezing Drizzle: Light intensity",
+  57: "Freezing Drizzle: Dense intensity",
+  61: "Rain: Slight intensity",
+  63: "Rain: Moderate intensity",
+  65: "Rain: Heavy intensity",
+  66: "Freezing Rain: Light intensity",
+  67: "Freezing Rain: Heavy intensity",
+  71: "Snow fall: Slight intensity",
+  73: "Snow fall: Moderate intensity",
+  75: "Snow fall: Heavy intensity",
+  77: "Snow grains",
+  80: "Rain showers: Slight intensity",
+  81: "Rain showers: Moderate intensity",
+  82: "Rain showers: Violent intensity",
+  85: "Snow showers: Slight intensity",
+  86: "Snow showers: Heavy intensity",
+  95: "Thunderstorm: Slight or moderate",
+  96: "Thunderstorm with slight hail",
+  99: "Thunderstorm with heavy hail",
+};
+
+/**
+ * Returns the description of a weather code.
+ * @param {number|null} code - WMO weather code.
+ * @returns {string} The description, or "Unknown".
+ */
+export const getWeatherDescription = (code) => DESCRIPTIONS[code] || "Unknown";
+
+/**
+ * Returns a one-character symbol for a weather code, for plain-text places
+ * such as calendar event titles.
+ * @param {number|null} code - WMO weather code.
+ * @returns {string} A weather symbol, or an empty string for unknown codes.
+ */
+export const getWeatherSymbol = (code) => {
+  if (code === null || code === undefined || !DESCRIPTIONS[code]) return "";
+  if (code <= 1) return "☀";
+  if (code === 2) return "⛅";
+  if (code === 3) return "☁";
+  if (code <= 48) return "🌫";
+  if ((code >= 71 && code <= 77) || code === 85 || code === 86) return "❄";
+  if (code >= 95) return "⛈";
+  return "🌧";
+};
+
+/**
+ * QWeather icon codes for each WMO code, by day and night.
+ */
+const ICON_CODES = {
+  0: { day: 100, night: 150 },
+  1: { day: 101, night: 151 },
+  2: { day: 103, night: 153 },
+  3: { day: 104, night: 104 },
+  45: { day: 501, night: 501 },
+  48: { day: 501, night: 501 },
+  51: { day: 305, night: 305 },
+  53: { day: 306, night: 306 },
+  55: { day: 307, night: 307 },
+  56: { day: 310, night: 310 },
+  57: { day: 311, night: 311 },
+  61: { day: 305, night: 305 },
+  63: { day: 306, night: 306 },
+  65: { day: 307, night: 307 },
+  66: { day: 310, night: 310 },
+  67: { day: 311, night: 311 },
+  71: { day: 400, night: 400 },
+  73: { day: 401, night: 401 },
+  75: { day: 402, night: 402 },
+  77: { day: 403, night: 403 },
+  80: { day: 300, night: 300 },
+  81: { day: 301, night: 301 },
+  82: { day: 302, night: 302 },
+  85: { day: 404, night: 404 },
+  86: { day: 405, night: 405 },
+  95: { day: 302, night: 302 },
+  96: { day: 308, night: 308 },
+  99: { day: 308, night: 308 },
+};
+
+/**
+ * Returns the QWeather icon code for a weather code.
+ * @param {number|null} code - WMO weather code.
+ * @param {number} [isDay=1] - 1 for day, 0 for night.
+ * @returns {number} The icon code, or 999 (unknown) for unknown codes.
+ */
+export const getIconCode = (code, isDay = 1) => {
+  const icons = ICON_CODES[code];
+  if (!icons) return 999;
+  return isDay ? icons.day : icons.night;
+};
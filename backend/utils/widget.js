@@ -0,0 +1,300 @@
+/**
+ * @file Server-side rendering of the embeddable weather widget (HTML) and
+ * badge (SVG or PNG) from a normalized forecast.
+ * Icons are the QWeather SVGs the frontend uses, inlined so the output needs
+ * no further requests.
+ * @module utils/widget
+ */
+
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { Resvg } from "@resvg/resvg-js";
+import { UNIT_OPTIONS, convertUnit } from "./units.js";
+import { getWeatherDescription, getIconCode } from "./weatherCodes.js";
+
+const require = createRequire(import.meta.url);
+const ICON_DIR = path.join(
+  path.dirname(require.resolve("qweather-icons/package.json")),
+  "icons"
+);
+
+/**
+ * Built-in colour themes. Query parameters can override single colours.
+ */
+export const WIDGET_THEMES = {
+  light: {
+    background: "#ffffff",
+    text: "#1f2937",
+    muted: "#6b7280",
+    accent: "#3b82f6",
+  },
+  dark: {
+    background: "#1f2937",
+    text: "#f9fafb",
+    muted: "#9ca3af",
+    accent: "#60a5fa",
+  },
+};
+
+// Most forecast days the widget lists
+export const MAX_WIDGET_DAYS = 7;
+
+const FONT_FAMILY = "DejaVu Sans, Helvetica, Arial, sans-serif";
+
+/**
+ * Escapes text for HTML and XML content and attribute values.
+ * @param {string} text - Plain text.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (text) =>
+  text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+/**
+ * Inner markup of each icon, read once per icon code.
+ * @type {Map<number, string>}
+ */
+const iconCache = new Map();
+
+/**
+ * Returns the inner markup (paths) of a QWeather icon.
+ * @param {number} iconCode - QWeather icon code.
+ * @returns {string} The icon's SVG children, drawn on a 16 × 16 view box.
+ */
+const getIconPaths = (iconCode) => {
+  if (!iconCache.has(iconCode)) {
+    const file = path.join(ICON_DIR, `${iconCode}.svg`);
+    const svg = fs.existsSync(file)
+      ? fs.readFileSync(file, "utf8")
+      : fs.readFileSync(path.join(ICON_DIR, "999.svg"), "utf8");
+    iconCache.set(
+      iconCode,
+      svg.replace(/^[\s\S]*?<svg[^>]*>|<\/svg>\s*$/g, "")
+    );
+  }
+  return iconCache.get(iconCode);
+};
+
+/**
+ * Renders an icon as a standalone SVG element.
+ * @param {number|null} weatherCode - WMO weather code.
+ * @param {number} isDay - 1 for day, 0 for night.
+ * @param {object} attributes - Extra attributes, e.g. position and size.
+ * @returns {string} The SVG element.
+ */
+const renderIcon = (weatherCode, isDay, attributes) => {
+  const attrs = Object.entries(attributes)
+    .map(([name, value]) => `${name}="${escapeXml(String(value))}"`)
+    .join(" ");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" ${attrs}>${getIconPaths(
+    getIconCode(weatherCode, isDay)
+  )}</svg>`;
+};
+
+/**
+ * Shortens text to a maximum length, ending with an ellipsis when cut.
+ * @param {string} text - The text.
+ * @param {number} length - Maximum length.
+ * @returns {string} The text, at most `length` characters long.
+ */
+const truncate = (text, length) =>
+  text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+/**
+ * Resolves the colours of a theme with optional overrides.
+ * @param {string} name - Key of {@link WIDGET_THEMES}.
+ * @param {object} overrides - `background`, `text` and `accent` as hex
+ *   colours without "#"; missing ones keep the theme's colour.
+ * @returns {object} The colours, as CSS hex colours.
+ */
+export const resolveTheme = (name, overrides = {}) => {
+  const theme = { ...WIDGET_THEMES[name] };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value) theme[key] = `#${value}`;
+  });
+  return theme;
+};
+
+/**
+ * Formats a value in the chosen unit, e.g. "24 °C".
+ * @param {string} quantity - Key of UNIT_OPTIONS.
+ * @param {number|null} value - Value in the base unit.
+ * @param {object} units - Chosen unit per quantity.
+ * @param {boolean} [round=false] - Round to a whole number.
+ * @returns {string} The value with its unit, or "–" without a value.
+ */
+const formatValue = (quantity, value, units, round = false) => {
+  const converted = convertUnit(quantity, value, units[quantity]);
+  if (converted === null) return "–";
+  const { label } = UNIT_OPTIONS[quantity][units[quantity]];
+  return `${round ? Math.round(converted) : converted} ${label}`;
+};
+
+/**
+ * Formats a temperature as a whole number with a bare degree sign, e.g. "24°".
+ * Kelvin keeps its unit.
+ * @param {number|null} value - Temperature in °C.
+ * @param {object} units - Chosen unit per quantity.
+ * @returns {string} The temperature, or "–" without a value.
+ */
+const formatDegrees = (value, units) => {
+  const converted = convertUnit("temperature", value, units.temperature);
+  if (converted === null) return "–";
+  const { label } = UNIT_OPTIONS.temperature[units.temperature];
+  return `${Math.round(converted)}${label.startsWith("°") ? "°" : ` ${label}`}`;
+};
+
+/**
+ * Formats a forecast date (`YYYY-MM-DD`) as a short weekday, e.g. "Mon".
+ * @param {string} date - The date.
+ * @returns {string} The weekday.
+ */
+const formatWeekday = (date) =>
+  new Date(`${date}T12:00:00Z`).toLocaleDateString("en-US", {
+    weekday: "short",
+    timeZone: "UTC",
+  });
+
+/**
+ * Renders the widget: current conditions and a short daily forecast as a
+ * self-contained HTML page for an iframe.
+ * @param {import('../providers/schema.js').Forecast} forecast - The forecast.
+ * @param {object} options
+ * @param {string} options.name - Location name shown as the title.
+ * @param {object} options.units - Chosen unit per quantity.
+ * @param {object} options.theme - Colours from {@link resolveTheme}.
+ * @param {number} options.days - Forecast days to list, from today.
+ * @returns {string} The HTML document.
+ */
+export const renderWidgetHtml = (forecast, { name, units, theme, days }) => {
+  const { current, daily } = forecast;
+  const dayItems = daily.time
+    .slice(0, days)
+    .map(
+      (date, index) => `
+      <li>
+        <span>${index === 0 ? "Today" : formatWeekday(date)}</span>
+        ${renderIcon(daily.weatherCode[index], 1, {
+          class: "icon",
+          role: "img",
+          "aria-label": getWeatherDescription(daily.weatherCode[index]),
+        })}
+        <span>${formatDegrees(
+          daily.temperatureMax[index],
+          units
+        )} / ${formatDegrees(daily.temperatureMin[index], units)}</span>
+      </li>`
+    )
+    .join("");
+  const description = getWeatherDescription(current.weatherCode);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeXml(`Weather: ${name}`)}</title>
+  <style>
+    body { margin: 0; font-family: ${FONT_FAMILY}; background: ${
+    theme.background
+  }; color: ${theme.text}; }
+    main { padding: 12px; }
+    h1 { margin: 0 0 8px; font-size: 14px; font-weight: 600; color: ${
+      theme.muted
+    }; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .now { display: flex; align-items: center; gap: 12px; }
+    .now .icon { width: 48px; height: 48px; fill: ${theme.accent}; }
+    .temp { font-size: 32px; font-weight: 700; }
+    .now p { margin: 2px 0; font-size: 13px; }
+    .muted { color: ${theme.muted}; }
+    ol { display: flex; justify-content: space-between; gap: 4px; margin: 12px 0 0; padding: 0; list-style: none; }
+    li { display: flex; flex-direction: column; align-items: center; gap: 2px; font-size: 12px; }
+    li .icon { width: 24px; height: 24px; fill: ${theme.accent}; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>${escapeXml(name)}</h1>
+    <section class="now">
+      ${renderIcon(current.weatherCode, current.isDay ?? 1, {
+        class: "icon",
+        role: "img",
+        "aria-label": description,
+      })}
+      <div>
+        <div class="temp">${formatDegrees(current.temperature, units)}</div>
+        <p>${escapeXml(description)}</p>
+        <p class="muted">Feels like ${formatDegrees(
+          current.apparentTemperature,
+          units
+        )} · Wind ${formatValue("wind", current.windSpeed, units, true)}</p>
+      </div>
+    </section>
+    <ol>${dayItems}
+    </ol>
+  </main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Renders the badge: location, icon, temperature and description in a
+ * 260 × 72 SVG.
+ * @param {import('../providers/schema.js').Forecast} forecast - The forecast.
+ * @param {object} options
+ * @param {string} options.name - Location name.
+ * @param {object} options.units - Chosen unit per quantity.
+ * @param {object} options.theme - Colours from {@link resolveTheme}.
+ * @returns {string} The SVG document.
+ */
+export const renderBadgeSvg = (forecast, { name, units, theme }) => {
+  const { current } = forecast;
+  const temperature = formatDegrees(current.temperature, units);
+  const description = getWeatherDescription(current.weatherCode);
+  const label = `${name}: ${temperature}, ${description}`;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="260" height="72" viewBox="0 0 260 72" role="img" aria-label="${escapeXml(
+    label
+  )}">
+  <title>${escapeXml(label)}</title>
+  <rect width="260" height="72" rx="8" fill="${theme.background}"/>
+  ${renderIcon(current.weatherCode, current.isDay ?? 1, {
+    x: 12,
+    y: 16,
+    width: 40,
+    height: 40,
+    fill: theme.accent,
+  })}
+  <text x="64" y="28" font-family="${FONT_FAMILY}" font-size="12" fill="${
+    theme.muted
+  }">${escapeXml(truncate(name, 32))}</text>
+  <text x="64" y="54" font-family="${FONT_FAMILY}" fill="${theme.text}">
+    <tspan font-size="22" font-weight="bold">${escapeXml(temperature)}</tspan>
+    <tspan font-size="12" dx="8">${escapeXml(truncate(description, 22))}</tspan>
+  </text>
+</svg>
+`;
+};
+
+/**
+ * Rasterizes a badge SVG to PNG at twice its size, for sharp text on
+ * high-density screens.
+ * @param {string} svg - SVG from {@link renderBadgeSvg}.
+ * @returns {Buffer} The PNG image.
+ */
+export const renderBadgePng = (svg) =>
+  new Resvg(svg, {
+    fitTo: { mode: "zoom", value: 2 },
+    font: { loadSystemFonts: true, defaultFontFamily: "DejaVu Sans" },
+  })
+    .render()
+    .asPng();
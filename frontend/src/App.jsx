@@ -2,7 +2,7 @@
  * App.jsx
  * Main entry point for the weather application. Handles state, API calls, and renders weather cards and controls.
  */
-import { useState, useCallback } from "react";
+import { useState, useCallback, useEffect, useRef } from "react";
 import axios from "axios";
 import { Suspense, lazy } from "react";
 const CurrentWeatherCard = lazy(() =>
@@ -12,68 +12,251 @@ const HourlyForecastCard = lazy(() =>
   import("./components/HourlyForecastCard")
 );
 const DailyForecastCard = lazy(() => import("./components/DailyForecastCard"));
+const HistoryCard = lazy(() => import("./components/HistoryCard"));
+const AirQualityCard = lazy(() => import("./components/AirQualityCard"));
+const MarineForecastCard = lazy(() =>
+  import("./components/MarineForecastCard")
+);
 import Header from "./components/Header";
+import FavoritesPanel from "./components/FavoritesPanel";
+import AlertsPanel from "./components/AlertsPanel";
+const WeatherMap = lazy(() => import("./components/WeatherMap"));
+const CompareDashboard = lazy(() => import("./components/CompareDashboard"));
+import useFavorites from "./hooks/useFavorites";
+import useUnitPreferences from "./hooks/useUnitPreferences";
+import useAlerts from "./hooks/useAlerts";
+import useForecastUpdates from "./hooks/useForecastUpdates";
+import useLanguage from "./hooks/useLanguage";
+import { readUrlState, writeUrlState } from "./utils/urlState";
+import { geocode } from "./utils/geocode";
+import { getTranslator } from "./utils/i18n";
+import {
+  saveForecast,
+  loadForecast,
+  isNetworkError,
+} from "./utils/offlineCache";
 
 /**
  * App component
  * @returns {JSX.Element} Main weather app UI
  */
 function App() {
+  // View state restored from a shared deep link, if any
+  const [initialUrlState] = useState(() =>
+    readUrlState(window.location.search)
+  );
   // State for weather data, location, units, search, loading, and error
   const [weatherData, setWeatherData] = useState(null);
   const [locationName, setLocationName] = useState("");
-  const [isMetric, setIsMetric] = useState(false);
+  // The selected location (geocode suggestion), used for favourites
+  const [location, setLocation] = useState(null);
+  // Number of hours shown in the hourly forecast
+  const [numHours, setNumHours] = useState(initialUrlState.numHours ?? 12);
   const [searchTerm, setSearchTerm] = useState("");
   const [loading, setLoading] = useState(false);
+  // Catalog key of the error message shown, if any
   const [error, setError] = useState(null);
+  // Age in seconds of a stale response served while the upstream API is down
+  const [staleAge, setStaleAge] = useState(null);
+  // When the shown forecast was saved (ms since epoch), if it is an offline copy
+  const [offlineSavedAt, setOfflineSavedAt] = useState(null);
+  // When the shown forecast was received (ms since epoch), for auto-refresh
+  const [updatedAt, setUpdatedAt] = useState(null);
+  // "forecast" for one location, or "compare" for the comparison dashboard
+  const [view, setView] = useState("forecast");
+  const {
+    favorites,
+    isFavorite,
+    toggleFavorite,
+    removeFavorite,
+    moveFavorite,
+  } = useFavorites();
+  // Interface language, also used for searched place names
+  const { language, setLanguage } = useLanguage();
+  const t = getTranslator(language);
+  // Alert rules checked against the favourites' forecasts
+  const {
+    rules,
+    alerts,
+    error: alertsError,
+    addRule,
+    removeRule,
+    dismissAlert,
+    notificationPermission,
+    requestNotificationPermission,
+  } = useAlerts(favorites, language);
+  // Unit chosen for each quantity; a deep link overrides the saved choice
+  const { units, setUnit, setUnits } = useUnitPreferences(
+    initialUrlState.units
+  );
+  // Read by fetchWeather, so changing the language does not recreate it
+  const languageRef = useRef(language);
+  useEffect(() => {
+    languageRef.current = language;
+  }, [language]);
 
-  /**
-   * Handles the toggle between metric and imperial units.
-   * Memoized for performance.
-   * @param {boolean} metric - If true, the units are metric.
-   */
-  const handleUnitToggle = useCallback((metric) => {
-    setIsMetric(metric);
-  }, []);
+  // Request of the latest fetchWeather call, aborted by the next one so a slow
+  // response for a previous location never replaces the one picked since
+  const weatherRequestRef = useRef(null);
 
   /**
    * Fetches the weather data for a given location.
+   * A new call aborts the one in flight; background refreshes are skipped
+   * while another request is in flight, since they would refresh the
+   * location being replaced.
    * Memoized for performance.
    * @param {string|object} location - The location to fetch the weather for. Can be a string or a suggestion object.
+   * @param {object} [options]
+   * @param {boolean} [options.updateHistory=true] - Push the location to the URL; false when restoring from the URL.
+   * @param {boolean} [options.background=false] - Refresh the shown data quietly, keeping it on failure.
    */
-  const fetchWeather = useCallback(async (location) => {
-    setLoading(true);
-    setError(null);
-    try {
-      let suggestion;
-      // If location is a string, fetch geocode suggestion
-      if (typeof location === "string") {
-        const geoResponse = await axios.get(
-          `/api/geocode?query=${location}`
-        );
-        if (geoResponse.data.results && geoResponse.data.results.length > 0) {
-          suggestion = geoResponse.data.results[0];
-        } else {
-          setError("Location not found. Please check your search input.");
+  const fetchWeather = useCallback(
+    async (location, { updateHistory = true, background = false } = {}) => {
+      if (background && weatherRequestRef.current) return;
+      weatherRequestRef.current?.abort();
+      const controller = new AbortController();
+      weatherRequestRef.current = controller;
+      if (!background) {
+        // Searching from the comparison view shows the result's forecast
+        setView("forecast");
+        setLoading(true);
+        setError(null);
+      }
+      let suggestion = typeof location === "string" ? null : location;
+      try {
+        // If location is a string, fetch geocode suggestion
+        if (!suggestion) {
+          suggestion = await geocode(location, languageRef.current);
+          if (controller.signal.aborted) return;
+        }
+        if (!suggestion) {
+          setError("errors.locationNotFound");
           setLoading(false);
           setSearchTerm("");
           return;
         }
-      } else {
-        suggestion = location;
+        // Fetch weather data for the selected suggestion
+        const response = await axios.get(
+          `/api/weather?latitude=${suggestion.geometry.lat}&longitude=${
+            suggestion.geometry.lng
+          }&timezone=${encodeURIComponent(suggestion.timezone)}`,
+          { signal: controller.signal }
+        );
+        setWeatherData(response.data);
+        setStaleAge(response.data.stale ? response.data.age : null);
+        setOfflineSavedAt(null);
+        setUpdatedAt(Date.now());
+        setLocationName(suggestion.formatted);
+        setLocation(suggestion);
+        if (updateHistory) {
+          writeUrlState({ location: suggestion });
+        }
+        if (!response.data.stale) saveForecast(suggestion, response.data);
+      } catch (error) {
+        // A newer request took over
+        if (axios.isCancel(error)) return;
+        console.error("Error fetching weather data:", error);
+        // Offline: fall back to the last forecast saved for the location
+        const saved =
+          suggestion && isNetworkError(error) ? loadForecast(suggestion) : null;
+        if (saved) {
+          setWeatherData(saved.data);
+          setStaleAge(null);
+          setOfflineSavedAt(saved.savedAt);
+          setUpdatedAt(saved.savedAt);
+          setLocationName(suggestion.formatted);
+          setLocation(suggestion);
+          if (updateHistory) {
+            writeUrlState({ location: suggestion });
+          }
+        } else if (!background) {
+          setError("errors.weather");
+        }
+      } finally {
+        if (weatherRequestRef.current === controller) {
+          weatherRequestRef.current = null;
+        }
       }
-      // Fetch weather data for the selected suggestion
-      const response = await axios.get(
-        `/api/weather?latitude=${suggestion.geometry.lat}&longitude=${suggestion.geometry.lng}&timezone=${suggestion.timezone}`
-      );
-      setWeatherData(response.data);
-      setLocationName(suggestion.formatted);
-    } catch (error) {
-      console.error("Error fetching weather data:", error);
-      setError("Error fetching weather data. Please try again later.");
+      setLoading(false);
+    },
+    []
+  );
+
+  /**
+   * Loads a location picked outside the search bar, showing its name there.
+   * @param {object} suggestion - The picked location.
+   */
+  const handleSelectLocation = useCallback(
+    (suggestion) => {
+      setSearchTerm(suggestion.formatted);
+      fetchWeather(suggestion);
+    },
+    [fetchWeather]
+  );
+
+  /**
+   * Shows a forecast the backend pushed for the current location.
+   * @param {object} forecast - The refreshed forecast.
+   */
+  const handleForecastUpdate = useCallback(
+    (forecast) => {
+      setWeatherData(forecast);
+      setStaleAge(null);
+      setOfflineSavedAt(null);
+      setUpdatedAt(Date.now());
+      saveForecast(location, forecast);
+    },
+    [location]
+  );
+
+  // Keep the forecast current while the tab is open and visible
+  useForecastUpdates(location, {
+    updatedAt,
+    onUpdate: handleForecastUpdate,
+    onRefresh: () =>
+      fetchWeather(location, { updateHistory: false, background: true }),
+  });
+
+  // Load the location from a shared deep link on first render
+  useEffect(() => {
+    if (initialUrlState.location) {
+      setSearchTerm(initialUrlState.location.formatted);
+      fetchWeather(initialUrlState.location, { updateHistory: false });
     }
-    setLoading(false);
-  }, []);
+  }, [initialUrlState, fetchWeather]);
+
+  // Keep unit and hour settings in the URL without adding history entries
+  useEffect(() => {
+    writeUrlState({ units, numHours }, { replace: true });
+  }, [units, numHours]);
+
+  // Refresh an offline copy in the background once the connection is back
+  useEffect(() => {
+    if (offlineSavedAt === null || !location) return;
+    const handleOnline = () =>
+      fetchWeather(location, { updateHistory: false, background: true });
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, [offlineSavedAt, location, fetchWeather]);
+
+  // Restore the view when navigating back or forward between locations
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readUrlState(window.location.search);
+      if (state.units !== null) setUnits(state.units);
+      if (state.numHours !== null) setNumHours(state.numHours);
+      if (state.location) {
+        setSearchTerm(state.location.formatted);
+        fetchWeather(state.location, { updateHistory: false });
+      } else {
+        setWeatherData(null);
+        setLocation(null);
+        setSearchTerm("");
+      }
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, [fetchWeather, setUnits]);
 
   // Main app layout and rendering
   return (
@@ -81,48 +264,169 @@ function App() {
       <main className="w-full max-w-4xl">
         {/* App title and subtitle */}
         <h1 className="text-4xl font-bold text-center text-gray-800 mb-2">
-          Open-Weather App
+          {t("app.title")}
         </h1>
         <p className="text-lg text-center text-gray-600 mb-8">
-          Your simple weather forecast app
+          {t("app.subtitle")}
         </p>
 
-        {/* Header contains search and unit toggle */}
+        {/* Header contains search, unit settings and the language picker */}
         <Header
           fetchWeather={fetchWeather}
-          isMetric={isMetric}
-          onToggle={handleUnitToggle}
+          units={units}
+          onUnitChange={setUnit}
+          onUnitsChange={setUnits}
+          language={language}
+          onLanguageChange={setLanguage}
           searchTerm={searchTerm}
           setSearchTerm={setSearchTerm}
         />
 
-        {/* Loading and error messages */}
-        {loading && <p className="text-center mt-8">Loading...</p>}
-        {error && <p className="text-center text-red-500 mt-8">{error}</p>}
+        {/* Switch between one location's forecast and the comparison */}
+        <div className="flex gap-2 mb-8" role="tablist">
+          {[
+            ["forecast", "app.forecastTab"],
+            ["compare", "app.compareTab"],
+          ].map(([key, labelKey]) => (
+            <button
+              key={key}
+              type="button"
+              role="tab"
+              aria-selected={view === key}
+              onClick={() => setView(key)}
+              className={`px-4 py-2 rounded-md ${
+                view === key
+                  ? "bg-blue-500 text-white"
+                  : "bg-white text-gray-700 hover:bg-gray-200"
+              }`}
+            >
+              {t(labelKey)}
+            </button>
+          ))}
+        </div>
+
+        {view === "compare" ? (
+          <Suspense
+            fallback={
+              <div className="text-center">{t("app.loadingComparison")}</div>
+            }
+          >
+            <CompareDashboard units={units} language={language} />
+          </Suspense>
+        ) : (
+          <>
+            {/* Saved favourite locations */}
+            <FavoritesPanel
+              favorites={favorites}
+              units={units}
+              language={language}
+              onSelect={fetchWeather}
+              onMove={moveFavorite}
+              onRemove={removeFavorite}
+            />
 
-        {/* Weather cards: only show if data is loaded and no error */}
-        <div className="grid grid-cols-1 gap-8 mt-8">
-          {!loading && !error && weatherData && (
+            {/* Weather alerts for favourite locations */}
+            <AlertsPanel
+              favorites={favorites}
+              units={units}
+              language={language}
+              rules={rules}
+              alerts={alerts}
+              error={alertsError}
+              onAddRule={addRule}
+              onRemoveRule={removeRule}
+              onDismissAlert={dismissAlert}
+              notificationPermission={notificationPermission}
+              onEnableNotifications={requestNotificationPermission}
+            />
+
+            {/* Map for picking a location by clicking */}
             <Suspense
-              fallback={<div className="text-center">Loading cards...</div>}
+              fallback={
+                <div className="text-center">{t("app.loadingMap")}</div>
+              }
             >
-              <CurrentWeatherCard
-                weatherData={weatherData}
-                locationName={locationName}
-                isMetric={isMetric}
-              />
-              <HourlyForecastCard
-                weatherData={weatherData}
-                hourlyData={weatherData.hourly}
-                isMetric={isMetric}
-              />
-              <DailyForecastCard
-                dailyData={weatherData.daily}
-                isMetric={isMetric}
+              <WeatherMap
+                location={location}
+                units={units}
+                language={language}
+                onSelectLocation={handleSelectLocation}
               />
             </Suspense>
-          )}
-        </div>
+
+            {/* Loading and error messages */}
+            {loading && <p className="text-center mt-8">{t("app.loading")}</p>}
+            {error && (
+              <p className="text-center text-red-500 mt-8">{t(error)}</p>
+            )}
+            {!loading && !error && offlineSavedAt !== null && (
+              <p className="text-center text-yellow-700 mt-8">
+                {t("app.offline", {
+                  minutes: Math.max(
+                    1,
+                    Math.round((Date.now() - offlineSavedAt) / 60000)
+                  ),
+                })}
+              </p>
+            )}
+            {!loading && !error && staleAge !== null && (
+              <p className="text-center text-yellow-700 mt-8">
+                {t("app.stale", {
+                  minutes: Math.max(1, Math.round(staleAge / 60)),
+                })}
+              </p>
+            )}
+
+            {/* Weather cards: only show if data is loaded and no error */}
+            <div className="grid grid-cols-1 gap-8 mt-8">
+              {!loading && !error && weatherData && (
+                <Suspense
+                  fallback={
+                    <div className="text-center">{t("app.loadingCards")}</div>
+                  }
+                >
+                  <CurrentWeatherCard
+                    weatherData={weatherData}
+                    locationName={locationName}
+                    units={units}
+                    language={language}
+                    isFavorite={isFavorite(location)}
+                    onToggleFavorite={() => toggleFavorite(location)}
+                  />
+                  <AirQualityCard
+                    weatherData={weatherData}
+                    language={language}
+                  />
+                  <HourlyForecastCard
+                    weatherData={weatherData}
+                    hourlyData={weatherData.hourly}
+                    units={units}
+                    language={language}
+                    numHours={numHours}
+                    onNumHoursChange={setNumHours}
+                  />
+                  <MarineForecastCard
+                    weatherData={weatherData}
+                    units={units}
+                    language={language}
+                  />
+                  <DailyForecastCard
+                    weatherData={weatherData}
+                    dailyData={weatherData.daily}
+                    units={units}
+                    language={language}
+                    locationName={locationName}
+                  />
+                  <HistoryCard
+                    weatherData={weatherData}
+                    units={units}
+                    language={language}
+                  />
+                </Suspense>
+              )}
+            </div>
+          </>
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,59 @@
+/**
+ * @file Render tests of the whole app, so that a crash on load is caught,
+ * and of how it loads a location.
+ */
+import { act, render, screen, waitFor } from "@testing-library/react";
+import axios from "axios";
+import App from "../App";
+
+jest.mock("axios");
+// react-leaflet ships ES modules only; the map is not shown without a location
+jest.mock("../components/WeatherMap", () => () => null);
+
+beforeEach(() => {
+  localStorage.clear();
+  window.history.replaceState(null, "", "/");
+  // The backend has no saved favourites or alert rules for a new user
+  axios.get.mockResolvedValue({ data: { favorites: [], rules: [] } });
+});
+
+test("renders on load without a location", async () => {
+  render(<App />);
+  expect(await screen.findByRole("heading", { level: 1 })).toBeInTheDocument();
+  expect(screen.getByRole("tab", { name: "Forecast" })).toHaveAttribute(
+    "aria-selected",
+    "true"
+  );
+});
+
+test("aborts the weather request for a location the user has left", async () => {
+  const weatherCalls = () =>
+    axios.get.mock.calls.filter(([url]) => url.startsWith("/api/weather?"));
+  axios.get.mockImplementation((url) =>
+    url.startsWith("/api/weather?")
+      ? // Never answers, as a slow upstream would
+        new Promise(() => {})
+      : Promise.resolve({ data: { favorites: [], rules: [] } })
+  );
+  render(<App />);
+  await screen.findByRole("heading", { level: 1 });
+
+  /**
+   * Navigates to a location as the browser's back button would.
+   * @param {string} search - Query string with the location.
+   */
+  const navigate = (search) =>
+    act(() => {
+      window.history.pushState(null, "", search);
+      window.dispatchEvent(new PopStateEvent("popstate"));
+    });
+
+  await navigate("?lat=59.91&lng=10.75&name=Oslo&tz=Europe%2FOslo");
+  await waitFor(() => expect(weatherCalls()).toHaveLength(1));
+  await navigate("?lat=40.42&lng=-3.7&name=Madrid&tz=Europe%2FMadrid");
+  await waitFor(() => expect(weatherCalls()).toHaveLength(2));
+
+  const [[, oslo], [, madrid]] = weatherCalls();
+  expect(oslo.signal.aborted).toBe(true);
+  expect(madrid.signal.aborted).toBe(false);
+});
@@ -0,0 +1,142 @@
+import React, { useState } from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import Searchbar from "../components/Searchbar";
+import { searchLocations } from "../utils/geocode";
+
+jest.mock("../utils/geocode", () => ({
+  searchLocations: jest.fn(),
+  reverseGeocode: jest.fn(),
+}));
+
+const PLACES = [
+  { formatted: "Paris, France", geometry: { lat: 48.85, lng: 2.35 } },
+  {
+    formatted: "Paris, Texas, United States",
+    geometry: { lat: 33.66, lng: -95.55 },
+  },
+  {
+    formatted: "Paris, Ontario, Canada",
+    geometry: { lat: 43.19, lng: -80.38 },
+  },
+];
+
+// Holds the search term like App does
+function Harness({ fetchWeather }) {
+  const [searchTerm, setSearchTerm] = useState("");
+  return (
+    <Searchbar
+      fetchWeather={fetchWeather}
+      searchTerm={searchTerm}
+      setSearchTerm={setSearchTerm}
+      language="en"
+    />
+  );
+}
+
+/**
+ * Renders the search bar, types "Paris" and waits for the suggestions.
+ * @returns {{input: HTMLElement, fetchWeather: jest.Mock}}
+ */
+const renderWithSuggestions = async () => {
+  const fetchWeather = jest.fn();
+  render(<Harness fetchWeather={fetchWeather} />);
+  const input = screen.getByRole("combobox");
+  fireEvent.focus(input);
+  fireEvent.change(input, { target: { value: "Paris" } });
+  await screen.findAllByRole("option", {}, { timeout: 2000 });
+  return { input, fetchWeather };
+};
+
+const activeOption = (input) =>
+  document.getElementById(input.getAttribute("aria-activedescendant"));
+
+beforeEach(() => {
+  localStorage.clear();
+  searchLocations.mockReset();
+  searchLocations.mockResolvedValue(PLACES);
+});
+
+test("exposes the combobox pattern", async () => {
+  const { input } = await renderWithSuggestions();
+  const listbox = screen.getByRole("listbox");
+  expect(input).toHaveAttribute("aria-controls", listbox.id);
+  expect(input).toHaveAttribute("aria-expanded", "true");
+  expect(input).not.toHaveAttribute("aria-activedescendant");
+  expect(screen.getAllByRole("option")).toHaveLength(3);
+  expect(screen.getByRole("status")).toHaveTextContent("3 results available");
+});
+
+test("ArrowDown and ArrowUp move the highlight and wrap at the ends", async () => {
+  const { input } = await renderWithSuggestions();
+  const options = screen.getAllByRole("option");
+
+  fireEvent.keyDown(input, { key: "ArrowDown" });
+  expect(activeOption(input)).toBe(options[0]);
+  expect(options[0]).toHaveAttribute("aria-selected", "true");
+
+  fireEvent.keyDown(input, { key: "ArrowDown" });
+  expect(activeOption(input)).toBe(options[1]);
+  expect(options[0]).toHaveAttribute("aria-selected", "false");
+
+  fireEvent.keyDown(input, { key: "ArrowUp" });
+  fireEvent.keyDown(input, { key: "ArrowUp" });
+  expect(activeOption(input)).toBe(options[2]);
+
+  fireEvent.keyDown(input, { key: "ArrowDown" });
+  expect(activeOption(input)).toBe(options[0]);
+});
+
+test("Home and End jump to the first and last suggestion", async () => {
+  const { input } = await renderWithSuggestions();
+  const options = screen.getAllByRole("option");
+  fireEvent.keyDown(input, { key: "ArrowDown" });
+  fireEvent.keyDown(input, { key: "End" });
+  expect(activeOption(input)).toBe(options[2]);
+  fireEvent.keyDown(input, { key: "Home" });
+  expect(activeOption(input)).toBe(options[0]);
+});
+
+test("Enter picks the highlighted suggestion", async () => {
+  const { input, fetchWeather } = await renderWithSuggestions();
+  fireEvent.keyDown(input, { key: "ArrowDown" });
+  fireEvent.keyDown(input, { key: "ArrowDown" });
+  fireEvent.keyDown(input, { key: "Enter" });
+  expect(fetchWeather).toHaveBeenCalledWith(
+    expect.objectContaining({ formatted: "Paris, Texas, United States" })
+  );
+  expect(input).toHaveValue("Paris, Texas, United States");
+  expect(input).toHaveAttribute("aria-expanded", "false");
+  expect(input).not.toHaveAttribute("aria-activedescendant");
+});
+
+test("Enter without a highlight does not pick a suggestion", async () => {
+  const { input, fetchWeather } = await renderWithSuggestions();
+  fireEvent.keyDown(input, { key: "Enter" });
+  expect(fetchWeather).not.toHaveBeenCalled();
+});
+
+test("Escape closes the list, then clears the input", async () => {
+  const { input } = await renderWithSuggestions();
+  fireEvent.keyDown(input, { key: "ArrowDown" });
+  fireEvent.keyDown(input, { key: "Escape" });
+  expect(input).toHaveAttribute("aria-expanded", "false");
+  expect(input).not.toHaveAttribute("aria-activedescendant");
+  expect(input).toHaveValue("Paris");
+
+  fireEvent.keyDown(input, { key: "Escape" });
+  expect(input).toHaveValue("");
+});
+
+test("announces when nothing matches", async () => {
+  searchLocations.mockResolvedValue([]);
+  render(<Harness fetchWeather={jest.fn()} />);
+  const input = screen.getByRole("combobox");
+  fireEvent.change(input, { target: { value: "Xyzzy" } });
+  await waitFor(
+    () =>
+      expect(screen.getByRole("status")).toHaveTextContent(
+        "No matching places found."
+      ),
+    { timeout: 2000 }
+  );
+});
@@ -0,0 +1,49 @@
+/**
+ * @file Alert rules stored with a unit the client does not know fall back to
+ * the metric's default unit instead of throwing.
+ */
+import {
+  describeRule,
+  findAlertMatch,
+  getRuleUnitLabel,
+} from "../utils/alerts";
+
+const forecast = {
+  timezone: "UTC",
+  hourly: {
+    time: ["2099-01-01T00:00", "2099-01-01T01:00"],
+    windGusts: [40, 70],
+  },
+};
+
+describe("rules with an unknown unit", () => {
+  const rule = {
+    metric: "windGusts",
+    operator: "above",
+    threshold: 60,
+    unit: "furlong",
+  };
+
+  it("are labelled in the metric's default unit", () => {
+    expect(getRuleUnitLabel(rule)).toBe("km/h");
+    expect(describeRule({ ...rule, unit: null }, "en")).toMatch(/60 km\/h$/);
+  });
+
+  it("are evaluated in the metric's default unit", () => {
+    expect(findAlertMatch(rule, forecast)).toEqual({
+      time: "2099-01-01T01:00",
+      value: 70,
+    });
+  });
+});
+
+it("keeps a known unit", () => {
+  const rule = {
+    metric: "windGusts",
+    operator: "above",
+    threshold: 30,
+    unit: "kn",
+  };
+  expect(getRuleUnitLabel(rule)).toBe("kn");
+  expect(findAlertMatch(rule, forecast).value).toBeCloseTo(70 / 1.852);
+});
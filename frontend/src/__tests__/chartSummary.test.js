@@ -0,0 +1,207 @@
+/**
+ * @file Summaries of the air quality, history, marine and comparison charts,
+ * checked against the English catalog.
+ */
+import {
+  summarizeAirQuality,
+  summarizePollutants,
+  summarizePollen,
+  summarizeHistory,
+  summarizeWaves,
+  summarizeTide,
+  summarizeSeaTemperature,
+  summarizeComparison,
+} from "../utils/chartSummary";
+import { getTranslator } from "../utils/i18n";
+
+const t = getTranslator("en");
+const withUnit = (unit) => (value) => `${value} ${unit}`;
+
+describe("air quality summaries", () => {
+  const rows = [
+    {
+      time: "1 PM",
+      usAqi: 40,
+      pm25: 8,
+      pm10: 20,
+      ozone: 120,
+      nitrogenDioxide: 30,
+    },
+    {
+      time: "2 PM",
+      usAqi: 72,
+      pm25: 30,
+      pm10: 40,
+      ozone: 150,
+      nitrogenDioxide: 35,
+    },
+    {
+      time: "3 PM",
+      usAqi: 72,
+      pm25: 12,
+      pm10: 30,
+      ozone: 90,
+      nitrogenDioxide: null,
+    },
+  ];
+
+  it("names the first AQI peak and its category", () => {
+    expect(summarizeAirQuality(rows, t)).toBe(
+      "The AQI peaks at 72 (Moderate) at 2 PM."
+    );
+  });
+
+  it("reports the pollutant in the worst category, not the largest number", () => {
+    // Ozone at 150 μg/m³ is unhealthy for sensitive groups, PM2.5 at 30 only moderate
+    expect(summarizePollutants(rows, t, withUnit("μg/m³"))).toBe(
+      "Worst reading: Ozone at 150 μg/m³ (Unhealthy for Sensitive Groups) at 2 PM."
+    );
+  });
+
+  it("reports the highest pollen level among the charted types", () => {
+    const pollen = [
+      { time: "1 PM", birchPollen: 8, grassPollen: 60 },
+      { time: "2 PM", birchPollen: 12, grassPollen: 75 },
+    ];
+    expect(
+      summarizePollen(
+        pollen,
+        t,
+        ["birchPollen", "grassPollen"],
+        withUnit("grains/m³")
+      )
+    ).toBe("Highest pollen level: Grass at 75 grains/m³ (High) at 2 PM.");
+  });
+
+  it("returns an empty summary without readings", () => {
+    const empty = [{ time: "1 PM", usAqi: null, birchPollen: null }];
+    expect(summarizeAirQuality(empty, t)).toBe("");
+    expect(summarizePollen(empty, t, ["birchPollen"], withUnit("x"))).toBe("");
+  });
+});
+
+describe("summarizeHistory", () => {
+  const format = withUnit("°C");
+
+  it("compares the average forecast high with the same days last year", () => {
+    const rows = [
+      { time: "Jun 1", maxTemp: 20, maxTemp2024: 16 },
+      { time: "Jun 2", maxTemp: 22, maxTemp2024: 18 },
+      // Not compared: no value for the past year
+      { time: "Jun 3", maxTemp: 30, maxTemp2024: null },
+    ];
+    expect(summarizeHistory(rows, t, format, 2024, 1)).toBe(
+      "Forecast highs average 21 °C, 4 °C warmer than the same days in 2024 (17 °C)."
+    );
+  });
+
+  it("reports cooler and similar highs", () => {
+    const cooler = [{ time: "Jun 1", maxTemp: 14, maxTemp2024: 18 }];
+    const similar = [{ time: "Jun 1", maxTemp: 18.5, maxTemp2024: 18 }];
+    expect(summarizeHistory(cooler, t, format, 2024, 1)).toBe(
+      "Forecast highs average 14 °C, 4 °C cooler than the same days in 2024 (18 °C)."
+    );
+    expect(summarizeHistory(similar, t, format, 2024, 1)).toBe(
+      "Forecast highs average 18.5 °C, close to the same days in 2024 (18 °C)."
+    );
+  });
+
+  it("describes the forecast alone until history has loaded", () => {
+    const rows = [
+      { time: "Jun 1", maxTemp: 20 },
+      { time: "Jun 2", maxTemp: 24 },
+    ];
+    expect(summarizeHistory(rows, t, format, 2024, 1)).toBe(
+      "Forecast highs average 22 °C."
+    );
+  });
+});
+
+describe("marine summaries", () => {
+  const format = withUnit("m");
+
+  it("describes building, easing and steady waves", () => {
+    expect(
+      summarizeWaves(
+        [
+          { time: "Fri 1 PM", waveHeight: 0.8 },
+          { time: "Sat 6 AM", waveHeight: 2.1 },
+          { time: "Sat 9 AM", waveHeight: 1.9 },
+        ],
+        t,
+        format
+      )
+    ).toBe("Waves build from 0.8 m to 2.1 m by Sat 6 AM.");
+    expect(
+      summarizeWaves(
+        [
+          { time: "Fri 1 PM", waveHeight: 1.5 },
+          { time: "Fri 4 PM", waveHeight: 0.9 },
+        ],
+        t,
+        format
+      )
+    ).toBe("Waves ease from 1.5 m to 0.9 m by Fri 4 PM.");
+    expect(
+      summarizeWaves(
+        [
+          { time: "Fri 1 PM", waveHeight: 1 },
+          { time: "Fri 4 PM", waveHeight: 1.2 },
+        ],
+        t,
+        format
+      )
+    ).toBe("Waves hold near 1 m.");
+  });
+
+  it("reports the highest and lowest tide", () => {
+    const rows = [
+      { time: "Fri 2 PM", seaLevelHeight: 1.2 },
+      { time: "Fri 8 PM", seaLevelHeight: -1.1 },
+      { time: "Sat 2 AM", seaLevelHeight: 1.1 },
+      { time: "Sat 3 AM", seaLevelHeight: null },
+    ];
+    expect(summarizeTide(rows, t, format)).toBe(
+      "Highest tide 1.2 m at Fri 2 PM; lowest -1.1 m at Fri 8 PM."
+    );
+    expect(
+      summarizeTide([{ time: "Fri 2 PM", seaLevelHeight: null }], t, format)
+    ).toBe("");
+  });
+
+  it("describes the sea temperature within the tolerance as steady", () => {
+    const rows = [
+      { time: "Fri 1 PM", seaSurfaceTemperature: 17 },
+      { time: "Sat 1 PM", seaSurfaceTemperature: 17.4 },
+    ];
+    expect(summarizeSeaTemperature(rows, t, withUnit("°C"), 0.5)).toBe(
+      "Sea temperature holds near 17 °C."
+    );
+    expect(summarizeSeaTemperature(rows, t, withUnit("°C"), 0.3)).toBe(
+      "Sea temperature rises from 17 °C to 17.4 °C by Sat 1 PM."
+    );
+  });
+});
+
+describe("summarizeComparison", () => {
+  const series = [
+    { dataKey: "temperature0", name: "Oslo" },
+    { dataKey: "temperature1", name: "Madrid" },
+  ];
+
+  it("names the locations with the highest and lowest values", () => {
+    const rows = [
+      { time: "Fri 5 AM", temperature0: 9, temperature1: 22 },
+      { time: "Sat 3 PM", temperature0: 16, temperature1: 31 },
+      { time: "Sat 4 PM", temperature0: null, temperature1: 30 },
+    ];
+    expect(summarizeComparison(rows, t, series, withUnit("°C"))).toBe(
+      "Highest: Madrid, 31 °C at Sat 3 PM; lowest: Oslo, 9 °C at Fri 5 AM."
+    );
+  });
+
+  it("returns an empty summary without values", () => {
+    const rows = [{ time: "Fri 5 AM", temperature0: null, temperature1: null }];
+    expect(summarizeComparison(rows, t, series, withUnit("°C"))).toBe("");
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * @file Derived indices checked against published reference values: the NWS
+ * heat index chart and equation, the NWS and Environment Canada wind chill
+ * charts and the Environment Canada humidex.
+ */
+import {
+  getHeatIndex,
+  getHumidex,
+  getWindChill,
+  getIndexLevel,
+} from "../utils/indices";
+
+const toCelsius = (fahrenheit) => ((fahrenheit - 32) * 5) / 9;
+const toFahrenheit = (celsius) => (celsius * 9) / 5 + 32;
+const MPH_TO_KMH = 1.609344;
+
+/**
+ * Heat index in °F for a temperature in °F, as the NWS tables give it.
+ * @param {number} fahrenheit - Air temperature in °F.
+ * @param {number} humidity - Relative humidity in %.
+ * @returns {number|null} Heat index in °F.
+ */
+const heatIndexF = (fahrenheit, humidity) => {
+  const index = getHeatIndex(toCelsius(fahrenheit), humidity);
+  return index === null ? null : toFahrenheit(index);
+};
+
+/**
+ * The Rothfusz regression without adjustments, from the NWS heat index
+ * equation page.
+ * @param {number} t - Air temperature in °F.
+ * @param {number} rh - Relative humidity in %.
+ * @returns {number} Heat index in °F.
+ */
+const rothfusz = (t, rh) =>
+  -42.379 +
+  2.04901523 * t +
+  10.14333127 * rh -
+  0.22475541 * t * rh -
+  0.00683783 * t * t -
+  0.05481717 * rh * rh +
+  0.00122874 * t * t * rh +
+  0.00085282 * t * rh * rh -
+  0.00000199 * t * t * rh * rh;
+
+describe("getHeatIndex", () => {
+  // NWS heat index chart, °F
+  test.each([
+    [80, 40, 80],
+    [86, 90, 105],
+    [90, 70, 106],
+    [96, 65, 121],
+    [100, 40, 109],
+    [104, 55, 137],
+    [110, 40, 136],
+  ])("%i °F at %i%% reads %i °F on the NWS chart", (t, rh, expected) => {
+    expect(Math.round(heatIndexF(t, rh))).toBe(expected);
+  });
+
+  test("uses Steadman's simple formula while its average stays below 80 °F", () => {
+    // 0.5 * (80 + 61 + (80 - 68) * 1.2 + 40 * 0.094)
+    expect(heatIndexF(80, 40)).toBeCloseTo(79.58, 2);
+  });
+
+  test("subtracts the low-humidity adjustment below 13%", () => {
+    // ((13 - 10) / 4) * sqrt((17 - |100 - 95|) / 17)
+    const adjustment = (3 / 4) * Math.sqrt(12 / 17);
+    expect(heatIndexF(100, 10)).toBeCloseTo(rothfusz(100, 10) - adjustment, 6);
+  });
+
+  test("adds the high-humidity adjustment above 85% between 80 and 87 °F", () => {
+    // ((95 - 85) / 10) * ((87 - 84) / 5)
+    expect(heatIndexF(84, 95)).toBeCloseTo(rothfusz(84, 95) + 0.6, 6);
+  });
+
+  test("makes no adjustment outside the adjustments' ranges", () => {
+    expect(heatIndexF(88, 95)).toBeCloseTo(rothfusz(88, 95), 6);
+    expect(heatIndexF(114, 10)).toBeCloseTo(rothfusz(114, 10), 6);
+    expect(heatIndexF(100, 13)).toBeCloseTo(rothfusz(100, 13), 6);
+  });
+
+  test("applies from 80 °F", () => {
+    expect(heatIndexF(80, 100)).not.toBeNull();
+    expect(getHeatIndex(toCelsius(79.9), 100)).toBeNull();
+  });
+
+  test("is null without an input", () => {
+    expect(getHeatIndex(null, 50)).toBeNull();
+    expect(getHeatIndex(30, undefined)).toBeNull();
+  });
+});
+
+describe("getWindChill", () => {
+  // Environment Canada wind chill chart, °C and km/h
+  test.each([
+    [0, 20, -5],
+    [-10, 10, -15],
+    [-20, 5, -24],
+    [-20, 30, -33],
+    [-40, 50, -63],
+  ])(
+    "%i °C in %i km/h reads %i on the Environment Canada chart",
+    (t, v, expected) => {
+      expect(Math.round(getWindChill(t, v))).toBe(expected);
+    }
+  );
+
+  // NWS wind chill chart, °F and mph
+  test.each([
+    [40, 5, 36],
+    [30, 10, 21],
+    [0, 20, -22],
+    [-10, 15, -32],
+  ])("%i °F in %i mph reads %i °F on the NWS chart", (t, v, expected) => {
+    const chill = getWindChill(toCelsius(t), v * MPH_TO_KMH);
+    expect(Math.round(toFahrenheit(chill))).toBe(expected);
+  });
+
+  test("applies up to 10 °C", () => {
+    expect(getWindChill(10, 20)).toBeLessThan(10);
+    expect(getWindChill(10.1, 20)).toBeNull();
+  });
+
+  test("applies in winds above 4.8 km/h", () => {
+    expect(getWindChill(-10, 4.8)).toBeNull();
+    expect(getWindChill(-10, 4.9)).not.toBeNull();
+  });
+
+  test("is null without an input", () => {
+    expect(getWindChill(null, 20)).toBeNull();
+    expect(getWindChill(-5, null)).toBeNull();
+  });
+});
+
+describe("getHumidex", () => {
+  // Environment Canada humidex, from temperature and dew point in °C
+  test.each([
+    [30, 15, 34],
+    [30, 25, 42],
+  ])("%i °C with a %i °C dew point gives %i", (t, dewPoint, expected) => {
+    expect(Math.round(getHumidex(t, dewPoint))).toBe(expected);
+  });
+
+  test("equals the temperature when the vapour pressure is 10 hPa", () => {
+    // 10 hPa is the vapour pressure at a dew point of about 6.97 °C
+    expect(getHumidex(25, 6.97)).toBeCloseTo(25, 1);
+  });
+
+  test("applies from 20 °C", () => {
+    expect(getHumidex(20, 10)).not.toBeNull();
+    expect(getHumidex(19.9, 10)).toBeNull();
+  });
+
+  test("is null without an input", () => {
+    expect(getHumidex(25, null)).toBeNull();
+  });
+});
+
+describe("getIndexLevel", () => {
+  test("finds the level a value falls in, bounds included", () => {
+    expect(getIndexLevel("heatIndex", 32).label).toBe(
+      "indices.heatIndex.caution"
+    );
+    expect(getIndexLevel("heatIndex", 32.1).label).toBe(
+      "indices.heatIndex.extremeCaution"
+    );
+    expect(getIndexLevel("windChill", -33).label).toBe(
+      "indices.windChill.high"
+    );
+    expect(getIndexLevel("humidex", 42).label).toBe("indices.humidex.great");
+  });
+
+  test("is null without a value", () => {
+    expect(getIndexLevel("humidex", null)).toBeNull();
+  });
+});
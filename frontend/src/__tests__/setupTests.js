@@ -0,0 +1,5 @@
+/**
+ * @file Jest setup: DOM matchers and a fetch implementation for jsdom.
+ */
+import "@testing-library/jest-dom";
+import "whatwg-fetch";
@@ -0,0 +1,35 @@
+/**
+ * @file Anonymous user id creation, inside and outside secure contexts.
+ */
+import { getUserId } from "../utils/userId";
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe("getUserId", () => {
+  const { randomUUID } = crypto;
+
+  beforeEach(() => localStorage.clear());
+
+  afterEach(() => {
+    crypto.randomUUID = randomUUID;
+    jest.restoreAllMocks();
+  });
+
+  it("creates an id once and then reuses it", () => {
+    const userId = getUserId();
+    expect(userId).toMatch(UUID_PATTERN);
+    expect(getUserId()).toBe(userId);
+  });
+
+  it("falls back to getRandomValues without crypto.randomUUID", () => {
+    // Browsers leave randomUUID undefined on pages served over plain HTTP
+    crypto.randomUUID = undefined;
+    const getRandomValues = jest.spyOn(crypto, "getRandomValues");
+    const userId = getUserId();
+    expect(getRandomValues).toHaveBeenCalled();
+    expect(userId).toMatch(UUID_PATTERN);
+    localStorage.clear();
+    expect(getUserId()).not.toBe(userId);
+  });
+});
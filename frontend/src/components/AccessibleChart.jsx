@@ -0,0 +1,254 @@
+/**
+ * AccessibleChart.jsx
+ * Line chart with a text summary, a table view and keyboard access to its data points.
+ * The chart area takes focus; arrow keys move between points, which are highlighted and announced
+ * with their values in the user's units. A toggle swaps the chart for a table of the same rows.
+ */
+import React, { useState, useId } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { formatNumber, getTranslator } from "../utils/i18n";
+
+/**
+ * Draws a line's dot, enlarged for the point selected with the keyboard.
+ * @param {Object} props - Dot props from Recharts
+ * @param {number} activeIndex - Index of the selected point, or -1
+ * @param {boolean} showAll - Whether to draw the dots of unselected points
+ * @returns {JSX.Element} The dot
+ */
+const renderDot = (props, activeIndex, showAll) => {
+  const { cx, cy, index, stroke } = props;
+  const active = index === activeIndex;
+  if (
+    cx === null ||
+    cy === null ||
+    cx === undefined ||
+    cy === undefined ||
+    (!active && !showAll)
+  ) {
+    return <g key={index} />;
+  }
+  return (
+    <circle
+      key={index}
+      cx={cx}
+      cy={cy}
+      r={active ? 6 : 3}
+      stroke={stroke}
+      strokeWidth={active ? 2 : 1}
+      fill={active ? stroke : "#fff"}
+    />
+  );
+};
+
+/**
+ * AccessibleChart component
+ * @param {Object} props
+ * @param {string} props.title - Chart heading, also the table caption
+ * @param {Object[]} props.data - Chart rows
+ * @param {string} [props.xKey="time"] - Row field shown on the x axis, already formatted
+ * @param {string} props.xLabel - Header of the x column in the table, e.g. "Time"
+ * @param {Object[]} props.series - Lines to draw: `dataKey`, `name` (legend and column header,
+ *   with the unit), `stroke` and `decimals` shown in the table and announcements; optionally
+ *   `yAxisId`, `strokeDasharray` and `strokeOpacity`
+ * @param {Object[]} [props.yAxes] - Y axes by `id`, with an optional `unit` and `orientation`;
+ *   one unlabelled axis by default
+ * @param {boolean} [props.dots=true] - Whether to draw every point's dot, or only the selected one
+ * @param {string} [props.summary] - Plain-language summary of the data
+ * @param {string} props.language - Display language
+ * @param {number} [props.height=200] - Chart height in pixels
+ * @param {string} [props.className] - Classes for the wrapper
+ * @returns {JSX.Element} Chart or table with its heading and summary
+ */
+function AccessibleChart({
+  title,
+  data,
+  xKey = "time",
+  xLabel,
+  series,
+  yAxes,
+  dots = true,
+  summary,
+  language,
+  height = 200,
+  className = "",
+}) {
+  const t = getTranslator(language);
+  const [showTable, setShowTable] = useState(false);
+  // Point selected with the keyboard, or -1 while the chart is not focused
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const id = useId();
+  const summaryId = `${id}-summary`;
+  const hintId = `${id}-hint`;
+
+  /**
+   * Describes one row's values for screen readers.
+   * @param {Object} row - Chart row
+   * @returns {string} E.g. "3 PM — Temp (°C): 15.2"
+   */
+  const describePoint = (row) =>
+    t("charts.point", {
+      label: row[xKey],
+      values: series
+        .map(
+          ({ dataKey, name, decimals }) =>
+            `${name}: ${
+              row[dataKey] === null || row[dataKey] === undefined
+                ? "–"
+                : formatNumber(row[dataKey], language, decimals)
+            }`
+        )
+        .join(", "),
+    });
+
+  /**
+   * Moves between data points with the arrow, Home and End keys.
+   * @param {React.KeyboardEvent} e - The key event
+   */
+  const handleKeyDown = (e) => {
+    const last = data.length - 1;
+    const moves = {
+      ArrowRight: Math.min(activeIndex + 1, last),
+      ArrowLeft: Math.max(activeIndex - 1, 0),
+      Home: 0,
+      End: last,
+    };
+    if (!(e.key in moves) || last < 0) return;
+    e.preventDefault();
+    setActiveIndex(moves[e.key]);
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <h3 className="text-md font-semibold">{title}</h3>
+        <button
+          type="button"
+          onClick={() => setShowTable((current) => !current)}
+          aria-pressed={showTable}
+          className="px-2 py-1 border rounded text-sm hover:bg-gray-100"
+        >
+          {showTable ? t("charts.showChart") : t("charts.showTable")}
+        </button>
+      </div>
+      {summary && (
+        <p id={summaryId} className="text-sm text-gray-600 mb-2">
+          {summary}
+        </p>
+      )}
+      {showTable ? (
+        <div className="overflow-auto max-h-80">
+          <table className="w-full text-left text-sm">
+            <caption className="sr-only">{title}</caption>
+            <thead>
+              <tr className="border-b">
+                <th scope="col" className="py-1 pr-4">
+                  {xLabel}
+                </th>
+                {series.map(({ dataKey, name }) => (
+                  <th key={dataKey} scope="col" className="py-1 pr-4">
+                    {name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {data.map((row, index) => (
+                <tr key={index} className="border-b last:border-b-0">
+                  <th scope="row" className="py-1 pr-4 font-medium">
+                    {row[xKey]}
+                  </th>
+                  {series.map(({ dataKey, decimals }) => (
+                    <td key={dataKey} className="py-1 pr-4">
+                      {row[dataKey] === null || row[dataKey] === undefined
+                        ? "–"
+                        : formatNumber(row[dataKey], language, decimals)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div
+          tabIndex={0}
+          role="group"
+          aria-label={title}
+          aria-describedby={summary ? `${summaryId} ${hintId}` : hintId}
+          onKeyDown={handleKeyDown}
+          onFocus={() => setActiveIndex((current) => Math.max(current, 0))}
+          onBlur={() => setActiveIndex(-1)}
+          className="rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <span id={hintId} className="sr-only">
+            {t("charts.navigationHint")}
+          </span>
+          <ResponsiveContainer width="100%" height={height}>
+            <LineChart
+              data={data}
+              margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
+              // Keyboard access is handled by the wrapper
+              accessibilityLayer={false}
+            >
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey={xKey} />
+              {yAxes ? (
+                yAxes.map(({ id, unit, orientation }) => (
+                  <YAxis
+                    key={id}
+                    yAxisId={id}
+                    unit={unit}
+                    orientation={orientation}
+                  />
+                ))
+              ) : (
+                <YAxis />
+              )}
+              <Tooltip />
+              <Legend />
+              {series.map(
+                ({
+                  dataKey,
+                  name,
+                  stroke,
+                  yAxisId = 0,
+                  strokeDasharray,
+                  strokeOpacity,
+                }) => (
+                  <Line
+                    key={dataKey}
+                    yAxisId={yAxisId}
+                    type="monotone"
+                    dataKey={dataKey}
+                    stroke={stroke}
+                    strokeDasharray={strokeDasharray}
+                    strokeOpacity={strokeOpacity}
+                    name={name}
+                    dot={(props) => renderDot(props, activeIndex, dots)}
+                  />
+                )
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+          {/* Announces the selected point */}
+          <p className="sr-only" aria-live="polite">
+            {activeIndex !== -1 && data[activeIndex]
+              ? describePoint(data[activeIndex])
+              : ""}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccessibleChart;
@@ -0,0 +1,259 @@
+/**
+ * AirQualityCard.jsx
+ * Displays current air quality (US AQI, PM2.5, PM10, ozone, NO2) and pollen with colour-coded health categories.
+ * Shows hourly AQI, pollutant and pollen charts, each with a summary and a table view.
+ */
+import React, { useState, useEffect, useMemo } from "react";
+import axios from "axios";
+import { getNextHourIndex } from "../utils/helpers";
+import {
+  POLLUTANTS,
+  POLLEN_TYPES,
+  getAqiCategory,
+  getPollutantCategory,
+  getPollenCategory,
+} from "../utils/airQuality";
+import { formatNumber, getTranslator } from "../utils/i18n";
+import AccessibleChart from "./AccessibleChart";
+import {
+  summarizeAirQuality,
+  summarizePollutants,
+  summarizePollen,
+} from "../utils/chartSummary";
+
+// Hours shown in the charts
+const CHART_HOURS = 24;
+// Line colours for pollutants and pollen types
+const LINE_COLORS = [
+  "#0074D9",
+  "#FF851B",
+  "#2ECC40",
+  "#B10DC9",
+  "#FF4136",
+  "#39CCCC",
+];
+
+/**
+ * CategoryBadge component
+ * @param {Object} props
+ * @param {Object|null} props.category - Health category from utils/airQuality
+ * @param {function} props.t - Translator for the display language
+ * @returns {JSX.Element|null} Coloured category label, or nothing without a reading
+ */
+function CategoryBadge({ category, t }) {
+  if (!category) return null;
+  return (
+    <span
+      className={`px-2 py-0.5 rounded text-xs font-medium ${category.className}`}
+    >
+      {t(category.label)}
+    </span>
+  );
+}
+
+/**
+ * AirQualityCard component
+ * @param {Object} props
+ * @param {Object} props.weatherData - Weather data from the API (required)
+ * @param {string} props.language - Display language
+ * @returns {JSX.Element|null} Air quality card UI, or nothing until data has loaded
+ */
+function AirQualityCard({ weatherData, language }) {
+  const t = getTranslator(language);
+  const [airQuality, setAirQuality] = useState(null);
+  const [error, setError] = useState(null);
+  const { latitude, longitude, timezone } = weatherData;
+
+  // Fetch air quality for the location shown
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    axios
+      .get(
+        `/api/air-quality?latitude=${latitude}&longitude=${longitude}&timezone=${encodeURIComponent(
+          timezone
+        )}`
+      )
+      .then((response) => {
+        if (!cancelled) setAirQuality(response.data);
+      })
+      .catch((error) => {
+        console.error("Error fetching air quality:", error);
+        if (!cancelled) {
+          setAirQuality(null);
+          setError("airQuality.error");
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [latitude, longitude, timezone]);
+
+  // Memoize the chart rows for the next CHART_HOURS hours
+  const data = useMemo(() => {
+    if (!airQuality) return [];
+    const { hourly } = airQuality;
+    const startIndex = Math.max(0, getNextHourIndex(hourly.time, timezone) - 1);
+    return hourly.time
+      .slice(startIndex, startIndex + CHART_HOURS)
+      .map((time, index) => {
+        const row = {
+          time: new Date(time).toLocaleTimeString(language, {
+            hour: "numeric",
+            minute: "2-digit",
+          }),
+          usAqi: hourly.usAqi[startIndex + index],
+        };
+        [...Object.keys(POLLUTANTS), ...POLLEN_TYPES].forEach((key) => {
+          row[key] = hourly[key][startIndex + index];
+        });
+        return row;
+      });
+  }, [airQuality, timezone, language]);
+
+  if (error) {
+    return (
+      <div className="card">
+        <h2 className="text-2xl font-bold mb-2">{t("airQuality.title")}</h2>
+        <p className="text-red-500">{t(error)}</p>
+      </div>
+    );
+  }
+  if (!airQuality) return null;
+
+  const { current } = airQuality;
+  const aqiCategory = getAqiCategory(current.usAqi);
+  // Pollen is only modelled in Europe; show the types that have data
+  const pollenTypes = POLLEN_TYPES.filter((key) =>
+    data.some((row) => row[key] !== null)
+  );
+  const formatConcentration = (value) =>
+    `${formatNumber(value, language, 1)} ${airQuality.units.concentration}`;
+  const formatPollen = (value) =>
+    `${formatNumber(value, language)} ${airQuality.units.pollen}`;
+
+  // Render current readings and hourly charts
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold mb-4">{t("airQuality.title")}</h2>
+      {/* Current AQI */}
+      <div className="flex items-center gap-4 mb-4">
+        <div
+          className={`w-20 h-20 rounded-full flex items-center justify-center text-3xl font-bold ${
+            aqiCategory ? aqiCategory.className : "bg-gray-200"
+          }`}
+          aria-label={t("airQuality.usAqi")}
+        >
+          {current.usAqi ?? "–"}
+        </div>
+        <div>
+          <p className="text-lg font-semibold">
+            {t(aqiCategory ? aqiCategory.label : "airQuality.noReading")}
+          </p>
+          <p className="text-sm text-gray-600">{t("airQuality.usAqi")}</p>
+        </div>
+      </div>
+      {/* Current pollutant concentrations */}
+      <div className="grid grid-cols-2 gap-x-8 mb-4">
+        {Object.keys(POLLUTANTS).map((key) => (
+          <div key={key} className="flex justify-between items-center py-1">
+            <span className="font-medium text-gray-700">
+              {t(`airQuality.pollutants.${key}`)}:
+            </span>
+            <span className="flex items-center gap-2 text-gray-900">
+              {current[key] !== null
+                ? `${formatNumber(current[key], language, 1)} ${
+                    airQuality.units.concentration
+                  }`
+                : "–"}
+              <CategoryBadge
+                category={getPollutantCategory(key, current[key])}
+                t={t}
+              />
+            </span>
+          </div>
+        ))}
+      </div>
+      {/* Current pollen counts */}
+      <h3 className="text-md font-semibold mb-2">{t("airQuality.pollen")}</h3>
+      {pollenTypes.length > 0 ? (
+        <div className="grid grid-cols-2 gap-x-8 mb-4">
+          {pollenTypes.map((key) => (
+            <div key={key} className="flex justify-between items-center py-1">
+              <span className="font-medium text-gray-700">
+                {t(`airQuality.pollenTypes.${key}`)}:
+              </span>
+              <span className="flex items-center gap-2 text-gray-900">
+                {current[key] !== null
+                  ? `${formatNumber(current[key], language)} ${
+                      airQuality.units.pollen
+                    }`
+                  : "–"}
+                <CategoryBadge
+                  category={getPollenCategory(current[key])}
+                  t={t}
+                />
+              </span>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600 mb-4">{t("airQuality.noPollen")}</p>
+      )}
+      {/* AQI chart */}
+      <AccessibleChart
+        title={t("airQuality.aqiGraph")}
+        data={data}
+        xLabel={t("charts.time")}
+        series={[
+          {
+            dataKey: "usAqi",
+            name: t("airQuality.aqiLine"),
+            stroke: "#FF7E00",
+            decimals: 0,
+          },
+        ]}
+        summary={summarizeAirQuality(data, t)}
+        language={language}
+        className="mb-8"
+      />
+      {/* Pollutants chart */}
+      <AccessibleChart
+        title={t("airQuality.pollutantsGraph")}
+        data={data}
+        xLabel={t("charts.time")}
+        series={Object.keys(POLLUTANTS).map((key, index) => ({
+          dataKey: key,
+          name: `${t(`airQuality.pollutants.${key}`)} (${
+            airQuality.units.concentration
+          })`,
+          stroke: LINE_COLORS[index],
+          decimals: 1,
+        }))}
+        summary={summarizePollutants(data, t, formatConcentration)}
+        language={language}
+        className="mb-8"
+      />
+      {/* Pollen chart */}
+      {pollenTypes.length > 0 && (
+        <AccessibleChart
+          title={t("airQuality.pollenGraph")}
+          data={data}
+          xLabel={t("charts.time")}
+          series={pollenTypes.map((key, index) => ({
+            dataKey: key,
+            name: `${t(`airQuality.pollenTypes.${key}`)} (${
+              airQuality.units.pollen
+            })`,
+            stroke: LINE_COLORS[index],
+            decimals: 0,
+          }))}
+          summary={summarizePollen(data, t, pollenTypes, formatPollen)}
+          language={language}
+        />
+      )}
+    </div>
+  );
+}
+
+export default AirQualityCard;
@@ -0,0 +1,224 @@
+/**
+ * AlertsPanel.jsx
+ * Shows fired weather alerts for saved favourite locations and lets users manage threshold rules.
+ * New rules take their threshold in the user's current unit for the chosen metric.
+ */
+import React, { useState } from "react";
+import { getUnitLabel } from "../utils/helpers";
+import {
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  describeRule,
+  getRuleUnitLabel,
+} from "../utils/alerts";
+import { formatNumber, getTranslator } from "../utils/i18n";
+
+/**
+ * AlertsPanel component
+ * @param {Object} props
+ * @param {Object[]} props.favorites - Saved favourite locations rules can apply to
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {Object[]} props.rules - Saved alert rules
+ * @param {Object[]} props.alerts - Alerts that fired within the forecast window
+ * @param {string|null} props.error - Error from saving or deleting a rule, as a catalog key or message
+ * @param {function} props.onAddRule - Called with a new rule to save
+ * @param {function} props.onRemoveRule - Called with a rule id to delete
+ * @param {function} props.onDismissAlert - Called with an alert id to hide it
+ * @param {string} props.notificationPermission - Browser notification permission, or "unsupported"
+ * @param {function} props.onEnableNotifications - Asks for browser notification permission
+ * @param {string} props.language - Display language
+ * @returns {JSX.Element|null} Alerts panel UI, or nothing if there are no favourites
+ */
+function AlertsPanel({
+  favorites,
+  units,
+  rules,
+  alerts,
+  error,
+  onAddRule,
+  onRemoveRule,
+  onDismissAlert,
+  notificationPermission,
+  onEnableNotifications,
+  language,
+}) {
+  const t = getTranslator(language);
+  const [metric, setMetric] = useState("windGusts");
+  const [operator, setOperator] = useState("above");
+  const [threshold, setThreshold] = useState("");
+  const [locationId, setLocationId] = useState("");
+
+  if (favorites.length === 0) return null;
+
+  const quantity = ALERT_METRICS[metric].quantity;
+  const unitLabel = quantity
+    ? getUnitLabel(quantity, units[quantity])
+    : ALERT_METRICS[metric].unit;
+
+  /**
+   * Saves the rule described by the form.
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (threshold === "") return;
+    onAddRule({
+      metric,
+      operator,
+      threshold: Number(threshold),
+      unit: quantity ? units[quantity] : null,
+      locationId: locationId || null,
+    });
+    setThreshold("");
+  };
+
+  const locationName = (id) =>
+    id
+      ? favorites.find((favorite) => favorite.id === id)?.formatted ||
+        t("alerts.removedFavorite")
+      : t("alerts.allFavorites");
+
+  return (
+    <div className="card mb-8">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-xl font-bold">{t("alerts.title")}</h2>
+        {notificationPermission === "default" && (
+          <button
+            type="button"
+            onClick={onEnableNotifications}
+            className="px-2 py-1 text-sm text-blue-600 border border-blue-600 rounded"
+          >
+            {t("alerts.enableNotifications")}
+          </button>
+        )}
+      </div>
+
+      {/* Fired alerts */}
+      {alerts.length > 0 && (
+        <ul className="mb-4" aria-live="polite">
+          {alerts.map((alert) => (
+            <li
+              key={alert.id}
+              className="flex items-center justify-between gap-2 p-2 mb-2 bg-yellow-100 text-yellow-900 rounded"
+            >
+              <span>
+                <strong>{alert.location.formatted}:</strong>{" "}
+                {t("alerts.firedAt", {
+                  rule: describeRule(alert.rule, language),
+                  time: new Date(alert.time).toLocaleString(language, {
+                    weekday: "short",
+                    hour: "numeric",
+                    minute: "2-digit",
+                  }),
+                })}{" "}
+                {`(${formatNumber(alert.value, language, 1)} ${getRuleUnitLabel(
+                  alert.rule
+                )})`}
+              </span>
+              <button
+                type="button"
+                onClick={() => onDismissAlert(alert.id)}
+                className="px-1"
+                aria-label={t("alerts.dismiss")}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Saved rules */}
+      {rules.length > 0 && (
+        <ul className="mb-4">
+          {rules.map((rule) => (
+            <li
+              key={rule.id}
+              className="flex items-center justify-between gap-2 py-2 border-b last:border-b-0"
+            >
+              <span>
+                {describeRule(rule, language)}{" "}
+                <span className="text-gray-500">
+                  ({locationName(rule.locationId)})
+                </span>
+              </span>
+              <button
+                type="button"
+                onClick={() => onRemoveRule(rule.id)}
+                className="px-1 text-red-500"
+                aria-label={t("alerts.deleteRule", {
+                  rule: describeRule(rule, language),
+                })}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* New rule form */}
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-wrap items-center gap-2"
+      >
+        <select
+          aria-label={t("alerts.metric")}
+          value={metric}
+          onChange={(e) => setMetric(e.target.value)}
+          className="border rounded px-2 py-1"
+        >
+          {Object.keys(ALERT_METRICS).map((key) => (
+            <option key={key} value={key}>
+              {t(`alerts.metrics.${key}`)}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label={t("alerts.comparison")}
+          value={operator}
+          onChange={(e) => setOperator(e.target.value)}
+          className="border rounded px-2 py-1"
+        >
+          {ALERT_OPERATORS.map((key) => (
+            <option key={key} value={key}>
+              {t(`alerts.operators.${key}`)}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="any"
+          required
+          aria-label={t("alerts.threshold")}
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          className="border rounded px-2 py-1 w-24"
+        />
+        <span>{unitLabel}</span>
+        <select
+          aria-label={t("alerts.location")}
+          value={locationId}
+          onChange={(e) => setLocationId(e.target.value)}
+          className="border rounded px-2 py-1"
+        >
+          <option value="">{t("alerts.allFavorites")}</option>
+          {favorites.map((favorite) => (
+            <option key={favorite.id} value={favorite.id}>
+              {favorite.formatted}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="px-3 py-1 bg-blue-500 text-white rounded"
+        >
+          {t("alerts.add")}
+        </button>
+      </form>
+      {error && <p className="text-red-500 mt-2">{t(error)}</p>}
+    </div>
+  );
+}
+
+export default AlertsPanel;
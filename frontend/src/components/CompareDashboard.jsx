@@ -0,0 +1,410 @@
+/**
+ * CompareDashboard.jsx
+ * Compares the weather at 2–6 locations: hourly or daily temperature, precipitation and wind on shared chart axes,
+ * plus a side-by-side table of current conditions. Forecasts come from /api/weather/batch in one request.
+ */
+import React, { useState, useMemo } from "react";
+import {
+  UNIT_OPTIONS,
+  convertUnit,
+  getWeatherDescription,
+  getIconCode,
+  getNextHourIndex,
+} from "../utils/helpers";
+import { geocode } from "../utils/geocode";
+import useCompareLocations, {
+  MIN_COMPARE_LOCATIONS,
+  MAX_COMPARE_LOCATIONS,
+} from "../hooks/useCompareLocations";
+import Searchbar from "./Searchbar";
+import AccessibleChart from "./AccessibleChart";
+import { formatNumber, getTranslator } from "../utils/i18n";
+import { summarizeComparison } from "../utils/chartSummary";
+
+// Hours shown in the hourly charts
+const COMPARE_HOURS = 48;
+// Line colour per location, in the order they were added
+const LINE_COLORS = [
+  "#0074D9",
+  "#FF4136",
+  "#2ECC40",
+  "#FF851B",
+  "#B10DC9",
+  "#39CCCC",
+];
+
+// Compared quantities, and the forecast field charted for each period with
+// its catalog key
+const COMPARE_METRICS = [
+  {
+    key: "temperature",
+    quantity: "temperature",
+    hourly: { field: "temperature", label: "compare.metrics.temperature" },
+    daily: {
+      field: "temperatureMax",
+      label: "compare.metrics.maxTemperature",
+    },
+  },
+  {
+    key: "precipitation",
+    quantity: "precipitation",
+    hourly: {
+      field: "precipitation",
+      label: "compare.metrics.precipitation",
+    },
+    daily: {
+      field: "precipitationSum",
+      label: "compare.metrics.precipitation",
+    },
+  },
+  {
+    key: "wind",
+    quantity: "wind",
+    hourly: { field: "windSpeed", label: "compare.metrics.windSpeed" },
+    daily: { field: "windSpeedMax", label: "compare.metrics.maxWindSpeed" },
+  },
+];
+
+/**
+ * Returns the first part of a location's name, e.g. "Oslo" for "Oslo, Norway".
+ * @param {Object} location - Geocode suggestion
+ * @returns {string} Short name for legends and table rows
+ */
+const getShortName = (location) => location.formatted.split(",")[0];
+
+/**
+ * Builds chart rows on one time axis, with a column per location and metric.
+ * Times are matched by value, so a location missing a time gets a gap.
+ * @param {Object[]} forecasts - Forecasts requested in the same timezone
+ * @param {string} period - "hourly" or "daily"
+ * @param {string} timezone - The shared timezone
+ * @param {Object} units - Chosen unit per quantity
+ * @param {string} language - Display language, for the time labels
+ * @returns {Object[]} Rows with `time` and `<metric key><location index>` values
+ */
+const buildRows = (forecasts, period, timezone, units, language) => {
+  let times = forecasts[0][period].time;
+  if (period === "hourly") {
+    const startIndex = Math.max(0, getNextHourIndex(times, timezone) - 1);
+    times = times.slice(startIndex, startIndex + COMPARE_HOURS);
+  }
+  return times.map((time) => {
+    const row = {
+      time:
+        period === "hourly"
+          ? new Date(time).toLocaleString(language, {
+              weekday: "short",
+              hour: "numeric",
+            })
+          : new Date(time).toLocaleDateString(language, {
+              weekday: "short",
+              month: "short",
+              day: "numeric",
+            }),
+    };
+    forecasts.forEach((forecast, index) => {
+      const series = forecast[period];
+      const timeIndex = series.time.indexOf(time);
+      COMPARE_METRICS.forEach(({ key, quantity, [period]: { field } }) => {
+        row[`${key}${index}`] =
+          timeIndex === -1
+            ? null
+            : convertUnit(quantity, series[field][timeIndex], units[quantity]);
+      });
+    });
+    return row;
+  });
+};
+
+/**
+ * Formats a value in the user's chosen unit for the comparison table.
+ * @param {string} quantity - Key of UNIT_OPTIONS
+ * @param {number|null} value - Value in the API's base unit
+ * @param {Object} units - Chosen unit per quantity
+ * @param {string} language - Display language, for the number format
+ * @returns {string} The value with its unit, or a dash without a value
+ */
+const formatValue = (quantity, value, units, language) => {
+  const converted = convertUnit(quantity, value, units[quantity]);
+  if (converted === null) return "–";
+  const { label, precision } = UNIT_OPTIONS[quantity][units[quantity]];
+  return `${formatNumber(converted, language, precision)} ${label}`;
+};
+
+/**
+ * CompareDashboard component
+ * @param {Object} props
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {string} props.language - Display language
+ * @returns {JSX.Element} Comparison dashboard UI
+ */
+function CompareDashboard({ units, language }) {
+  const t = getTranslator(language);
+  const {
+    locations,
+    entries,
+    timezone,
+    loading,
+    error,
+    addLocation,
+    removeLocation,
+  } = useCompareLocations();
+  const [searchTerm, setSearchTerm] = useState("");
+  const [addError, setAddError] = useState(null);
+  const [period, setPeriod] = useState("hourly");
+
+  // Only locations whose forecast loaded are charted
+  const loaded = useMemo(
+    () => entries.filter((entry) => entry.forecast),
+    [entries]
+  );
+
+  // Memoize the chart rows for the chosen period
+  const data = useMemo(
+    () =>
+      loaded.length > 0
+        ? buildRows(
+            loaded.map((entry) => entry.forecast),
+            period,
+            timezone,
+            units,
+            language
+          )
+        : [],
+    [loaded, period, timezone, units, language]
+  );
+
+  /**
+   * Adds a searched or selected location to the comparison.
+   * @param {string|object} location - Search text or a geocode suggestion
+   */
+  const handleAdd = async (location) => {
+    setAddError(null);
+    try {
+      const suggestion =
+        typeof location === "string"
+          ? await geocode(location, language)
+          : location;
+      if (!suggestion) {
+        setAddError("errors.locationNotFound");
+        return;
+      }
+      addLocation(suggestion);
+      setSearchTerm("");
+    } catch (error) {
+      console.error("Error adding comparison location:", error);
+      setAddError("errors.lookupFailed");
+    }
+  };
+
+  const isFull = locations.length >= MAX_COMPARE_LOCATIONS;
+  // Each location keeps its colour while others load or fail
+  const getColor = (id) =>
+    LINE_COLORS[locations.findIndex((location) => location.id === id)];
+
+  // Render the location picker, charts and table
+  return (
+    <div className="card">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4">
+        <h2 className="text-2xl font-bold mb-2 md:mb-0">
+          {t("compare.title")}
+        </h2>
+        <div className="flex items-center gap-2">
+          <label htmlFor="comparePeriod" className="font-medium">
+            {t("common.show")}
+          </label>
+          <select
+            id="comparePeriod"
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="border rounded px-2 py-1"
+          >
+            <option value="hourly">
+              {t("compare.nextHours", { count: COMPARE_HOURS })}
+            </option>
+            <option value="daily">{t("compare.daily")}</option>
+          </select>
+        </div>
+      </div>
+      {/* Location picker */}
+      {isFull ? (
+        <p className="text-sm text-gray-600 mb-2">
+          {t("compare.full", { max: MAX_COMPARE_LOCATIONS })}
+        </p>
+      ) : (
+        <div className="mb-2">
+          <Searchbar
+            fetchWeather={handleAdd}
+            searchTerm={searchTerm}
+            setSearchTerm={setSearchTerm}
+            language={language}
+          />
+        </div>
+      )}
+      {addError && <p className="text-sm text-red-500 mb-2">{t(addError)}</p>}
+      <ul className="flex flex-wrap gap-2 mb-4">
+        {locations.map((location) => (
+          <li
+            key={location.id}
+            className="flex items-center gap-2 px-3 py-1 rounded-full bg-gray-100"
+          >
+            <span
+              className="w-3 h-3 rounded-full"
+              style={{ backgroundColor: getColor(location.id) }}
+              aria-hidden="true"
+            ></span>
+            {location.flag && <span>{location.flag}</span>}
+            <span className="truncate max-w-xs">{location.formatted}</span>
+            <button
+              type="button"
+              onClick={() => removeLocation(location.id)}
+              className="text-gray-500 hover:text-red-600"
+              aria-label={t("compare.remove", { name: location.formatted })}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      {loading && <p className="text-center">{t("app.loading")}</p>}
+      {error && <p className="text-center text-red-500">{t(error)}</p>}
+      {locations.length < MIN_COMPARE_LOCATIONS ? (
+        <p className="text-gray-600">
+          {t("compare.minimum", { min: MIN_COMPARE_LOCATIONS })}
+        </p>
+      ) : (
+        loaded.length > 0 && (
+          <>
+            {/* One chart per metric, a line per location */}
+            {COMPARE_METRICS.map(({ key, quantity, [period]: { label } }) => {
+              const { label: unit, precision } =
+                UNIT_OPTIONS[quantity][units[quantity]];
+              const series = loaded.map((entry, index) => ({
+                dataKey: `${key}${index}`,
+                name: getShortName(entry.location),
+                stroke: getColor(entry.location.id),
+                decimals: precision,
+              }));
+              return (
+                <AccessibleChart
+                  key={key}
+                  title={`${t(label)} (${unit})`}
+                  data={data}
+                  xLabel={t(period === "hourly" ? "charts.time" : "charts.day")}
+                  series={series}
+                  dots={false}
+                  summary={summarizeComparison(
+                    data,
+                    t,
+                    series,
+                    (value) =>
+                      `${formatNumber(value, language, precision)} ${unit}`
+                  )}
+                  language={language}
+                  className="mb-8"
+                />
+              );
+            })}
+            {/* Side-by-side current conditions */}
+            <div className="overflow-x-auto">
+              <table className="w-full text-left">
+                <thead>
+                  <tr className="border-b">
+                    <th className="py-2 pr-4">{t("compare.location")}</th>
+                    <th className="py-2 pr-4">{t("compare.conditions")}</th>
+                    <th className="py-2 pr-4">{t("compare.temperature")}</th>
+                    <th className="py-2 pr-4">{t("compare.feelsLike")}</th>
+                    <th className="py-2 pr-4">{t("compare.highLow")}</th>
+                    <th className="py-2 pr-4">{t("compare.precipitation")}</th>
+                    <th className="py-2">{t("compare.wind")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(({ location, forecast, error }) => (
+                    <tr key={location.id} className="border-b last:border-b-0">
+                      <th scope="row" className="py-2 pr-4 font-medium">
+                        {getShortName(location)}
+                      </th>
+                      {forecast ? (
+                        <>
+                          <td className="py-2 pr-4">
+                            <span className="flex items-center gap-1">
+                              <i
+                                className={`qi-${getIconCode(
+                                  forecast.current.weatherCode,
+                                  forecast.current.isDay
+                                )} text-xl`}
+                                aria-hidden="true"
+                              ></i>
+                              {getWeatherDescription(
+                                forecast.current.weatherCode,
+                                language
+                              )}
+                            </span>
+                          </td>
+                          <td className="py-2 pr-4">
+                            {formatValue(
+                              "temperature",
+                              forecast.current.temperature,
+                              units,
+                              language
+                            )}
+                          </td>
+                          <td className="py-2 pr-4">
+                            {formatValue(
+                              "temperature",
+                              forecast.current.apparentTemperature,
+                              units,
+                              language
+                            )}
+                          </td>
+                          <td className="py-2 pr-4">
+                            {formatValue(
+                              "temperature",
+                              forecast.daily.temperatureMax[0],
+                              units,
+                              language
+                            )}{" "}
+                            /{" "}
+                            {formatValue(
+                              "temperature",
+                              forecast.daily.temperatureMin[0],
+                              units,
+                              language
+                            )}
+                          </td>
+                          <td className="py-2 pr-4">
+                            {formatValue(
+                              "precipitation",
+                              forecast.current.precipitation,
+                              units,
+                              language
+                            )}
+                          </td>
+                          <td className="py-2">
+                            {formatValue(
+                              "wind",
+                              forecast.current.windSpeed,
+                              units,
+                              language
+                            )}
+                          </td>
+                        </>
+                      ) : (
+                        <td colSpan={6} className="py-2 text-red-500">
+                          {t(error || "compare.unavailable")}
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )
+      )}
+    </div>
+  );
+}
+
+export default CompareDashboard;
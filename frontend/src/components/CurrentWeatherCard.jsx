@@ -2,42 +2,65 @@
  * CurrentWeatherCard.jsx
  * Displays the current weather information for a location, including background image, temperature, weather icon, and metrics.
  * Fetches a relevant Unsplash image based on location, daylight, and weather description.
- * Uses WeatherValue for metric/imperial display of weather metrics.
+ * Uses WeatherValue to display weather metrics in the user's chosen units.
+ * Opens with a plain-language summary of the day from /api/summary and ends with derived
+ * indices (heat index, wind chill, comfort...) explaining their risk levels.
+ * The location's date and time tick every minute while the page is visible.
  */
 import React, { useState, useEffect, useMemo } from "react";
+import axios from "axios";
 import {
-  convertTemperature,
   getWeatherDescription,
   getIconCode,
-  convertSpeed,
-  convertPrecipitation,
-  convertPressure,
+  convertUnit,
+  getUnitLabel,
 } from "../utils/helpers";
 import WeatherValue from "./WeatherValue";
+import DerivedIndices from "./DerivedIndices";
+import useNow from "../hooks/useNow";
+import { getTranslator } from "../utils/i18n";
+import { formatSummary } from "../utils/forecastSummary";
+import { computeIndices } from "../utils/indices";
 
 /**
  * CurrentWeatherCard component
  * @param {Object} props
  * @param {Object} props.weatherData - Weather data from the API (required)
  * @param {string} props.locationName - Name of the location (required)
- * @param {boolean} props.isMetric - If true, display metric units; otherwise, imperial
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {boolean} props.isFavorite - If true, the location is saved as a favourite
+ * @param {function} props.onToggleFavorite - Function to add or remove the location from favourites
+ * @param {string} props.language - Display language
  * @returns {JSX.Element} Weather card UI
  */
-function CurrentWeatherCard({ weatherData, locationName, isMetric }) {
+function CurrentWeatherCard({
+  weatherData,
+  locationName,
+  units,
+  isFavorite,
+  onToggleFavorite,
+  language,
+}) {
+  const t = getTranslator(language);
   const [backgroundImage, setBackgroundImage] = useState("");
+  const [summary, setSummary] = useState(null);
+  const now = useNow();
+
+  // Query includes location, daylight, and weather description for relevance;
+  // it stays in English whatever the display language
+  const unsplashQuery = weatherData
+    ? `${locationName}, ${
+        weatherData.current.isDay ? "day" : "night"
+      }, ${getWeatherDescription(weatherData.current.weatherCode)}`
+    : null;
 
   /**
-   * Fetch Unsplash image when weatherData or location changes.
-   * Query includes location, daylight, and weather description for relevance.
+   * Fetch Unsplash image when the query changes, so refreshed weatherData
+   * with the same conditions keeps the current image.
    */
   useEffect(() => {
-    if (!weatherData) return;
+    if (!unsplashQuery) return;
     const fetchImage = async () => {
-      const weatherDescription = getWeatherDescription(
-        weatherData.current.weather_code
-      );
-      const daylight = weatherData.current.is_day ? "day" : "night";
-      const unsplashQuery = `${locationName}, ${daylight}, ${weatherDescription}`;
       try {
         const response = await fetch(
           `/api/unsplash?query=${encodeURIComponent(unsplashQuery)}`
@@ -51,52 +74,97 @@ function CurrentWeatherCard({ weatherData, locationName, isMetric }) {
       }
     };
     fetchImage();
-  }, [weatherData, locationName]);
+  }, [unsplashQuery]);
+
+  const { latitude, longitude, timezone } = weatherData || {};
+  const currentTime = weatherData?.current.time;
+
+  /**
+   * Fetch the summary for the location shown, again whenever the forecast is
+   * refreshed or the units change. The card simply goes without it on errors.
+   */
+  useEffect(() => {
+    if (!currentTime) return;
+    let cancelled = false;
+    const params = new URLSearchParams({
+      latitude,
+      longitude,
+      timezone,
+      temperature: units.temperature,
+      wind: units.wind,
+      precipitation: units.precipitation,
+    });
+    axios
+      .get(`/api/summary?${params}`)
+      .then((response) => {
+        if (!cancelled) setSummary(response.data.sentences);
+      })
+      .catch((error) => {
+        console.error("Error fetching forecast summary:", error);
+        if (!cancelled) setSummary(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [
+    latitude,
+    longitude,
+    timezone,
+    currentTime,
+    units.temperature,
+    units.wind,
+    units.precipitation,
+  ]);
+
+  /**
+   * Derived indices for the current conditions. Dew point, UV index and
+   * chance of precipitation are not part of them, so they come from the
+   * current hour of the hourly forecast.
+   */
+  const indices = useMemo(() => {
+    if (!weatherData) return null;
+    const { current, hourly } = weatherData;
+    // Without a time for the current conditions no hour can be matched
+    const hour = current.time
+      ? hourly.time.findIndex(
+          (time) => time.slice(0, 13) === current.time.slice(0, 13)
+        )
+      : -1;
+    const fromHourly = (field) => (hour === -1 ? null : hourly[field][hour]);
+    return computeIndices({
+      ...current,
+      dewPoint: fromHourly("dewPoint"),
+      uvIndex: fromHourly("uvIndex"),
+      precipitationProbability: fromHourly("precipitationProbability"),
+    });
+  }, [weatherData]);
 
   /**
    * Returns formatted date string for display, using location's timezone.
    */
   const getFormattedDate = useMemo(() => {
     if (!weatherData) return "";
-    const date = new Date();
     // Use weatherData.timezone for correct local date
-    const weekday = date.toLocaleString("en-US", {
+    return now.toLocaleDateString(language, {
       weekday: "long",
-      timeZone: weatherData.timezone,
-    });
-    const month = date.toLocaleString("en-US", {
-      month: "long",
-      timeZone: weatherData.timezone,
-    });
-    const year = date.toLocaleString("en-US", {
       year: "numeric",
-      timeZone: weatherData.timezone,
-    });
-    const day = date.toLocaleString("en-US", {
+      month: "long",
       day: "numeric",
       timeZone: weatherData.timezone,
     });
-    // Helper to get ordinal suffix for day
-    const getOrdinal = (n) => {
-      const s = ["th", "st", "nd", "rd"],
-        v = n % 100;
-      return s[(v - 20) % 10] || s[v] || s[0];
-    };
-    return `${weekday}, ${month} ${day}${getOrdinal(Number(day))}, ${year}`;
-  }, [weatherData]);
+  }, [weatherData, now, language]);
 
   /**
    * Returns formatted time string for display, using location's timezone.
    */
   const getFormattedTime = useMemo(() => {
     if (!weatherData) return "";
-    const date = new Date();
-    return date.toLocaleTimeString("en-US", {
+    return now.toLocaleTimeString(language, {
       timeZone: weatherData.timezone,
       hour: "numeric",
       minute: "2-digit",
     });
-  }, [weatherData]);
+  }, [weatherData, now, language]);
 
   // Render weather card with background image and weather values
   return (
@@ -111,6 +179,16 @@ function CurrentWeatherCard({ weatherData, locationName, isMetric }) {
     >
       {weatherData && (
         <div className="relative z-0">
+          {/* Plain-language summary of the day */}
+          {summary && summary.length > 0 && (
+            <section
+              aria-label={t("forecastSummary.title")}
+              className="mb-4 px-4 py-2 rounded-lg text-blue-900"
+              style={{ backgroundColor: "rgba(255, 255, 255, 0.75)" }}
+            >
+              <p>{formatSummary(summary, language)}</p>
+            </section>
+          )}
           {/* Location, date, time, and weather summary */}
           <div className="text-center mb-4 z-0">
             <div
@@ -123,6 +201,25 @@ function CurrentWeatherCard({ weatherData, locationName, isMetric }) {
                 style={{ textShadow: "2px 2px 8px rgba(0,0,0,0.5)" }}
               >
                 {locationName}
+                {/* Star to add or remove the location from favourites */}
+                <button
+                  type="button"
+                  onClick={onToggleFavorite}
+                  className="ml-2 text-yellow-500"
+                  aria-pressed={isFavorite}
+                  aria-label={t(
+                    isFavorite
+                      ? "current.removeFavorite"
+                      : "current.addFavorite"
+                  )}
+                  title={t(
+                    isFavorite
+                      ? "current.removeFavorite"
+                      : "current.addFavorite"
+                  )}
+                >
+                  {isFavorite ? "★" : "☆"}
+                </button>
               </h2>
               {/* Date */}
               <p
@@ -145,25 +242,27 @@ function CurrentWeatherCard({ weatherData, locationName, isMetric }) {
                   style={{ textShadow: "2px 2px 8px rgba(0,0,0,0.5)" }}
                 >
                   {Math.round(
-                    isMetric
-                      ? weatherData.current.temperature_2m
-                      : convertTemperature(weatherData.current.temperature_2m)
+                    convertUnit(
+                      "temperature",
+                      weatherData.current.temperature,
+                      units.temperature
+                    )
                   )}
                 </span>
                 <span
                   className="text-3xl mt-2 text-blue-900"
                   style={{ textShadow: "2px 2px 8px rgba(0,0,0,0.5)" }}
                 >
-                  {isMetric ? "°C" : "°F"}
+                  {getUnitLabel("temperature", units.temperature)}
                 </span>
                 {/* Weather icon mapped from weather code and day/night */}
                 <i
                   className={`qi-${getIconCode(
-                    weatherData.current.weather_code,
-                    weatherData.current.is_day
+                    weatherData.current.weatherCode,
+                    weatherData.current.isDay
                   )} qi text-5xl text-blue-900`}
                   style={{ textShadow: "2px 2px 8px rgba(0,0,0,0.5)" }}
-                  aria-label="Weather icon"
+                  aria-label={t("common.weatherIcon")}
                 ></i>
               </div>
               {/* Weather description */}
@@ -171,15 +270,18 @@ function CurrentWeatherCard({ weatherData, locationName, isMetric }) {
                 className="text-lg mt-2 text-blue-900"
                 style={{ textShadow: "2px 2px 8px rgba(0,0,0,0.5)" }}
               >
-                {getWeatherDescription(weatherData.current.weather_code)}
+                {getWeatherDescription(
+                  weatherData.current.weatherCode,
+                  language
+                )}
               </p>
               {/* Daylight period */}
               <p
                 className="text-lg mt-2 text-blue-900"
                 style={{ textShadow: "2px 2px 8px rgba(0,0,0,0.5)" }}
               >
-                <strong>Daylight:</strong>{" "}
-                {weatherData.current.is_day ? "Day" : "Night"}
+                <strong>{t("current.daylight")}</strong>{" "}
+                {t(weatherData.current.isDay ? "current.day" : "current.night")}
               </p>
             </div>
           </div>
@@ -191,34 +293,30 @@ function CurrentWeatherCard({ weatherData, locationName, isMetric }) {
               style={{ backgroundColor: "rgba(255,255,255,0.50)" }}
             >
               <WeatherValue
-                label="Feels Like"
-                value={weatherData.current.apparent_temperature}
-                metricUnit="°C"
-                imperialUnit="°F"
-                convertFn={convertTemperature}
-                isMetric={isMetric}
+                label={t("fields.feelsLike")}
+                value={weatherData.current.apparentTemperature}
+                quantity="temperature"
+                units={units}
+                language={language}
               />
               <WeatherValue
-                label="Humidity"
-                value={weatherData.current.relative_humidity_2m}
-                metricUnit="%"
-                imperialUnit="%"
-                isMetric={isMetric}
+                label={t("fields.humidity")}
+                value={weatherData.current.humidity}
+                unit="%"
+                language={language}
               />
               <WeatherValue
-                label="Precipitation"
+                label={t("fields.precipitation")}
                 value={weatherData.current.precipitation}
-                metricUnit="mm"
-                imperialUnit="in"
-                convertFn={convertPrecipitation}
-                isMetric={isMetric}
+                quantity="precipitation"
+                units={units}
+                language={language}
               />
               <WeatherValue
-                label="Cloud Cover"
-                value={weatherData.current.cloud_cover}
-                metricUnit="%"
-                imperialUnit="%"
-                isMetric={isMetric}
+                label={t("fields.cloudCover")}
+                value={weatherData.current.cloudCover}
+                unit="%"
+                language={language}
               />
             </div>
             {/* Right column: Surface Pressure, Wind Speed, Wind Direction, Wind Gusts */}
@@ -227,38 +325,50 @@ function CurrentWeatherCard({ weatherData, locationName, isMetric }) {
               style={{ backgroundColor: "rgba(255, 255, 255, 0.50)" }}
             >
               <WeatherValue
-                label="Surface Pressure"
-                value={weatherData.current.surface_pressure}
-                metricUnit="hPa"
-                imperialUnit="inHg"
-                convertFn={convertPressure}
-                isMetric={isMetric}
+                label={t("fields.surfacePressure")}
+                value={weatherData.current.surfacePressure}
+                quantity="pressure"
+                units={units}
+                language={language}
               />
               <WeatherValue
-                label="Wind Speed"
-                value={weatherData.current.wind_speed_10m}
-                metricUnit="km/h"
-                imperialUnit="mph"
-                convertFn={convertSpeed}
-                isMetric={isMetric}
+                label={t("fields.windSpeed")}
+                value={weatherData.current.windSpeed}
+                quantity="wind"
+                units={units}
+                language={language}
               />
               <WeatherValue
-                label="Wind Direction"
-                value={weatherData.current.wind_direction_10m}
-                metricUnit="°"
-                imperialUnit="°"
-                isMetric={isMetric}
+                label={t("fields.windDirection")}
+                value={weatherData.current.windDirection}
+                unit="°"
+                language={language}
               />
               <WeatherValue
-                label="Wind Gusts"
-                value={weatherData.current.wind_gusts_10m}
-                metricUnit="km/h"
-                imperialUnit="mph"
-                convertFn={convertSpeed}
-                isMetric={isMetric}
+                label={t("fields.windGusts")}
+                value={weatherData.current.windGusts}
+                quantity="wind"
+                units={units}
+                language={language}
               />
             </div>
           </div>
+          {/* Derived indices with explanations of their risk levels */}
+          <section
+            className="p-4 rounded-lg mt-4 z-0"
+            style={{ backgroundColor: "rgba(255, 255, 255, 0.50)" }}
+            aria-labelledby="current-indices-title"
+          >
+            <h3 id="current-indices-title" className="font-semibold mb-2">
+              {t("indices.title")}
+            </h3>
+            <DerivedIndices
+              indices={indices}
+              units={units}
+              language={language}
+              detailed
+            />
+          </section>
         </div>
       )}
       {/* Overlay div for background image */}
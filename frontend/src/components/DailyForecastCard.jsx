@@ -1,83 +1,105 @@
 /**
  * DailyForecastCard.jsx
  * Displays the daily weather forecast for upcoming days, including temperature, weather icon, sunrise/sunset, and metrics.
- * Shows a temperature chart using Recharts and uses WeatherValue for metric/imperial display.
+ * Shows an accessible temperature chart with a table view and summary, and uses WeatherValue to display values in the user's chosen units.
  */
 import React, { useMemo } from "react";
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  Legend,
-  ResponsiveContainer,
-} from "recharts";
-import {
-  convertTemperature,
+  convertUnit,
+  getUnitLabel,
   getWeatherDescription,
   getIconCode,
   formatDuration,
+  UNIT_OPTIONS,
 } from "../utils/helpers";
 import WeatherValue from "./WeatherValue";
+import ExportLinks from "./ExportLinks";
+import AccessibleChart from "./AccessibleChart";
+import { formatNumber, getTranslator } from "../utils/i18n";
+import { summarizeDailyTemperature } from "../utils/chartSummary";
 
 /**
  * DailyForecastCard component
  * @param {Object} props
+ * @param {Object} props.weatherData - Weather data from the API (required)
  * @param {Object} props.dailyData - Daily weather data from the API (required)
- * @param {boolean} props.isMetric - If true, display metric units; otherwise, imperial
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {string} props.locationName - Name of the location, for exported files
+ * @param {string} props.language - Display language
  * @returns {JSX.Element} Daily forecast card UI
  */
-function DailyForecastCard({ dailyData, isMetric }) {
+function DailyForecastCard({
+  weatherData,
+  dailyData,
+  units,
+  locationName,
+  language,
+}) {
+  const t = getTranslator(language);
+  const temperatureUnit = getUnitLabel("temperature", units.temperature);
+  const temperaturePrecision =
+    UNIT_OPTIONS.temperature[units.temperature].precision;
+  // The chart summary rounds temperatures to whole degrees
+  const formatTemperature = (value) =>
+    `${formatNumber(value, language, 0)} ${temperatureUnit}`;
   // Start from the day after the current day
   const startIndex = 1;
   // Memoize mapped daily data for performance
   const data = useMemo(() => {
+    const toTemperature = (value) =>
+      convertUnit("temperature", value, units.temperature);
     return dailyData.time.slice(startIndex).map((time, index) => {
       const realIndex = startIndex + index;
-      const minTemp = dailyData.temperature_2m_min[realIndex];
-      const maxTemp = dailyData.temperature_2m_max[realIndex];
+      const minTemp = dailyData.temperatureMin[realIndex];
+      const maxTemp = dailyData.temperatureMax[realIndex];
       return {
-        time: new Date(time).toLocaleDateString([], {
+        time: new Date(time).toLocaleDateString(language, {
           weekday: "short",
           month: "short",
           day: "numeric",
         }),
-        minTemp: isMetric ? minTemp : convertTemperature(minTemp),
-        maxTemp: isMetric ? maxTemp : convertTemperature(maxTemp),
-        weatherCode: dailyData.weather_code[realIndex],
+        minTemp: toTemperature(minTemp),
+        maxTemp: toTemperature(maxTemp),
+        weatherCode: dailyData.weatherCode[realIndex],
         sunrise: dailyData.sunrise[realIndex],
         sunset: dailyData.sunset[realIndex],
-        daylight_duration: dailyData.daylight_duration[realIndex],
-        uv_index_max: dailyData.uv_index_max[realIndex],
-        apparent_temperature_max: isMetric
-          ? dailyData.apparent_temperature_max[realIndex]
-          : convertTemperature(dailyData.apparent_temperature_max[realIndex]),
-        apparent_temperature_min: isMetric
-          ? dailyData.apparent_temperature_min[realIndex]
-          : convertTemperature(dailyData.apparent_temperature_min[realIndex]),
-        rain_sum: dailyData.rain_sum[realIndex],
-        showers_sum: dailyData.showers_sum[realIndex],
-        snowfall_sum: dailyData.snowfall_sum[realIndex],
-        precipitation_sum: dailyData.precipitation_sum[realIndex],
-        precipitation_hours: dailyData.precipitation_hours[realIndex],
-        precipitation_probability_max:
-          dailyData.precipitation_probability_max[realIndex],
-        wind_speed_10m_max: dailyData.wind_speed_10m_max[realIndex],
-        wind_gusts_10m_max: dailyData.wind_gusts_10m_max[realIndex],
-        wind_direction_10m_dominant:
-          dailyData.wind_direction_10m_dominant[realIndex],
-        sunshine_duration: dailyData.sunshine_duration[realIndex],
+        daylightDuration: dailyData.daylightDuration[realIndex],
+        uvIndexMax: dailyData.uvIndexMax[realIndex],
+        apparentTemperatureMax: toTemperature(
+          dailyData.apparentTemperatureMax[realIndex]
+        ),
+        apparentTemperatureMin: toTemperature(
+          dailyData.apparentTemperatureMin[realIndex]
+        ),
+        rainSum: dailyData.rainSum[realIndex],
+        showersSum: dailyData.showersSum[realIndex],
+        snowfallSum: dailyData.snowfallSum[realIndex],
+        precipitationSum: dailyData.precipitationSum[realIndex],
+        precipitationHours: dailyData.precipitationHours[realIndex],
+        precipitationProbabilityMax:
+          dailyData.precipitationProbabilityMax[realIndex],
+        windSpeedMax: dailyData.windSpeedMax[realIndex],
+        windGustsMax: dailyData.windGustsMax[realIndex],
+        windDirectionDominant: dailyData.windDirectionDominant[realIndex],
+        sunshineDuration: dailyData.sunshineDuration[realIndex],
       };
     });
-  }, [dailyData, isMetric, startIndex]);
+  }, [dailyData, units.temperature, startIndex, language]);
 
   // Render daily forecast card and chart
   return (
     <div className="card">
-      <div className="flex justify-between items-center mb-4">
-        <h2 className="text-2xl font-bold">Daily Forecast</h2>
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 mb-4">
+        <h2 className="text-2xl font-bold">{t("daily.title")}</h2>
+        {/* Download the shown days or add them to a calendar */}
+        <ExportLinks
+          weatherData={weatherData}
+          period="daily"
+          units={units}
+          name={locationName}
+          calendar
+          language={language}
+        />
       </div>
       {/* Scrollable daily forecast cards */}
       <div className="overflow-x-auto pb-4">
@@ -87,72 +109,79 @@ function DailyForecastCard({ dailyData, isMetric }) {
               <p className="font-bold">{day.time}</p>
               <p className="text-xl">
                 {Math.round(day.maxTemp)}
-                {isMetric ? "°C" : "°F"} / {Math.round(day.minTemp)}
-                {isMetric ? "°C" : "°F"}
+                {temperatureUnit} / {Math.round(day.minTemp)}
+                {temperatureUnit}
               </p>
               {/* Weather icon mapped from weather code */}
               <i
                 className={`qi-${getIconCode(day.weatherCode)} text-3xl`}
-                aria-label="Weather icon"
+                aria-label={t("common.weatherIcon")}
               ></i>
               <p className="text-sm text-gray-600">
-                {getWeatherDescription(day.weatherCode)}
-              </p>
-              <p className="text-sm text-gray-600">
-                Sunrise:{" "}
-                {new Date(day.sunrise).toLocaleTimeString([], {
-                  hour: "numeric",
-                  minute: "2-digit",
-                })}
-              </p>
-              <p className="text-sm text-gray-600">
-                Sunset:{" "}
-                {new Date(day.sunset).toLocaleTimeString([], {
-                  hour: "numeric",
-                  minute: "2-digit",
-                })}
-              </p>
-              <p className="text-sm text-gray-600">
-                Daylight: {formatDuration(day.daylight_duration)}
+                {getWeatherDescription(day.weatherCode, language)}
               </p>
+              {/* Sun times are omitted when the provider does not supply them */}
+              {day.sunrise && (
+                <p className="text-sm text-gray-600">
+                  {t("daily.sunrise")}{" "}
+                  {new Date(day.sunrise).toLocaleTimeString(language, {
+                    hour: "numeric",
+                    minute: "2-digit",
+                  })}
+                </p>
+              )}
+              {day.sunset && (
+                <p className="text-sm text-gray-600">
+                  {t("daily.sunset")}{" "}
+                  {new Date(day.sunset).toLocaleTimeString(language, {
+                    hour: "numeric",
+                    minute: "2-digit",
+                  })}
+                </p>
+              )}
+              {day.daylightDuration !== null && (
+                <p className="text-sm text-gray-600">
+                  {t("daily.daylight")} {formatDuration(day.daylightDuration)}
+                </p>
+              )}
               <WeatherValue
-                label="UV Index"
-                value={day.uv_index_max}
-                metricUnit=""
-                imperialUnit=""
-                isMetric={isMetric}
+                label={t("fields.uvIndex")}
+                value={day.uvIndexMax}
+                language={language}
               />
-              <p className="text-sm text-gray-600">
-                Sunshine: {formatDuration(day.sunshine_duration)}
-              </p>
+              {day.sunshineDuration !== null && (
+                <p className="text-sm text-gray-600">
+                  {t("daily.sunshine")} {formatDuration(day.sunshineDuration)}
+                </p>
+              )}
             </div>
           ))}
         </div>
       </div>
       {/* Daily temperature chart */}
-      <div className="mt-6" style={{ width: "100%", height: 300 }}>
-        <ResponsiveContainer>
-          <LineChart data={data}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="time" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Line
-              type="monotone"
-              dataKey="minTemp"
-              stroke="#0074D9" // blue
-              name="Min Temp"
-            />
-            <Line
-              type="monotone"
-              dataKey="maxTemp"
-              stroke="#FF4136" // red
-              name="Max Temp"
-            />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
+      <AccessibleChart
+        title={t("daily.temperatureGraph")}
+        data={data}
+        xLabel={t("charts.day")}
+        series={[
+          {
+            dataKey: "minTemp",
+            name: `${t("daily.minTemp")} (${temperatureUnit})`,
+            stroke: "#0074D9", // blue
+            decimals: temperaturePrecision,
+          },
+          {
+            dataKey: "maxTemp",
+            name: `${t("daily.maxTemp")} (${temperatureUnit})`,
+            stroke: "#FF4136", // red
+            decimals: temperaturePrecision,
+          },
+        ]}
+        summary={summarizeDailyTemperature(data, t, formatTemperature)}
+        language={language}
+        height={300}
+        className="mt-6"
+      />
     </div>
   );
 }
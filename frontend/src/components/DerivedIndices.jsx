@@ -0,0 +1,105 @@
+/**
+ * DerivedIndices.jsx
+ * Displays the derived indices of one set of conditions (heat index, wind chill, humidex, wet-bulb
+ * globe temperature, cloud base and comfort score) with colour-coded risk levels.
+ * Each level comes with an explanation: shown under the value in the detailed layout, otherwise
+ * as a tooltip and to screen readers. Indices that do not apply (e.g. wind chill in summer) are left out.
+ */
+import React from "react";
+import { UNIT_OPTIONS, convertUnit } from "../utils/helpers";
+import { getIndexLevel } from "../utils/indices";
+import { formatNumber, getTranslator } from "../utils/i18n";
+
+/**
+ * IndexRow component
+ * @param {Object} props
+ * @param {string} props.label - Name of the index
+ * @param {string} props.value - Formatted value with its unit
+ * @param {Object|null} props.level - Risk level from utils/indices, if the index has levels
+ * @param {boolean} props.detailed - If true, the level's explanation is shown under the value
+ * @param {function} props.t - Translator for the display language
+ * @returns {JSX.Element} One index with its level
+ */
+function IndexRow({ label, value, level, detailed, t }) {
+  return (
+    <div className="py-1">
+      <div className="flex justify-between items-center gap-2">
+        <span className="font-medium text-gray-700">{label}:</span>
+        <span className="flex items-center gap-2 text-gray-900">
+          {value}
+          {level && (
+            <span
+              className={`px-2 py-0.5 rounded text-xs font-medium ${level.className}`}
+              title={detailed ? undefined : t(level.description)}
+            >
+              {t(level.label)}
+              {!detailed && (
+                <span className="sr-only">: {t(level.description)}</span>
+              )}
+            </span>
+          )}
+        </span>
+      </div>
+      {detailed && level && (
+        <p className="text-xs text-gray-700 mt-1">{t(level.description)}</p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * DerivedIndices component
+ * @param {Object} props
+ * @param {Object} props.indices - Indices from computeIndices in utils/indices (base units)
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {string} props.language - Display language
+ * @param {boolean} [props.detailed=false] - If true, explanations are shown under each level
+ * @returns {JSX.Element} List of the indices that apply
+ */
+function DerivedIndices({ indices, units, language, detailed = false }) {
+  const t = getTranslator(language);
+
+  /**
+   * Formats a value of a convertible quantity in the chosen unit.
+   * @param {string} quantity - Key of UNIT_OPTIONS
+   * @param {number} value - Value in the base unit
+   * @returns {string} Value with its unit
+   */
+  const formatQuantity = (quantity, value) => {
+    const option = UNIT_OPTIONS[quantity][units[quantity]];
+    return `${formatNumber(
+      convertUnit(quantity, value, units[quantity]),
+      language,
+      option.precision
+    )} ${option.label}`;
+  };
+
+  const rows = [
+    ["heatIndex", (value) => formatQuantity("temperature", value)],
+    ["windChill", (value) => formatQuantity("temperature", value)],
+    ["humidex", (value) => formatNumber(value, language, 0)],
+    ["wetBulbGlobe", (value) => formatQuantity("temperature", value)],
+    ["cloudBase", (value) => formatQuantity("visibility", value)],
+    ["comfort", (value) => t("indices.comfort.score", { score: value })],
+  ].filter(([index]) => indices[index] !== null);
+
+  return (
+    <div>
+      {rows.map(([index, format]) => (
+        <IndexRow
+          key={index}
+          label={t(`indices.${index}.name`)}
+          value={format(indices[index])}
+          // Cloud base has no risk levels
+          level={
+            index === "cloudBase" ? null : getIndexLevel(index, indices[index])
+          }
+          detailed={detailed}
+          t={t}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default DerivedIndices;
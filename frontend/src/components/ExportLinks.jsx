@@ -0,0 +1,70 @@
+/**
+ * ExportLinks.jsx
+ * Download links for a forecast card's rows as CSV or JSON, and optionally an iCalendar feed of the daily forecast.
+ */
+import React from "react";
+import { getExportUrl, getSubscribeUrl } from "../utils/export";
+import { getTranslator } from "../utils/i18n";
+
+/**
+ * ExportLinks component
+ * @param {Object} props
+ * @param {Object} props.weatherData - Weather data from the API (required)
+ * @param {string} props.period - "hourly" or "daily"
+ * @param {number} [props.hours] - Number of hourly rows shown
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {string} [props.name] - Location name for the files and calendar
+ * @param {boolean} [props.calendar=false] - Also offer the iCalendar feed
+ * @param {string} props.language - Display language
+ * @returns {JSX.Element} Export links UI
+ */
+function ExportLinks({
+  weatherData,
+  period,
+  hours,
+  units,
+  name,
+  calendar = false,
+  language,
+}) {
+  const t = getTranslator(language);
+  const linkClass = "px-2 py-1 border rounded text-sm hover:bg-gray-100";
+  const calendarUrl = getExportUrl(weatherData, { format: "ics", units, name });
+  return (
+    <div className="flex items-center gap-2">
+      <span className="font-medium">{t("export.label")}</span>
+      {["csv", "json"].map((format) => (
+        <a
+          key={format}
+          href={getExportUrl(weatherData, {
+            format,
+            period,
+            hours,
+            units,
+            name,
+          })}
+          download
+          className={linkClass}
+        >
+          {format.toUpperCase()}
+        </a>
+      ))}
+      {calendar && (
+        <>
+          <a href={calendarUrl} download className={linkClass}>
+            {t("export.calendar")}
+          </a>
+          <a
+            href={getSubscribeUrl(calendarUrl)}
+            className={linkClass}
+            title={t("export.subscribeTitle")}
+          >
+            {t("export.subscribe")}
+          </a>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ExportLinks;
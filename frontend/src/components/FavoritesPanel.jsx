@@ -0,0 +1,161 @@
+/**
+ * FavoritesPanel.jsx
+ * Quick-switch panel listing saved favourite locations with their current temperature and weather icon.
+ * Clicking a favourite loads its full forecast; favourites can be reordered and removed.
+ */
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import { convertUnit, getIconCode, getUnitLabel } from "../utils/helpers";
+import { getTranslator } from "../utils/i18n";
+
+/**
+ * FavoriteItem component
+ * Fetches and shows the current conditions for one favourite.
+ * @param {Object} props
+ * @param {Object} props.favorite - The saved favourite location
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {boolean} props.isFirst - True for the first item (cannot move up)
+ * @param {boolean} props.isLast - True for the last item (cannot move down)
+ * @param {function} props.onSelect - Called with the favourite to load its forecast
+ * @param {function} props.onMove - Called with the favourite id and -1 or 1
+ * @param {function} props.onRemove - Called with the favourite id
+ * @param {string} props.language - Display language
+ * @returns {JSX.Element} Favourite list item UI
+ */
+function FavoriteItem({
+  favorite,
+  units,
+  isFirst,
+  isLast,
+  onSelect,
+  onMove,
+  onRemove,
+  language,
+}) {
+  const t = getTranslator(language);
+  const [current, setCurrent] = useState(null);
+
+  // Fetch current conditions; the backend cache makes repeat loads cheap
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(
+        `/api/weather?latitude=${favorite.geometry.lat}&longitude=${
+          favorite.geometry.lng
+        }&timezone=${encodeURIComponent(favorite.timezone)}`
+      )
+      .then((response) => {
+        if (!cancelled) setCurrent(response.data.current);
+      })
+      .catch((error) =>
+        console.error(
+          `Error fetching weather for ${favorite.formatted}:`,
+          error
+        )
+      );
+    return () => {
+      cancelled = true;
+    };
+  }, [favorite]);
+
+  return (
+    <li className="flex items-center justify-between gap-2 py-2 border-b last:border-b-0">
+      <button
+        type="button"
+        onClick={() => onSelect(favorite)}
+        className="flex items-center gap-2 text-left flex-grow hover:text-blue-600"
+      >
+        {favorite.flag && <span>{favorite.flag}</span>}
+        <span className="truncate">{favorite.formatted}</span>
+      </button>
+      {current && (
+        <span className="flex items-center gap-1 whitespace-nowrap">
+          <i
+            className={`qi-${getIconCode(
+              current.weatherCode,
+              current.isDay
+            )} text-xl`}
+            aria-label={t("common.weatherIcon")}
+          ></i>
+          {Math.round(
+            convertUnit("temperature", current.temperature, units.temperature)
+          )}
+          {getUnitLabel("temperature", units.temperature)}
+        </span>
+      )}
+      <span className="flex gap-1">
+        <button
+          type="button"
+          onClick={() => onMove(favorite.id, -1)}
+          disabled={isFirst}
+          className="px-1 disabled:opacity-30"
+          aria-label={t("favorites.moveUp", { name: favorite.formatted })}
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          onClick={() => onMove(favorite.id, 1)}
+          disabled={isLast}
+          className="px-1 disabled:opacity-30"
+          aria-label={t("favorites.moveDown", { name: favorite.formatted })}
+        >
+          ↓
+        </button>
+        <button
+          type="button"
+          onClick={() => onRemove(favorite.id)}
+          className="px-1 text-red-500"
+          aria-label={t("favorites.remove", { name: favorite.formatted })}
+        >
+          ✕
+        </button>
+      </span>
+    </li>
+  );
+}
+
+/**
+ * FavoritesPanel component
+ * @param {Object} props
+ * @param {Object[]} props.favorites - Saved favourite locations
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {function} props.onSelect - Called with a favourite to load its forecast
+ * @param {function} props.onMove - Called with a favourite id and -1 or 1 to reorder
+ * @param {function} props.onRemove - Called with a favourite id to remove it
+ * @param {string} props.language - Display language
+ * @returns {JSX.Element|null} Favourites panel UI, or nothing if there are no favourites
+ */
+function FavoritesPanel({
+  favorites,
+  units,
+  onSelect,
+  onMove,
+  onRemove,
+  language,
+}) {
+  if (favorites.length === 0) return null;
+  const t = getTranslator(language);
+  return (
+    <div className="card mb-8">
+      <h2 className="text-xl font-bold mb-2">{t("favorites.title")}</h2>
+      <ul>
+        {favorites.map((favorite, index) => (
+          <FavoriteItem
+            key={favorite.id}
+            favorite={favorite}
+            units={units}
+            isFirst={index === 0}
+            isLast={index === favorites.length - 1}
+            onSelect={onSelect}
+            onMove={onMove}
+            onRemove={onRemove}
+            language={language}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default FavoritesPanel;
@@ -1,26 +1,33 @@
 /**
  * Header.jsx
- * Displays the app header with a search bar and unit toggle switch.
- * Allows users to search for locations and switch between metric/imperial units.
+ * Displays the app header with a search bar, unit settings and language picker.
+ * Allows users to search for locations, choose the unit of each weather quantity and the interface language.
  */
 import React from "react";
 import Searchbar from "./Searchbar";
-import ToggleSwitch from "./ToggleSwitch";
+import UnitSettings from "./UnitSettings";
+import LanguagePicker from "./LanguagePicker";
 
 /**
  * Header component
  * @param {Object} props
  * @param {function} props.fetchWeather - Function to fetch weather data
- * @param {boolean} props.isMetric - If true, display metric units; otherwise, imperial
- * @param {function} props.onToggle - Function to handle the unit toggle
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {function} props.onUnitChange - Function to change the unit of one quantity
+ * @param {function} props.onUnitsChange - Function to replace all units (presets)
+ * @param {string} props.language - Interface language (a key of LANGUAGES)
+ * @param {function} props.onLanguageChange - Function to change the interface language
  * @param {string} props.searchTerm - The current search term
  * @param {function} props.setSearchTerm - Function to set the search term
  * @returns {JSX.Element} Header UI
  */
 function Header({
   fetchWeather,
-  isMetric,
-  onToggle,
+  units,
+  onUnitChange,
+  onUnitsChange,
+  language,
+  onLanguageChange,
   searchTerm,
   setSearchTerm,
 }) {
@@ -32,10 +39,23 @@ function Header({
           fetchWeather={fetchWeather}
           searchTerm={searchTerm}
           setSearchTerm={setSearchTerm}
+          language={language}
+        />
+      </div>
+      {/* Unit settings for each weather quantity */}
+      <div className="flex items-center gap-2">
+        <UnitSettings
+          units={units}
+          onUnitChange={onUnitChange}
+          onUnitsChange={onUnitsChange}
+          language={language}
+        />
+        {/* Interface language */}
+        <LanguagePicker
+          language={language}
+          onLanguageChange={onLanguageChange}
         />
       </div>
-      {/* Toggle switch for metric/imperial units */}
-      <ToggleSwitch isMetric={isMetric} onToggle={onToggle} />
     </div>
   );
 }
@@ -0,0 +1,265 @@
+/**
+ * HistoryCard.jsx
+ * Compares the daily forecast with the same days in past years, using archived data from /api/history.
+ * Overlays past years' min/max temperatures and precipitation on the forecast's chart, with a summary and a table view.
+ */
+import React, { useState, useEffect, useMemo } from "react";
+import axios from "axios";
+import { UNIT_OPTIONS, convertUnit, getUnitLabel } from "../utils/helpers";
+import { formatNumber, getTranslator } from "../utils/i18n";
+import AccessibleChart from "./AccessibleChart";
+import { summarizeHistory } from "../utils/chartSummary";
+
+// Choices offered by the "Compare with" dropdown, in years
+const YEAR_OPTIONS = [1, 2, 3, 5];
+// Line colours for past years, most recent first
+const YEAR_COLORS = ["#B10DC9", "#FF851B", "#2ECC40", "#39CCCC", "#85144b"];
+
+/**
+ * Moves a YYYY-MM-DD date back by whole years.
+ * 29 February becomes 1 March in non-leap years.
+ * @param {string} date - Date as YYYY-MM-DD (a time part is ignored).
+ * @param {number} years - Number of years to go back.
+ * @returns {string} The shifted date as YYYY-MM-DD.
+ */
+const shiftYears = (date, years) => {
+  const [year, month, day] = date.slice(0, 10).split("-").map(Number);
+  return new Date(Date.UTC(year - years, month - 1, day))
+    .toISOString()
+    .slice(0, 10);
+};
+
+/**
+ * HistoryCard component
+ * @param {Object} props
+ * @param {Object} props.weatherData - Weather data from the API (required)
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {string} props.language - Display language
+ * @returns {JSX.Element} History comparison card UI
+ */
+function HistoryCard({ weatherData, units, language }) {
+  const t = getTranslator(language);
+  const [numYears, setNumYears] = useState(1);
+  // Archived daily series of each past year, most recent first
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const { latitude, longitude, timezone, daily } = weatherData;
+
+  // Fetch the same date range for each past year
+  useEffect(() => {
+    if (daily.time.length === 0) return;
+    let cancelled = false;
+    const startDate = daily.time[0];
+    const endDate = daily.time[daily.time.length - 1];
+    setLoading(true);
+    setError(null);
+    Promise.all(
+      Array.from({ length: numYears }, (_, index) =>
+        axios.get(
+          `/api/history?latitude=${latitude}&longitude=${longitude}&timezone=${encodeURIComponent(
+            timezone
+          )}&start_date=${shiftYears(
+            startDate,
+            index + 1
+          )}&end_date=${shiftYears(endDate, index + 1)}`
+        )
+      )
+    )
+      .then((responses) => {
+        if (!cancelled) {
+          setHistory(responses.map((response) => response.data.daily));
+        }
+      })
+      .catch((error) => {
+        console.error("Error fetching weather history:", error);
+        if (!cancelled) {
+          setHistory([]);
+          setError("history.error");
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [latitude, longitude, timezone, daily.time, numYears]);
+
+  const currentYear = Number(daily.time[0]?.slice(0, 4));
+
+  // Memoize chart rows: one per forecast day, with a column per past year
+  const data = useMemo(() => {
+    const toTemperature = (value) =>
+      convertUnit("temperature", value, units.temperature);
+    const toPrecipitation = (value) =>
+      convertUnit("precipitation", value, units.precipitation);
+    return daily.time.map((time, index) => {
+      const row = {
+        time: new Date(time).toLocaleDateString(language, {
+          month: "short",
+          day: "numeric",
+        }),
+        maxTemp: toTemperature(daily.temperatureMax[index]),
+        minTemp: toTemperature(daily.temperatureMin[index]),
+        precipitation: toPrecipitation(daily.precipitationSum[index]),
+      };
+      history.forEach((past, yearIndex) => {
+        const year = currentYear - yearIndex - 1;
+        row[`maxTemp${year}`] = toTemperature(past.temperatureMax[index]);
+        row[`minTemp${year}`] = toTemperature(past.temperatureMin[index]);
+        row[`precipitation${year}`] = toPrecipitation(
+          past.precipitationSum[index]
+        );
+      });
+      return row;
+    });
+  }, [
+    daily,
+    history,
+    currentYear,
+    units.temperature,
+    units.precipitation,
+    language,
+  ]);
+
+  const temperatureUnit = getUnitLabel("temperature", units.temperature);
+  const precipitationUnit = getUnitLabel("precipitation", units.precipitation);
+  const temperaturePrecision =
+    UNIT_OPTIONS.temperature[units.temperature].precision;
+  const precipitationPrecision =
+    UNIT_OPTIONS.precipitation[units.precipitation].precision;
+  const today = data[0];
+  const lastYear = currentYear - 1;
+  const formatTemperature = (value) =>
+    `${formatNumber(value, language)}${temperatureUnit}`;
+
+  // Render the comparison summary and chart
+  return (
+    <div className="card">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4">
+        <h2 className="text-2xl font-bold mb-2 md:mb-0">
+          {t("history.title")}
+        </h2>
+        {/* Dropdown to select how many past years to overlay */}
+        <div className="flex items-center gap-2">
+          <label htmlFor="numYears" className="font-medium">
+            {t("history.compareWith")}
+          </label>
+          <select
+            id="numYears"
+            value={numYears}
+            onChange={(e) => setNumYears(Number(e.target.value))}
+            className="border rounded px-2 py-1"
+          >
+            {YEAR_OPTIONS.map((years) => (
+              <option key={years} value={years}>
+                {years === 1
+                  ? t("history.lastYear")
+                  : t("history.lastYears", { count: years })}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      {loading && <p className="text-center">{t("history.loading")}</p>}
+      {error && <p className="text-center text-red-500">{t(error)}</p>}
+      {/* This day last year */}
+      {today && today[`maxTemp${lastYear}`] != null && (
+        <p className="mb-4">
+          {t("history.summary", {
+            todayMax: formatTemperature(today.maxTemp),
+            todayMin: formatTemperature(today.minTemp),
+            pastMax: formatTemperature(today[`maxTemp${lastYear}`]),
+            pastMin: formatTemperature(today[`minTemp${lastYear}`]),
+            precipitation: `${formatNumber(
+              today[`precipitation${lastYear}`] ?? 0,
+              language,
+              1
+            )} ${precipitationUnit}`,
+          })}
+        </p>
+      )}
+      {/* Forecast and past years chart */}
+      <AccessibleChart
+        title={t("history.graph")}
+        data={data}
+        xLabel={t("charts.day")}
+        yAxes={[
+          { id: "temperature", unit: temperatureUnit },
+          {
+            id: "precipitation",
+            unit: precipitationUnit,
+            orientation: "right",
+          },
+        ]}
+        series={[
+          {
+            dataKey: "maxTemp",
+            name: t("history.maxForecast"),
+            stroke: "#FF4136", // red
+            yAxisId: "temperature",
+            decimals: temperaturePrecision,
+          },
+          {
+            dataKey: "minTemp",
+            name: t("history.minForecast"),
+            stroke: "#0074D9", // blue
+            yAxisId: "temperature",
+            decimals: temperaturePrecision,
+          },
+          {
+            dataKey: "precipitation",
+            name: t("history.precipitationForecast"),
+            stroke: "#001f3f", // navy
+            yAxisId: "precipitation",
+            decimals: precipitationPrecision,
+          },
+          ...history.flatMap((_, yearIndex) => {
+            const year = currentYear - yearIndex - 1;
+            const color = YEAR_COLORS[yearIndex % YEAR_COLORS.length];
+            return [
+              {
+                dataKey: `maxTemp${year}`,
+                name: t("history.maxYear", { year }),
+                stroke: color,
+                strokeDasharray: "5 5",
+                yAxisId: "temperature",
+                decimals: temperaturePrecision,
+              },
+              {
+                dataKey: `minTemp${year}`,
+                name: t("history.minYear", { year }),
+                stroke: color,
+                strokeDasharray: "2 4",
+                yAxisId: "temperature",
+                decimals: temperaturePrecision,
+              },
+              {
+                dataKey: `precipitation${year}`,
+                name: t("history.precipitationYear", { year }),
+                stroke: color,
+                strokeDasharray: "1 3",
+                strokeOpacity: 0.6,
+                yAxisId: "precipitation",
+                decimals: precipitationPrecision,
+              },
+            ];
+          }),
+        ]}
+        summary={summarizeHistory(
+          data,
+          t,
+          formatTemperature,
+          lastYear,
+          // Differences under one degree are reported as similar
+          1
+        )}
+        language={language}
+        height={350}
+      />
+    </div>
+  );
+}
+
+export default HistoryCard;
@@ -1,131 +1,157 @@
 /**
  * HourlyForecastCard.jsx
  * Displays the hourly weather forecast with a chart and hourly details for a location.
- * Shows temperature, weather icon, and metrics using WeatherValue, and renders multiple charts.
+ * Shows temperature, weather icon, metrics using WeatherValue and derived indices with their risk
+ * levels, and renders accessible charts
+ * with table views and text summaries.
  */
-import React, { useState, useMemo } from "react";
+import React, { useMemo } from "react";
 import {
-  LineChart,
-  Line,
-  XAxis,
-  YAxis,
-  CartesianGrid,
-  Tooltip,
-  Legend,
-  ResponsiveContainer,
-} from "recharts";
-import {
-  convertTemperature,
   getWeatherDescription,
   getIconCode,
-  convertSpeed,
-  convertVisibilityToKm,
-  convertVisibilityToMiles,
+  convertUnit,
+  getUnitLabel,
+  getNextHourIndex,
+  UNIT_OPTIONS,
 } from "../utils/helpers";
+import { HOUR_OPTIONS } from "../utils/urlState";
 import WeatherValue from "./WeatherValue";
+import ExportLinks from "./ExportLinks";
+import AccessibleChart from "./AccessibleChart";
+import DerivedIndices from "./DerivedIndices";
+import { formatNumber, getTranslator } from "../utils/i18n";
+import {
+  summarizeHourlyTemperature,
+  summarizeHourlyPressure,
+  summarizeHourlyPrecipitation,
+} from "../utils/chartSummary";
+import { computeIndices } from "../utils/indices";
 
 /**
  * HourlyForecastCard component
  * @param {Object} props
  * @param {Object} props.weatherData - Weather data from the API (required)
  * @param {Object} props.hourlyData - Hourly weather data from the API (required)
- * @param {boolean} props.isMetric - If true, display metric units; otherwise, imperial
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {number} props.numHours - Number of hours to display
+ * @param {function} props.onNumHoursChange - Function to change the number of hours to display
+ * @param {string} props.language - Display language
  * @returns {JSX.Element} Hourly forecast card UI
  */
-function HourlyForecastCard({ weatherData, hourlyData, isMetric }) {
-  // Number of hours to display (user-selectable)
-  const [numHours, setNumHours] = useState(12);
-
-  // Get the current time at the location using native JS
-  const now = new Date();
-  const nowLocalStr = now.toLocaleString("en-US", {
-    timeZone: weatherData.timezone,
-  });
-  const nowLocal = new Date(nowLocalStr);
-
-  // Find the index where year, month, day, and hour exactly match the current local time
-  let startIndex = 0;
-  if (hourlyData && hourlyData.time) {
-    const nowYear = nowLocal.getFullYear();
-    const nowMonth = nowLocal.getMonth(); // 0-indexed
-    const nowDay = nowLocal.getDate();
-    const nowHour = nowLocal.getHours();
-    for (let i = 0; i < hourlyData.time.length; i++) {
-      const forecastDate = new Date(hourlyData.time[i]);
-      const forecastYear = forecastDate.getFullYear();
-      const forecastMonth = forecastDate.getMonth();
-      const forecastDay = forecastDate.getDate();
-      const forecastHour = forecastDate.getHours();
-      if (
-        forecastYear === nowYear &&
-        forecastMonth === nowMonth &&
-        forecastDay === nowDay &&
-        forecastHour === nowHour
-      ) {
-        startIndex = i + 1; // Start from the next hour
-        break;
-      }
-    }
-  }
+function HourlyForecastCard({
+  weatherData,
+  hourlyData,
+  units,
+  numHours,
+  onNumHoursChange,
+  language,
+}) {
+  const t = getTranslator(language);
+  const temperatureUnit = getUnitLabel("temperature", units.temperature);
+  const temperatureOption = UNIT_OPTIONS.temperature[units.temperature];
+  const pressureOption = UNIT_OPTIONS.pressure[units.pressure];
+  // Chart summaries round temperatures to whole degrees
+  const formatTemperature = (value) =>
+    `${formatNumber(value, language, 0)} ${temperatureUnit}`;
+  const formatPressure = (value) =>
+    `${formatNumber(value, language, pressureOption.precision)} ${
+      pressureOption.label
+    }`;
+  // Start from the hour after the current hour at the location
+  const startIndex = getNextHourIndex(hourlyData.time, weatherData.timezone);
 
   // Memoize mapped hourly data for performance
   const data = useMemo(() => {
+    const toTemperature = (value) =>
+      convertUnit("temperature", value, units.temperature);
     return hourlyData.time
       .slice(startIndex, startIndex + numHours)
       .map((time, index) => {
         const realIndex = startIndex + index;
-        const temp = hourlyData.temperature_2m[realIndex];
+        const temp = hourlyData.temperature[realIndex];
         return {
-          time: new Date(time).toLocaleTimeString([], {
+          time: new Date(time).toLocaleTimeString(language, {
             hour: "numeric",
             minute: "2-digit",
           }),
-          temperature: isMetric ? temp : convertTemperature(temp),
-          precipitation: hourlyData.precipitation_probability[realIndex],
-          weatherCode: hourlyData.weather_code[realIndex],
-          relative_humidity_2m: hourlyData.relative_humidity_2m[realIndex],
-          dew_point_2m: hourlyData.dew_point_2m[realIndex],
-          apparent_temperature: isMetric
-            ? hourlyData.apparent_temperature[realIndex]
-            : convertTemperature(hourlyData.apparent_temperature[realIndex]),
+          temperature: toTemperature(temp),
+          precipitation: hourlyData.precipitationProbability[realIndex],
+          weatherCode: hourlyData.weatherCode[realIndex],
+          humidity: hourlyData.humidity[realIndex],
+          dewPoint: hourlyData.dewPoint[realIndex],
+          apparentTemperature: toTemperature(
+            hourlyData.apparentTemperature[realIndex]
+          ),
           rain: hourlyData.rain[realIndex],
           showers: hourlyData.showers[realIndex],
           snowfall: hourlyData.snowfall[realIndex],
-          pressure_msl: hourlyData.pressure_msl[realIndex],
-          surface_pressure: hourlyData.surface_pressure[realIndex],
-          cloud_cover: hourlyData.cloud_cover[realIndex],
+          pressureMsl: convertUnit(
+            "pressure",
+            hourlyData.pressureMsl[realIndex],
+            units.pressure
+          ),
+          surfacePressure: hourlyData.surfacePressure[realIndex],
+          cloudCover: hourlyData.cloudCover[realIndex],
           visibility: hourlyData.visibility[realIndex],
-          wind_speed_10m: hourlyData.wind_speed_10m[realIndex],
-          wind_direction_10m: hourlyData.wind_direction_10m[realIndex],
-          wind_gusts_10m: hourlyData.wind_gusts_10m[realIndex],
-          uv_index: hourlyData.uv_index[realIndex],
-          is_day: hourlyData.is_day[realIndex],
+          windSpeed: hourlyData.windSpeed[realIndex],
+          windDirection: hourlyData.windDirection[realIndex],
+          windGusts: hourlyData.windGusts[realIndex],
+          uvIndex: hourlyData.uvIndex[realIndex],
+          isDay: hourlyData.isDay[realIndex],
+          // Derived from the API's base units, converted when shown
+          indices: computeIndices({
+            temperature: temp,
+            humidity: hourlyData.humidity[realIndex],
+            dewPoint: hourlyData.dewPoint[realIndex],
+            apparentTemperature: hourlyData.apparentTemperature[realIndex],
+            windSpeed: hourlyData.windSpeed[realIndex],
+            precipitationProbability:
+              hourlyData.precipitationProbability[realIndex],
+            uvIndex: hourlyData.uvIndex[realIndex],
+          }),
         };
       });
-  }, [hourlyData, isMetric, numHours, startIndex]);
+  }, [
+    hourlyData,
+    units.temperature,
+    units.pressure,
+    numHours,
+    startIndex,
+    language,
+  ]);
 
   // Render chart and hourly details
   return (
     <div className="hourly-forecast-card p-4 bg-white rounded shadow-md">
       <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4">
-        <h2 className="text-2xl font-bold mb-2 md:mb-0">Hourly Forecast</h2>
-        {/* Dropdown to select number of hours to display */}
-        <div className="flex items-center gap-2">
-          <label htmlFor="numHours" className="font-medium">
-            Show:
-          </label>
-          <select
-            id="numHours"
-            value={numHours}
-            onChange={(e) => setNumHours(Number(e.target.value))}
-            className="border rounded px-2 py-1"
-          >
-            {[12, 18, 24, 30, 36, 42, 48].map((val) => (
-              <option key={val} value={val}>
-                {val} hours
-              </option>
-            ))}
-          </select>
+        <h2 className="text-2xl font-bold mb-2 md:mb-0">{t("hourly.title")}</h2>
+        <div className="flex flex-wrap items-center gap-4">
+          {/* Download the shown hours */}
+          <ExportLinks
+            weatherData={weatherData}
+            period="hourly"
+            hours={numHours}
+            units={units}
+            language={language}
+          />
+          {/* Dropdown to select number of hours to display */}
+          <div className="flex items-center gap-2">
+            <label htmlFor="numHours" className="font-medium">
+              {t("common.show")}
+            </label>
+            <select
+              id="numHours"
+              value={numHours}
+              onChange={(e) => onNumHoursChange(Number(e.target.value))}
+              className="border rounded px-2 py-1"
+            >
+              {HOUR_OPTIONS.map((val) => (
+                <option key={val} value={val}>
+                  {t("hourly.hours", { count: val })}
+                </option>
+              ))}
+            </select>
+          </div>
         </div>
       </div>
       {/* Scrollable hourly forecast cards */}
@@ -144,140 +170,128 @@ function HourlyForecastCard({ weatherData, hourlyData, isMetric }) {
                 <span
                   className={`qi-${getIconCode(
                     item.weatherCode,
-                    item.is_day
+                    item.isDay
                   )} text-3xl`}
-                  aria-label="Weather icon"
+                  aria-label={t("common.weatherIcon")}
                 ></span>
                 <span className="text-xl font-bold">{item.time}</span>
               </div>
               <div className="text-sm text-gray-600 mb-2 text-center">
-                {getWeatherDescription(item.weatherCode)}
+                {getWeatherDescription(item.weatherCode, language)}
               </div>
               {/* Weather metrics using WeatherValue */}
               <WeatherValue
-                label="Humidity"
-                value={item.relative_humidity_2m}
-                metricUnit="%"
-                imperialUnit="%"
-                isMetric={isMetric}
+                label={t("fields.humidity")}
+                value={item.humidity}
+                unit="%"
+                language={language}
               />
               <WeatherValue
-                label="Cloud Cover"
-                value={item.cloud_cover}
-                metricUnit="%"
-                imperialUnit="%"
-                isMetric={isMetric}
+                label={t("fields.cloudCover")}
+                value={item.cloudCover}
+                unit="%"
+                language={language}
               />
               <WeatherValue
-                label="Visibility"
+                label={t("fields.visibility")}
                 value={item.visibility}
-                metricUnit="km"
-                imperialUnit="mi"
-                convertFn={
-                  isMetric ? convertVisibilityToKm : convertVisibilityToMiles
-                }
-                isMetric={isMetric}
+                quantity="visibility"
+                units={units}
+                language={language}
               />
               <WeatherValue
-                label="Wind Speed"
-                value={item.wind_speed_10m}
-                metricUnit="km/h"
-                imperialUnit="mph"
-                convertFn={convertSpeed}
-                isMetric={isMetric}
+                label={t("fields.windSpeed")}
+                value={item.windSpeed}
+                quantity="wind"
+                units={units}
+                language={language}
               />
               <WeatherValue
-                label="Wind Direction"
-                value={item.wind_direction_10m}
-                metricUnit="°"
-                imperialUnit="°"
-                isMetric={isMetric}
+                label={t("fields.windDirection")}
+                value={item.windDirection}
+                unit="°"
+                language={language}
               />
               <WeatherValue
-                label="Wind Gusts"
-                value={item.wind_gusts_10m}
-                metricUnit="km/h"
-                imperialUnit="mph"
-                convertFn={convertSpeed}
-                isMetric={isMetric}
+                label={t("fields.windGusts")}
+                value={item.windGusts}
+                quantity="wind"
+                units={units}
+                language={language}
               />
               <WeatherValue
-                label="UV Index"
-                value={item.uv_index}
-                metricUnit=""
-                imperialUnit=""
-                isMetric={isMetric}
+                label={t("fields.uvIndex")}
+                value={item.uvIndex}
+                language={language}
               />
+              {/* Heat, cold and comfort indices for the hour */}
+              <div className="w-full border-t mt-2 pt-2">
+                <DerivedIndices
+                  indices={item.indices}
+                  units={units}
+                  language={language}
+                />
+              </div>
             </div>
           ))}
         </div>
       </div>
       {/* Temperature chart */}
-      <div className="mb-8">
-        <h3 className="text-md font-semibold mb-2">Temperature Graph</h3>
-        <ResponsiveContainer width="100%" height={200}>
-          <LineChart
-            data={data}
-            margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
-          >
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="time" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Line
-              type="monotone"
-              dataKey="temperature"
-              stroke="#8884d8"
-              name={`Temp (${isMetric ? "°C" : "°F"})`}
-            />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
+      <AccessibleChart
+        title={t("hourly.temperatureGraph")}
+        data={data}
+        xLabel={t("charts.time")}
+        series={[
+          {
+            dataKey: "temperature",
+            name: t("hourly.temperatureLine", { unit: temperatureUnit }),
+            stroke: "#8884d8",
+            decimals: temperatureOption.precision,
+          },
+        ]}
+        summary={summarizeHourlyTemperature(data, t, formatTemperature)}
+        language={language}
+        className="mb-8"
+      />
       {/* Pressure chart */}
-      <div className="mb-8">
-        <h3 className="text-md font-semibold mb-2">Pressure Graph</h3>
-        <ResponsiveContainer width="100%" height={200}>
-          <LineChart
-            data={data}
-            margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
-          >
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="time" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Line
-              type="monotone"
-              dataKey="pressure_msl"
-              stroke="#ff7300"
-              name="Pressure (hPa)"
-            />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
+      <AccessibleChart
+        title={t("hourly.pressureGraph")}
+        data={data}
+        xLabel={t("charts.time")}
+        series={[
+          {
+            dataKey: "pressureMsl",
+            name: t("hourly.pressureLine", { unit: pressureOption.label }),
+            stroke: "#ff7300",
+            decimals: pressureOption.precision,
+          },
+        ]}
+        summary={summarizeHourlyPressure(
+          data,
+          t,
+          formatPressure,
+          // Changes under 1 hPa are reported as steady
+          convertUnit("pressure", 1, units.pressure)
+        )}
+        language={language}
+        className="mb-8"
+      />
       {/* Precipitation chart */}
-      <div>
-        <h3 className="text-md font-semibold mb-2">Precipitation Graph</h3>
-        <ResponsiveContainer width="100%" height={200}>
-          <LineChart
-            data={data}
-            margin={{ top: 10, right: 30, left: 0, bottom: 0 }}
-          >
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="time" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Line
-              type="monotone"
-              dataKey="precipitation"
-              stroke="#1e90ff"
-              name="Precipitation (%)"
-            />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
+      <AccessibleChart
+        title={t("hourly.precipitationGraph")}
+        data={data}
+        xLabel={t("charts.time")}
+        series={[
+          {
+            dataKey: "precipitation",
+            name: t("hourly.precipitationLine"),
+            stroke: "#1e90ff",
+            decimals: 0,
+          },
+        ]}
+        summary={summarizeHourlyPrecipitation(data, t)}
+        language={language}
+      />
     </div>
   );
 }
@@ -0,0 +1,33 @@
+/**
+ * LanguagePicker.jsx
+ * Dropdown for choosing the interface language. Each language is listed by its own name.
+ */
+import React from "react";
+import { LANGUAGES, getTranslator } from "../utils/i18n";
+
+/**
+ * LanguagePicker component
+ * @param {Object} props
+ * @param {string} props.language - Current language (a key of LANGUAGES)
+ * @param {function} props.onLanguageChange - Called with the chosen language
+ * @returns {JSX.Element} Language picker UI
+ */
+function LanguagePicker({ language, onLanguageChange }) {
+  const t = getTranslator(language);
+  return (
+    <select
+      value={language}
+      onChange={(e) => onLanguageChange(e.target.value)}
+      aria-label={t("language.label")}
+      className="px-2 py-2 text-sm text-blue-600 border border-blue-600 rounded-md bg-white"
+    >
+      {Object.entries(LANGUAGES).map(([code, name]) => (
+        <option key={code} value={code} lang={code}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+export default LanguagePicker;
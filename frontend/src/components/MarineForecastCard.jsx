@@ -0,0 +1,232 @@
+/**
+ * MarineForecastCard.jsx
+ * Displays sea conditions for coastal locations: waves, swell, sea-surface temperature and tide level.
+ * Renders nothing for inland locations, where /api/marine reports no data.
+ */
+import React, { useState, useEffect, useMemo } from "react";
+import axios from "axios";
+import {
+  UNIT_OPTIONS,
+  convertUnit,
+  getUnitLabel,
+  getNextHourIndex,
+} from "../utils/helpers";
+import WeatherValue from "./WeatherValue";
+import AccessibleChart from "./AccessibleChart";
+import { formatNumber, getTranslator } from "../utils/i18n";
+import {
+  summarizeWaves,
+  summarizeTide,
+  summarizeSeaTemperature,
+} from "../utils/chartSummary";
+
+// Hours shown in the charts
+const CHART_HOURS = 48;
+
+/**
+ * MarineForecastCard component
+ * @param {Object} props
+ * @param {Object} props.weatherData - Weather data from the API (required)
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {string} props.language - Display language
+ * @returns {JSX.Element|null} Marine forecast card UI, or nothing without marine data
+ */
+function MarineForecastCard({ weatherData, units, language }) {
+  const t = getTranslator(language);
+  const [marine, setMarine] = useState(null);
+  const { latitude, longitude, timezone } = weatherData;
+
+  // Fetch marine data; the response also tells whether the location is coastal
+  useEffect(() => {
+    let cancelled = false;
+    setMarine(null);
+    axios
+      .get(
+        `/api/marine?latitude=${latitude}&longitude=${longitude}&timezone=${encodeURIComponent(
+          timezone
+        )}`
+      )
+      .then((response) => {
+        if (!cancelled) setMarine(response.data);
+      })
+      .catch((error) => console.error("Error fetching marine data:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [latitude, longitude, timezone]);
+
+  // Memoize the chart rows for the next CHART_HOURS hours
+  const data = useMemo(() => {
+    if (!marine || !marine.coastal) return [];
+    const { hourly } = marine;
+    const startIndex = Math.max(0, getNextHourIndex(hourly.time, timezone) - 1);
+    return hourly.time
+      .slice(startIndex, startIndex + CHART_HOURS)
+      .map((time, index) => {
+        const realIndex = startIndex + index;
+        return {
+          time: new Date(time).toLocaleString(language, {
+            weekday: "short",
+            hour: "numeric",
+          }),
+          waveHeight: hourly.waveHeight[realIndex],
+          swellWaveHeight: hourly.swellWaveHeight[realIndex],
+          seaLevelHeight: hourly.seaLevelHeight[realIndex],
+          seaSurfaceTemperature: convertUnit(
+            "temperature",
+            hourly.seaSurfaceTemperature[realIndex],
+            units.temperature
+          ),
+        };
+      });
+  }, [marine, timezone, units.temperature, language]);
+
+  if (!marine || !marine.coastal) return null;
+
+  const { current } = marine;
+  const hasTides = data.some((row) => row.seaLevelHeight !== null);
+  const temperatureUnit = getUnitLabel("temperature", units.temperature);
+  const temperatureOption = UNIT_OPTIONS.temperature[units.temperature];
+  const formatHeight = (value) =>
+    `${formatNumber(value, language, 1)} ${marine.units.height}`;
+  const formatTemperature = (value) =>
+    `${formatNumber(
+      value,
+      language,
+      temperatureOption.precision
+    )} ${temperatureUnit}`;
+
+  // Render current sea conditions and hourly charts
+  return (
+    <div className="card">
+      <h2 className="text-2xl font-bold mb-4">{t("marine.title")}</h2>
+      {/* Current sea conditions */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 mb-4">
+        <WeatherValue
+          label={t("marine.waveHeight")}
+          value={current.waveHeight}
+          unit={marine.units.height}
+          precision={1}
+          language={language}
+        />
+        <WeatherValue
+          label={t("marine.wavePeriod")}
+          value={current.wavePeriod}
+          unit={marine.units.period}
+          precision={1}
+          language={language}
+        />
+        <WeatherValue
+          label={t("marine.waveDirection")}
+          value={current.waveDirection}
+          unit={marine.units.direction}
+          precision={0}
+          language={language}
+        />
+        <WeatherValue
+          label={t("marine.swellHeight")}
+          value={current.swellWaveHeight}
+          unit={marine.units.height}
+          precision={1}
+          language={language}
+        />
+        <WeatherValue
+          label={t("marine.swellPeriod")}
+          value={current.swellWavePeriod}
+          unit={marine.units.period}
+          precision={1}
+          language={language}
+        />
+        <WeatherValue
+          label={t("marine.swellDirection")}
+          value={current.swellWaveDirection}
+          unit={marine.units.direction}
+          precision={0}
+          language={language}
+        />
+        <WeatherValue
+          label={t("marine.seaSurfaceTemperature")}
+          value={current.seaSurfaceTemperature}
+          quantity="temperature"
+          units={units}
+          language={language}
+        />
+        {current.seaLevelHeight !== null && (
+          <WeatherValue
+            label={t("marine.tideLevel")}
+            value={current.seaLevelHeight}
+            unit={marine.units.height}
+            language={language}
+          />
+        )}
+      </div>
+      {/* Wave and swell chart */}
+      <AccessibleChart
+        title={t("marine.wavesGraph")}
+        data={data}
+        xLabel={t("charts.time")}
+        series={[
+          {
+            dataKey: "waveHeight",
+            name: t("marine.waveHeightLine", { unit: marine.units.height }),
+            stroke: "#0074D9",
+            decimals: 1,
+          },
+          {
+            dataKey: "swellWaveHeight",
+            name: t("marine.swellHeightLine", { unit: marine.units.height }),
+            stroke: "#39CCCC",
+            decimals: 1,
+          },
+        ]}
+        summary={summarizeWaves(data, t, formatHeight)}
+        language={language}
+        className="mb-8"
+      />
+      {/* Tide chart */}
+      {hasTides && (
+        <AccessibleChart
+          title={t("marine.tideGraph")}
+          data={data}
+          xLabel={t("charts.time")}
+          series={[
+            {
+              dataKey: "seaLevelHeight",
+              name: t("marine.seaLevelLine", { unit: marine.units.height }),
+              stroke: "#001f3f",
+              decimals: 1,
+            },
+          ]}
+          summary={summarizeTide(data, t, formatHeight)}
+          language={language}
+          className="mb-8"
+        />
+      )}
+      {/* Sea-surface temperature chart */}
+      <AccessibleChart
+        title={t("marine.seaTemperatureGraph")}
+        data={data}
+        xLabel={t("charts.time")}
+        series={[
+          {
+            dataKey: "seaSurfaceTemperature",
+            name: t("marine.seaTemperatureLine", { unit: temperatureUnit }),
+            stroke: "#FF851B",
+            decimals: temperatureOption.precision,
+          },
+        ]}
+        summary={summarizeSeaTemperature(
+          data,
+          t,
+          formatTemperature,
+          // Changes under 0.5 °C are reported as steady
+          convertUnit("temperature", 0.5, units.temperature) -
+            convertUnit("temperature", 0, units.temperature)
+        )}
+        language={language}
+      />
+    </div>
+  );
+}
+
+export default MarineForecastCard;
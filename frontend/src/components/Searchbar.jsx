@@ -1,11 +1,30 @@
 /**
  * Searchbar.jsx
  * Location search input with autocomplete suggestions for weather app.
- * Uses debounced input to fetch location suggestions from backend geocode API.
+ * Uses debounced input to fetch location suggestions from backend geocode API,
+ * cancelling requests for terms the user has typed past, and ranks places near
+ * the user higher when their position is known. Recently picked places are
+ * offered when the input is focused.
+ * Can also resolve the browser's geolocation to a place via the reverse geocode API.
+ * Place names come back in the interface language.
+ * Follows the WAI-ARIA combobox pattern: suggestions can be browsed with the
+ * arrow, Home and End keys, picked with Enter and closed with Escape, and the
+ * number of results is announced to screen readers.
  */
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useId } from "react";
 import axios from "axios";
 import useDebounce from "../hooks/useDebounce";
+import useKnownPosition from "../hooks/useKnownPosition";
+import { reverseGeocode, searchLocations } from "../utils/geocode";
+import {
+  loadRecentSearches,
+  addRecentSearch,
+  clearRecentSearches,
+} from "../utils/recentSearches";
+import { getTranslator } from "../utils/i18n";
+
+// Most suggestions shown in the dropdown
+const MAX_SUGGESTIONS = 10;
 
 /**
  * Searchbar component
@@ -13,55 +32,92 @@ import useDebounce from "../hooks/useDebounce";
  * @param {function} props.fetchWeather - Function to fetch weather data for a location
  * @param {string} props.searchTerm - The current search term
  * @param {function} props.setSearchTerm - Function to set the search term
+ * @param {string} props.language - Interface language (a key of LANGUAGES)
  * @returns {JSX.Element} Searchbar UI
  */
-function Searchbar({ fetchWeather, searchTerm, setSearchTerm }) {
+function Searchbar({ fetchWeather, searchTerm, setSearchTerm, language }) {
+  const t = getTranslator(language);
   // Suggestions for location autocomplete
   const [suggestions, setSuggestions] = useState([]);
   // Controls whether suggestions dropdown is shown
   const [showSuggestions, setShowSuggestions] = useState(false);
   // Debounced search term for API requests
   const debouncedSearchTerm = useDebounce(searchTerm, 500);
-  const inputRef = useRef(null);
+  // Wraps the input and the dropdown, for closing it on outside clicks
+  const containerRef = useRef(null);
   // Suppress suggestion fetch after selection
   const [suppressSuggestions, setSuppressSuggestions] = useState(false);
+  // True while waiting for the browser position and its reverse lookup
+  const [locating, setLocating] = useState(false);
+  // Error message from the last "Use my location" attempt
+  const [locationError, setLocationError] = useState(null);
+  // True while suggestions are being fetched
+  const [loading, setLoading] = useState(false);
+  // True once a fetch for the current term has finished, so an empty result
+  // can be told apart from a search that has not run yet
+  const [searched, setSearched] = useState(false);
+  // Index of the highlighted suggestion, or -1 when none is highlighted
+  const [activeIndex, setActiveIndex] = useState(-1);
+  // Recently picked places, offered while the input holds no search
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
+  // The user's position, if known, for ranking nearby places first
+  const [position, setPosition] = useKnownPosition();
+  const listboxId = useId();
+  const getOptionId = (index) => `${listboxId}-option-${index}`;
 
   // Fetch location suggestions from backend when debounced term changes
+  // A newer term aborts the request for the previous one, so a slow response
+  // can never replace the suggestions for what the user typed since
   useEffect(() => {
+    setActiveIndex(-1);
+    setSearched(false);
+    setLoading(false);
     if (suppressSuggestions) {
       setSuggestions([]);
       setShowSuggestions(false);
       return;
     }
+    const controller = new AbortController();
     const fetchSuggestions = async () => {
       if (debouncedSearchTerm.length > 2) {
+        setLoading(true);
         try {
-          const response = await axios.get(
-            `http://localhost:3001/api/geocode?query=${debouncedSearchTerm}`
-          );
+          const results = await searchLocations(debouncedSearchTerm, {
+            language,
+            near: position,
+            signal: controller.signal,
+          });
           setSuggestions(
-            response.data.results.map((item) => ({
+            results.map((item) => ({
               ...item,
               // Use a unique key based on lat/lng and formatted address
               id: `${item.geometry.lat}-${item.geometry.lng}-${item.formatted}`,
-            })) || []
+            }))
           );
+          setSearched(true);
           setShowSuggestions(true);
         } catch (error) {
+          if (axios.isCancel(error)) return;
           console.error("Error fetching suggestions:", error);
+          setSuggestions([]);
         }
+        setLoading(false);
       } else {
+        // Recent searches take over the dropdown
         setSuggestions([]);
-        setShowSuggestions(false);
       }
     };
     fetchSuggestions();
-  }, [debouncedSearchTerm, suppressSuggestions]);
+    return () => controller.abort();
+  }, [debouncedSearchTerm, suppressSuggestions, language, position]);
 
   // Hide dropdown only when clicking outside
   useEffect(() => {
     function handleClickOutside(event) {
-      if (inputRef.current && !inputRef.current.contains(event.target)) {
+      if (
+        containerRef.current &&
+        !containerRef.current.contains(event.target)
+      ) {
         setShowSuggestions(false);
       }
     }
@@ -71,21 +127,91 @@ function Searchbar({ fetchWeather, searchTerm, setSearchTerm }) {
     };
   }, []);
 
+  // Recent searches are offered until the term is long enough to search for
+  const showingRecent = searchTerm.length <= 2;
+  const options = showingRecent
+    ? recentSearches
+    : suggestions.slice(0, MAX_SUGGESTIONS);
+  // The popup is open while it has options, a pending search or a "no results" note
+  const isExpanded =
+    showSuggestions &&
+    (options.length > 0 || (!showingRecent && (loading || searched)));
+
   /**
-   * Handles click on a location suggestion.
-   * Sets search term and fetches weather for selected location.
+   * Sets search term and fetches weather for a selected location suggestion.
    * @param {object} suggestion - The selected location suggestion.
-   * @param {React.MouseEvent} e - The mouse event.
    */
-  const handleSuggestionMouseDown = (suggestion, e) => {
-    e.preventDefault(); // Prevent input blur
+  const selectSuggestion = (suggestion) => {
+    setRecentSearches(addRecentSearch(suggestion));
     setSearchTerm(suggestion.formatted);
     setSuppressSuggestions(true);
     setSuggestions([]);
     setShowSuggestions(false);
+    setActiveIndex(-1);
     fetchWeather(suggestion);
   };
 
+  /**
+   * Handles click on a location suggestion.
+   * @param {object} suggestion - The selected location suggestion.
+   * @param {React.MouseEvent} e - The mouse event.
+   */
+  const handleSuggestionMouseDown = (suggestion, e) => {
+    e.preventDefault(); // Prevent input blur
+    selectSuggestion(suggestion);
+  };
+
+  /**
+   * Handles keyboard navigation of the suggestions.
+   * Arrow keys open the list and move the highlight (wrapping at the ends),
+   * Home and End jump to the first or last suggestion while one is
+   * highlighted, Enter picks the highlighted suggestion, and Escape closes
+   * the list or, when it is already closed, clears the input.
+   * @param {React.KeyboardEvent<HTMLInputElement>} e - The key event.
+   */
+  const handleKeyDown = (e) => {
+    const count = options.length;
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        if (count === 0) return;
+        e.preventDefault();
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        if (!showSuggestions) {
+          setShowSuggestions(true);
+          setActiveIndex(step === 1 ? 0 : count - 1);
+        } else if (activeIndex === -1) {
+          setActiveIndex(step === 1 ? 0 : count - 1);
+        } else {
+          setActiveIndex((activeIndex + step + count) % count);
+        }
+        break;
+      }
+      case "Home":
+      case "End":
+        // Without a highlight the keys move the caret as usual
+        if (!isExpanded || activeIndex === -1) return;
+        e.preventDefault();
+        setActiveIndex(e.key === "Home" ? 0 : count - 1);
+        break;
+      case "Enter":
+        if (!isExpanded || activeIndex === -1) return;
+        e.preventDefault(); // Pick the suggestion instead of submitting
+        selectSuggestion(options[activeIndex]);
+        break;
+      case "Escape":
+        e.preventDefault();
+        if (isExpanded) {
+          setShowSuggestions(false);
+          setActiveIndex(-1);
+        } else {
+          setSearchTerm("");
+        }
+        break;
+      default:
+    }
+  };
+
   /**
    * Handles form submission for search.
    * Fetches weather for the entered search term.
@@ -97,9 +223,54 @@ function Searchbar({ fetchWeather, searchTerm, setSearchTerm }) {
       fetchWeather(searchTerm);
       setSuggestions([]);
       setShowSuggestions(false);
+      setActiveIndex(-1);
     }
   };
 
+  /**
+   * Resolves the browser's current position to a place and loads its weather.
+   * Falls back to the raw coordinates and the browser's timezone when the
+   * reverse lookup finds no place.
+   */
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setLocationError(t("search.geolocationUnsupported"));
+      return;
+    }
+    setLocating(true);
+    setLocationError(null);
+    navigator.geolocation.getCurrentPosition(
+      async ({ coords }) => {
+        const lat = coords.latitude;
+        const lng = coords.longitude;
+        setPosition({ lat, lng });
+        try {
+          const suggestion = await reverseGeocode(
+            lat,
+            lng,
+            Intl.DateTimeFormat().resolvedOptions().timeZone,
+            language
+          );
+          selectSuggestion(suggestion);
+        } catch (error) {
+          console.error("Error resolving current location:", error);
+          setLocationError(t("search.lookupFailed"));
+        }
+        setLocating(false);
+      },
+      (error) => {
+        console.error("Geolocation error:", error);
+        setLocationError(
+          error.code === error.PERMISSION_DENIED
+            ? t("search.permissionDenied")
+            : t("search.positionUnavailable")
+        );
+        setLocating(false);
+      },
+      { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  };
+
   /**
    * Handles input change in search bar.
    * Shows suggestions and updates search term.
@@ -111,43 +282,141 @@ function Searchbar({ fetchWeather, searchTerm, setSearchTerm }) {
     // Reset lastSelected and suppression when user types a new value
     setSuppressSuggestions(false);
     setShowSuggestions(true);
+    setActiveIndex(-1);
   };
 
+  /**
+   * Opens the dropdown on focus, with recent searches picked in other tabs or
+   * search boxes since the last time.
+   */
+  const handleFocus = () => {
+    setRecentSearches(loadRecentSearches());
+    setShowSuggestions(true);
+  };
+
+  /**
+   * Forgets the recent searches, keeping focus in the input.
+   */
+  const handleClearRecent = () => {
+    clearRecentSearches();
+    setRecentSearches([]);
+    setActiveIndex(-1);
+  };
+
+  // Message for the live region; only changes when the results do
+  let statusMessage = "";
+  if (isExpanded && showingRecent) {
+    statusMessage = t(
+      options.length === 1 ? "search.recentOne" : "search.recentOther",
+      { count: options.length }
+    );
+  } else if (isExpanded && loading) {
+    statusMessage = t("search.searching");
+  } else if (isExpanded && options.length === 0) {
+    statusMessage = t("search.noResults");
+  } else if (isExpanded) {
+    statusMessage = t(
+      options.length === 1 ? "search.resultsOne" : "search.resultsOther",
+      { count: options.length }
+    );
+  }
+
   return (
-    <div className="relative">
+    <div className="relative" ref={containerRef}>
       {/* Search form */}
       <form onSubmit={handleSubmit} className="flex" autoComplete="off">
         <input
-          ref={inputRef}
           type="text"
           value={searchTerm}
           onChange={handleInputChange}
-          placeholder="Search for a location..."
+          onKeyDown={handleKeyDown}
+          onFocus={handleFocus}
+          placeholder={t("search.placeholder")}
+          role="combobox"
+          aria-label={t("search.label")}
+          aria-autocomplete="list"
+          aria-expanded={isExpanded}
+          aria-controls={listboxId}
+          aria-activedescendant={
+            isExpanded && activeIndex !== -1
+              ? getOptionId(activeIndex)
+              : undefined
+          }
           className="w-full p-2 rounded-l-md border-r-0 border border-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
         />
+        <button type="submit" className="px-4 py-2 bg-blue-500 text-white">
+          {t("search.submit")}
+        </button>
         <button
-          type="submit"
-          className="px-4 py-2 bg-blue-500 text-white rounded-r-md"
+          type="button"
+          onClick={handleUseMyLocation}
+          disabled={locating}
+          className="px-4 py-2 bg-blue-700 text-white rounded-r-md whitespace-nowrap disabled:opacity-50"
         >
-          Search
+          {locating ? t("search.locating") : t("search.useMyLocation")}
         </button>
       </form>
+      {locationError && (
+        <p className="text-sm text-red-500 mt-1">{locationError}</p>
+      )}
+      {/* Announces loading, result counts and empty results */}
+      <div role="status" aria-live="polite" className="sr-only">
+        {statusMessage}
+      </div>
       {/* Location suggestions dropdown */}
-      {showSuggestions && suggestions.length > 0 && (
-        <ul className="absolute z-10 w-full bg-white border border-gray-300 rounded-md mt-1">
-          {suggestions.slice(0, 10).map((suggestion) => (
-            <li
-              key={suggestion.id}
-              className="p-2 cursor-pointer hover:bg-gray-200 flex items-center"
-              style={{ pointerEvents: "auto" }}
-              onMouseDown={(e) => handleSuggestionMouseDown(suggestion, e)}
+      <div
+        className={`absolute z-10 w-full bg-white border border-gray-300 rounded-md mt-1 ${
+          isExpanded ? "" : "hidden"
+        }`}
+      >
+        {isExpanded && showingRecent && (
+          <div className="flex justify-between items-center px-2 pt-2 text-sm text-gray-500">
+            <span>{t("search.recentTitle")}</span>
+            <button
+              type="button"
+              onMouseDown={(e) => e.preventDefault()} // Keep focus in the input
+              onClick={handleClearRecent}
+              className="hover:text-red-600"
             >
-              <span className="mr-2">{suggestion.flag}</span>
-              <span>{suggestion.formatted}</span>
-            </li>
-          ))}
+              {t("search.clearRecent")}
+            </button>
+          </div>
+        )}
+        {/* Kept in the DOM so aria-controls always points at it */}
+        <ul
+          id={listboxId}
+          role="listbox"
+          aria-label={t(
+            showingRecent ? "search.recentTitle" : "search.suggestions"
+          )}
+        >
+          {isExpanded &&
+            options.map((suggestion, index) => (
+              <li
+                key={suggestion.id}
+                id={getOptionId(index)}
+                role="option"
+                aria-selected={index === activeIndex}
+                className={`p-2 cursor-pointer flex items-center ${
+                  index === activeIndex ? "bg-gray-200" : ""
+                }`}
+                style={{ pointerEvents: "auto" }}
+                onMouseDown={(e) => handleSuggestionMouseDown(suggestion, e)}
+                onMouseMove={() => setActiveIndex(index)}
+              >
+                <span className="mr-2" aria-hidden="true">
+                  {suggestion.flag}
+                </span>
+                <span>{suggestion.formatted}</span>
+              </li>
+            ))}
         </ul>
-      )}
+        {isExpanded && options.length === 0 && (
+          <p className="p-2 text-gray-600">
+            {loading ? t("search.searching") : t("search.noResults")}
+          </p>
+        )}
+      </div>
     </div>
   );
 }
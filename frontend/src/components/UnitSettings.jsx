@@ -0,0 +1,105 @@
+/**
+ * UnitSettings.jsx
+ * A unit settings panel with an independent unit choice for temperature, wind, precipitation, pressure and visibility.
+ * Includes quick Metric and Imperial presets.
+ */
+import React, { useState, useRef, useEffect } from "react";
+import { UNIT_OPTIONS, METRIC_UNITS, IMPERIAL_UNITS } from "../utils/helpers";
+import { getTranslator } from "../utils/i18n";
+
+/**
+ * UnitSettings component
+ * @param {Object} props
+ * @param {Object} props.units - Chosen unit per quantity
+ * @param {function} props.onUnitChange - Called with a quantity and its new unit
+ * @param {function} props.onUnitsChange - Called with a complete set of units (presets)
+ * @param {string} props.language - Interface language (a key of LANGUAGES)
+ * @returns {JSX.Element} Unit settings UI
+ */
+function UnitSettings({ units, onUnitChange, onUnitsChange, language }) {
+  const t = getTranslator(language);
+  // Controls whether the settings panel is open
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close the panel when clicking outside it
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (
+        containerRef.current &&
+        !containerRef.current.contains(event.target)
+      ) {
+        setOpen(false);
+      }
+    }
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+    };
+  }, []);
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls="unit-settings-panel"
+        className="px-4 py-2 text-sm font-medium text-blue-600 border border-blue-600 rounded-md whitespace-nowrap"
+      >
+        {t("units.button")}
+      </button>
+      {open && (
+        <div
+          id="unit-settings-panel"
+          className="absolute right-0 z-20 mt-2 w-64 p-4 bg-white border border-gray-300 rounded-md shadow-lg"
+        >
+          {/* Presets */}
+          <div className="flex gap-2 mb-3">
+            <button
+              type="button"
+              onClick={() => onUnitsChange(METRIC_UNITS)}
+              className="flex-1 px-2 py-1 text-sm bg-blue-500 text-white rounded"
+            >
+              {t("units.metric")}
+            </button>
+            <button
+              type="button"
+              onClick={() => onUnitsChange(IMPERIAL_UNITS)}
+              className="flex-1 px-2 py-1 text-sm bg-blue-500 text-white rounded"
+            >
+              {t("units.imperial")}
+            </button>
+          </div>
+          {/* One unit choice per quantity */}
+          {Object.keys(UNIT_OPTIONS).map((quantity) => (
+            <div
+              key={quantity}
+              className="flex items-center justify-between py-1"
+            >
+              <label htmlFor={`unit-${quantity}`} className="text-sm">
+                {t(`quantities.${quantity}`)}
+              </label>
+              <select
+                id={`unit-${quantity}`}
+                value={units[quantity]}
+                onChange={(e) => onUnitChange(quantity, e.target.value)}
+                className="border rounded px-2 py-1 text-sm"
+              >
+                {Object.entries(UNIT_OPTIONS[quantity]).map(
+                  ([unit, option]) => (
+                    <option key={unit} value={unit}>
+                      {option.label}
+                    </option>
+                  )
+                )}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default UnitSettings;
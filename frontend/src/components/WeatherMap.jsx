@@ -0,0 +1,243 @@
+/**
+ * WeatherMap.jsx
+ * Interactive map for picking a location: click anywhere to load the weather there.
+ * Marks the selected location and can overlay temperature or precipitation at a grid of points from /api/weather/grid.
+ * Tiles come from VITE_MAP_TILE_URL (OpenStreetMap by default), so a local tile server can be used instead.
+ */
+import React, { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import L from "leaflet";
+import {
+  MapContainer,
+  TileLayer,
+  CircleMarker,
+  Marker,
+  useMap,
+  useMapEvents,
+} from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { convertUnit, getUnitLabel } from "../utils/helpers";
+import { reverseGeocode } from "../utils/geocode";
+import { getTranslator } from "../utils/i18n";
+
+const TILE_URL =
+  import.meta.env.VITE_MAP_TILE_URL ||
+  "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const TILE_ATTRIBUTION =
+  import.meta.env.VITE_MAP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Zoom used when a location is selected, and the world view without one
+const LOCATION_ZOOM = 9;
+const WORLD_VIEW = { center: [20, 0], zoom: 2 };
+// Points per side of the overlay grid
+const GRID_SIZE = 5;
+
+// Overlay choices, named by the catalog's "map.overlays" section: the
+// current-conditions field shown and its unit quantity
+const OVERLAYS = {
+  none: {},
+  temperature: { quantity: "temperature" },
+  precipitation: { quantity: "precipitation" },
+};
+
+/**
+ * Converts map bounds to the grid endpoint's parameters.
+ * Longitudes are wrapped into [-180, 180], since the map repeats the world
+ * sideways, and edges are rounded outwards to two decimals so small pans
+ * share a cached grid.
+ * @param {L.LatLngBounds} bounds - Leaflet bounds.
+ * @returns {{north: number, south: number, east: number, west: number}} Grid bounds.
+ */
+const toGridBounds = (bounds) => {
+  const wholeWorld = bounds.getEast() - bounds.getWest() >= 360;
+  const wrap = (lng) => L.Util.wrapNum(lng, [-180, 180], true);
+  return {
+    north: Math.min(90, Math.ceil(bounds.getNorth() * 100) / 100),
+    south: Math.max(-90, Math.floor(bounds.getSouth() * 100) / 100),
+    east: wholeWorld
+      ? 180
+      : Math.min(180, Math.ceil(wrap(bounds.getEast()) * 100) / 100),
+    west: wholeWorld
+      ? -180
+      : Math.max(-180, Math.floor(wrap(bounds.getWest()) * 100) / 100),
+  };
+};
+
+/**
+ * MapEvents component
+ * Reports clicks and the visible bounds after every move.
+ * @param {Object} props
+ * @param {function} props.onClick - Called with the clicked Leaflet LatLng
+ * @param {function} props.onBoundsChange - Called with the visible Leaflet bounds
+ * @returns {null} Renders nothing
+ */
+function MapEvents({ onClick, onBoundsChange }) {
+  const map = useMapEvents({
+    click: (event) => onClick(event.latlng),
+    moveend: () => onBoundsChange(map.getBounds()),
+  });
+  // Report the initial bounds once the map is ready
+  useEffect(() => {
+    onBoundsChange(map.getBounds());
+  }, [map, onBoundsChange]);
+  return null;
+}
+
+/**
+ * RecenterMap component
+ * Moves the map to a newly selected location.
+ * @param {Object} props
+ * @param {number[]|null} props.position - [lat, lng] of the selected location
+ * @returns {null} Renders nothing
+ */
+function RecenterMap({ position }) {
+  const map = useMap();
+  const lat = position ? position[0] : null;
+  const lng = position ? position[1] : null;
+  useEffect(() => {
+    if (lat !== null) {
+      map.setView([lat, lng], Math.max(map.getZoom(), LOCATION_ZOOM));
+    }
+  }, [map, lat, lng]);
+  return null;
+}
+
+/**
+ * WeatherMap component
+ * @param {Object} props
+ * @param {Object|null} props.location - The selected location (geocode suggestion)
+ * @param {Object} props.units - Chosen unit per quantity (see UNIT_OPTIONS)
+ * @param {function} props.onSelectLocation - Called with a suggestion for the clicked point
+ * @param {string} props.language - Display language, also used for the clicked place name
+ * @returns {JSX.Element} Map card UI
+ */
+function WeatherMap({ location, units, onSelectLocation, language }) {
+  const t = getTranslator(language);
+  const [overlay, setOverlay] = useState("none");
+  const [bounds, setBounds] = useState(null);
+  const [gridPoints, setGridPoints] = useState([]);
+  const [picking, setPicking] = useState(false);
+  const [error, setError] = useState(null);
+  const position = location
+    ? [Number(location.geometry.lat), Number(location.geometry.lng)]
+    : null;
+
+  const handleBoundsChange = useCallback((leafletBounds) => {
+    setBounds(toGridBounds(leafletBounds));
+  }, []);
+
+  /**
+   * Loads the weather for a clicked point, named by reverse lookup.
+   * @param {L.LatLng} latlng - The clicked point
+   */
+  const handleClick = async (latlng) => {
+    setPicking(true);
+    setError(null);
+    try {
+      const lng = L.Util.wrapNum(latlng.lng, [-180, 180], true);
+      onSelectLocation(await reverseGeocode(latlng.lat, lng, "UTC", language));
+    } catch (error) {
+      console.error("Error looking up map location:", error);
+      setError("errors.lookupFailed");
+    }
+    setPicking(false);
+  };
+
+  // Fetch the overlay grid for the visible area
+  useEffect(() => {
+    if (overlay === "none" || !bounds) {
+      setGridPoints([]);
+      return;
+    }
+    let cancelled = false;
+    const { north, south, east, west } = bounds;
+    axios
+      .get(
+        `/api/weather/grid?north=${north}&south=${south}&east=${east}&west=${west}&size=${GRID_SIZE}`
+      )
+      .then((response) => {
+        if (!cancelled) setGridPoints(response.data.points);
+      })
+      .catch((error) => {
+        console.error("Error fetching weather grid:", error);
+        if (!cancelled) setGridPoints([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [overlay, bounds]);
+
+  const { quantity } = OVERLAYS[overlay];
+
+  // Render the overlay picker and the map
+  return (
+    <div className="card mb-8">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4">
+        <h2 className="text-xl font-bold mb-2 md:mb-0">{t("map.title")}</h2>
+        <div className="flex items-center gap-2">
+          <label htmlFor="mapOverlay" className="font-medium">
+            {t("map.overlay")}
+          </label>
+          <select
+            id="mapOverlay"
+            value={overlay}
+            onChange={(e) => setOverlay(e.target.value)}
+            className="border rounded px-2 py-1"
+          >
+            {Object.keys(OVERLAYS).map((key) => (
+              <option key={key} value={key}>
+                {t(`map.overlays.${key}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 mb-2">
+        {t(picking ? "map.picking" : "map.hint")}
+      </p>
+      {error && <p className="text-sm text-red-500 mb-2">{t(error)}</p>}
+      <MapContainer
+        center={position || WORLD_VIEW.center}
+        zoom={position ? LOCATION_ZOOM : WORLD_VIEW.zoom}
+        className="h-96 w-full rounded z-0"
+        worldCopyJump
+      >
+        <TileLayer url={TILE_URL} attribution={TILE_ATTRIBUTION} />
+        <MapEvents onClick={handleClick} onBoundsChange={handleBoundsChange} />
+        <RecenterMap position={position} />
+        {position && (
+          <CircleMarker
+            center={position}
+            radius={8}
+            pathOptions={{ color: "#1d4ed8", fillOpacity: 0.8 }}
+          />
+        )}
+        {quantity &&
+          gridPoints.map((point) => {
+            const value = convertUnit(
+              quantity,
+              point[overlay],
+              units[quantity]
+            );
+            if (value === null) return null;
+            return (
+              <Marker
+                key={`${point.latitude},${point.longitude}`}
+                position={[point.latitude, point.longitude]}
+                interactive={false}
+                icon={L.divIcon({
+                  className: "",
+                  html: `<span class="px-1 rounded bg-white/80 text-xs font-semibold shadow">${
+                    Math.round(value * 10) / 10
+                  }${getUnitLabel(quantity, units[quantity])}</span>`,
+                })}
+              />
+            );
+          })}
+      </MapContainer>
+    </div>
+  );
+}
+
+export default WeatherMap;
@@ -1,43 +1,46 @@
 /**
  * WeatherValue.jsx
- * Displays a weather metric value with its unit, handling metric/imperial conversion and precision.
+ * Displays a weather metric value with its unit, converting it to the user's chosen unit and precision.
  */
 import React from "react";
+import { UNIT_OPTIONS, convertUnit } from "../utils/helpers";
+import { formatNumber } from "../utils/i18n";
 
 /**
  * WeatherValue component
  * @param {Object} props
  * @param {string} props.label - Label for the value (e.g., "Humidity")
- * @param {number | null | undefined} props.value - Raw value (always in metric)
- * @param {string} props.metricUnit - Unit for metric display (e.g., "%", "km/h")
- * @param {string} props.imperialUnit - Unit for imperial display (e.g., "%", "mph")
- * @param {function} [props.convertFn] - Function to convert the value to imperial
- * @param {boolean} props.isMetric - If true, display metric units; otherwise, imperial
- * @param {number} [props.precision=2] - Number of decimal places to show
+ * @param {number | null | undefined} props.value - Raw value (always in the API's metric base unit)
+ * @param {string} [props.quantity] - Convertible quantity (a key of UNIT_OPTIONS, e.g. "wind")
+ * @param {Object} [props.units] - Chosen unit per quantity; required with `quantity`
+ * @param {string} [props.unit] - Fixed unit for values that are never converted (e.g. "%")
+ * @param {number} [props.precision] - Number of decimal places to show; defaults to the unit's precision, or 2
+ * @param {string} props.language - Display language, used for the number format
  * @returns {JSX.Element} Weather value UI
  */
 function WeatherValue({
   label,
   value,
-  metricUnit,
-  imperialUnit,
-  convertFn,
-  isMetric,
-  precision = 2,
+  quantity,
+  units,
+  unit = "",
+  precision,
+  language,
 }) {
-  // Convert value if needed and select unit
-  const displayValue = isMetric ? value : convertFn ? convertFn(value) : value;
-  const unit = isMetric ? metricUnit : imperialUnit;
+  // Convert value if it is a convertible quantity and select unit
+  const option = quantity ? UNIT_OPTIONS[quantity][units[quantity]] : null;
+  const displayValue = option
+    ? convertUnit(quantity, value, units[quantity])
+    : value;
+  const displayUnit = option ? option.label : unit;
+  const decimals = precision ?? (option ? option.precision : 2);
   // Format value with specified precision, fallback to empty if null/undefined
-  const formattedValue =
-    displayValue !== null && displayValue !== undefined
-      ? Number(displayValue).toFixed(precision)
-      : "";
+  const formattedValue = formatNumber(displayValue, language, decimals);
   return (
     <div className="flex justify-between items-center py-1">
       <span className="font-medium text-gray-700">{label}:</span>
       <span className="text-gray-900">
-        {formattedValue} {unit}
+        {formattedValue} {displayUnit}
       </span>
     </div>
   );
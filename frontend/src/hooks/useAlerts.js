@@ -0,0 +1,195 @@
+/**
+ * @file useAlerts.js
+ * Custom React hook for weather alert rules on saved favourite locations.
+ * Rules are stored by the backend /api/alerts API under the anonymous user id.
+ * They are checked against each favourite's hourly forecast whenever the rules
+ * or favourites change and every ALERT_CHECK_INTERVAL_MS; newly fired alerts
+ * are shown in the app and, if the user allowed it, as browser notifications.
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import axios from "axios";
+import { getUserId } from "../utils/userId";
+import { appliesTo, describeRule, findAlertMatch } from "../utils/alerts";
+import { getTranslator } from "../utils/i18n";
+
+// How often the forecasts are re-checked while the app is open
+const ALERT_CHECK_INTERVAL_MS = 30 * 60 * 1000;
+
+const NOTIFICATIONS_SUPPORTED = typeof Notification !== "undefined";
+
+/**
+ * Shows a browser notification for a fired alert, if permission was granted.
+ * @param {object} alert - Fired alert.
+ * @param {string} language - Display language.
+ */
+const notify = (alert, language) => {
+  if (!NOTIFICATIONS_SUPPORTED || Notification.permission !== "granted") {
+    return;
+  }
+  const t = getTranslator(language);
+  new Notification(
+    t("alerts.notificationTitle", { name: alert.location.formatted }),
+    {
+      body: t("alerts.firedAt", {
+        rule: describeRule(alert.rule, language),
+        time: new Date(alert.time).toLocaleString(language, {
+          weekday: "short",
+          hour: "numeric",
+          minute: "2-digit",
+        }),
+      }),
+      tag: alert.id,
+    }
+  );
+};
+
+/**
+ * Manages alert rules and checks them against the favourites' forecasts.
+ * @param {object[]} favorites - Saved favourite locations.
+ * @param {string} language - Display language, for notifications.
+ * @returns {{
+ *   rules: object[],
+ *   alerts: object[],
+ *   error: string|null,
+ *   addRule: (rule: object) => Promise<void>,
+ *   removeRule: (id: string) => Promise<void>,
+ *   dismissAlert: (id: string) => void,
+ *   notificationPermission: string,
+ *   requestNotificationPermission: () => Promise<void>,
+ * }} Rules, fired alerts and actions to change them. Each alert has an `id`,
+ *   the `rule`, the `location`, and the `time` and `value` it fires at.
+ *   `error` is a catalog key, or the backend's message.
+ */
+const useAlerts = (favorites, language) => {
+  const [rules, setRules] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [error, setError] = useState(null);
+  const [notificationPermission, setNotificationPermission] = useState(
+    NOTIFICATIONS_SUPPORTED ? Notification.permission : "unsupported"
+  );
+  // Alerts already shown, so each one is only announced once per session
+  const seen = useRef(new Set());
+  const dismissed = useRef(new Set());
+  // Read by the checks, so switching language does not re-fetch forecasts
+  const languageRef = useRef(language);
+  useEffect(() => {
+    languageRef.current = language;
+  }, [language]);
+
+  // Load the rules once
+  useEffect(() => {
+    axios
+      .get(`/api/alerts/${getUserId()}`)
+      .then((response) => setRules(response.data.rules))
+      .catch((error) => console.error("Error loading alert rules:", error));
+  }, []);
+
+  // Check every rule against the forecast of each favourite it applies to
+  useEffect(() => {
+    if (rules.length === 0 || favorites.length === 0) {
+      setAlerts([]);
+      return;
+    }
+    let cancelled = false;
+    const check = async () => {
+      const targets = favorites.filter((favorite) =>
+        rules.some((rule) => appliesTo(rule, favorite))
+      );
+      const results = await Promise.all(
+        targets.map(async (location) => {
+          try {
+            // The backend cache makes re-checking cheap
+            const response = await axios.get(
+              `/api/weather?latitude=${location.geometry.lat}&longitude=${
+                location.geometry.lng
+              }&timezone=${encodeURIComponent(location.timezone)}`
+            );
+            return rules
+              .filter((rule) => appliesTo(rule, location))
+              .map((rule) => {
+                const match = findAlertMatch(rule, response.data);
+                return (
+                  match && {
+                    id: `${rule.id}|${location.id}|${match.time}`,
+                    rule,
+                    location,
+                    ...match,
+                  }
+                );
+              })
+              .filter(Boolean);
+          } catch (error) {
+            console.error(
+              `Error checking alerts for ${location.formatted}:`,
+              error
+            );
+            return [];
+          }
+        })
+      );
+      if (cancelled) return;
+      const fired = results
+        .flat()
+        .filter((alert) => !dismissed.current.has(alert.id));
+      fired
+        .filter((alert) => !seen.current.has(alert.id))
+        .forEach((alert) => {
+          seen.current.add(alert.id);
+          notify(alert, languageRef.current);
+        });
+      setAlerts(fired);
+    };
+    check();
+    const interval = setInterval(check, ALERT_CHECK_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [rules, favorites]);
+
+  const addRule = useCallback(async (rule) => {
+    setError(null);
+    try {
+      const response = await axios.post(`/api/alerts/${getUserId()}`, rule);
+      setRules((current) => [...current, response.data.rule]);
+    } catch (error) {
+      console.error("Error saving alert rule:", error);
+      setError(error.response?.data?.error || "alerts.saveError");
+    }
+  }, []);
+
+  const removeRule = useCallback(async (id) => {
+    setError(null);
+    try {
+      await axios.delete(`/api/alerts/${getUserId()}/${id}`);
+      setRules((current) => current.filter((rule) => rule.id !== id));
+    } catch (error) {
+      console.error("Error deleting alert rule:", error);
+      setError("alerts.deleteError");
+    }
+  }, []);
+
+  const dismissAlert = useCallback((id) => {
+    dismissed.current.add(id);
+    setAlerts((current) => current.filter((alert) => alert.id !== id));
+  }, []);
+
+  const requestNotificationPermission = useCallback(async () => {
+    if (!NOTIFICATIONS_SUPPORTED) return;
+    setNotificationPermission(await Notification.requestPermission());
+  }, []);
+
+  return {
+    rules,
+    alerts,
+    error,
+    addRule,
+    removeRule,
+    dismissAlert,
+    notificationPermission,
+    requestNotificationPermission,
+  };
+};
+
+export default useAlerts;
@@ -0,0 +1,140 @@
+/**
+ * @file useCompareLocations.js
+ * Custom React hook for the comparison dashboard: the locations being
+ * compared, persisted in localStorage, and their forecasts fetched together
+ * from /api/weather/batch.
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import axios from "axios";
+import { getLocationId } from "./useFavorites";
+
+const STORAGE_KEY = "compareLocations";
+
+// Number of locations the dashboard compares
+export const MIN_COMPARE_LOCATIONS = 2;
+export const MAX_COMPARE_LOCATIONS = 6;
+
+// Every forecast is requested in the browser's timezone so they share one time axis
+const COMPARE_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Reads the saved comparison locations from localStorage.
+ * @returns {object[]} Saved locations, or an empty list.
+ */
+const loadLocations = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.slice(0, MAX_COMPARE_LOCATIONS) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Manages the compared locations and their forecasts.
+ * @returns {{
+ *   locations: object[],
+ *   entries: {location: object, forecast: object|null, error: string|null}[],
+ *   timezone: string,
+ *   loading: boolean,
+ *   error: string|null,
+ *   addLocation: (location: object) => void,
+ *   removeLocation: (id: string) => void,
+ * }} The locations, the last fetched forecast for each, and actions to change them.
+ *   `error` is a catalog key.
+ */
+const useCompareLocations = () => {
+  const [locations, setLocations] = useState(loadLocations);
+  // Forecasts paired with the locations they were fetched for, so a refetch in
+  // progress never mixes up the order
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(locations));
+  }, [locations]);
+
+  // Fetch every forecast in one request; the backend caches each location
+  useEffect(() => {
+    if (locations.length === 0) {
+      setEntries([]);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    axios
+      .post("/api/weather/batch", {
+        locations: locations.map((location) => ({
+          latitude: location.geometry.lat,
+          longitude: location.geometry.lng,
+          timezone: COMPARE_TIMEZONE,
+        })),
+      })
+      .then((response) => {
+        if (cancelled) return;
+        setEntries(
+          locations.map((location, index) => {
+            const result = response.data.results[index];
+            return {
+              location,
+              forecast: result.forecast || null,
+              error: result.error || null,
+            };
+          })
+        );
+      })
+      .catch((error) => {
+        console.error("Error fetching comparison forecasts:", error);
+        if (!cancelled) {
+          setError("errors.weather");
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [locations]);
+
+  const addLocation = useCallback((location) => {
+    setLocations((current) => {
+      const id = getLocationId(location);
+      if (
+        current.length >= MAX_COMPARE_LOCATIONS ||
+        current.some((item) => item.id === id)
+      ) {
+        return current;
+      }
+      return [
+        ...current,
+        {
+          id,
+          formatted: location.formatted,
+          timezone: location.timezone,
+          geometry: location.geometry,
+          flag: location.flag || null,
+        },
+      ];
+    });
+  }, []);
+
+  const removeLocation = useCallback((id) => {
+    setLocations((current) => current.filter((item) => item.id !== id));
+  }, []);
+
+  return {
+    locations,
+    entries,
+    timezone: COMPARE_TIMEZONE,
+    loading,
+    error,
+    addLocation,
+    removeLocation,
+  };
+};
+
+export default useCompareLocations;
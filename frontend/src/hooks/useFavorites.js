@@ -0,0 +1,132 @@
+/**
+ * @file useFavorites.js
+ * Custom React hook for managing saved favourite locations.
+ * Favourites are persisted in localStorage and, when VITE_SYNC_FAVORITES is
+ * "true", also synced to the backend /api/favorites store under an anonymous
+ * user id so they follow the user across browsers that share that id.
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import axios from "axios";
+import { getUserId } from "../utils/userId";
+
+const STORAGE_KEY = "favorites";
+const SYNC_ENABLED = import.meta.env.VITE_SYNC_FAVORITES === "true";
+
+/**
+ * Builds a stable id for a location from its rounded coordinates.
+ * @param {object} location - Location with `geometry.lat` and `geometry.lng`.
+ * @returns {string} The location id.
+ */
+export const getLocationId = (location) =>
+  `${Number(location.geometry.lat).toFixed(4)},${Number(
+    location.geometry.lng
+  ).toFixed(4)}`;
+
+/**
+ * Reads the saved favourites from localStorage.
+ * @returns {object[]} Saved favourites, or an empty list.
+ */
+const loadFavorites = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Manages the list of favourite locations.
+ * @returns {{
+ *   favorites: object[],
+ *   isFavorite: (location: object) => boolean,
+ *   toggleFavorite: (location: object) => void,
+ *   removeFavorite: (id: string) => void,
+ *   moveFavorite: (id: string, offset: number) => void,
+ * }} Favourites and actions to change them.
+ */
+const useFavorites = () => {
+  const [favorites, setFavorites] = useState(loadFavorites);
+  // Skip pushing to the backend until the initial pull has finished
+  const synced = useRef(!SYNC_ENABLED);
+
+  // Pull favourites from the backend once; the server copy wins if it has any
+  useEffect(() => {
+    if (!SYNC_ENABLED) return;
+    axios
+      .get(`/api/favorites/${getUserId()}`)
+      .then((response) => {
+        if (response.data.favorites.length > 0) {
+          setFavorites(response.data.favorites);
+        }
+      })
+      .catch((error) => console.error("Error loading favorites:", error))
+      .finally(() => {
+        synced.current = true;
+      });
+  }, []);
+
+  // Persist every change locally and, once synced, to the backend
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(favorites));
+    if (synced.current && SYNC_ENABLED) {
+      axios
+        .put(`/api/favorites/${getUserId()}`, { favorites })
+        .catch((error) => console.error("Error saving favorites:", error));
+    }
+  }, [favorites]);
+
+  const isFavorite = useCallback(
+    (location) =>
+      favorites.some((favorite) => favorite.id === getLocationId(location)),
+    [favorites]
+  );
+
+  const toggleFavorite = useCallback((location) => {
+    const id = getLocationId(location);
+    setFavorites((current) =>
+      current.some((favorite) => favorite.id === id)
+        ? current.filter((favorite) => favorite.id !== id)
+        : [
+            ...current,
+            {
+              id,
+              formatted: location.formatted,
+              timezone: location.timezone,
+              geometry: location.geometry,
+              flag: location.flag || null,
+            },
+          ]
+    );
+  }, []);
+
+  const removeFavorite = useCallback((id) => {
+    setFavorites((current) => current.filter((favorite) => favorite.id !== id));
+  }, []);
+
+  /**
+   * Moves a favourite up (negative offset) or down (positive offset).
+   */
+  const moveFavorite = useCallback((id, offset) => {
+    setFavorites((current) => {
+      const from = current.findIndex((favorite) => favorite.id === id);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= current.length) return current;
+      const next = [...current];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  }, []);
+
+  return {
+    favorites,
+    isFavorite,
+    toggleFavorite,
+    removeFavorite,
+    moveFavorite,
+  };
+};
+
+export default useFavorites;
@@ -0,0 +1,84 @@
+/**
+ * @file useForecastUpdates.js
+ * Custom React hook keeping the shown forecast current while the page is
+ * open. The backend pushes refreshed forecasts over /api/weather/stream; if
+ * none arrives, the forecast is refetched shortly after each upstream update.
+ * Both pause while the tab is hidden, and a due refresh runs as soon as the
+ * tab is shown again.
+ */
+
+import { useEffect, useRef } from "react";
+import usePageVisibility from "./usePageVisibility";
+
+// Upstream current conditions update every 15 minutes; the backend refreshes
+// subscribed forecasts 2 minutes after each update (see config.updates)
+const UPDATE_INTERVAL_MS = 15 * 60 * 1000;
+const UPDATE_OFFSET_MS = 2 * 60 * 1000;
+// Extra wait before refetching, so a pushed forecast normally arrives first
+const REFRESH_GRACE_MS = 60 * 1000;
+
+/**
+ * Returns the first upstream update time after `time`.
+ * @param {number} time - Time in ms since the epoch.
+ * @returns {number} The next update time, in ms since the epoch.
+ */
+const getNextUpdateTime = (time) =>
+  (Math.floor((time - UPDATE_OFFSET_MS) / UPDATE_INTERVAL_MS) + 1) *
+    UPDATE_INTERVAL_MS +
+  UPDATE_OFFSET_MS;
+
+/**
+ * Subscribes to forecast updates for a location.
+ * @param {object|null} location - The shown location (geocode suggestion).
+ * @param {object} options
+ * @param {number|null} options.updatedAt - When the shown forecast was
+ *   received (ms since epoch); null while there is none.
+ * @param {(forecast: object) => void} options.onUpdate - Called with each
+ *   forecast pushed by the backend.
+ * @param {() => void} options.onRefresh - Called when the forecast is due for
+ *   a refetch.
+ */
+const useForecastUpdates = (location, { updatedAt, onUpdate, onRefresh }) => {
+  const visible = usePageVisibility();
+  // Latest callbacks, so new ones do not reopen the stream
+  const callbacks = useRef({ onUpdate, onRefresh });
+  useEffect(() => {
+    callbacks.current = { onUpdate, onRefresh };
+  }, [onUpdate, onRefresh]);
+
+  // Listen for pushed forecasts; EventSource reconnects by itself
+  useEffect(() => {
+    if (!visible || !location || typeof EventSource === "undefined") return;
+    const source = new EventSource(
+      `/api/weather/stream?latitude=${location.geometry.lat}&longitude=${
+        location.geometry.lng
+      }&timezone=${encodeURIComponent(location.timezone)}`
+    );
+    source.addEventListener("forecast", (event) => {
+      try {
+        callbacks.current.onUpdate(JSON.parse(event.data));
+      } catch (error) {
+        console.error("Invalid forecast update:", error);
+      }
+    });
+    return () => source.close();
+  }, [visible, location]);
+
+  // Refetch after the next upstream update unless a push got there first;
+  // any new forecast moves `updatedAt` and restarts the timer
+  useEffect(() => {
+    if (!visible || !location || updatedAt === null) return;
+    let timer;
+    const schedule = (from) => {
+      timer = setTimeout(() => {
+        callbacks.current.onRefresh();
+        // Try again after the following update if this refetch fails
+        schedule(Date.now());
+      }, Math.max(0, getNextUpdateTime(from) + REFRESH_GRACE_MS - Date.now()));
+    };
+    schedule(updatedAt);
+    return () => clearTimeout(timer);
+  }, [visible, location, updatedAt]);
+};
+
+export default useForecastUpdates;
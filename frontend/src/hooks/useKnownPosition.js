@@ -0,0 +1,46 @@
+/**
+ * @file useKnownPosition.js
+ * Custom React hook for the user's approximate position, used to rank
+ * nearby search suggestions higher. It never prompts for permission: the
+ * position is only read when the user has already allowed geolocation, or
+ * set after "Use my location".
+ */
+
+import { useState, useEffect } from "react";
+
+/**
+ * Returns the user's position if it is known without asking.
+ * @returns {[{lat: number, lng: number}|null, function]} The position, or
+ *   null, and a setter for a position found some other way.
+ */
+const useKnownPosition = () => {
+  const [position, setPosition] = useState(null);
+
+  useEffect(() => {
+    if (!navigator.permissions || !navigator.geolocation) return;
+    let cancelled = false;
+    navigator.permissions
+      .query({ name: "geolocation" })
+      .then((status) => {
+        if (cancelled || status.state !== "granted") return;
+        navigator.geolocation.getCurrentPosition(
+          ({ coords }) => {
+            if (!cancelled) {
+              setPosition({ lat: coords.latitude, lng: coords.longitude });
+            }
+          },
+          () => {},
+          // A rough, possibly cached fix is enough for ranking
+          { enableHighAccuracy: false, maximumAge: 30 * 60 * 1000 }
+        );
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return [position, setPosition];
+};
+
+export default useKnownPosition;
@@ -0,0 +1,40 @@
+/**
+ * @file useLanguage.js
+ * Custom React hook holding the user's interface language, persisted in
+ * localStorage between visits and mirrored to the page's `lang` attribute.
+ */
+
+import { useState, useEffect } from "react";
+import { detectLanguage, isValidLanguage } from "../utils/i18n";
+
+const STORAGE_KEY = "language";
+
+/**
+ * Reads the saved language from localStorage.
+ * @returns {string|null} The saved language, or null if none is valid.
+ */
+const loadLanguage = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return isValidLanguage(saved) ? saved : null;
+};
+
+/**
+ * Manages the interface language.
+ * @returns {{language: string, setLanguage: (language: string) => void}} The
+ *   language (a key of LANGUAGES) and a function to change it; starts with
+ *   the saved language, then the browser's preferred one.
+ */
+const useLanguage = () => {
+  const [language, setLanguage] = useState(
+    () => loadLanguage() || detectLanguage()
+  );
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  return { language, setLanguage };
+};
+
+export default useLanguage;
@@ -0,0 +1,33 @@
+/**
+ * @file useNow.js
+ * Custom React hook for a clock that ticks at the start of every minute while
+ * the page is visible.
+ */
+
+import { useState, useEffect } from "react";
+import usePageVisibility from "./usePageVisibility";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Returns the current time, updated at the start of each minute.
+ * Pauses while the tab is hidden and catches up when it is shown again.
+ * @returns {Date} The current time.
+ */
+const useNow = () => {
+  const visible = usePageVisibility();
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    if (!visible) return;
+    let timer;
+    const tick = () => {
+      setNow(new Date());
+      timer = setTimeout(tick, MINUTE_MS - (Date.now() % MINUTE_MS));
+    };
+    tick();
+    return () => clearTimeout(timer);
+  }, [visible]);
+  return now;
+};
+
+export default useNow;
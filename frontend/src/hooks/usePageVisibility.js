@@ -0,0 +1,26 @@
+/**
+ * @file usePageVisibility.js
+ * Custom React hook tracking whether the page is visible, so timers and
+ * connections can pause while the tab is hidden.
+ */
+
+import { useState, useEffect } from "react";
+
+/**
+ * Returns whether the page is currently visible.
+ * @returns {boolean} False while the tab is hidden or minimized.
+ */
+const usePageVisibility = () => {
+  const [visible, setVisible] = useState(
+    () => document.visibilityState === "visible"
+  );
+  useEffect(() => {
+    const handleChange = () =>
+      setVisible(document.visibilityState === "visible");
+    document.addEventListener("visibilitychange", handleChange);
+    return () => document.removeEventListener("visibilitychange", handleChange);
+  }, []);
+  return visible;
+};
+
+export default usePageVisibility;
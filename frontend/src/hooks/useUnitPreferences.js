@@ -0,0 +1,51 @@
+/**
+ * @file useUnitPreferences.js
+ * Custom React hook holding the user's unit choice for each quantity,
+ * persisted in localStorage between visits.
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import { IMPERIAL_UNITS, isValidUnits } from "../utils/helpers";
+
+const STORAGE_KEY = "unitPreferences";
+
+/**
+ * Reads the saved unit preferences from localStorage.
+ * @returns {object|null} Saved preferences, or null if none are valid.
+ */
+const loadUnits = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return isValidUnits(saved) ? saved : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Manages the unit preferences.
+ * @param {object|null} [initialUnits] - Preferences to start with (e.g. from a
+ *   deep link); falls back to the saved preferences, then imperial.
+ * @returns {{
+ *   units: object,
+ *   setUnit: (quantity: string, unit: string) => void,
+ *   setUnits: (units: object) => void,
+ * }} The preferences and functions to change one or all of them.
+ */
+const useUnitPreferences = (initialUnits = null) => {
+  const [units, setUnits] = useState(
+    () => initialUnits || loadUnits() || IMPERIAL_UNITS
+  );
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(units));
+  }, [units]);
+
+  const setUnit = useCallback((quantity, unit) => {
+    setUnits((current) => ({ ...current, [quantity]: unit }));
+  }, []);
+
+  return { units, setUnit, setUnits };
+};
+
+export default useUnitPreferences;
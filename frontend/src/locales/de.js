@@ -0,0 +1,443 @@
+/**
+ * @file German catalog.
+ */
+
+export default {
+  app: {
+    title: "Open-Weather App",
+    subtitle: "Deine einfache Wettervorhersage-App",
+    forecastTab: "Vorhersage",
+    compareTab: "Orte vergleichen",
+    loading: "Wird geladen...",
+    loadingComparison: "Vergleich wird geladen...",
+    loadingMap: "Karte wird geladen...",
+    loadingCards: "Karten werden geladen...",
+    offline:
+      "Du bist offline. Angezeigt wird das Wetter von vor {minutes} Min.; es wird aktualisiert, sobald du wieder online bist.",
+    stale:
+      "Das aktuelle Wetter ist vorübergehend nicht verfügbar. Angezeigt werden Daten von vor {minutes} Min.",
+  },
+  errors: {
+    locationNotFound: "Ort nicht gefunden. Bitte überprüfe deine Suche.",
+    weather:
+      "Fehler beim Abrufen der Wetterdaten. Bitte versuche es später erneut.",
+    lookupFailed: "Dieser Ort konnte nicht gesucht werden.",
+  },
+  common: {
+    show: "Anzeigen:",
+    weatherIcon: "Wettersymbol",
+  },
+  language: {
+    label: "Sprache",
+  },
+  units: {
+    button: "Einheiten",
+    metric: "Metrisch",
+    imperial: "Imperial",
+  },
+  quantities: {
+    temperature: "Temperatur",
+    wind: "Wind",
+    precipitation: "Niederschlag",
+    pressure: "Luftdruck",
+    visibility: "Sichtweite",
+  },
+  fields: {
+    feelsLike: "Gefühlt",
+    humidity: "Luftfeuchtigkeit",
+    precipitation: "Niederschlag",
+    cloudCover: "Bewölkung",
+    surfacePressure: "Bodenluftdruck",
+    windSpeed: "Windgeschwindigkeit",
+    windDirection: "Windrichtung",
+    windGusts: "Windböen",
+    visibility: "Sichtweite",
+    uvIndex: "UV-Index",
+  },
+  search: {
+    placeholder: "Ort suchen...",
+    submit: "Suchen",
+    useMyLocation: "Meinen Standort verwenden",
+    locating: "Standort wird ermittelt...",
+    geolocationUnsupported:
+      "Dein Browser unterstützt keine Standortbestimmung.",
+    lookupFailed: "Dein Standort konnte nicht gesucht werden.",
+    permissionDenied: "Der Zugriff auf den Standort wurde verweigert.",
+    positionUnavailable: "Dein Standort konnte nicht ermittelt werden.",
+    label: "Nach einem Ort suchen",
+    suggestions: "Ortsvorschläge",
+    searching: "Suche läuft...",
+    noResults: "Keine passenden Orte gefunden.",
+    resultsOne:
+      "1 Ergebnis verfügbar. Wähle es mit den Pfeiltasten nach oben und unten aus.",
+    resultsOther:
+      "{count} Ergebnisse verfügbar. Wähle eines mit den Pfeiltasten nach oben und unten aus.",
+    recentTitle: "Letzte Suchen",
+    clearRecent: "Löschen",
+    recentOne:
+      "1 letzte Suche. Wähle sie mit den Pfeiltasten nach oben und unten aus.",
+    recentOther:
+      "{count} letzte Suchen. Wähle eine mit den Pfeiltasten nach oben und unten aus.",
+  },
+  current: {
+    addFavorite: "Zu Favoriten hinzufügen",
+    removeFavorite: "Aus Favoriten entfernen",
+    daylight: "Tageszeit:",
+    day: "Tag",
+    night: "Nacht",
+  },
+  forecastSummary: {
+    title: "Zusammenfassung",
+    today:
+      "Heute ({condition}): Höchstwert {high} {temperatureUnit}, Tiefstwert {low} {temperatureUnit}.",
+    warmerThanYesterday: "{difference} {temperatureUnit} wärmer als gestern.",
+    coolerThanYesterday: "{difference} {temperatureUnit} kühler als gestern.",
+    sameAsYesterday: "Ähnlich warm wie gestern.",
+    temperatureRise:
+      "Die Temperaturen steigen bis {time} von {from} {temperatureUnit} auf {to} {temperatureUnit}.",
+    temperatureFall:
+      "Die Temperaturen fallen bis {time} von {from} {temperatureUnit} auf {to} {temperatureUnit}.",
+    temperatureSteady:
+      "Die Temperaturen bleiben in den nächsten {hours} Stunden bei etwa {from} {temperatureUnit}.",
+    rainWindow:
+      "Regen wahrscheinlich von {start} bis {end}, insgesamt {amount} {precipitationUnit} erwartet.",
+    snowWindow:
+      "Schnee wahrscheinlich von {start} bis {end}, insgesamt {amount} {precipitationUnit} erwartet.",
+    dry: "In den nächsten {hours} Stunden kein Regen oder Schnee erwartet.",
+    strongWind: "Windig, mit Böen bis {gusts} {windUnit} gegen {time}.",
+    severeWind: "Sturmwarnung: Böen bis {gusts} {windUnit} gegen {time}.",
+  },
+  hourly: {
+    title: "Stündliche Vorhersage",
+    hours: "{count} Stunden",
+    temperatureGraph: "Temperaturverlauf",
+    pressureGraph: "Luftdruckverlauf",
+    precipitationGraph: "Niederschlagsverlauf",
+    temperatureLine: "Temp. ({unit})",
+    pressureLine: "Luftdruck ({unit})",
+    precipitationLine: "Niederschlag (%)",
+  },
+  daily: {
+    title: "Tägliche Vorhersage",
+    sunrise: "Sonnenaufgang:",
+    sunset: "Sonnenuntergang:",
+    daylight: "Tageslicht:",
+    sunshine: "Sonnenschein:",
+    minTemp: "Min. Temp.",
+    maxTemp: "Max. Temp.",
+    temperatureGraph: "Temperaturverlauf",
+  },
+  charts: {
+    showTable: "Tabelle anzeigen",
+    showChart: "Diagramm anzeigen",
+    navigationHint:
+      "Mit den Pfeiltasten links und rechts zwischen den Datenpunkten wechseln.",
+    time: "Zeit",
+    day: "Tag",
+    point: "{label} — {values}",
+    summary: {
+      temperatureRise:
+        "Die Temperaturen steigen bis {time} von {from} auf {to}",
+      temperatureFall: "Die Temperaturen fallen bis {time} von {from} auf {to}",
+      temperatureSteady: "Die Temperaturen bleiben bei etwa {value}",
+      rainAfter: "Regen wahrscheinlich ab {time}",
+      rainUnlikely: "Regen unwahrscheinlich",
+      withRain: "{temperature}, {rain}.",
+      pressureRise: "Der Luftdruck steigt bis {time} von {from} auf {to}.",
+      pressureFall: "Der Luftdruck fällt bis {time} von {from} auf {to}.",
+      pressureSteady: "Der Luftdruck bleibt bei etwa {value}.",
+      precipitationLikely:
+        "Regen wahrscheinlich ab {time}, mit bis zu {max} % Wahrscheinlichkeit.",
+      precipitationUnlikely:
+        "Regen unwahrscheinlich, höchstens {max} % um {time}.",
+      daily:
+        "Höchstwerte von {lowestHigh} bis {highestHigh}, am wärmsten am {warmestDay}; Tiefstwerte von {lowestLow} bis {highestLow}, am kühlsten am {coolestDay}.",
+      aqi: "Der AQI erreicht um {time} seinen Höchstwert von {value} ({category}).",
+      pollutants:
+        "Schlechtester Wert: {name} mit {value} ({category}) um {time}.",
+      pollen:
+        "Höchste Pollenbelastung: {name} mit {value} ({category}) um {time}.",
+      historyWarmer:
+        "Die vorhergesagten Höchstwerte liegen im Schnitt bei {forecast}, {difference} wärmer als an denselben Tagen {year} ({past}).",
+      historyCooler:
+        "Die vorhergesagten Höchstwerte liegen im Schnitt bei {forecast}, {difference} kühler als an denselben Tagen {year} ({past}).",
+      historySimilar:
+        "Die vorhergesagten Höchstwerte liegen im Schnitt bei {forecast}, ähnlich wie an denselben Tagen {year} ({past}).",
+      historyForecast:
+        "Die vorhergesagten Höchstwerte liegen im Schnitt bei {forecast}.",
+      wavesRise: "Die Wellen steigen bis {time} von {from} auf {to}.",
+      wavesFall: "Die Wellen sinken bis {time} von {from} auf {to}.",
+      wavesSteady: "Die Wellen bleiben bei etwa {value}.",
+      tide: "Höchster Wasserstand {high} um {highTime}; niedrigster {low} um {lowTime}.",
+      seaTemperatureRise:
+        "Die Wassertemperatur steigt bis {time} von {from} auf {to}.",
+      seaTemperatureFall:
+        "Die Wassertemperatur sinkt bis {time} von {from} auf {to}.",
+      seaTemperatureSteady: "Die Wassertemperatur bleibt bei etwa {value}.",
+      compare:
+        "Höchster Wert: {highName}, {high} um {highTime}; niedrigster: {lowName}, {low} um {lowTime}.",
+    },
+  },
+  export: {
+    label: "Exportieren:",
+    calendar: "Kalender (.ics)",
+    subscribe: "Abonnieren",
+    subscribeTitle:
+      "In deiner Kalender-App abonnieren, damit die Vorhersage aktuell bleibt",
+  },
+  history: {
+    title: "Im Vergleich zu früheren Jahren",
+    compareWith: "Vergleichen mit:",
+    lastYear: "Letztes Jahr",
+    lastYears: "Letzte {count} Jahre",
+    loading: "Verlauf wird geladen...",
+    error: "Historische Daten sind derzeit nicht verfügbar.",
+    summary:
+      "Heute: {todayMax} / {todayMin}. An diesem Tag im letzten Jahr: {pastMax} / {pastMin}, {precipitation} Niederschlag.",
+    maxForecast: "Max. Temp. (Vorhersage)",
+    minForecast: "Min. Temp. (Vorhersage)",
+    precipitationForecast: "Niederschlag (Vorhersage)",
+    maxYear: "Max. Temp. {year}",
+    minYear: "Min. Temp. {year}",
+    precipitationYear: "Niederschlag {year}",
+    graph: "Diagramm Vorhersage und Vorjahre",
+  },
+  indices: {
+    title: "Komfort und Risiko",
+    heatIndex: {
+      name: "Hitzeindex",
+      caution: "Vorsicht",
+      cautionInfo: "Ermüdung bei längerem Aufenthalt und Aktivität möglich.",
+      extremeCaution: "Erhöhte Vorsicht",
+      extremeCautionInfo:
+        "Hitzekrämpfe und Hitzeerschöpfung möglich; Pausen machen und Wasser trinken.",
+      danger: "Gefahr",
+      dangerInfo:
+        "Hitzeerschöpfung wahrscheinlich, Hitzschlag bei längerer Aktivität möglich.",
+      extremeDanger: "Extreme Gefahr",
+      extremeDangerInfo:
+        "Hitzschlag sehr wahrscheinlich; Anstrengung im Freien vermeiden.",
+    },
+    windChill: {
+      name: "Windchill",
+      low: "Geringes Risiko",
+      lowInfo: "Leichtes Erfrierungsrisiko; warm anziehen.",
+      moderate: "Mäßiges Risiko",
+      moderateInfo:
+        "Freie Haut bedecken; Unterkühlung bei langem Aufenthalt im Freien möglich.",
+      high: "Hohes Risiko",
+      highInfo: "Freie Haut kann in 10 bis 30 Minuten erfrieren.",
+      veryHigh: "Sehr hohes Risiko",
+      veryHighInfo: "Freie Haut kann in 5 bis 10 Minuten erfrieren.",
+      extreme: "Extremes Risiko",
+      extremeInfo:
+        "Freie Haut kann in weniger als 5 Minuten erfrieren; möglichst drinnen bleiben.",
+    },
+    humidex: {
+      name: "Humidex",
+      comfortable: "Angenehm",
+      comfortableInfo: "Kaum oder keine Beschwerden.",
+      some: "Etwas unangenehm",
+      someInfo: "Etwas unangenehm bei Anstrengung.",
+      great: "Sehr unangenehm",
+      greatInfo: "Sehr unangenehm; Anstrengung vermeiden.",
+      dangerous: "Gefährlich",
+      dangerousInfo: "Gefährlich; Hitzschlag möglich.",
+    },
+    wetBulbGlobe: {
+      name: "Feuchtkugel-Globetemp. (ca.)",
+      low: "Gering",
+      lowInfo: "Normale Aktivität im Freien ist sicher.",
+      moderate: "Mäßig",
+      moderateInfo:
+        "Bei anstrengender Aktivität regelmäßig Pausen machen und trinken.",
+      high: "Hoch",
+      highInfo: "Intensiven Sport einschränken und oft im Schatten ausruhen.",
+      veryHigh: "Sehr hoch",
+      veryHighInfo:
+        "Nur leichte Aktivität; hitzeempfindliche Menschen sollten die Sonne meiden.",
+      extreme: "Extrem",
+      extremeInfo: "Anstrengende Aktivität im Freien abbrechen.",
+    },
+    cloudBase: {
+      name: "Wolkenuntergrenze (gesch.)",
+    },
+    comfort: {
+      name: "Komfort im Freien",
+      score: "{score}/100",
+      veryPoor: "Sehr schlecht",
+      veryPoorInfo: "Raue Bedingungen; besser drinnen bleiben.",
+      poor: "Schlecht",
+      poorInfo: "Unangenehm im Freien; wetterfest anziehen.",
+      fair: "Mittel",
+      fairInfo: "In Ordnung für kurze Wege nach draußen.",
+      good: "Gut",
+      goodInfo: "Angenehm, mit kleinen Einschränkungen.",
+      excellent: "Ausgezeichnet",
+      excellentInfo: "Ideale Bedingungen für draußen.",
+    },
+  },
+  airQuality: {
+    title: "Luftqualität",
+    error: "Luftqualitätsdaten sind derzeit nicht verfügbar.",
+    usAqi: "US-Luftqualitätsindex",
+    noReading: "Kein AQI-Messwert",
+    pollen: "Pollen",
+    noPollen: "Für diesen Ort sind keine Pollendaten verfügbar.",
+    aqiGraph: "AQI-Verlauf",
+    aqiLine: "US-AQI",
+    pollutantsGraph: "Schadstoffverlauf",
+    pollenGraph: "Pollenverlauf",
+    categories: {
+      good: "Gut",
+      moderate: "Mäßig",
+      unhealthySensitive: "Ungesund für empfindliche Gruppen",
+      unhealthy: "Ungesund",
+      veryUnhealthy: "Sehr ungesund",
+      hazardous: "Gefährlich",
+    },
+    pollenLevels: {
+      low: "Niedrig",
+      moderate: "Mäßig",
+      high: "Hoch",
+      veryHigh: "Sehr hoch",
+    },
+    pollutants: {
+      pm25: "PM2,5",
+      pm10: "PM10",
+      ozone: "Ozon",
+      nitrogenDioxide: "NO₂",
+    },
+    pollenTypes: {
+      alderPollen: "Erle",
+      birchPollen: "Birke",
+      grassPollen: "Gräser",
+      mugwortPollen: "Beifuß",
+      olivePollen: "Olive",
+      ragweedPollen: "Ambrosia",
+    },
+  },
+  marine: {
+    title: "Seewettervorhersage",
+    waveHeight: "Wellenhöhe",
+    wavePeriod: "Wellenperiode",
+    waveDirection: "Wellenrichtung",
+    swellHeight: "Dünungshöhe",
+    swellPeriod: "Dünungsperiode",
+    swellDirection: "Dünungsrichtung",
+    seaSurfaceTemperature: "Meeresoberflächentemperatur",
+    tideLevel: "Gezeitenpegel",
+    wavesGraph: "Wellenverlauf",
+    tideGraph: "Gezeitenverlauf",
+    seaTemperatureGraph: "Verlauf der Meeresoberflächentemperatur",
+    waveHeightLine: "Wellenhöhe ({unit})",
+    swellHeightLine: "Dünungshöhe ({unit})",
+    seaLevelLine: "Meeresspiegel ({unit})",
+    seaTemperatureLine: "Meerestemp. ({unit})",
+  },
+  favorites: {
+    title: "Favoriten",
+    moveUp: "{name} nach oben verschieben",
+    moveDown: "{name} nach unten verschieben",
+    remove: "{name} aus Favoriten entfernen",
+  },
+  alerts: {
+    title: "Warnungen",
+    enableNotifications: "Browser-Benachrichtigungen aktivieren",
+    firedAt: "{rule} am {time}",
+    dismiss: "Warnung ausblenden",
+    deleteRule: "Warnregel {rule} löschen",
+    metric: "Messgröße",
+    comparison: "Vergleich",
+    threshold: "Schwellenwert",
+    location: "Ort",
+    allFavorites: "Alle Favoriten",
+    removedFavorite: "Entfernter Favorit",
+    add: "Warnung hinzufügen",
+    notificationTitle: "Wetterwarnung: {name}",
+    saveError:
+      "Fehler beim Speichern der Warnregel. Bitte versuche es später erneut.",
+    deleteError:
+      "Fehler beim Löschen der Warnregel. Bitte versuche es später erneut.",
+    metrics: {
+      temperature: "Temperatur",
+      apparentTemperature: "Gefühlte Temperatur",
+      precipitationProbability: "Niederschlagswahrscheinlichkeit",
+      precipitation: "Niederschlag",
+      snowfall: "Schneefall",
+      windSpeed: "Windgeschwindigkeit",
+      windGusts: "Windböen",
+      uvIndex: "UV-Index",
+      visibility: "Sichtweite",
+    },
+    operators: {
+      above: "über",
+      below: "unter",
+    },
+  },
+  map: {
+    title: "Karte",
+    overlay: "Ebene:",
+    picking: "Ort wird gesucht...",
+    hint: "Klicke auf eine beliebige Stelle der Karte, um das Wetter dort zu sehen.",
+    overlays: {
+      none: "Keine",
+      temperature: "Temperatur",
+      precipitation: "Niederschlag",
+    },
+  },
+  compare: {
+    title: "Orte vergleichen",
+    nextHours: "Nächste {count} Stunden",
+    daily: "Täglich",
+    full: "Du kannst bis zu {max} Orte vergleichen. Entferne einen, um einen weiteren hinzuzufügen.",
+    remove: "{name} aus dem Vergleich entfernen",
+    minimum: "Füge mindestens {min} Orte hinzu, um ihr Wetter zu vergleichen.",
+    unavailable: "Vorhersage nicht verfügbar",
+    location: "Ort",
+    conditions: "Wetterlage",
+    temperature: "Temperatur",
+    feelsLike: "Gefühlt",
+    highLow: "Max. / Min.",
+    precipitation: "Niederschlag",
+    wind: "Wind",
+    metrics: {
+      temperature: "Temperatur",
+      maxTemperature: "Höchsttemperatur",
+      precipitation: "Niederschlag",
+      windSpeed: "Windgeschwindigkeit",
+      maxWindSpeed: "Max. Windgeschwindigkeit",
+    },
+  },
+  weather: {
+    0: "Klarer Himmel",
+    1: "Überwiegend klar",
+    2: "Teilweise bewölkt",
+    3: "Bedeckt",
+    45: "Nebel",
+    48: "Gefrierender Nebel",
+    51: "Nieselregen: leicht",
+    53: "Nieselregen: mäßig",
+    55: "Nieselregen: stark",
+    56: "Gefrierender Nieselregen: leicht",
+    57: "Gefrierender Nieselregen: stark",
+    61: "Regen: leicht",
+    63: "Regen: mäßig",
+    65: "Regen: stark",
+    66: "Gefrierender Regen: leicht",
+    67: "Gefrierender Regen: stark",
+    71: "Schneefall: leicht",
+    73: "Schneefall: mäßig",
+    75: "Schneefall: stark",
+    77: "Schneegriesel",
+    80: "Regenschauer: leicht",
+    81: "Regenschauer: mäßig",
+    82: "Regenschauer: heftig",
+    85: "Schneeschauer: leicht",
+    86: "Schneeschauer: stark",
+    95: "Gewitter: leicht oder mäßig",
+    96: "Gewitter mit leichtem Hagel",
+    99: "Gewitter mit starkem Hagel",
+    unknown: "Unbekannt",
+  },
+};
@@ -0,0 +1,438 @@
+/**
+ * @file English catalog. Every other catalog falls back to it, so it must
+ * hold every key.
+ */
+
+export default {
+  app: {
+    title: "Open-Weather App",
+    subtitle: "Your simple weather forecast app",
+    forecastTab: "Forecast",
+    compareTab: "Compare Locations",
+    loading: "Loading...",
+    loadingComparison: "Loading comparison...",
+    loadingMap: "Loading map...",
+    loadingCards: "Loading cards...",
+    offline:
+      "You're offline. Showing weather last updated {minutes} min ago; it will refresh when you're back online.",
+    stale:
+      "Live weather is temporarily unavailable. Showing data from {minutes} min ago.",
+  },
+  errors: {
+    locationNotFound: "Location not found. Please check your search input.",
+    weather: "Error fetching weather data. Please try again later.",
+    lookupFailed: "Could not look up that location.",
+  },
+  common: {
+    show: "Show:",
+    weatherIcon: "Weather icon",
+  },
+  language: {
+    label: "Language",
+  },
+  units: {
+    button: "Units",
+    metric: "Metric",
+    imperial: "Imperial",
+  },
+  quantities: {
+    temperature: "Temperature",
+    wind: "Wind",
+    precipitation: "Precipitation",
+    pressure: "Pressure",
+    visibility: "Visibility",
+  },
+  fields: {
+    feelsLike: "Feels Like",
+    humidity: "Humidity",
+    precipitation: "Precipitation",
+    cloudCover: "Cloud Cover",
+    surfacePressure: "Surface Pressure",
+    windSpeed: "Wind Speed",
+    windDirection: "Wind Direction",
+    windGusts: "Wind Gusts",
+    visibility: "Visibility",
+    uvIndex: "UV Index",
+  },
+  search: {
+    placeholder: "Search for a location...",
+    submit: "Search",
+    useMyLocation: "Use my location",
+    locating: "Locating...",
+    geolocationUnsupported: "Geolocation is not supported by your browser.",
+    lookupFailed: "Could not look up your location.",
+    permissionDenied: "Location access was denied.",
+    positionUnavailable: "Could not determine your location.",
+    label: "Search for a location",
+    suggestions: "Location suggestions",
+    searching: "Searching...",
+    noResults: "No matching places found.",
+    resultsOne:
+      "1 result available. Use the up and down arrow keys to choose it.",
+    resultsOther:
+      "{count} results available. Use the up and down arrow keys to choose one.",
+    recentTitle: "Recent searches",
+    clearRecent: "Clear",
+    recentOne: "1 recent search. Use the up and down arrow keys to choose it.",
+    recentOther:
+      "{count} recent searches. Use the up and down arrow keys to choose one.",
+  },
+  current: {
+    addFavorite: "Add to favourites",
+    removeFavorite: "Remove from favourites",
+    daylight: "Daylight:",
+    day: "Day",
+    night: "Night",
+  },
+  forecastSummary: {
+    title: "Summary",
+    today:
+      "Today ({condition}): high {high} {temperatureUnit}, low {low} {temperatureUnit}.",
+    warmerThanYesterday:
+      "{difference} {temperatureUnit} warmer than yesterday.",
+    coolerThanYesterday:
+      "{difference} {temperatureUnit} cooler than yesterday.",
+    sameAsYesterday: "About as warm as yesterday.",
+    temperatureRise:
+      "Temperatures rise from {from} {temperatureUnit} to {to} {temperatureUnit} by {time}.",
+    temperatureFall:
+      "Temperatures fall from {from} {temperatureUnit} to {to} {temperatureUnit} by {time}.",
+    temperatureSteady:
+      "Temperatures stay near {from} {temperatureUnit} for the next {hours} hours.",
+    rainWindow:
+      "Rain likely from {start} to {end}, with {amount} {precipitationUnit} expected.",
+    snowWindow:
+      "Snow likely from {start} to {end}, with {amount} {precipitationUnit} expected.",
+    dry: "No rain or snow expected in the next {hours} hours.",
+    strongWind: "Windy, with gusts up to {gusts} {windUnit} around {time}.",
+    severeWind: "Wind warning: gusts up to {gusts} {windUnit} around {time}.",
+  },
+  hourly: {
+    title: "Hourly Forecast",
+    hours: "{count} hours",
+    temperatureGraph: "Temperature Graph",
+    pressureGraph: "Pressure Graph",
+    precipitationGraph: "Precipitation Graph",
+    temperatureLine: "Temp ({unit})",
+    pressureLine: "Pressure ({unit})",
+    precipitationLine: "Precipitation (%)",
+  },
+  daily: {
+    title: "Daily Forecast",
+    sunrise: "Sunrise:",
+    sunset: "Sunset:",
+    daylight: "Daylight:",
+    sunshine: "Sunshine:",
+    minTemp: "Min Temp",
+    maxTemp: "Max Temp",
+    temperatureGraph: "Temperature Graph",
+  },
+  charts: {
+    showTable: "Show table",
+    showChart: "Show chart",
+    navigationHint:
+      "Use the left and right arrow keys to move between data points.",
+    time: "Time",
+    day: "Day",
+    point: "{label} — {values}",
+    summary: {
+      temperatureRise: "Temperatures rise from {from} to {to} by {time}",
+      temperatureFall: "Temperatures fall from {from} to {to} by {time}",
+      temperatureSteady: "Temperatures hold near {value}",
+      rainAfter: "rain likely after {time}",
+      rainUnlikely: "rain unlikely",
+      withRain: "{temperature}, {rain}.",
+      pressureRise: "Pressure rises from {from} to {to} by {time}.",
+      pressureFall: "Pressure falls from {from} to {to} by {time}.",
+      pressureSteady: "Pressure holds near {value}.",
+      precipitationLikely:
+        "Rain likely after {time}, with chances up to {max}%.",
+      precipitationUnlikely:
+        "Rain unlikely, with chances up to {max}% at {time}.",
+      daily:
+        "Highs from {lowestHigh} to {highestHigh}, warmest on {warmestDay}; lows from {lowestLow} to {highestLow}, coolest on {coolestDay}.",
+      aqi: "The AQI peaks at {value} ({category}) at {time}.",
+      pollutants: "Worst reading: {name} at {value} ({category}) at {time}.",
+      pollen: "Highest pollen level: {name} at {value} ({category}) at {time}.",
+      historyWarmer:
+        "Forecast highs average {forecast}, {difference} warmer than the same days in {year} ({past}).",
+      historyCooler:
+        "Forecast highs average {forecast}, {difference} cooler than the same days in {year} ({past}).",
+      historySimilar:
+        "Forecast highs average {forecast}, close to the same days in {year} ({past}).",
+      historyForecast: "Forecast highs average {forecast}.",
+      wavesRise: "Waves build from {from} to {to} by {time}.",
+      wavesFall: "Waves ease from {from} to {to} by {time}.",
+      wavesSteady: "Waves hold near {value}.",
+      tide: "Highest tide {high} at {highTime}; lowest {low} at {lowTime}.",
+      seaTemperatureRise:
+        "Sea temperature rises from {from} to {to} by {time}.",
+      seaTemperatureFall:
+        "Sea temperature falls from {from} to {to} by {time}.",
+      seaTemperatureSteady: "Sea temperature holds near {value}.",
+      compare:
+        "Highest: {highName}, {high} at {highTime}; lowest: {lowName}, {low} at {lowTime}.",
+    },
+  },
+  export: {
+    label: "Export:",
+    calendar: "Calendar (.ics)",
+    subscribe: "Subscribe",
+    subscribeTitle:
+      "Subscribe in your calendar app to keep the forecast up to date",
+  },
+  history: {
+    title: "Compared to Past Years",
+    compareWith: "Compare with:",
+    lastYear: "Last year",
+    lastYears: "Last {count} years",
+    loading: "Loading history...",
+    error: "Historical data is unavailable right now.",
+    summary:
+      "Today: {todayMax} / {todayMin}. On this day last year: {pastMax} / {pastMin}, {precipitation} of precipitation.",
+    maxForecast: "Max Temp (forecast)",
+    minForecast: "Min Temp (forecast)",
+    precipitationForecast: "Precipitation (forecast)",
+    maxYear: "Max Temp {year}",
+    minYear: "Min Temp {year}",
+    precipitationYear: "Precipitation {year}",
+    graph: "Forecast and Past Years Graph",
+  },
+  indices: {
+    title: "Comfort and Risk",
+    heatIndex: {
+      name: "Heat Index",
+      caution: "Caution",
+      cautionInfo: "Fatigue is possible with prolonged exposure and activity.",
+      extremeCaution: "Extreme Caution",
+      extremeCautionInfo:
+        "Heat cramps and heat exhaustion are possible; take breaks and drink water.",
+      danger: "Danger",
+      dangerInfo:
+        "Heat exhaustion is likely and heat stroke is possible with prolonged activity.",
+      extremeDanger: "Extreme Danger",
+      extremeDangerInfo:
+        "Heat stroke is highly likely; avoid exertion outdoors.",
+    },
+    windChill: {
+      name: "Wind Chill",
+      low: "Low risk",
+      lowInfo: "Slight risk of frostbite; dress warmly.",
+      moderate: "Moderate risk",
+      moderateInfo:
+        "Cover exposed skin; hypothermia is possible after long periods outdoors.",
+      high: "High risk",
+      highInfo: "Exposed skin can freeze in 10 to 30 minutes.",
+      veryHigh: "Very high risk",
+      veryHighInfo: "Exposed skin can freeze in 5 to 10 minutes.",
+      extreme: "Extreme risk",
+      extremeInfo:
+        "Exposed skin can freeze in under 5 minutes; stay indoors if you can.",
+    },
+    humidex: {
+      name: "Humidex",
+      comfortable: "Comfortable",
+      comfortableInfo: "Little or no discomfort.",
+      some: "Some discomfort",
+      someInfo: "Some discomfort during exertion.",
+      great: "Great discomfort",
+      greatInfo: "Great discomfort; avoid exertion.",
+      dangerous: "Dangerous",
+      dangerousInfo: "Dangerous; heat stroke is possible.",
+    },
+    wetBulbGlobe: {
+      name: "Wet-Bulb Globe Temp. (approx.)",
+      low: "Low",
+      lowInfo: "Normal outdoor activity is safe.",
+      moderate: "Moderate",
+      moderateInfo:
+        "Take regular breaks and drink water during strenuous activity.",
+      high: "High",
+      highInfo: "Limit intense exercise and rest in the shade often.",
+      veryHigh: "Very high",
+      veryHighInfo:
+        "Light activity only; people sensitive to heat should stay out of the sun.",
+      extreme: "Extreme",
+      extremeInfo: "Stop strenuous outdoor activity.",
+    },
+    cloudBase: {
+      name: "Cloud Base (est.)",
+    },
+    comfort: {
+      name: "Outdoor Comfort",
+      score: "{score}/100",
+      veryPoor: "Very poor",
+      veryPoorInfo: "Harsh conditions; plan to stay indoors.",
+      poor: "Poor",
+      poorInfo: "Uncomfortable outdoors; dress for the weather.",
+      fair: "Fair",
+      fairInfo: "Fine for short trips outdoors.",
+      good: "Good",
+      goodInfo: "Pleasant, with minor drawbacks.",
+      excellent: "Excellent",
+      excellentInfo: "Ideal conditions for being outdoors.",
+    },
+  },
+  airQuality: {
+    title: "Air Quality",
+    error: "Air quality data is unavailable right now.",
+    usAqi: "US Air Quality Index",
+    noReading: "No AQI reading",
+    pollen: "Pollen",
+    noPollen: "Pollen data is not available for this location.",
+    aqiGraph: "AQI Graph",
+    aqiLine: "US AQI",
+    pollutantsGraph: "Pollutants Graph",
+    pollenGraph: "Pollen Graph",
+    categories: {
+      good: "Good",
+      moderate: "Moderate",
+      unhealthySensitive: "Unhealthy for Sensitive Groups",
+      unhealthy: "Unhealthy",
+      veryUnhealthy: "Very Unhealthy",
+      hazardous: "Hazardous",
+    },
+    pollenLevels: {
+      low: "Low",
+      moderate: "Moderate",
+      high: "High",
+      veryHigh: "Very High",
+    },
+    pollutants: {
+      pm25: "PM2.5",
+      pm10: "PM10",
+      ozone: "Ozone",
+      nitrogenDioxide: "NO₂",
+    },
+    pollenTypes: {
+      alderPollen: "Alder",
+      birchPollen: "Birch",
+      grassPollen: "Grass",
+      mugwortPollen: "Mugwort",
+      olivePollen: "Olive",
+      ragweedPollen: "Ragweed",
+    },
+  },
+  marine: {
+    title: "Marine Forecast",
+    waveHeight: "Wave Height",
+    wavePeriod: "Wave Period",
+    waveDirection: "Wave Direction",
+    swellHeight: "Swell Height",
+    swellPeriod: "Swell Period",
+    swellDirection: "Swell Direction",
+    seaSurfaceTemperature: "Sea Surface Temperature",
+    tideLevel: "Tide Level",
+    wavesGraph: "Waves Graph",
+    tideGraph: "Tide Graph",
+    seaTemperatureGraph: "Sea Surface Temperature Graph",
+    waveHeightLine: "Wave Height ({unit})",
+    swellHeightLine: "Swell Height ({unit})",
+    seaLevelLine: "Sea Level ({unit})",
+    seaTemperatureLine: "Sea Temp ({unit})",
+  },
+  favorites: {
+    title: "Favourites",
+    moveUp: "Move {name} up",
+    moveDown: "Move {name} down",
+    remove: "Remove {name} from favourites",
+  },
+  alerts: {
+    title: "Alerts",
+    enableNotifications: "Enable browser notifications",
+    firedAt: "{rule} at {time}",
+    dismiss: "Dismiss alert",
+    deleteRule: "Delete alert rule {rule}",
+    metric: "Metric",
+    comparison: "Comparison",
+    threshold: "Threshold",
+    location: "Location",
+    allFavorites: "All favourites",
+    removedFavorite: "Removed favourite",
+    add: "Add alert",
+    notificationTitle: "Weather alert: {name}",
+    saveError: "Error saving alert rule. Please try again later.",
+    deleteError: "Error deleting alert rule. Please try again later.",
+    metrics: {
+      temperature: "Temperature",
+      apparentTemperature: "Feels like",
+      precipitationProbability: "Precipitation chance",
+      precipitation: "Precipitation",
+      snowfall: "Snowfall",
+      windSpeed: "Wind speed",
+      windGusts: "Wind gusts",
+      uvIndex: "UV index",
+      visibility: "Visibility",
+    },
+    operators: {
+      above: "above",
+      below: "below",
+    },
+  },
+  map: {
+    title: "Map",
+    overlay: "Overlay:",
+    picking: "Looking up location...",
+    hint: "Click anywhere on the map to see the weather there.",
+    overlays: {
+      none: "None",
+      temperature: "Temperature",
+      precipitation: "Precipitation",
+    },
+  },
+  compare: {
+    title: "Compare Locations",
+    nextHours: "Next {count} hours",
+    daily: "Daily",
+    full: "You can compare up to {max} locations. Remove one to add another.",
+    remove: "Remove {name} from comparison",
+    minimum: "Add at least {min} locations to compare their weather.",
+    unavailable: "Forecast unavailable",
+    location: "Location",
+    conditions: "Conditions",
+    temperature: "Temperature",
+    feelsLike: "Feels Like",
+    highLow: "High / Low",
+    precipitation: "Precipitation",
+    wind: "Wind",
+    metrics: {
+      temperature: "Temperature",
+      maxTemperature: "High Temperature",
+      precipitation: "Precipitation",
+      windSpeed: "Wind Speed",
+      maxWindSpeed: "Max Wind Speed",
+    },
+  },
+  // WMO weather codes
+  weather: {
+    0: "Clear sky",
+    1: "Mainly clear",
+    2: "Partly cloudy",
+    3: "Overcast",
+    45: "Fog",
+    48: "Depositing rime fog",
+    51: "Drizzle: Light intensity",
+    53: "Drizzle: Moderate intensity",
+    55: "Drizzle: Dense intensity",
+    56: "Freezing Drizzle: Light intensity",
+    57: "Freezing Drizzle: Dense intensity",
+    61: "Rain: Slight intensity",
+    63: "Rain: Moderate intensity",
+    65: "Rain: Heavy intensity",
+    66: "Freezing Rain: Light intensity",
+    67: "Freezing Rain: Heavy intensity",
+    71: "Snow fall: Slight intensity",
+    73: "Snow fall: Moderate intensity",
+    75: "Snow fall: Heavy intensity",
+    77: "Snow grains",
+    80: "Rain showers: Slight intensity",
+    81: "Rain showers: Moderate intensity",
+    82: "Rain showers: Violent intensity",
+    85: "Snow showers: Slight intensity",
+    86: "Snow showers: Heavy intensity",
+    95: "Thunderstorm: Slight or moderate",
+    96: "Thunderstorm with slight hail",
+    99: "Thunderstorm with heavy hail",
+    unknown: "Unknown",
+  },
+};
@@ -0,0 +1,447 @@
+/**
+ * @file Spanish catalog.
+ */
+
+export default {
+  app: {
+    title: "Open-Weather App",
+    subtitle: "Tu aplicación sencilla de pronóstico del tiempo",
+    forecastTab: "Pronóstico",
+    compareTab: "Comparar ubicaciones",
+    loading: "Cargando...",
+    loadingComparison: "Cargando comparación...",
+    loadingMap: "Cargando mapa...",
+    loadingCards: "Cargando tarjetas...",
+    offline:
+      "Estás sin conexión. Se muestra el tiempo actualizado hace {minutes} min; se actualizará cuando vuelvas a estar en línea.",
+    stale:
+      "El tiempo en directo no está disponible temporalmente. Se muestran datos de hace {minutes} min.",
+  },
+  errors: {
+    locationNotFound:
+      "Ubicación no encontrada. Revisa el texto de tu búsqueda.",
+    weather:
+      "Error al obtener los datos meteorológicos. Inténtalo de nuevo más tarde.",
+    lookupFailed: "No se pudo buscar esa ubicación.",
+  },
+  common: {
+    show: "Mostrar:",
+    weatherIcon: "Icono del tiempo",
+  },
+  language: {
+    label: "Idioma",
+  },
+  units: {
+    button: "Unidades",
+    metric: "Métrico",
+    imperial: "Imperial",
+  },
+  quantities: {
+    temperature: "Temperatura",
+    wind: "Viento",
+    precipitation: "Precipitación",
+    pressure: "Presión",
+    visibility: "Visibilidad",
+  },
+  fields: {
+    feelsLike: "Sensación térmica",
+    humidity: "Humedad",
+    precipitation: "Precipitación",
+    cloudCover: "Nubosidad",
+    surfacePressure: "Presión en superficie",
+    windSpeed: "Velocidad del viento",
+    windDirection: "Dirección del viento",
+    windGusts: "Rachas de viento",
+    visibility: "Visibilidad",
+    uvIndex: "Índice UV",
+  },
+  search: {
+    placeholder: "Busca una ubicación...",
+    submit: "Buscar",
+    useMyLocation: "Usar mi ubicación",
+    locating: "Localizando...",
+    geolocationUnsupported: "Tu navegador no admite la geolocalización.",
+    lookupFailed: "No se pudo buscar tu ubicación.",
+    permissionDenied: "Se denegó el acceso a la ubicación.",
+    positionUnavailable: "No se pudo determinar tu ubicación.",
+    label: "Buscar una ubicación",
+    suggestions: "Sugerencias de ubicación",
+    searching: "Buscando...",
+    noResults: "No se encontraron lugares.",
+    resultsOne:
+      "1 resultado disponible. Usa las flechas arriba y abajo para elegirlo.",
+    resultsOther:
+      "{count} resultados disponibles. Usa las flechas arriba y abajo para elegir uno.",
+    recentTitle: "Búsquedas recientes",
+    clearRecent: "Borrar",
+    recentOne:
+      "1 búsqueda reciente. Usa las flechas arriba y abajo para elegirla.",
+    recentOther:
+      "{count} búsquedas recientes. Usa las flechas arriba y abajo para elegir una.",
+  },
+  current: {
+    addFavorite: "Añadir a favoritos",
+    removeFavorite: "Quitar de favoritos",
+    daylight: "Luz del día:",
+    day: "Día",
+    night: "Noche",
+  },
+  forecastSummary: {
+    title: "Resumen",
+    today:
+      "Hoy ({condition}): máxima de {high} {temperatureUnit}, mínima de {low} {temperatureUnit}.",
+    warmerThanYesterday: "{difference} {temperatureUnit} más cálido que ayer.",
+    coolerThanYesterday: "{difference} {temperatureUnit} más fresco que ayer.",
+    sameAsYesterday: "Temperaturas similares a las de ayer.",
+    temperatureRise:
+      "Las temperaturas suben de {from} {temperatureUnit} a {to} {temperatureUnit} hacia las {time}.",
+    temperatureFall:
+      "Las temperaturas bajan de {from} {temperatureUnit} a {to} {temperatureUnit} hacia las {time}.",
+    temperatureSteady:
+      "Las temperaturas se mantienen cerca de {from} {temperatureUnit} durante las próximas {hours} horas.",
+    rainWindow:
+      "Probable lluvia de {start} a {end}, con {amount} {precipitationUnit} previstos.",
+    snowWindow:
+      "Probable nieve de {start} a {end}, con {amount} {precipitationUnit} previstos.",
+    dry: "No se espera lluvia ni nieve en las próximas {hours} horas.",
+    strongWind:
+      "Viento, con rachas de hasta {gusts} {windUnit} hacia las {time}.",
+    severeWind:
+      "Aviso por viento: rachas de hasta {gusts} {windUnit} hacia las {time}.",
+  },
+  hourly: {
+    title: "Pronóstico por horas",
+    hours: "{count} horas",
+    temperatureGraph: "Gráfico de temperatura",
+    pressureGraph: "Gráfico de presión",
+    precipitationGraph: "Gráfico de precipitación",
+    temperatureLine: "Temp. ({unit})",
+    pressureLine: "Presión ({unit})",
+    precipitationLine: "Precipitación (%)",
+  },
+  daily: {
+    title: "Pronóstico diario",
+    sunrise: "Amanecer:",
+    sunset: "Atardecer:",
+    daylight: "Luz del día:",
+    sunshine: "Sol:",
+    minTemp: "Temp. mín.",
+    maxTemp: "Temp. máx.",
+    temperatureGraph: "Gráfico de temperatura",
+  },
+  charts: {
+    showTable: "Ver tabla",
+    showChart: "Ver gráfico",
+    navigationHint:
+      "Usa las flechas izquierda y derecha para moverte entre los datos.",
+    time: "Hora",
+    day: "Día",
+    point: "{label} — {values}",
+    summary: {
+      temperatureRise:
+        "Las temperaturas suben de {from} a {to} hacia las {time}",
+      temperatureFall:
+        "Las temperaturas bajan de {from} a {to} hacia las {time}",
+      temperatureSteady: "Las temperaturas se mantienen cerca de {value}",
+      rainAfter: "probable lluvia a partir de las {time}",
+      rainUnlikely: "lluvia poco probable",
+      withRain: "{temperature}, {rain}.",
+      pressureRise: "La presión sube de {from} a {to} hacia las {time}.",
+      pressureFall: "La presión baja de {from} a {to} hacia las {time}.",
+      pressureSteady: "La presión se mantiene cerca de {value}.",
+      precipitationLikely:
+        "Probable lluvia a partir de las {time}, con probabilidades de hasta {max} %.",
+      precipitationUnlikely:
+        "Lluvia poco probable, con probabilidades de hasta {max} % a las {time}.",
+      daily:
+        "Máximas de {lowestHigh} a {highestHigh}, la más cálida el {warmestDay}; mínimas de {lowestLow} a {highestLow}, la más fría el {coolestDay}.",
+      aqi: "El ICA alcanza su máximo de {value} ({category}) a las {time}.",
+      pollutants: "Peor lectura: {name} con {value} ({category}) a las {time}.",
+      pollen:
+        "Nivel de polen más alto: {name} con {value} ({category}) a las {time}.",
+      historyWarmer:
+        "Las máximas previstas promedian {forecast}, {difference} más que los mismos días de {year} ({past}).",
+      historyCooler:
+        "Las máximas previstas promedian {forecast}, {difference} menos que los mismos días de {year} ({past}).",
+      historySimilar:
+        "Las máximas previstas promedian {forecast}, cerca de los mismos días de {year} ({past}).",
+      historyForecast: "Las máximas previstas promedian {forecast}.",
+      wavesRise: "Las olas crecen de {from} a {to} hacia {time}.",
+      wavesFall: "Las olas bajan de {from} a {to} hacia {time}.",
+      wavesSteady: "Las olas se mantienen cerca de {value}.",
+      tide: "Marea más alta {high} a las {highTime}; más baja {low} a las {lowTime}.",
+      seaTemperatureRise:
+        "La temperatura del mar sube de {from} a {to} hacia {time}.",
+      seaTemperatureFall:
+        "La temperatura del mar baja de {from} a {to} hacia {time}.",
+      seaTemperatureSteady:
+        "La temperatura del mar se mantiene cerca de {value}.",
+      compare:
+        "Máximo: {highName}, {high} a las {highTime}; mínimo: {lowName}, {low} a las {lowTime}.",
+    },
+  },
+  export: {
+    label: "Exportar:",
+    calendar: "Calendario (.ics)",
+    subscribe: "Suscribirse",
+    subscribeTitle:
+      "Suscríbete en tu aplicación de calendario para mantener el pronóstico al día",
+  },
+  history: {
+    title: "Comparado con años anteriores",
+    compareWith: "Comparar con:",
+    lastYear: "El año pasado",
+    lastYears: "Los últimos {count} años",
+    loading: "Cargando historial...",
+    error: "Los datos históricos no están disponibles en este momento.",
+    summary:
+      "Hoy: {todayMax} / {todayMin}. Este día el año pasado: {pastMax} / {pastMin}, {precipitation} de precipitación.",
+    maxForecast: "Temp. máx. (pronóstico)",
+    minForecast: "Temp. mín. (pronóstico)",
+    precipitationForecast: "Precipitación (pronóstico)",
+    maxYear: "Temp. máx. {year}",
+    minYear: "Temp. mín. {year}",
+    precipitationYear: "Precipitación {year}",
+    graph: "Gráfico de previsión y años anteriores",
+  },
+  indices: {
+    title: "Confort y riesgo",
+    heatIndex: {
+      name: "Índice de calor",
+      caution: "Precaución",
+      cautionInfo: "Posible fatiga con exposición y actividad prolongadas.",
+      extremeCaution: "Precaución extrema",
+      extremeCautionInfo:
+        "Posibles calambres y agotamiento por calor; descansa y bebe agua.",
+      danger: "Peligro",
+      dangerInfo:
+        "Agotamiento por calor probable y posible golpe de calor con actividad prolongada.",
+      extremeDanger: "Peligro extremo",
+      extremeDangerInfo:
+        "Golpe de calor muy probable; evita el esfuerzo al aire libre.",
+    },
+    windChill: {
+      name: "Sensación térmica por viento",
+      low: "Riesgo bajo",
+      lowInfo: "Ligero riesgo de congelación; abrígate.",
+      moderate: "Riesgo moderado",
+      moderateInfo:
+        "Cubre la piel expuesta; posible hipotermia tras mucho tiempo al aire libre.",
+      high: "Riesgo alto",
+      highInfo: "La piel expuesta puede congelarse en 10 a 30 minutos.",
+      veryHigh: "Riesgo muy alto",
+      veryHighInfo: "La piel expuesta puede congelarse en 5 a 10 minutos.",
+      extreme: "Riesgo extremo",
+      extremeInfo:
+        "La piel expuesta puede congelarse en menos de 5 minutos; quédate en casa si puedes.",
+    },
+    humidex: {
+      name: "Humidex",
+      comfortable: "Confortable",
+      comfortableInfo: "Poca o ninguna incomodidad.",
+      some: "Algo incómodo",
+      someInfo: "Cierta incomodidad al hacer esfuerzos.",
+      great: "Muy incómodo",
+      greatInfo: "Gran incomodidad; evita los esfuerzos.",
+      dangerous: "Peligroso",
+      dangerousInfo: "Peligroso; posible golpe de calor.",
+    },
+    wetBulbGlobe: {
+      name: "Temp. de globo y bulbo húmedo (aprox.)",
+      low: "Bajo",
+      lowInfo: "La actividad normal al aire libre es segura.",
+      moderate: "Moderado",
+      moderateInfo:
+        "Descansa a menudo y bebe agua durante la actividad intensa.",
+      high: "Alto",
+      highInfo:
+        "Limita el ejercicio intenso y descansa a la sombra con frecuencia.",
+      veryHigh: "Muy alto",
+      veryHighInfo:
+        "Solo actividad ligera; las personas sensibles al calor deben evitar el sol.",
+      extreme: "Extremo",
+      extremeInfo: "Detén la actividad intensa al aire libre.",
+    },
+    cloudBase: {
+      name: "Base de las nubes (est.)",
+    },
+    comfort: {
+      name: "Confort al aire libre",
+      score: "{score}/100",
+      veryPoor: "Muy malo",
+      veryPoorInfo: "Condiciones duras; mejor quedarse en casa.",
+      poor: "Malo",
+      poorInfo: "Incómodo al aire libre; vístete según el tiempo.",
+      fair: "Aceptable",
+      fairInfo: "Bien para salidas cortas.",
+      good: "Bueno",
+      goodInfo: "Agradable, con pequeños inconvenientes.",
+      excellent: "Excelente",
+      excellentInfo: "Condiciones ideales para estar al aire libre.",
+    },
+  },
+  airQuality: {
+    title: "Calidad del aire",
+    error:
+      "Los datos de calidad del aire no están disponibles en este momento.",
+    usAqi: "Índice de calidad del aire de EE. UU.",
+    noReading: "Sin lectura de ICA",
+    pollen: "Polen",
+    noPollen: "No hay datos de polen para esta ubicación.",
+    aqiGraph: "Gráfico de ICA",
+    aqiLine: "ICA EE. UU.",
+    pollutantsGraph: "Gráfico de contaminantes",
+    pollenGraph: "Gráfico de polen",
+    categories: {
+      good: "Buena",
+      moderate: "Moderada",
+      unhealthySensitive: "Dañina para grupos sensibles",
+      unhealthy: "Dañina",
+      veryUnhealthy: "Muy dañina",
+      hazardous: "Peligrosa",
+    },
+    pollenLevels: {
+      low: "Bajo",
+      moderate: "Moderado",
+      high: "Alto",
+      veryHigh: "Muy alto",
+    },
+    pollutants: {
+      pm25: "PM2.5",
+      pm10: "PM10",
+      ozone: "Ozono",
+      nitrogenDioxide: "NO₂",
+    },
+    pollenTypes: {
+      alderPollen: "Aliso",
+      birchPollen: "Abedul",
+      grassPollen: "Gramíneas",
+      mugwortPollen: "Artemisa",
+      olivePollen: "Olivo",
+      ragweedPollen: "Ambrosía",
+    },
+  },
+  marine: {
+    title: "Pronóstico marítimo",
+    waveHeight: "Altura de las olas",
+    wavePeriod: "Periodo de las olas",
+    waveDirection: "Dirección de las olas",
+    swellHeight: "Altura del mar de fondo",
+    swellPeriod: "Periodo del mar de fondo",
+    swellDirection: "Dirección del mar de fondo",
+    seaSurfaceTemperature: "Temperatura de la superficie del mar",
+    tideLevel: "Nivel de marea",
+    wavesGraph: "Gráfico de olas",
+    tideGraph: "Gráfico de mareas",
+    seaTemperatureGraph: "Gráfico de temperatura del mar",
+    waveHeightLine: "Altura de las olas ({unit})",
+    swellHeightLine: "Altura del mar de fondo ({unit})",
+    seaLevelLine: "Nivel del mar ({unit})",
+    seaTemperatureLine: "Temp. del mar ({unit})",
+  },
+  favorites: {
+    title: "Favoritos",
+    moveUp: "Subir {name}",
+    moveDown: "Bajar {name}",
+    remove: "Quitar {name} de favoritos",
+  },
+  alerts: {
+    title: "Alertas",
+    enableNotifications: "Activar notificaciones del navegador",
+    firedAt: "{rule} el {time}",
+    dismiss: "Descartar alerta",
+    deleteRule: "Eliminar la regla de alerta {rule}",
+    metric: "Medida",
+    comparison: "Comparación",
+    threshold: "Umbral",
+    location: "Ubicación",
+    allFavorites: "Todos los favoritos",
+    removedFavorite: "Favorito eliminado",
+    add: "Añadir alerta",
+    notificationTitle: "Alerta meteorológica: {name}",
+    saveError:
+      "Error al guardar la regla de alerta. Inténtalo de nuevo más tarde.",
+    deleteError:
+      "Error al eliminar la regla de alerta. Inténtalo de nuevo más tarde.",
+    metrics: {
+      temperature: "Temperatura",
+      apparentTemperature: "Sensación térmica",
+      precipitationProbability: "Probabilidad de precipitación",
+      precipitation: "Precipitación",
+      snowfall: "Nevada",
+      windSpeed: "Velocidad del viento",
+      windGusts: "Rachas de viento",
+      uvIndex: "Índice UV",
+      visibility: "Visibilidad",
+    },
+    operators: {
+      above: "por encima de",
+      below: "por debajo de",
+    },
+  },
+  map: {
+    title: "Mapa",
+    overlay: "Capa:",
+    picking: "Buscando ubicación...",
+    hint: "Haz clic en cualquier punto del mapa para ver el tiempo allí.",
+    overlays: {
+      none: "Ninguna",
+      temperature: "Temperatura",
+      precipitation: "Precipitación",
+    },
+  },
+  compare: {
+    title: "Comparar ubicaciones",
+    nextHours: "Próximas {count} horas",
+    daily: "Diario",
+    full: "Puedes comparar hasta {max} ubicaciones. Quita una para añadir otra.",
+    remove: "Quitar {name} de la comparación",
+    minimum: "Añade al menos {min} ubicaciones para comparar su tiempo.",
+    unavailable: "Pronóstico no disponible",
+    location: "Ubicación",
+    conditions: "Condiciones",
+    temperature: "Temperatura",
+    feelsLike: "Sensación térmica",
+    highLow: "Máx. / Mín.",
+    precipitation: "Precipitación",
+    wind: "Viento",
+    metrics: {
+      temperature: "Temperatura",
+      maxTemperature: "Temperatura máxima",
+      precipitation: "Precipitación",
+      windSpeed: "Velocidad del viento",
+      maxWindSpeed: "Velocidad máxima del viento",
+    },
+  },
+  weather: {
+    0: "Cielo despejado",
+    1: "Mayormente despejado",
+    2: "Parcialmente nublado",
+    3: "Cubierto",
+    45: "Niebla",
+    48: "Niebla con escarcha",
+    51: "Llovizna: intensidad ligera",
+    53: "Llovizna: intensidad moderada",
+    55: "Llovizna: intensidad densa",
+    56: "Llovizna helada: intensidad ligera",
+    57: "Llovizna helada: intensidad densa",
+    61: "Lluvia: intensidad ligera",
+    63: "Lluvia: intensidad moderada",
+    65: "Lluvia: intensidad fuerte",
+    66: "Lluvia helada: intensidad ligera",
+    67: "Lluvia helada: intensidad fuerte",
+    71: "Nevada: intensidad ligera",
+    73: "Nevada: intensidad moderada",
+    75: "Nevada: intensidad fuerte",
+    77: "Granos de nieve",
+    80: "Chubascos: intensidad ligera",
+    81: "Chubascos: intensidad moderada",
+    82: "Chubascos: intensidad violenta",
+    85: "Chubascos de nieve: intensidad ligera",
+    86: "Chubascos de nieve: intensidad fuerte",
+    95: "Tormenta: ligera o moderada",
+    96: "Tormenta con granizo ligero",
+    99: "Tormenta con granizo fuerte",
+    unknown: "Desconocido",
+  },
+};
@@ -0,0 +1,441 @@
+/**
+ * @file French catalog.
+ */
+
+export default {
+  app: {
+    title: "Open-Weather App",
+    subtitle: "Votre application météo toute simple",
+    forecastTab: "Prévisions",
+    compareTab: "Comparer des lieux",
+    loading: "Chargement...",
+    loadingComparison: "Chargement de la comparaison...",
+    loadingMap: "Chargement de la carte...",
+    loadingCards: "Chargement des cartes...",
+    offline:
+      "Vous êtes hors ligne. Météo mise à jour il y a {minutes} min ; elle sera actualisée dès votre retour en ligne.",
+    stale:
+      "La météo en direct est temporairement indisponible. Données d'il y a {minutes} min.",
+  },
+  errors: {
+    locationNotFound: "Lieu introuvable. Vérifiez votre recherche.",
+    weather:
+      "Erreur lors de la récupération de la météo. Veuillez réessayer plus tard.",
+    lookupFailed: "Impossible de rechercher ce lieu.",
+  },
+  common: {
+    show: "Afficher :",
+    weatherIcon: "Icône météo",
+  },
+  language: {
+    label: "Langue",
+  },
+  units: {
+    button: "Unités",
+    metric: "Métrique",
+    imperial: "Impérial",
+  },
+  quantities: {
+    temperature: "Température",
+    wind: "Vent",
+    precipitation: "Précipitations",
+    pressure: "Pression",
+    visibility: "Visibilité",
+  },
+  fields: {
+    feelsLike: "Ressenti",
+    humidity: "Humidité",
+    precipitation: "Précipitations",
+    cloudCover: "Couverture nuageuse",
+    surfacePressure: "Pression en surface",
+    windSpeed: "Vitesse du vent",
+    windDirection: "Direction du vent",
+    windGusts: "Rafales",
+    visibility: "Visibilité",
+    uvIndex: "Indice UV",
+  },
+  search: {
+    placeholder: "Rechercher un lieu...",
+    submit: "Rechercher",
+    useMyLocation: "Utiliser ma position",
+    locating: "Localisation...",
+    geolocationUnsupported:
+      "La géolocalisation n'est pas prise en charge par votre navigateur.",
+    lookupFailed: "Impossible de rechercher votre position.",
+    permissionDenied: "L'accès à la position a été refusé.",
+    positionUnavailable: "Impossible de déterminer votre position.",
+    label: "Rechercher un lieu",
+    suggestions: "Suggestions de lieux",
+    searching: "Recherche...",
+    noResults: "Aucun lieu correspondant.",
+    resultsOne:
+      "1 résultat disponible. Utilisez les flèches haut et bas pour le choisir.",
+    resultsOther:
+      "{count} résultats disponibles. Utilisez les flèches haut et bas pour en choisir un.",
+    recentTitle: "Recherches récentes",
+    clearRecent: "Effacer",
+    recentOne:
+      "1 recherche récente. Utilisez les flèches haut et bas pour la choisir.",
+    recentOther:
+      "{count} recherches récentes. Utilisez les flèches haut et bas pour en choisir une.",
+  },
+  current: {
+    addFavorite: "Ajouter aux favoris",
+    removeFavorite: "Retirer des favoris",
+    daylight: "Période :",
+    day: "Jour",
+    night: "Nuit",
+  },
+  forecastSummary: {
+    title: "Résumé",
+    today:
+      "Aujourd'hui ({condition}) : maximale {high} {temperatureUnit}, minimale {low} {temperatureUnit}.",
+    warmerThanYesterday: "{difference} {temperatureUnit} de plus qu'hier.",
+    coolerThanYesterday: "{difference} {temperatureUnit} de moins qu'hier.",
+    sameAsYesterday: "Températures proches de celles d'hier.",
+    temperatureRise:
+      "Les températures montent de {from} {temperatureUnit} à {to} {temperatureUnit} vers {time}.",
+    temperatureFall:
+      "Les températures baissent de {from} {temperatureUnit} à {to} {temperatureUnit} vers {time}.",
+    temperatureSteady:
+      "Les températures restent proches de {from} {temperatureUnit} pendant les {hours} prochaines heures.",
+    rainWindow:
+      "Pluie probable de {start} à {end}, avec {amount} {precipitationUnit} attendus.",
+    snowWindow:
+      "Neige probable de {start} à {end}, avec {amount} {precipitationUnit} attendus.",
+    dry: "Ni pluie ni neige attendue dans les {hours} prochaines heures.",
+    strongWind:
+      "Venteux, avec des rafales jusqu'à {gusts} {windUnit} vers {time}.",
+    severeWind: "Alerte vent : rafales jusqu'à {gusts} {windUnit} vers {time}.",
+  },
+  hourly: {
+    title: "Prévisions horaires",
+    hours: "{count} heures",
+    temperatureGraph: "Graphique des températures",
+    pressureGraph: "Graphique de la pression",
+    precipitationGraph: "Graphique des précipitations",
+    temperatureLine: "Temp. ({unit})",
+    pressureLine: "Pression ({unit})",
+    precipitationLine: "Précipitations (%)",
+  },
+  daily: {
+    title: "Prévisions quotidiennes",
+    sunrise: "Lever du soleil :",
+    sunset: "Coucher du soleil :",
+    daylight: "Durée du jour :",
+    sunshine: "Ensoleillement :",
+    minTemp: "Temp. min.",
+    maxTemp: "Temp. max.",
+    temperatureGraph: "Graphique des températures",
+  },
+  charts: {
+    showTable: "Afficher le tableau",
+    showChart: "Afficher le graphique",
+    navigationHint:
+      "Utilisez les flèches gauche et droite pour parcourir les points de données.",
+    time: "Heure",
+    day: "Jour",
+    point: "{label} — {values}",
+    summary: {
+      temperatureRise: "Les températures montent de {from} à {to} vers {time}",
+      temperatureFall: "Les températures baissent de {from} à {to} vers {time}",
+      temperatureSteady: "Les températures restent proches de {value}",
+      rainAfter: "pluie probable après {time}",
+      rainUnlikely: "pluie peu probable",
+      withRain: "{temperature}, {rain}.",
+      pressureRise: "La pression monte de {from} à {to} vers {time}.",
+      pressureFall: "La pression baisse de {from} à {to} vers {time}.",
+      pressureSteady: "La pression reste proche de {value}.",
+      precipitationLikely:
+        "Pluie probable après {time}, avec un risque jusqu'à {max} %.",
+      precipitationUnlikely:
+        "Pluie peu probable, avec un risque maximal de {max} % à {time}.",
+      daily:
+        "Maximales de {lowestHigh} à {highestHigh}, la plus chaude le {warmestDay} ; minimales de {lowestLow} à {highestLow}, la plus fraîche le {coolestDay}.",
+      aqi: "L'IQA culmine à {value} ({category}) à {time}.",
+      pollutants: "Pire mesure : {name} à {value} ({category}) à {time}.",
+      pollen: "Pollen le plus élevé : {name} à {value} ({category}) à {time}.",
+      historyWarmer:
+        "Les maximales prévues sont en moyenne de {forecast}, {difference} de plus que les mêmes jours en {year} ({past}).",
+      historyCooler:
+        "Les maximales prévues sont en moyenne de {forecast}, {difference} de moins que les mêmes jours en {year} ({past}).",
+      historySimilar:
+        "Les maximales prévues sont en moyenne de {forecast}, proches des mêmes jours en {year} ({past}).",
+      historyForecast: "Les maximales prévues sont en moyenne de {forecast}.",
+      wavesRise: "Les vagues grossissent de {from} à {to} d'ici {time}.",
+      wavesFall: "Les vagues diminuent de {from} à {to} d'ici {time}.",
+      wavesSteady: "Les vagues restent proches de {value}.",
+      tide: "Marée la plus haute {high} à {highTime} ; la plus basse {low} à {lowTime}.",
+      seaTemperatureRise:
+        "La température de la mer monte de {from} à {to} d'ici {time}.",
+      seaTemperatureFall:
+        "La température de la mer baisse de {from} à {to} d'ici {time}.",
+      seaTemperatureSteady: "La température de la mer reste proche de {value}.",
+      compare:
+        "Maximum : {highName}, {high} à {highTime} ; minimum : {lowName}, {low} à {lowTime}.",
+    },
+  },
+  export: {
+    label: "Exporter :",
+    calendar: "Calendrier (.ics)",
+    subscribe: "S'abonner",
+    subscribeTitle:
+      "Abonnez-vous dans votre agenda pour garder les prévisions à jour",
+  },
+  history: {
+    title: "Comparé aux années précédentes",
+    compareWith: "Comparer avec :",
+    lastYear: "L'année dernière",
+    lastYears: "Les {count} dernières années",
+    loading: "Chargement de l'historique...",
+    error: "Les données historiques sont indisponibles pour le moment.",
+    summary:
+      "Aujourd'hui : {todayMax} / {todayMin}. Ce jour-là l'an dernier : {pastMax} / {pastMin}, {precipitation} de précipitations.",
+    maxForecast: "Temp. max. (prévision)",
+    minForecast: "Temp. min. (prévision)",
+    precipitationForecast: "Précipitations (prévision)",
+    maxYear: "Temp. max. {year}",
+    minYear: "Temp. min. {year}",
+    precipitationYear: "Précipitations {year}",
+    graph: "Graphique des prévisions et des années passées",
+  },
+  indices: {
+    title: "Confort et risques",
+    heatIndex: {
+      name: "Indice de chaleur",
+      caution: "Prudence",
+      cautionInfo:
+        "Fatigue possible en cas d'exposition et d'activité prolongées.",
+      extremeCaution: "Prudence extrême",
+      extremeCautionInfo:
+        "Crampes et épuisement dus à la chaleur possibles ; faites des pauses et buvez de l'eau.",
+      danger: "Danger",
+      dangerInfo:
+        "Épuisement dû à la chaleur probable et coup de chaleur possible en cas d'activité prolongée.",
+      extremeDanger: "Danger extrême",
+      extremeDangerInfo:
+        "Coup de chaleur très probable ; évitez tout effort à l'extérieur.",
+    },
+    windChill: {
+      name: "Refroidissement éolien",
+      low: "Risque faible",
+      lowInfo: "Léger risque de gelure ; habillez-vous chaudement.",
+      moderate: "Risque modéré",
+      moderateInfo:
+        "Couvrez la peau exposée ; hypothermie possible après une longue période dehors.",
+      high: "Risque élevé",
+      highInfo: "La peau exposée peut geler en 10 à 30 minutes.",
+      veryHigh: "Risque très élevé",
+      veryHighInfo: "La peau exposée peut geler en 5 à 10 minutes.",
+      extreme: "Risque extrême",
+      extremeInfo:
+        "La peau exposée peut geler en moins de 5 minutes ; restez à l'intérieur si possible.",
+    },
+    humidex: {
+      name: "Humidex",
+      comfortable: "Confortable",
+      comfortableInfo: "Peu ou pas d'inconfort.",
+      some: "Un peu d'inconfort",
+      someInfo: "Un certain inconfort pendant l'effort.",
+      great: "Grand inconfort",
+      greatInfo: "Grand inconfort ; évitez les efforts.",
+      dangerous: "Dangereux",
+      dangerousInfo: "Dangereux ; coup de chaleur possible.",
+    },
+    wetBulbGlobe: {
+      name: "Temp. au thermomètre-globe mouillé (approx.)",
+      low: "Faible",
+      lowInfo: "L'activité normale en extérieur est sans risque.",
+      moderate: "Modéré",
+      moderateInfo:
+        "Faites des pauses régulières et buvez pendant les efforts intenses.",
+      high: "Élevé",
+      highInfo: "Limitez l'exercice intense et reposez-vous souvent à l'ombre.",
+      veryHigh: "Très élevé",
+      veryHighInfo:
+        "Activité légère uniquement ; les personnes sensibles à la chaleur doivent éviter le soleil.",
+      extreme: "Extrême",
+      extremeInfo: "Arrêtez toute activité intense en extérieur.",
+    },
+    cloudBase: {
+      name: "Base des nuages (est.)",
+    },
+    comfort: {
+      name: "Confort en extérieur",
+      score: "{score}/100",
+      veryPoor: "Très mauvais",
+      veryPoorInfo: "Conditions rudes ; prévoyez de rester à l'intérieur.",
+      poor: "Mauvais",
+      poorInfo: "Inconfortable dehors ; habillez-vous en conséquence.",
+      fair: "Passable",
+      fairInfo: "Convient pour de courtes sorties.",
+      good: "Bon",
+      goodInfo: "Agréable, avec quelques inconvénients.",
+      excellent: "Excellent",
+      excellentInfo: "Conditions idéales pour être dehors.",
+    },
+  },
+  airQuality: {
+    title: "Qualité de l'air",
+    error: "Les données de qualité de l'air sont indisponibles pour le moment.",
+    usAqi: "Indice de qualité de l'air américain",
+    noReading: "Aucune mesure de l'IQA",
+    pollen: "Pollen",
+    noPollen: "Aucune donnée de pollen pour ce lieu.",
+    aqiGraph: "Graphique de l'IQA",
+    aqiLine: "IQA US",
+    pollutantsGraph: "Graphique des polluants",
+    pollenGraph: "Graphique du pollen",
+    categories: {
+      good: "Bonne",
+      moderate: "Modérée",
+      unhealthySensitive: "Mauvaise pour les personnes sensibles",
+      unhealthy: "Mauvaise",
+      veryUnhealthy: "Très mauvaise",
+      hazardous: "Dangereuse",
+    },
+    pollenLevels: {
+      low: "Faible",
+      moderate: "Modéré",
+      high: "Élevé",
+      veryHigh: "Très élevé",
+    },
+    pollutants: {
+      pm25: "PM2,5",
+      pm10: "PM10",
+      ozone: "Ozone",
+      nitrogenDioxide: "NO₂",
+    },
+    pollenTypes: {
+      alderPollen: "Aulne",
+      birchPollen: "Bouleau",
+      grassPollen: "Graminées",
+      mugwortPollen: "Armoise",
+      olivePollen: "Olivier",
+      ragweedPollen: "Ambroisie",
+    },
+  },
+  marine: {
+    title: "Prévisions marines",
+    waveHeight: "Hauteur des vagues",
+    wavePeriod: "Période des vagues",
+    waveDirection: "Direction des vagues",
+    swellHeight: "Hauteur de la houle",
+    swellPeriod: "Période de la houle",
+    swellDirection: "Direction de la houle",
+    seaSurfaceTemperature: "Température de surface de la mer",
+    tideLevel: "Niveau de marée",
+    wavesGraph: "Graphique des vagues",
+    tideGraph: "Graphique des marées",
+    seaTemperatureGraph: "Graphique de la température de la mer",
+    waveHeightLine: "Hauteur des vagues ({unit})",
+    swellHeightLine: "Hauteur de la houle ({unit})",
+    seaLevelLine: "Niveau de la mer ({unit})",
+    seaTemperatureLine: "Temp. de la mer ({unit})",
+  },
+  favorites: {
+    title: "Favoris",
+    moveUp: "Monter {name}",
+    moveDown: "Descendre {name}",
+    remove: "Retirer {name} des favoris",
+  },
+  alerts: {
+    title: "Alertes",
+    enableNotifications: "Activer les notifications du navigateur",
+    firedAt: "{rule} le {time}",
+    dismiss: "Ignorer l'alerte",
+    deleteRule: "Supprimer la règle d'alerte {rule}",
+    metric: "Mesure",
+    comparison: "Comparaison",
+    threshold: "Seuil",
+    location: "Lieu",
+    allFavorites: "Tous les favoris",
+    removedFavorite: "Favori supprimé",
+    add: "Ajouter une alerte",
+    notificationTitle: "Alerte météo : {name}",
+    saveError:
+      "Erreur lors de l'enregistrement de la règle d'alerte. Veuillez réessayer plus tard.",
+    deleteError:
+      "Erreur lors de la suppression de la règle d'alerte. Veuillez réessayer plus tard.",
+    metrics: {
+      temperature: "Température",
+      apparentTemperature: "Ressenti",
+      precipitationProbability: "Probabilité de précipitations",
+      precipitation: "Précipitations",
+      snowfall: "Chute de neige",
+      windSpeed: "Vitesse du vent",
+      windGusts: "Rafales",
+      uvIndex: "Indice UV",
+      visibility: "Visibilité",
+    },
+    operators: {
+      above: "au-dessus de",
+      below: "en dessous de",
+    },
+  },
+  map: {
+    title: "Carte",
+    overlay: "Calque :",
+    picking: "Recherche du lieu...",
+    hint: "Cliquez n'importe où sur la carte pour voir la météo à cet endroit.",
+    overlays: {
+      none: "Aucun",
+      temperature: "Température",
+      precipitation: "Précipitations",
+    },
+  },
+  compare: {
+    title: "Comparer des lieux",
+    nextHours: "{count} prochaines heures",
+    daily: "Quotidien",
+    full: "Vous pouvez comparer jusqu'à {max} lieux. Retirez-en un pour en ajouter un autre.",
+    remove: "Retirer {name} de la comparaison",
+    minimum: "Ajoutez au moins {min} lieux pour comparer leur météo.",
+    unavailable: "Prévisions indisponibles",
+    location: "Lieu",
+    conditions: "Conditions",
+    temperature: "Température",
+    feelsLike: "Ressenti",
+    highLow: "Max. / Min.",
+    precipitation: "Précipitations",
+    wind: "Vent",
+    metrics: {
+      temperature: "Température",
+      maxTemperature: "Température maximale",
+      precipitation: "Précipitations",
+      windSpeed: "Vitesse du vent",
+      maxWindSpeed: "Vitesse maximale du vent",
+    },
+  },
+  weather: {
+    0: "Ciel dégagé",
+    1: "Plutôt dégagé",
+    2: "Partiellement nuageux",
+    3: "Couvert",
+    45: "Brouillard",
+    48: "Brouillard givrant",
+    51: "Bruine : intensité faible",
+    53: "Bruine : intensité modérée",
+    55: "Bruine : intensité forte",
+    56: "Bruine verglaçante : intensité faible",
+    57: "Bruine verglaçante : intensité forte",
+    61: "Pluie : intensité faible",
+    63: "Pluie : intensité modérée",
+    65: "Pluie : intensité forte",
+    66: "Pluie verglaçante : intensité faible",
+    67: "Pluie verglaçante : intensité forte",
+    71: "Chute de neige : intensité faible",
+    73: "Chute de neige : intensité modérée",
+    75: "Chute de neige : intensité forte",
+    77: "Neige en grains",
+    80: "Averses de pluie : intensité faible",
+    81: "Averses de pluie : intensité modérée",
+    82: "Averses de pluie : intensité violente",
+    85: "Averses de neige : intensité faible",
+    86: "Averses de neige : intensité forte",
+    95: "Orage : faible ou modéré",
+    96: "Orage avec grêle faible",
+    99: "Orage avec forte grêle",
+    unknown: "Inconnu",
+  },
+};
@@ -0,0 +1,82 @@
+/**
+ * sw.js
+ * Service worker that lets the app open without a network connection.
+ * Precaches the app shell, the built assets and the weather icon font; pages
+ * are fetched network-first so a deploy shows up as soon as the app is online.
+ * API requests are left to the network: the app keeps its own copy of the
+ * last forecast per location (see utils/offlineCache.js).
+ *
+ * The build (vite.config.js) replaces the two placeholders below with the
+ * list of built files and a version derived from their hashed names.
+ */
+
+const PRECACHE_FILES = self.__PRECACHE_FILES;
+const CACHE_NAME = `shell-${self.__CACHE_VERSION}`;
+
+// Files copied from public/, which the bundle list does not include
+const STATIC_FILES = [
+  "/",
+  "/vite.svg",
+  "/manifest.webmanifest",
+  "/icon.svg",
+  "/icon-192.png",
+  "/icon-512.png",
+  "/qweather-icons/qweather-icons.css",
+  "/qweather-icons/fonts/qweather-icons.woff2",
+  "/qweather-icons/fonts/qweather-icons.woff",
+  "/qweather-icons/fonts/qweather-icons.ttf",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll([...STATIC_FILES, ...PRECACHE_FILES]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of previous builds
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith("shell-") && name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // Only same-origin app files; API calls, widgets and map tiles go to the network
+  if (
+    request.method !== "GET" ||
+    url.origin !== self.location.origin ||
+    url.pathname.startsWith("/api/") ||
+    url.pathname.startsWith("/widget")
+  ) {
+    return;
+  }
+
+  // Pages: network first, falling back to the cached shell when offline
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match("/", { cacheName: CACHE_NAME }))
+    );
+    return;
+  }
+
+  // Assets: cache first; the font URLs carry a version query string
+  event.respondWith(
+    caches
+      .match(request, { cacheName: CACHE_NAME, ignoreSearch: true })
+      .then((cached) => cached || fetch(request))
+  );
+});
@@ -0,0 +1,138 @@
+/**
+ * @file Health categories for air quality readings from /api/air-quality.
+ * @module utils/airQuality
+ *
+ * AQI and pollutant categories follow the US EPA scale. Pollutant breakpoints
+ * are converted from the EPA's ppb values to μg/m³, the unit the API uses.
+ */
+
+/**
+ * US EPA AQI categories, from best to worst. `max` is the category's upper
+ * bound (inclusive); `label` is a catalog key (see utils/i18n); `className`
+ * colours a badge in the EPA colours.
+ */
+export const AQI_CATEGORIES = [
+  {
+    max: 50,
+    label: "airQuality.categories.good",
+    className: "bg-green-500 text-white",
+  },
+  {
+    max: 100,
+    label: "airQuality.categories.moderate",
+    className: "bg-yellow-300 text-gray-900",
+  },
+  {
+    max: 150,
+    label: "airQuality.categories.unhealthySensitive",
+    className: "bg-orange-500 text-white",
+  },
+  {
+    max: 200,
+    label: "airQuality.categories.unhealthy",
+    className: "bg-red-600 text-white",
+  },
+  {
+    max: 300,
+    label: "airQuality.categories.veryUnhealthy",
+    className: "bg-purple-700 text-white",
+  },
+  {
+    max: Infinity,
+    label: "airQuality.categories.hazardous",
+    className: "bg-rose-900 text-white",
+  },
+];
+
+/**
+ * Pollutants shown in the air quality card, named by the catalog's
+ * "airQuality.pollutants" section. `limits` are the upper bounds of the first
+ * five AQI categories, in μg/m³.
+ */
+export const POLLUTANTS = {
+  pm25: { limits: [9, 35.4, 55.4, 125.4, 225.4] },
+  pm10: { limits: [54, 154, 254, 354, 424] },
+  ozone: { limits: [106, 137, 167, 206, 392] },
+  nitrogenDioxide: { limits: [100, 188, 677, 1220, 2348] },
+};
+
+/**
+ * Pollen types the API models (Europe only), named by the catalog's
+ * "airQuality.pollenTypes" section.
+ */
+export const POLLEN_TYPES = [
+  "alderPollen",
+  "birchPollen",
+  "grassPollen",
+  "mugwortPollen",
+  "olivePollen",
+  "ragweedPollen",
+];
+
+/**
+ * Pollen count categories in grains/m³, from lowest to highest, shaped like
+ * {@link AQI_CATEGORIES}.
+ */
+export const POLLEN_CATEGORIES = [
+  {
+    max: 10,
+    label: "airQuality.pollenLevels.low",
+    className: "bg-green-500 text-white",
+  },
+  {
+    max: 50,
+    label: "airQuality.pollenLevels.moderate",
+    className: "bg-yellow-300 text-gray-900",
+  },
+  {
+    max: 200,
+    label: "airQuality.pollenLevels.high",
+    className: "bg-orange-500 text-white",
+  },
+  {
+    max: Infinity,
+    label: "airQuality.pollenLevels.veryHigh",
+    className: "bg-red-600 text-white",
+  },
+];
+
+/**
+ * Returns the category a value falls into.
+ * @param {object[]} categories - Categories with ascending `max` bounds.
+ * @param {number|null} value - Reading.
+ * @returns {object|null} The category, or null if there is no reading.
+ */
+const findCategory = (categories, value) =>
+  value === null || value === undefined
+    ? null
+    : categories.find((category) => value <= category.max);
+
+/**
+ * Returns the AQI category of a US AQI value.
+ * @param {number|null} aqi - US AQI.
+ * @returns {object|null} The category, or null if there is no reading.
+ */
+export const getAqiCategory = (aqi) => findCategory(AQI_CATEGORIES, aqi);
+
+/**
+ * Returns the AQI category of a pollutant concentration.
+ * @param {string} pollutant - Key of {@link POLLUTANTS}.
+ * @param {number|null} value - Concentration in μg/m³.
+ * @returns {object|null} The category, or null if there is no reading.
+ */
+export const getPollutantCategory = (pollutant, value) =>
+  findCategory(
+    AQI_CATEGORIES.map((category, index) => ({
+      ...category,
+      max: POLLUTANTS[pollutant].limits[index] ?? Infinity,
+    })),
+    value
+  );
+
+/**
+ * Returns the category of a pollen count.
+ * @param {number|null} value - Count in grains/m³.
+ * @returns {object|null} The category, or null if there is no reading.
+ */
+export const getPollenCategory = (value) =>
+  findCategory(POLLEN_CATEGORIES, value);
@@ -0,0 +1,119 @@
+/**
+ * @file Weather alert rules and their evaluation against hourly forecasts.
+ * @module utils/alerts
+ *
+ * A rule looks like
+ * `{id, metric: "windGusts", operator: "above", threshold: 60, unit: "kmh", locationId: null}`.
+ * The threshold is in the unit the user entered it in, so forecast values are
+ * converted to that unit before comparing.
+ */
+
+import {
+  METRIC_UNITS,
+  UNIT_OPTIONS,
+  convertUnit,
+  getUnitLabel,
+  getNextHourIndex,
+} from "./helpers";
+import { getTranslator } from "./i18n";
+
+// Hours ahead of now that are checked for alerts
+export const ALERT_WINDOW_HOURS = 48;
+
+/**
+ * Hourly fields a rule can watch, matching the backend's ALERT_METRICS, and
+ * named by the catalog's "alerts.metrics" section. `quantity` is the
+ * UNIT_OPTIONS key for convertible values; the others have a fixed `unit`.
+ */
+export const ALERT_METRICS = {
+  temperature: { quantity: "temperature" },
+  apparentTemperature: { quantity: "temperature" },
+  precipitationProbability: { unit: "%" },
+  precipitation: { quantity: "precipitation" },
+  snowfall: { unit: "cm" },
+  windSpeed: { quantity: "wind" },
+  windGusts: { quantity: "wind" },
+  uvIndex: { unit: "" },
+  visibility: { quantity: "visibility" },
+};
+
+/**
+ * Comparisons a rule can make, named by the catalog's "alerts.operators"
+ * section.
+ */
+export const ALERT_OPERATORS = ["above", "below"];
+
+/**
+ * Returns the unit a rule of a convertible metric compares in.
+ * Rules stored without a known unit fall back to the metric's default unit,
+ * so one bad rule cannot break the alerts of every location.
+ * @param {object} rule - Alert rule for a metric with a `quantity`.
+ * @returns {string} Key of UNIT_OPTIONS[quantity], e.g. "kmh".
+ */
+const getRuleUnit = (rule) => {
+  const { quantity } = ALERT_METRICS[rule.metric];
+  return UNIT_OPTIONS[quantity][rule.unit] ? rule.unit : METRIC_UNITS[quantity];
+};
+
+/**
+ * Returns the unit label a rule's threshold is expressed in.
+ * @param {object} rule - Alert rule.
+ * @returns {string} Unit label, e.g. "km/h" or "%".
+ */
+export const getRuleUnitLabel = (rule) => {
+  const metric = ALERT_METRICS[rule.metric];
+  return metric.quantity
+    ? getUnitLabel(metric.quantity, getRuleUnit(rule))
+    : metric.unit;
+};
+
+/**
+ * Describes a rule in words, e.g. "Wind gusts above 60 km/h".
+ * @param {object} rule - Alert rule.
+ * @param {string} language - Display language.
+ * @returns {string} Description.
+ */
+export const describeRule = (rule, language) => {
+  const t = getTranslator(language);
+  return `${t(`alerts.metrics.${rule.metric}`)} ${t(
+    `alerts.operators.${rule.operator}`,
+  )} ${rule.threshold} ${getRuleUnitLabel(rule)}`.trim();
+};
+
+/**
+ * Checks whether a rule applies to a favourite location.
+ * @param {object} rule - Alert rule.
+ * @param {object} location - Favourite with an `id`.
+ * @returns {boolean} True if the rule is for this location or for all of them.
+ */
+export const appliesTo = (rule, location) =>
+  !rule.locationId || rule.locationId === location.id;
+
+/**
+ * Finds the first hour in the alert window at which a rule fires.
+ * @param {object} rule - Alert rule.
+ * @param {object} forecast - Forecast from /api/weather.
+ * @returns {{time: string, value: number}|null} The hour and the value in the
+ *   rule's unit, or null if the rule does not fire.
+ */
+export const findAlertMatch = (rule, forecast) => {
+  const { hourly, timezone } = forecast;
+  const values = hourly[rule.metric];
+  if (!values) return null;
+  const metric = ALERT_METRICS[rule.metric];
+  const unit = metric.quantity ? getRuleUnit(rule) : null;
+  const start = getNextHourIndex(hourly.time, timezone);
+  const end = Math.min(start + ALERT_WINDOW_HOURS, hourly.time.length);
+  for (let i = start; i < end; i++) {
+    if (values[i] === null || values[i] === undefined) continue;
+    const value = metric.quantity
+      ? convertUnit(metric.quantity, values[i], unit)
+      : values[i];
+    const fires =
+      rule.operator === "above"
+        ? value > rule.threshold
+        : value < rule.threshold;
+    if (fires) return { time: hourly.time[i], value };
+  }
+  return null;
+};
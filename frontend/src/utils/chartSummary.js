@@ -0,0 +1,473 @@
+/**
+ * @file Plain-language summaries of the forecast charts, read out to screen
+ * reader users before the data points and shown as the chart's caption.
+ * @module utils/chartSummary
+ *
+ * Each summary takes the chart's rows, whose `time` is already formatted for
+ * display, a translator from utils/i18n and a formatter for values in the
+ * user's units.
+ */
+
+import {
+  AQI_CATEGORIES,
+  POLLEN_CATEGORIES,
+  POLLUTANTS,
+  getAqiCategory,
+  getPollenCategory,
+  getPollutantCategory,
+} from "./airQuality";
+
+// Precipitation probability (%) from which rain counts as likely
+export const RAIN_LIKELY_PROBABILITY = 50;
+
+/**
+ * Finds the largest move away from the first value.
+ * @param {Array<number|null>} values - Values in time order.
+ * @param {number} tolerance - Smallest change that is not "steady".
+ * @returns {{direction: string, from: number, to: number}|null} "rise",
+ *   "fall" or "steady", with the indexes of the start and of the extreme
+ *   reached; null with fewer than two values.
+ */
+export const getTrend = (values, tolerance) => {
+  const points = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => value !== null && value !== undefined);
+  if (points.length < 2) return null;
+  const [first] = points;
+  const max = points.reduce((a, b) => (b.value > a.value ? b : a));
+  const min = points.reduce((a, b) => (b.value < a.value ? b : a));
+  const rise = max.value - first.value;
+  const fall = first.value - min.value;
+  if (Math.max(rise, fall) < tolerance) {
+    return { direction: "steady", from: first.index, to: first.index };
+  }
+  return rise >= fall
+    ? { direction: "rise", from: first.index, to: max.index }
+    : { direction: "fall", from: first.index, to: min.index };
+};
+
+/**
+ * Describes how a quantity changes over the rows.
+ * @param {object[]} rows - Chart rows with `time` and the charted field.
+ * @param {string} field - The charted field.
+ * @param {string} prefix - Catalog key prefix; "Rise", "Fall" and "Steady"
+ *   are appended.
+ * @param {number} tolerance - Smallest change that is not "steady".
+ * @param {function} t - Translator.
+ * @param {function} format - Formats a value with its unit.
+ * @returns {string|null} The description, or null without enough data.
+ */
+const describeTrend = (rows, field, prefix, tolerance, t, format) => {
+  const trend = getTrend(
+    rows.map((row) => row[field]),
+    tolerance
+  );
+  if (!trend) return null;
+  if (trend.direction === "steady") {
+    return t(`${prefix}Steady`, { value: format(rows[trend.from][field]) });
+  }
+  return t(`${prefix}${trend.direction === "rise" ? "Rise" : "Fall"}`, {
+    from: format(rows[trend.from][field]),
+    to: format(rows[trend.to][field]),
+    time: rows[trend.to].time,
+  });
+};
+
+/**
+ * Describes when rain becomes likely.
+ * @param {object[]} rows - Chart rows with `time` and `precipitation` (%).
+ * @param {function} t - Translator.
+ * @returns {string} E.g. "rain likely after 6 PM".
+ */
+const describeRain = (rows, t) => {
+  const start = rows.find(
+    (row) => row.precipitation >= RAIN_LIKELY_PROBABILITY
+  );
+  return start
+    ? t("charts.summary.rainAfter", { time: start.time })
+    : t("charts.summary.rainUnlikely");
+};
+
+/**
+ * Summarizes the hourly temperature chart, with the chance of rain.
+ * @param {object[]} rows - Hourly chart rows.
+ * @param {function} t - Translator.
+ * @param {function} formatTemperature - Formats a temperature with its unit.
+ * @returns {string} E.g. "Temperatures rise from 12°C to 19°C by 3 PM, rain
+ *   likely after 6 PM."
+ */
+export const summarizeHourlyTemperature = (rows, t, formatTemperature) => {
+  const temperature = describeTrend(
+    rows,
+    "temperature",
+    "charts.summary.temperature",
+    1,
+    t,
+    formatTemperature
+  );
+  return temperature
+    ? t("charts.summary.withRain", {
+        temperature,
+        rain: describeRain(rows, t),
+      })
+    : "";
+};
+
+/**
+ * Summarizes the hourly pressure chart.
+ * @param {object[]} rows - Hourly chart rows.
+ * @param {function} t - Translator.
+ * @param {function} formatPressure - Formats a pressure with its unit.
+ * @param {number} tolerance - Smallest change worth mentioning, in the
+ *   chosen unit.
+ * @returns {string} E.g. "Pressure falls from 1016 hPa to 1008 hPa by 9 PM."
+ */
+export const summarizeHourlyPressure = (rows, t, formatPressure, tolerance) =>
+  describeTrend(
+    rows,
+    "pressureMsl",
+    "charts.summary.pressure",
+    tolerance,
+    t,
+    formatPressure
+  ) || "";
+
+/**
+ * Summarizes the hourly precipitation chance chart.
+ * @param {object[]} rows - Hourly chart rows.
+ * @param {function} t - Translator.
+ * @returns {string} E.g. "Rain likely after 6 PM, with chances up to 80%."
+ */
+export const summarizeHourlyPrecipitation = (rows, t) => {
+  const values = rows.filter((row) => row.precipitation !== null);
+  if (values.length === 0) return "";
+  const peak = values.reduce((a, b) =>
+    b.precipitation > a.precipitation ? b : a
+  );
+  const start = values.find(
+    (row) => row.precipitation >= RAIN_LIKELY_PROBABILITY
+  );
+  return start
+    ? t("charts.summary.precipitationLikely", {
+        time: start.time,
+        max: peak.precipitation,
+      })
+    : t("charts.summary.precipitationUnlikely", {
+        time: peak.time,
+        max: peak.precipitation,
+      });
+};
+
+/**
+ * Summarizes the daily min/max temperature chart.
+ * @param {object[]} rows - Daily chart rows with `maxTemp` and `minTemp`.
+ * @param {function} t - Translator.
+ * @param {function} formatTemperature - Formats a temperature with its unit.
+ * @returns {string} E.g. "Highs from 14°C to 21°C, warmest on Sat, Jun 7;
+ *   lows from 6°C to 11°C, coolest on Mon, Jun 2."
+ */
+export const summarizeDailyTemperature = (rows, t, formatTemperature) => {
+  const highs = rows.filter((row) => row.maxTemp !== null);
+  const lows = rows.filter((row) => row.minTemp !== null);
+  if (highs.length === 0 || lows.length === 0) return "";
+  const warmest = highs.reduce((a, b) => (b.maxTemp > a.maxTemp ? b : a));
+  const coolest = lows.reduce((a, b) => (b.minTemp < a.minTemp ? b : a));
+  return t("charts.summary.daily", {
+    lowestHigh: formatTemperature(Math.min(...highs.map((row) => row.maxTemp))),
+    highestHigh: formatTemperature(warmest.maxTemp),
+    warmestDay: warmest.time,
+    lowestLow: formatTemperature(coolest.minTemp),
+    highestLow: formatTemperature(Math.max(...lows.map((row) => row.minTemp))),
+    coolestDay: coolest.time,
+  });
+};
+
+/**
+ * Finds the row where a field peaks.
+ * @param {object[]} rows - Chart rows.
+ * @param {string} field - The charted field.
+ * @param {number} [sign=1] - 1 for the highest value, -1 for the lowest.
+ * @returns {object|null} The first row with the extreme value, or null
+ *   without data.
+ */
+const findPeak = (rows, field, sign = 1) =>
+  rows
+    .filter((row) => row[field] !== null && row[field] !== undefined)
+    .reduce(
+      (peak, row) =>
+        !peak || sign * row[field] > sign * peak[field] ? row : peak,
+      null
+    );
+
+/**
+ * Finds the reading in the worst health category across several fields.
+ * Within that category the highest value of the first field found wins.
+ * @param {object[]} rows - Chart rows.
+ * @param {string[]} fields - Charted fields.
+ * @param {function} getCategory - Returns the category of a field's value.
+ * @param {object[]} categories - The categories, from best to worst.
+ * @returns {{field: string, row: object, category: object}|null} The
+ *   reading, or null without data.
+ */
+const findWorstReading = (rows, fields, getCategory, categories) => {
+  let worst = null;
+  fields.forEach((field) => {
+    rows.forEach((row) => {
+      const category = getCategory(field, row[field]);
+      if (!category) return;
+      const rank = categories.findIndex(
+        ({ label }) => label === category.label
+      );
+      if (
+        !worst ||
+        rank > worst.rank ||
+        (rank === worst.rank &&
+          field === worst.field &&
+          row[field] > worst.row[field])
+      ) {
+        worst = { field, row, category, rank };
+      }
+    });
+  });
+  return worst;
+};
+
+/**
+ * Summarizes the hourly AQI chart.
+ * @param {object[]} rows - Hourly chart rows with `usAqi`.
+ * @param {function} t - Translator.
+ * @returns {string} E.g. "The AQI peaks at 72 (Moderate) at 3 PM."
+ */
+export const summarizeAirQuality = (rows, t) => {
+  const peak = findPeak(rows, "usAqi");
+  return peak
+    ? t("charts.summary.aqi", {
+        value: peak.usAqi,
+        category: t(getAqiCategory(peak.usAqi).label),
+        time: peak.time,
+      })
+    : "";
+};
+
+/**
+ * Summarizes the hourly pollutants chart by its worst reading.
+ * @param {object[]} rows - Hourly chart rows with a field per pollutant.
+ * @param {function} t - Translator.
+ * @param {function} formatConcentration - Formats a concentration with its
+ *   unit.
+ * @returns {string} E.g. "Worst reading: Ozone at 120 μg/m³ (Unhealthy for
+ *   Sensitive Groups) at 4 PM."
+ */
+export const summarizePollutants = (rows, t, formatConcentration) => {
+  const worst = findWorstReading(
+    rows,
+    Object.keys(POLLUTANTS),
+    getPollutantCategory,
+    AQI_CATEGORIES
+  );
+  return worst
+    ? t("charts.summary.pollutants", {
+        name: t(`airQuality.pollutants.${worst.field}`),
+        value: formatConcentration(worst.row[worst.field]),
+        category: t(worst.category.label),
+        time: worst.row.time,
+      })
+    : "";
+};
+
+/**
+ * Summarizes the hourly pollen chart by its highest level.
+ * @param {object[]} rows - Hourly chart rows with a field per pollen type.
+ * @param {function} t - Translator.
+ * @param {string[]} types - Charted pollen types.
+ * @param {function} formatCount - Formats a pollen count with its unit.
+ * @returns {string} E.g. "Highest pollen level: Grass at 60 grains/m³
+ *   (High) at 2 PM."
+ */
+export const summarizePollen = (rows, t, types, formatCount) => {
+  const worst = findWorstReading(
+    rows,
+    types,
+    (field, value) => getPollenCategory(value),
+    POLLEN_CATEGORIES
+  );
+  return worst
+    ? t("charts.summary.pollen", {
+        name: t(`airQuality.pollenTypes.${worst.field}`),
+        value: formatCount(worst.row[worst.field]),
+        category: t(worst.category.label),
+        time: worst.row.time,
+      })
+    : "";
+};
+
+/**
+ * Averages a field over the rows that have it.
+ * @param {object[]} rows - Chart rows.
+ * @param {string} field - The charted field.
+ * @returns {number|null} The average, or null without data.
+ */
+const average = (rows, field) => {
+  const values = rows
+    .map((row) => row[field])
+    .filter((value) => value !== null && value !== undefined);
+  return values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+};
+
+/**
+ * Summarizes the history chart by comparing the forecast highs with the
+ * same days a year earlier.
+ * @param {object[]} rows - Daily chart rows with `maxTemp` and
+ *   `maxTemp<year>`.
+ * @param {function} t - Translator.
+ * @param {function} formatTemperature - Formats a temperature with its unit.
+ * @param {number} year - The past year compared with.
+ * @param {number} tolerance - Smallest difference that is not "similar", in
+ *   the chosen unit.
+ * @returns {string} E.g. "Forecast highs average 18 °C, 3 °C warmer than
+ *   the same days in 2024 (15 °C)."
+ */
+export const summarizeHistory = (
+  rows,
+  t,
+  formatTemperature,
+  year,
+  tolerance
+) => {
+  const pastField = `maxTemp${year}`;
+  // Only days with both values are compared
+  const compared = rows.filter(
+    (row) =>
+      row.maxTemp !== null &&
+      row[pastField] !== null &&
+      row[pastField] !== undefined
+  );
+  if (compared.length === 0) {
+    const forecast = average(rows, "maxTemp");
+    return forecast === null
+      ? ""
+      : t("charts.summary.historyForecast", {
+          forecast: formatTemperature(forecast),
+        });
+  }
+  const forecast = average(compared, "maxTemp");
+  const past = average(compared, pastField);
+  const difference = forecast - past;
+  const values = {
+    forecast: formatTemperature(forecast),
+    past: formatTemperature(past),
+    difference: formatTemperature(Math.abs(difference)),
+    year,
+  };
+  if (Math.abs(difference) < tolerance) {
+    return t("charts.summary.historySimilar", values);
+  }
+  return t(
+    difference > 0
+      ? "charts.summary.historyWarmer"
+      : "charts.summary.historyCooler",
+    values
+  );
+};
+
+/**
+ * Summarizes the hourly wave chart.
+ * @param {object[]} rows - Hourly chart rows with `waveHeight`.
+ * @param {function} t - Translator.
+ * @param {function} formatHeight - Formats a height with its unit.
+ * @returns {string} E.g. "Waves build from 0.8 m to 2.1 m by Sat 6 AM."
+ */
+export const summarizeWaves = (rows, t, formatHeight) =>
+  // Changes under 0.3 m are reported as steady
+  describeTrend(
+    rows,
+    "waveHeight",
+    "charts.summary.waves",
+    0.3,
+    t,
+    formatHeight
+  ) || "";
+
+/**
+ * Summarizes the hourly tide chart by its highest and lowest levels.
+ * @param {object[]} rows - Hourly chart rows with `seaLevelHeight`.
+ * @param {function} t - Translator.
+ * @param {function} formatHeight - Formats a height with its unit.
+ * @returns {string} E.g. "Highest tide 1.2 m at Fri 2 PM; lowest -1.1 m at
+ *   Fri 8 PM."
+ */
+export const summarizeTide = (rows, t, formatHeight) => {
+  const high = findPeak(rows, "seaLevelHeight");
+  const low = findPeak(rows, "seaLevelHeight", -1);
+  return high
+    ? t("charts.summary.tide", {
+        high: formatHeight(high.seaLevelHeight),
+        highTime: high.time,
+        low: formatHeight(low.seaLevelHeight),
+        lowTime: low.time,
+      })
+    : "";
+};
+
+/**
+ * Summarizes the hourly sea-surface temperature chart.
+ * @param {object[]} rows - Hourly chart rows with `seaSurfaceTemperature`.
+ * @param {function} t - Translator.
+ * @param {function} formatTemperature - Formats a temperature with its unit.
+ * @param {number} tolerance - Smallest change that is not "steady", in the
+ *   chosen unit.
+ * @returns {string} E.g. "Sea temperature holds near 17 °C."
+ */
+export const summarizeSeaTemperature = (
+  rows,
+  t,
+  formatTemperature,
+  tolerance
+) =>
+  describeTrend(
+    rows,
+    "seaSurfaceTemperature",
+    "charts.summary.seaTemperature",
+    tolerance,
+    t,
+    formatTemperature
+  ) || "";
+
+/**
+ * Summarizes a comparison chart by its highest and lowest values across
+ * locations.
+ * @param {object[]} rows - Chart rows with a field per location.
+ * @param {function} t - Translator.
+ * @param {Object[]} series - Charted lines with `dataKey` and the location
+ *   `name`.
+ * @param {function} format - Formats a value with its unit.
+ * @returns {string} E.g. "Highest: Madrid, 31 °C at Sat 3 PM; lowest: Oslo,
+ *   9 °C at Fri 5 AM."
+ */
+export const summarizeComparison = (rows, t, series, format) => {
+  const peaks = series
+    .map(({ dataKey, name }) => ({
+      name,
+      dataKey,
+      high: findPeak(rows, dataKey),
+      low: findPeak(rows, dataKey, -1),
+    }))
+    .filter(({ high }) => high);
+  if (peaks.length === 0) return "";
+  const highest = peaks.reduce((a, b) =>
+    b.high[b.dataKey] > a.high[a.dataKey] ? b : a
+  );
+  const lowest = peaks.reduce((a, b) =>
+    b.low[b.dataKey] < a.low[a.dataKey] ? b : a
+  );
+  return t("charts.summary.compare", {
+    highName: highest.name,
+    high: format(highest.high[highest.dataKey]),
+    highTime: highest.high.time,
+    lowName: lowest.name,
+    low: format(lowest.low[lowest.dataKey]),
+    lowTime: lowest.low.time,
+  });
+};
@@ -0,0 +1,40 @@
+/**
+ * @file Builds download links for /api/weather/export.
+ * @module utils/export
+ */
+
+/**
+ * Returns the export URL for the shown forecast in the user's chosen units.
+ * @param {object} weatherData - Forecast from /api/weather.
+ * @param {object} options
+ * @param {string} options.format - "csv", "json" or "ics".
+ * @param {string} [options.period] - "hourly" or "daily"; not needed for "ics".
+ * @param {number} [options.hours] - Number of hourly rows.
+ * @param {object} options.units - Chosen unit per quantity (see UNIT_OPTIONS).
+ * @param {string} [options.name] - Location name for the file and calendar.
+ * @returns {string} The path and query of the export.
+ */
+export const getExportUrl = (
+  weatherData,
+  { format, period, hours, units, name }
+) => {
+  const params = new URLSearchParams({
+    latitude: weatherData.latitude,
+    longitude: weatherData.longitude,
+    timezone: weatherData.timezone,
+    format,
+    ...units,
+  });
+  if (period) params.set("period", period);
+  if (hours) params.set("hours", hours);
+  if (name) params.set("name", name);
+  return `/api/weather/export?${params}`;
+};
+
+/**
+ * Turns an export URL into a webcal:// link that calendar apps subscribe to.
+ * @param {string} url - Path from {@link getExportUrl}.
+ * @returns {string} The subscription link.
+ */
+export const getSubscribeUrl = (url) =>
+  `webcal://${window.location.host}${url}`;
@@ -0,0 +1,57 @@
+/**
+ * @file Display of the forecast summary served by GET /api/summary.
+ * @module utils/forecastSummary
+ *
+ * The API returns sentences with an `id`, their `values` (already in the
+ * chosen units) and an English `text`. Sentences are translated by id from
+ * the `forecastSummary` catalog section, with numbers, times and weather
+ * codes formatted for the display language.
+ */
+
+import { getWeatherDescription } from "./helpers";
+import { getTranslator } from "./i18n";
+
+// Values holding local times (YYYY-MM-DDTHH:mm)
+const TIME_VALUES = ["time", "start", "end"];
+
+/**
+ * Formats one value of a sentence for display.
+ * @param {string} name - Value name, e.g. "high" or "start".
+ * @param {number|string} value - The value from the API.
+ * @param {string} language - Display language.
+ * @returns {string} The formatted value.
+ */
+const formatValue = (name, value, language) => {
+  if (name === "condition") return getWeatherDescription(value, language);
+  if (TIME_VALUES.includes(name)) {
+    return new Date(value).toLocaleTimeString(language, {
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  }
+  return typeof value === "number" ? value.toLocaleString(language) : value;
+};
+
+/**
+ * Turns summary sentences into text in the display language.
+ * Sentences without a translation keep the API's English text.
+ * @param {Object[]} sentences - Sentences from GET /api/summary.
+ * @param {string} language - Display language.
+ * @returns {string} The summary.
+ */
+export const formatSummary = (sentences, language) => {
+  const t = getTranslator(language);
+  return sentences
+    .map(({ id, values, text }) => {
+      const key = `forecastSummary.${id}`;
+      const formatted = Object.fromEntries(
+        Object.entries(values).map(([name, value]) => [
+          name,
+          formatValue(name, value, language),
+        ])
+      );
+      const translated = t(key, formatted);
+      return translated === key ? text : translated;
+    })
+    .join(" ");
+};
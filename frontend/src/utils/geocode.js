@@ -0,0 +1,74 @@
+/**
+ * @file Turns place names and coordinates into location suggestions via
+ * /api/geocode and /api/reverse-geocode.
+ * @module utils/geocode
+ */
+
+import axios from "axios";
+
+/**
+ * Looks up the places matching a name, best first.
+ * @param {string} query - Place name typed by the user.
+ * @param {object} [options]
+ * @param {string} [options.language] - Language for the place names, e.g. "fr".
+ * @param {{lat: number, lng: number}|null} [options.near] - The user's
+ *   position, to rank nearby places higher. Rounded to about 10 km so nearby
+ *   users share cached results.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @returns {Promise<object[]>} The /api/geocode results.
+ */
+export const searchLocations = async (
+  query,
+  { language, near, signal } = {}
+) => {
+  const response = await axios.get("/api/geocode", {
+    params: {
+      query,
+      language,
+      near: near ? `${near.lat.toFixed(1)},${near.lng.toFixed(1)}` : undefined,
+    },
+    signal,
+  });
+  return response.data.results || [];
+};
+
+/**
+ * Looks up the best match for a place name.
+ * @param {string} query - Place name typed by the user.
+ * @param {string} [language] - Language for the place name, e.g. "fr".
+ * @returns {Promise<object|null>} The first /api/geocode result, or null if nothing matches.
+ */
+export const geocode = async (query, language) => {
+  const [first] = await searchLocations(query, { language });
+  return first || null;
+};
+
+/**
+ * Looks up the place at the given coordinates.
+ * The suggestion keeps the exact coordinates, since the place's centre may be
+ * kilometres away; where nothing is found (e.g. open sea) it is named after
+ * the coordinates.
+ * @param {number} lat - Latitude in decimal degrees.
+ * @param {number} lng - Longitude in decimal degrees.
+ * @param {string} [fallbackTimezone="UTC"] - Timezone to use when no place is found.
+ * @param {string} [language] - Language for the place name, e.g. "fr".
+ * @returns {Promise<object>} A suggestion in the shape of /api/geocode results.
+ */
+export const reverseGeocode = async (
+  lat,
+  lng,
+  fallbackTimezone = "UTC",
+  language
+) => {
+  const response = await axios.get("/api/reverse-geocode", {
+    params: { lat, lng, language },
+  });
+  const [place] = response.data.results;
+  return place
+    ? { ...place, geometry: { lat, lng } }
+    : {
+        formatted: `${lat.toFixed(4)}, ${lng.toFixed(4)}`,
+        timezone: fallbackTimezone,
+        geometry: { lat, lng },
+      };
+};
@@ -18,10 +18,13 @@ export const convertVisibilityToMiles = (metres) => metres / 1609.344;
  * Conversion, mapping, and formatting utilities for weather data.
  */
 
+import { DEFAULT_LANGUAGE, getTranslator } from "./i18n";
+
 // Conversion factors for metric to imperial units
 const KMH_TO_MPH = 1.60934; // km/h to mph
 const MM_TO_IN = 25.4; // mm to inches
 const HPA_TO_INHG = 0.02953; // hPa to inHg
+const HPA_TO_MMHG = 0.750062; // hPa to mmHg
 
 /**
  * Converts temperature from Celsius to Fahrenheit.
@@ -52,46 +55,129 @@ export const convertPrecipitation = (precipitation) => precipitation / MM_TO_IN;
 export const convertPressure = (pressure) => pressure * HPA_TO_INHG;
 
 /**
- * Returns a description for a given weather code (WMO).
+ * Beaufort scale upper bounds in km/h for forces 0 to 11; anything faster is force 12.
+ */
+const BEAUFORT_LIMITS_KMH = [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118];
+
+/**
+ * Converts speed from km/h to the Beaufort scale.
+ * @param {number} speed - Speed in km/h.
+ * @returns {number} Beaufort force, 0 to 12.
+ */
+export const convertSpeedToBeaufort = (speed) => {
+  const force = BEAUFORT_LIMITS_KMH.findIndex((limit) => speed < limit);
+  return force === -1 ? 12 : force;
+};
+
+/**
+ * Selectable units per quantity. API values are always in the first (metric)
+ * base unit: °C, km/h, mm, hPa and metres for visibility.
+ * Each option has a display label, a conversion from the base unit and the
+ * number of decimals to show.
+ */
+export const UNIT_OPTIONS = {
+  temperature: {
+    C: { label: "°C", convert: (t) => t, precision: 1 },
+    F: { label: "°F", convert: convertTemperature, precision: 1 },
+    K: { label: "K", convert: (t) => t + 273.15, precision: 1 },
+  },
+  wind: {
+    kmh: { label: "km/h", convert: (v) => v, precision: 1 },
+    mph: { label: "mph", convert: convertSpeed, precision: 1 },
+    ms: { label: "m/s", convert: (v) => v / 3.6, precision: 1 },
+    kn: { label: "kn", convert: (v) => v / 1.852, precision: 1 },
+    bft: { label: "Bft", convert: convertSpeedToBeaufort, precision: 0 },
+  },
+  precipitation: {
+    mm: { label: "mm", convert: (v) => v, precision: 1 },
+    in: { label: "in", convert: convertPrecipitation, precision: 2 },
+  },
+  pressure: {
+    hPa: { label: "hPa", convert: (v) => v, precision: 0 },
+    inHg: { label: "inHg", convert: convertPressure, precision: 2 },
+    mmHg: { label: "mmHg", convert: (v) => v * HPA_TO_MMHG, precision: 0 },
+    kPa: { label: "kPa", convert: (v) => v / 10, precision: 1 },
+  },
+  visibility: {
+    km: { label: "km", convert: convertVisibilityToKm, precision: 1 },
+    mi: { label: "mi", convert: convertVisibilityToMiles, precision: 1 },
+    m: { label: "m", convert: (v) => v, precision: 0 },
+  },
+};
+
+/**
+ * Unit preset matching the former "Metric" setting.
+ */
+export const METRIC_UNITS = {
+  temperature: "C",
+  wind: "kmh",
+  precipitation: "mm",
+  pressure: "hPa",
+  visibility: "km",
+};
+
+/**
+ * Unit preset matching the former "Imperial" setting.
+ */
+export const IMPERIAL_UNITS = {
+  temperature: "F",
+  wind: "mph",
+  precipitation: "in",
+  pressure: "inHg",
+  visibility: "mi",
+};
+
+/**
+ * Checks that unit preferences name a known unit for every quantity.
+ * @param {object} units - Candidate unit preferences.
+ * @returns {boolean} True if the preferences are complete and valid.
+ */
+export const isValidUnits = (units) =>
+  Boolean(units) &&
+  Object.keys(UNIT_OPTIONS).every(
+    (quantity) => UNIT_OPTIONS[quantity][units[quantity]] !== undefined
+  );
+
+/**
+ * Converts a value from its API base unit to the chosen unit.
+ * @param {string} quantity - Key of {@link UNIT_OPTIONS}, e.g. "wind".
+ * @param {number | null | undefined} value - Value in the base unit.
+ * @param {string} unit - Chosen unit, e.g. "kn".
+ * @returns {number | null} Converted value, or null if there is no value.
+ */
+export const convertUnit = (quantity, value, unit) => {
+  if (value === null || value === undefined) return null;
+  return UNIT_OPTIONS[quantity][unit].convert(value);
+};
+
+/**
+ * Returns the display label of a unit.
+ * @param {string} quantity - Key of {@link UNIT_OPTIONS}.
+ * @param {string} unit - Chosen unit.
+ * @returns {string} Label such as "°C" or "km/h".
+ */
+export const getUnitLabel = (quantity, unit) =>
+  UNIT_OPTIONS[quantity][unit].label;
+
+/**
+ * Returns a description for a given weather code (WMO), from the language's
+ * catalog.
  * Memoized for performance.
  * @param {number} code - Weather code from the API.
+ * @param {string} [language=DEFAULT_LANGUAGE] - Language of the description.
  * @returns {string} Weather description.
  */
 const weatherDescriptionCache = {};
-const descriptions = {
-  0: "Clear sky",
-  1: "Mainly clear",
-  2: "Partly cloudy",
-  3: "Overcast",
-  45: "Fog",
-  48: "Depositing rime fog",
-  51: "Drizzle: Light intensity",
-  53: "Drizzle: Moderate intensity",
-  55: "Drizzle: Dense intensity",
-  56: "Freezing Drizzle: Light intensity",
-  57: "Freezing Drizzle: Dense intensity",
-  61: "Rain: Slight intensity",
-  63: "Rain: Moderate intensity",
-  65: "Rain: Heavy intensity",
-  66: "Freezing Rain: Light intensity",
-  67: "Freezing Rain: Heavy intensity",
-  71: "Snow fall: Slight intensity",
-  73: "Snow fall: Moderate intensity",
-  75: "Snow fall: Heavy intensity",
-  77: "Snow grains",
-  80: "Rain showers: Slight intensity",
-  81: "Rain showers: Moderate intensity",
-  82: "Rain showers: Violent intensity",
-  85: "Snow showers: Slight intensity",
-  86: "Snow showers: Heavy intensity",
-  95: "Thunderstorm: Slight or moderate",
-  96: "Thunderstorm with slight hail",
-  99: "Thunderstorm with heavy hail",
-};
-export const getWeatherDescription = (code) => {
-  if (weatherDescriptionCache[code]) return weatherDescriptionCache[code];
-  const desc = descriptions[code] || "Unknown";
-  weatherDescriptionCache[code] = desc;
+export const getWeatherDescription = (code, language = DEFAULT_LANGUAGE) => {
+  const cacheKey = `${language}_${code}`;
+  if (weatherDescriptionCache[cacheKey]) {
+    return weatherDescriptionCache[cacheKey];
+  }
+  const t = getTranslator(language);
+  const key = `weather.${code}`;
+  const translated = t(key);
+  const desc = translated === key ? t("weather.unknown") : translated;
+  weatherDescriptionCache[cacheKey] = desc;
   return desc;
 };
 
@@ -159,3 +245,28 @@ export const formatDuration = (durationInSeconds) => {
   if (seconds > 0) formattedDuration += `${seconds}s`;
   return formattedDuration.trim();
 };
+
+/**
+ * Finds the first hourly forecast entry after the current hour at a location.
+ * Forecast times are local to the location, without a UTC offset.
+ * @param {string[]} times - Hourly forecast times.
+ * @param {string} timezone - IANA timezone of the location.
+ * @returns {number} Index of the next hour, or 0 if the current hour is not in `times`.
+ */
+export const getNextHourIndex = (times, timezone) => {
+  // Get the current time at the location using native JS
+  const nowLocal = new Date(
+    new Date().toLocaleString("en-US", { timeZone: timezone })
+  );
+  // Find the index where year, month, day, and hour exactly match the current local time
+  const index = times.findIndex((time) => {
+    const forecastDate = new Date(time);
+    return (
+      forecastDate.getFullYear() === nowLocal.getFullYear() &&
+      forecastDate.getMonth() === nowLocal.getMonth() &&
+      forecastDate.getDate() === nowLocal.getDate() &&
+      forecastDate.getHours() === nowLocal.getHours()
+    );
+  });
+  return index + 1; // Start from the next hour
+};
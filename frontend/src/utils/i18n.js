@@ -0,0 +1,104 @@
+/**
+ * @file Translation catalogs and locale-aware formatting.
+ * @module utils/i18n
+ *
+ * Catalogs live in src/locales, one per language, as nested objects of
+ * strings. Keys are dotted paths such as "hourly.title"; `{name}`
+ * placeholders are filled from the values passed to the translator.
+ * Missing translations fall back to English, then to the key itself, so
+ * messages that are already text (e.g. errors from the backend) pass
+ * through unchanged.
+ */
+
+import en from "../locales/en";
+import es from "../locales/es";
+import fr from "../locales/fr";
+import de from "../locales/de";
+
+const CATALOGS = { en, es, fr, de };
+
+/**
+ * Supported languages and their names in their own language, for the picker.
+ */
+export const LANGUAGES = {
+  en: "English",
+  es: "Español",
+  fr: "Français",
+  de: "Deutsch",
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+/**
+ * Checks that a language is supported.
+ * @param {string} language - Candidate language code.
+ * @returns {boolean} True if there is a catalog for the language.
+ */
+export const isValidLanguage = (language) =>
+  Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+/**
+ * Picks the first supported language from the browser's preferences.
+ * @returns {string} A key of {@link LANGUAGES}.
+ */
+export const detectLanguage = () => {
+  const preferred = navigator.languages || [navigator.language];
+  const match = preferred
+    .map((tag) => String(tag).split("-")[0].toLowerCase())
+    .find(isValidLanguage);
+  return match || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Looks up a dotted key in a catalog.
+ * @param {object} catalog - Nested catalog object.
+ * @param {string} key - Dotted key, e.g. "hourly.title".
+ * @returns {string|undefined} The message, if the catalog has it.
+ */
+const lookup = (catalog, key) => {
+  const message = key
+    .split(".")
+    .reduce((node, part) => (node ? node[part] : undefined), catalog);
+  return typeof message === "string" ? message : undefined;
+};
+
+/**
+ * Translators by language, created once each.
+ * @type {Object<string, function>}
+ */
+const translators = {};
+
+/**
+ * Returns the translation function for a language.
+ * @param {string} language - A key of {@link LANGUAGES}.
+ * @returns {(key: string, values?: object) => string} Translates a key,
+ *   filling `{name}` placeholders from `values`.
+ */
+export const getTranslator = (language) => {
+  if (!translators[language]) {
+    const catalog = CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+    translators[language] = (key, values = {}) => {
+      const message =
+        lookup(catalog, key) ?? lookup(CATALOGS[DEFAULT_LANGUAGE], key) ?? key;
+      return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+        values[name] !== undefined ? String(values[name]) : placeholder
+      );
+    };
+  }
+  return translators[language];
+};
+
+/**
+ * Formats a number for a language with a fixed number of decimals.
+ * @param {number|null|undefined} value - The number.
+ * @param {string} language - A key of {@link LANGUAGES}.
+ * @param {number} [decimals=0] - Decimal places to show.
+ * @returns {string} The formatted number, or "" without a value.
+ */
+export const formatNumber = (value, language, decimals = 0) =>
+  value === null || value === undefined
+    ? ""
+    : Number(value).toLocaleString(language, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+      });
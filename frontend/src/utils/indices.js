@@ -0,0 +1,368 @@
+/**
+ * @file Derived meteorological indices: heat index, wind chill, humidex,
+ * wet-bulb globe temperature, cloud base and an outdoor comfort score.
+ * @module utils/indices
+ *
+ * Inputs are in the API's base units (°C, %, km/h) and temperatures come
+ * back in °C, so results can go through the user's units like any other
+ * value. Each index is null where its formula does not apply, e.g. wind chill
+ * on a warm day.
+ */
+
+/**
+ * Risk levels of each index, shaped like the air quality categories in
+ * utils/airQuality: `max` is the level's upper bound (inclusive), `label` and
+ * `description` are catalog keys (see utils/i18n) and `className` colours a
+ * badge.
+ */
+export const INDEX_LEVELS = {
+  // US National Weather Service heat index levels, in °C
+  heatIndex: [
+    {
+      max: 32,
+      label: "indices.heatIndex.caution",
+      description: "indices.heatIndex.cautionInfo",
+      className: "bg-yellow-300 text-gray-900",
+    },
+    {
+      max: 41,
+      label: "indices.heatIndex.extremeCaution",
+      description: "indices.heatIndex.extremeCautionInfo",
+      className: "bg-orange-500 text-white",
+    },
+    {
+      max: 54,
+      label: "indices.heatIndex.danger",
+      description: "indices.heatIndex.dangerInfo",
+      className: "bg-red-600 text-white",
+    },
+    {
+      max: Infinity,
+      label: "indices.heatIndex.extremeDanger",
+      description: "indices.heatIndex.extremeDangerInfo",
+      className: "bg-rose-900 text-white",
+    },
+  ],
+  // Environment Canada wind chill risk levels, coldest first, in °C
+  windChill: [
+    {
+      max: -48,
+      label: "indices.windChill.extreme",
+      description: "indices.windChill.extremeInfo",
+      className: "bg-rose-900 text-white",
+    },
+    {
+      max: -40,
+      label: "indices.windChill.veryHigh",
+      description: "indices.windChill.veryHighInfo",
+      className: "bg-red-600 text-white",
+    },
+    {
+      max: -28,
+      label: "indices.windChill.high",
+      description: "indices.windChill.highInfo",
+      className: "bg-orange-500 text-white",
+    },
+    {
+      max: -10,
+      label: "indices.windChill.moderate",
+      description: "indices.windChill.moderateInfo",
+      className: "bg-yellow-300 text-gray-900",
+    },
+    {
+      max: Infinity,
+      label: "indices.windChill.low",
+      description: "indices.windChill.lowInfo",
+      className: "bg-green-500 text-white",
+    },
+  ],
+  // Environment Canada humidex ranges (unitless)
+  humidex: [
+    {
+      max: 29,
+      label: "indices.humidex.comfortable",
+      description: "indices.humidex.comfortableInfo",
+      className: "bg-green-500 text-white",
+    },
+    {
+      max: 39,
+      label: "indices.humidex.some",
+      description: "indices.humidex.someInfo",
+      className: "bg-yellow-300 text-gray-900",
+    },
+    {
+      max: 45,
+      label: "indices.humidex.great",
+      description: "indices.humidex.greatInfo",
+      className: "bg-orange-500 text-white",
+    },
+    {
+      max: Infinity,
+      label: "indices.humidex.dangerous",
+      description: "indices.humidex.dangerousInfo",
+      className: "bg-red-600 text-white",
+    },
+  ],
+  // Heat stress flag levels used for outdoor activity, in °C WBGT
+  wetBulbGlobe: [
+    {
+      max: 27.7,
+      label: "indices.wetBulbGlobe.low",
+      description: "indices.wetBulbGlobe.lowInfo",
+      className: "bg-green-500 text-white",
+    },
+    {
+      max: 29.4,
+      label: "indices.wetBulbGlobe.moderate",
+      description: "indices.wetBulbGlobe.moderateInfo",
+      className: "bg-yellow-300 text-gray-900",
+    },
+    {
+      max: 31,
+      label: "indices.wetBulbGlobe.high",
+      description: "indices.wetBulbGlobe.highInfo",
+      className: "bg-orange-500 text-white",
+    },
+    {
+      max: 32.1,
+      label: "indices.wetBulbGlobe.veryHigh",
+      description: "indices.wetBulbGlobe.veryHighInfo",
+      className: "bg-red-600 text-white",
+    },
+    {
+      max: Infinity,
+      label: "indices.wetBulbGlobe.extreme",
+      description: "indices.wetBulbGlobe.extremeInfo",
+      className: "bg-gray-900 text-white",
+    },
+  ],
+  // Outdoor comfort score, 0 to 100
+  comfort: [
+    {
+      max: 19,
+      label: "indices.comfort.veryPoor",
+      description: "indices.comfort.veryPoorInfo",
+      className: "bg-red-600 text-white",
+    },
+    {
+      max: 39,
+      label: "indices.comfort.poor",
+      description: "indices.comfort.poorInfo",
+      className: "bg-orange-500 text-white",
+    },
+    {
+      max: 59,
+      label: "indices.comfort.fair",
+      description: "indices.comfort.fairInfo",
+      className: "bg-yellow-300 text-gray-900",
+    },
+    {
+      max: 79,
+      label: "indices.comfort.good",
+      description: "indices.comfort.goodInfo",
+      className: "bg-lime-500 text-white",
+    },
+    {
+      max: Infinity,
+      label: "indices.comfort.excellent",
+      description: "indices.comfort.excellentInfo",
+      className: "bg-green-500 text-white",
+    },
+  ],
+};
+
+// Comfortable range of the felt temperature for the comfort score, in °C
+const COMFORT_RANGE = { min: 18, max: 24 };
+
+// True if any input is null or undefined
+const isMissing = (...values) =>
+  values.some((value) => value === null || value === undefined);
+
+const toFahrenheit = (celsius) => (celsius * 9) / 5 + 32;
+const toCelsius = (fahrenheit) => ((fahrenheit - 32) * 5) / 9;
+
+/**
+ * Returns the dew point from temperature and relative humidity, with the
+ * Magnus formula.
+ * @param {number|null} temperature - Air temperature in °C.
+ * @param {number|null} humidity - Relative humidity in %.
+ * @returns {number|null} Dew point in °C, or null without both inputs.
+ */
+export const getDewPoint = (temperature, humidity) => {
+  if (isMissing(temperature, humidity) || humidity <= 0) return null;
+  const gamma =
+    Math.log(humidity / 100) + (17.625 * temperature) / (243.04 + temperature);
+  return (243.04 * gamma) / (17.625 - gamma);
+};
+
+/**
+ * Returns the heat index with the US National Weather Service algorithm
+ * (Steadman's simple formula, or the Rothfusz regression with its humidity
+ * adjustments once it is warm).
+ * @param {number|null} temperature - Air temperature in °C.
+ * @param {number|null} humidity - Relative humidity in %.
+ * @returns {number|null} Heat index in °C; null below 80 °F (26.7 °C),
+ *   where heat stress is not a concern.
+ */
+export const getHeatIndex = (temperature, humidity) => {
+  if (isMissing(temperature, humidity)) return null;
+  const t = toFahrenheit(temperature);
+  // Compared in °F: 26.7 °C is just above 80 °F
+  if (t < 80) return null;
+  const rh = humidity;
+  const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+  if ((simple + t) / 2 < 80) return toCelsius(simple);
+  let index =
+    -42.379 +
+    2.04901523 * t +
+    10.14333127 * rh -
+    0.22475541 * t * rh -
+    0.00683783 * t * t -
+    0.05481717 * rh * rh +
+    0.00122874 * t * t * rh +
+    0.00085282 * t * rh * rh -
+    0.00000199 * t * t * rh * rh;
+  if (rh < 13 && t >= 80 && t <= 112) {
+    index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+  } else if (rh > 85 && t >= 80 && t <= 87) {
+    index += ((rh - 85) / 10) * ((87 - t) / 5);
+  }
+  return toCelsius(index);
+};
+
+/**
+ * Returns the wind chill with the North American (JAG/TI) formula.
+ * @param {number|null} temperature - Air temperature in °C.
+ * @param {number|null} windSpeed - Wind speed at 10 m in km/h.
+ * @returns {number|null} Wind chill in °C; null above 10 °C or in winds of
+ *   4.8 km/h or less, where the formula does not apply.
+ */
+export const getWindChill = (temperature, windSpeed) => {
+  if (isMissing(temperature, windSpeed)) return null;
+  if (temperature > 10 || windSpeed <= 4.8) return null;
+  const wind = windSpeed ** 0.16;
+  return (
+    13.12 + 0.6215 * temperature - 11.37 * wind + 0.3965 * temperature * wind
+  );
+};
+
+/**
+ * Returns the Canadian humidex.
+ * @param {number|null} temperature - Air temperature in °C.
+ * @param {number|null} dewPoint - Dew point in °C.
+ * @returns {number|null} Humidex (unitless, read like °C); null below 20 °C,
+ *   where it is not reported.
+ */
+export const getHumidex = (temperature, dewPoint) => {
+  if (isMissing(temperature, dewPoint) || temperature < 20) return null;
+  const vapourPressure =
+    6.11 * Math.exp(5417.753 * (1 / 273.16 - 1 / (273.15 + dewPoint)));
+  return temperature + 0.5555 * (vapourPressure - 10);
+};
+
+/**
+ * Approximates the wet-bulb globe temperature from temperature and humidity
+ * (Australian Bureau of Meteorology formula). It assumes moderate sunshine
+ * and a light wind, so it is a guide rather than a measurement.
+ * @param {number|null} temperature - Air temperature in °C.
+ * @param {number|null} humidity - Relative humidity in %.
+ * @returns {number|null} WBGT in °C, or null without both inputs.
+ */
+export const getWetBulbGlobe = (temperature, humidity) => {
+  if (isMissing(temperature, humidity)) return null;
+  const vapourPressure =
+    (humidity / 100) *
+    6.105 *
+    Math.exp((17.27 * temperature) / (237.7 + temperature));
+  return 0.567 * temperature + 0.393 * vapourPressure + 3.94;
+};
+
+/**
+ * Estimates the height of the base of cumulus clouds from the spread between
+ * temperature and dew point (about 125 m per °C).
+ * @param {number|null} temperature - Air temperature in °C.
+ * @param {number|null} dewPoint - Dew point in °C.
+ * @returns {number|null} Height above ground in metres, or null without
+ *   both inputs.
+ */
+export const getCloudBase = (temperature, dewPoint) => {
+  if (isMissing(temperature, dewPoint)) return null;
+  return Math.max(0, 125 * (temperature - dewPoint));
+};
+
+/**
+ * Scores how pleasant it is to be outdoors, from 0 (miserable) to 100.
+ * Points are taken off for a felt temperature outside 18–24 °C (4 per °C, at
+ * most 50), mugginess above a 16 °C dew point (4 per °C, at most 20), wind
+ * above 20 km/h (0.5 per km/h, at most 15), the chance of precipitation
+ * (0.2 per %, at most 20) and a UV index above 5 (3 per step, at most 15).
+ * @param {object} conditions - Conditions in base units.
+ * @param {number|null} conditions.temperature - Air temperature in °C.
+ * @param {number|null} [conditions.apparentTemperature] - Felt temperature in
+ *   °C; the air temperature is used without it.
+ * @param {number|null} [conditions.dewPoint] - Dew point in °C.
+ * @param {number|null} [conditions.windSpeed] - Wind speed in km/h.
+ * @param {number|null} [conditions.precipitationProbability] - Chance of
+ *   precipitation in %.
+ * @param {number|null} [conditions.uvIndex] - UV index.
+ * @returns {number|null} The score, or null without a temperature.
+ */
+export const getComfortScore = ({
+  temperature,
+  apparentTemperature,
+  dewPoint,
+  windSpeed,
+  precipitationProbability,
+  uvIndex,
+}) => {
+  const felt = apparentTemperature ?? temperature;
+  if (isMissing(felt)) return null;
+  const offRange = Math.max(
+    COMFORT_RANGE.min - felt,
+    felt - COMFORT_RANGE.max,
+    0
+  );
+  const penalties = [
+    Math.min(offRange * 4, 50),
+    Math.min(Math.max((dewPoint ?? 0) - 16, 0) * 4, 20),
+    Math.min(Math.max((windSpeed ?? 0) - 20, 0) * 0.5, 15),
+    Math.min((precipitationProbability ?? 0) * 0.2, 20),
+    Math.min(Math.max((uvIndex ?? 0) - 5, 0) * 3, 15),
+  ];
+  const score = 100 - penalties.reduce((sum, penalty) => sum + penalty, 0);
+  return Math.round(Math.min(Math.max(score, 0), 100));
+};
+
+/**
+ * Computes every index for one set of conditions, e.g. an hourly row.
+ * The dew point is derived from temperature and humidity when missing, as
+ * it is for current conditions.
+ * @param {object} conditions - Conditions in base units, as for
+ *   {@link getComfortScore}, plus `humidity` in %.
+ * @returns {{heatIndex: number|null, windChill: number|null, humidex: number|null,
+ *   wetBulbGlobe: number|null, cloudBase: number|null, comfort: number|null}}
+ *   The indices.
+ */
+export const computeIndices = (conditions) => {
+  const { temperature, humidity, windSpeed } = conditions;
+  const dewPoint = conditions.dewPoint ?? getDewPoint(temperature, humidity);
+  return {
+    heatIndex: getHeatIndex(temperature, humidity),
+    windChill: getWindChill(temperature, windSpeed),
+    humidex: getHumidex(temperature, dewPoint),
+    wetBulbGlobe: getWetBulbGlobe(temperature, humidity),
+    cloudBase: getCloudBase(temperature, dewPoint),
+    comfort: getComfortScore({ ...conditions, dewPoint }),
+  };
+};
+
+/**
+ * Returns the risk level of an index value.
+ * @param {string} index - Key of {@link INDEX_LEVELS}.
+ * @param {number|null} value - Index value, in °C for temperatures.
+ * @returns {object|null} The level, or null if there is no value.
+ */
+export const getIndexLevel = (index, value) =>
+  value === null || value === undefined
+    ? null
+    : INDEX_LEVELS[index].find((level) => value <= level.max);
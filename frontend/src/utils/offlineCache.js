@@ -0,0 +1,62 @@
+/**
+ * @file Keeps the last successful /api/weather response per location in
+ * localStorage, so a location can still be shown while offline.
+ * @module utils/offlineCache
+ */
+
+import { getLocationId } from "../hooks/useFavorites";
+
+const STORAGE_KEY = "offlineForecasts";
+// Locations kept; the least recently saved are dropped first
+const MAX_ENTRIES = 10;
+
+/**
+ * Reads the saved forecasts.
+ * @returns {Object<string, {data: object, savedAt: number}>} Entries by location id.
+ */
+const loadEntries = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved && typeof saved === "object" ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Saves the forecast for a location.
+ * @param {object} location - Geocode suggestion.
+ * @param {object} data - Response from /api/weather.
+ */
+export const saveForecast = (location, data) => {
+  const entries = {
+    ...loadEntries(),
+    [getLocationId(location)]: { data, savedAt: Date.now() },
+  };
+  const kept = Object.entries(entries)
+    .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+    .slice(0, MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(kept)));
+  } catch (error) {
+    // Storage full or unavailable: the app still works online
+    console.error("Error saving forecast for offline use:", error);
+  }
+};
+
+/**
+ * Returns the saved forecast for a location.
+ * @param {object} location - Geocode suggestion.
+ * @returns {{data: object, savedAt: number}|null} The forecast and when it
+ *   was saved (ms since epoch), or null if none is saved.
+ */
+export const loadForecast = (location) =>
+  loadEntries()[getLocationId(location)] || null;
+
+/**
+ * Tells whether a failed request never reached the server (offline, DNS or
+ * connection failure) rather than getting an error response.
+ * @param {Error} error - Error thrown by axios.
+ * @returns {boolean} True for network failures.
+ */
+export const isNetworkError = (error) => !error.response;
@@ -0,0 +1,53 @@
+/**
+ * @file Recently picked search suggestions, kept in localStorage and offered
+ * when the search box is focused.
+ * @module utils/recentSearches
+ */
+
+import { getLocationId } from "../hooks/useFavorites";
+
+const STORAGE_KEY = "recentSearches";
+
+// Number of recent searches kept
+export const MAX_RECENT_SEARCHES = 5;
+
+/**
+ * Reads the recent searches, most recent first.
+ * @returns {object[]} Saved locations, or an empty list.
+ */
+export const loadRecentSearches = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved.slice(0, MAX_RECENT_SEARCHES) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Moves a location to the top of the recent searches, adding it if needed.
+ * @param {object} location - Geocode suggestion.
+ * @returns {object[]} The updated recent searches.
+ */
+export const addRecentSearch = (location) => {
+  const id = getLocationId(location);
+  const recent = [
+    {
+      id,
+      formatted: location.formatted,
+      timezone: location.timezone,
+      geometry: location.geometry,
+      flag: location.flag || null,
+    },
+    ...loadRecentSearches().filter((item) => item.id !== id),
+  ].slice(0, MAX_RECENT_SEARCHES);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(recent));
+  return recent;
+};
+
+/**
+ * Forgets all recent searches.
+ */
+export const clearRecentSearches = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
@@ -0,0 +1,19 @@
+/**
+ * @file Registers the service worker built from src/sw.js.
+ * @module utils/serviceWorker
+ */
+
+/**
+ * Registers the service worker once the page has loaded. Production builds
+ * only: the dev server has no built service worker.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register("/sw.js")
+      .catch((error) =>
+        console.error("Service worker registration failed:", error)
+      );
+  });
+};
@@ -0,0 +1,115 @@
+/**
+ * @file Reads and writes the shareable view state in the URL query string.
+ * @module utils/urlState
+ *
+ * A deep link looks like
+ * `/?lat=59.9133&lng=10.7389&name=Oslo%2C+Norway&tz=Europe%2FOslo&units=metric&hours=48`.
+ * `units` is "metric", "imperial", or a custom list of one unit per quantity
+ * in {@link UNIT_OPTIONS} order, e.g. `units=C,kn,mm,hPa,km`.
+ * Every parameter is optional; invalid values are ignored.
+ */
+
+import {
+  UNIT_OPTIONS,
+  METRIC_UNITS,
+  IMPERIAL_UNITS,
+  isValidUnits,
+} from "./helpers";
+
+const QUANTITIES = Object.keys(UNIT_OPTIONS);
+
+/**
+ * Parses the `units` parameter.
+ * @param {string|null} value - Parameter value.
+ * @returns {object|null} Unit preferences, or null if absent or invalid.
+ */
+const parseUnits = (value) => {
+  if (value === "metric") return METRIC_UNITS;
+  if (value === "imperial") return IMPERIAL_UNITS;
+  if (!value) return null;
+  const parts = value.split(",");
+  if (parts.length !== QUANTITIES.length) return null;
+  const units = Object.fromEntries(
+    QUANTITIES.map((quantity, index) => [quantity, parts[index]])
+  );
+  return isValidUnits(units) ? units : null;
+};
+
+/**
+ * Formats unit preferences for the `units` parameter, using the preset name
+ * when they match one.
+ * @param {object} units - Unit preferences.
+ * @returns {string} Parameter value.
+ */
+const formatUnits = (units) => {
+  const matches = (preset) => QUANTITIES.every((q) => units[q] === preset[q]);
+  if (matches(METRIC_UNITS)) return "metric";
+  if (matches(IMPERIAL_UNITS)) return "imperial";
+  return QUANTITIES.map((quantity) => units[quantity]).join(",");
+};
+
+// Choices offered by the hourly forecast's "Show" dropdown
+export const HOUR_OPTIONS = [12, 18, 24, 30, 36, 42, 48];
+
+/**
+ * Parses the view state from a query string.
+ * @param {string} search - A query string such as `window.location.search`.
+ * @returns {{location: object|null, units: object|null, numHours: number|null}}
+ *   The location as a geocode-style suggestion, and the unit and hour
+ *   settings; each is `null` when absent or invalid.
+ */
+export const readUrlState = (search) => {
+  const params = new URLSearchParams(search);
+  const lat = parseFloat(params.get("lat"));
+  const lng = parseFloat(params.get("lng"));
+  const hasLocation =
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    Math.abs(lat) <= 90 &&
+    Math.abs(lng) <= 180;
+  const hours = Number(params.get("hours"));
+  return {
+    location: hasLocation
+      ? {
+          formatted: params.get("name") || `${lat}, ${lng}`,
+          timezone: params.get("tz") || "UTC",
+          geometry: { lat, lng },
+        }
+      : null,
+    units: parseUnits(params.get("units")),
+    numHours: HOUR_OPTIONS.includes(hours) ? hours : null,
+  };
+};
+
+/**
+ * Merges part of the view state into the current URL.
+ * Only the keys present in `state` are touched.
+ * @param {object} state
+ * @param {object} [state.location] - Location with `formatted`, `timezone` and `geometry`.
+ * @param {object} [state.units] - Unit preferences.
+ * @param {number} [state.numHours] - Hours shown in the hourly forecast.
+ * @param {object} [options]
+ * @param {boolean} [options.replace=false] - Replace the current history entry instead of pushing a new one.
+ */
+export const writeUrlState = (state, { replace = false } = {}) => {
+  const params = new URLSearchParams(window.location.search);
+  if (state.location) {
+    params.set("lat", String(state.location.geometry.lat));
+    params.set("lng", String(state.location.geometry.lng));
+    params.set("name", state.location.formatted);
+    params.set("tz", state.location.timezone);
+  }
+  if (state.units !== undefined) {
+    params.set("units", formatUnits(state.units));
+  }
+  if (state.numHours !== undefined) {
+    params.set("hours", String(state.numHours));
+  }
+  const url = `${window.location.pathname}?${params}`;
+  if (url === `${window.location.pathname}${window.location.search}`) return;
+  if (replace) {
+    window.history.replaceState(null, "", url);
+  } else {
+    window.history.pushState(null, "", url);
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * @file Anonymous user id shared by the favourites and alerts APIs.
+ * @module utils/userId
+ */
+
+// Kept under its original key so ids created for favourites sync still work
+const USER_ID_KEY = "favoritesUserId";
+
+/**
+ * Creates a random version 4 UUID.
+ * crypto.randomUUID() only exists in secure contexts (HTTPS or localhost),
+ * so pages served over plain HTTP build one from crypto.getRandomValues().
+ * @returns {string} The UUID.
+ */
+const createUuid = () => {
+  if (typeof crypto.randomUUID === "function") return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  // Set the version (4) and variant (10xx) bits
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0"));
+  return [
+    hex.slice(0, 4),
+    hex.slice(4, 6),
+    hex.slice(6, 8),
+    hex.slice(8, 10),
+    hex.slice(10),
+  ]
+    .map((group) => group.join(""))
+    .join("-");
+};
+
+/**
+ * Returns the anonymous user id used for backend sync, creating one if needed.
+ * @returns {string} The user id.
+ */
+export const getUserId = () => {
+  let userId = localStorage.getItem(USER_ID_KEY);
+  if (!userId) {
+    userId = createUuid();
+    localStorage.setItem(USER_ID_KEY, userId);
+  }
+  return userId;
+};
@@ -2,9 +2,42 @@ import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
 import { visualizer } from "rollup-plugin-visualizer";
+import { readFileSync } from "fs";
+import { createHash } from "crypto";
+
+/**
+ * Builds the service worker from src/sw.js, filling in the built files to
+ * precache and a cache version derived from their hashed names, so every
+ * deploy with changed files installs a fresh worker.
+ * Runs after Vite's own plugins so index.html is in the bundle.
+ */
+const serviceWorker = () => ({
+  name: "service-worker",
+  apply: "build",
+  enforce: "post",
+  generateBundle(options, bundle) {
+    const files = Object.keys(bundle)
+      .filter((file) => !file.endsWith(".map") && file !== "stats.html")
+      .map((file) => `/${file}`);
+    const version = createHash("sha256")
+      .update(files.join("\n"))
+      .digest("hex")
+      .slice(0, 12);
+    const source = readFileSync(new URL("./src/sw.js", import.meta.url), "utf8")
+      .replace("self.__PRECACHE_FILES", JSON.stringify(files))
+      .replace("self.__CACHE_VERSION", JSON.stringify(version));
+    this.emitFile({ type: "asset", fileName: "sw.js", source });
+  },
+});
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss(), visualizer({ open: true })],
+  plugins: [
+    react(),
+    tailwindcss(),
+    visualizer({ open: true }),
+    serviceWorker(),
+  ],
   build: {
     rollupOptions: {
       output: {